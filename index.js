@@ -22,7 +22,7 @@ import { registerCommentsRoutes } from './src/routes/commentsRoutes.js';
 import { getEmneAndScore } from './src/utils/mainUtils.js';
 import { registerBevcoRoutes } from './src/routes/bevcoRoutes.js';
 import { registerPineconeRoutes } from './src/routes/pineconeRoutes.js';
-import { getPineconeApiKeyForIndex, initializePineconeClient, generateEmbedding } from './src/utils/pineconeUtils.js';
+import { generateEmbedding } from './src/utils/pineconeUtils.js';
 import emailjs from '@emailjs/nodejs';
 import { registerGdprRoutes } from './src/routes/gdprRoutes.js';
 import { ensureGdprSettingsTable, scheduleGdprCleanup } from './src/utils/gdprUtils.js';
@@ -40,8 +40,43 @@ import { registerMagentoRoutes } from './src/routes/magentoRoutes.js';
 import { registerStatisticsRoutes } from './src/routes/statisticsRoutes.js';
 import { registerConversationsRoutes } from './src/routes/conversationsRoutes.js';
 import { registerConversationProcessingRoutes } from './src/routes/conversationProcessingRoutes.js';
+import { ensureLlmProvidersTable, ensureFlowEndpointsTable } from './src/utils/llmProviderUtils.js';
+import { ensureConversationMemoryTables } from './src/utils/conversationMemoryUtils.js';
+import { ensureMessageIdempotencyTable } from './src/services/messageIdempotencyService.js';
 import { registerMonitoringRoutes } from './src/routes/monitoringRoutes.js';
 import { registerConversationMissingInfoRoutes } from './src/routes/conversationMissingInfoRoutes.js';
+import { registerRoutingRulesRoutes } from './src/routes/routingRulesRoutes.js';
+import { ensureRoutingRulesTable } from './src/utils/routingRulesUtils.js';
+import { registerConversationReplayRoutes } from './src/routes/conversationReplayRoutes.js';
+import { ensureConversationReplayTables } from './src/utils/conversationReplayUtils.js';
+import { registerRateLimitRoutes } from './src/routes/rateLimitRoutes.js';
+import { createRateLimitMiddleware } from './src/services/rateLimitService.js';
+import { ensureRateLimitTables, cleanupRateLimitData, getRateLimitIdentity } from './src/utils/rateLimitUtils.js';
+import { ensureOrderTrackingProvidersTable, ORDER_PROVIDER_TYPES } from './src/utils/orderTrackingProviderUtils.js';
+import { registerWooCommerceRoutes } from './src/routes/woocommerceRoutes.js';
+import { ensureWooCommerceCredentialsTable } from './src/utils/woocommerceUtils.js';
+import { registerOrderLookupSecurityRoutes } from './src/routes/orderLookupSecurityRoutes.js';
+import { sendOrderLookupResponse } from './src/controllers/orderLookupSecurityController.js';
+import { runSecuredOrderLookup } from './src/services/orderLookupSecurityService.js';
+import { ensureOrderLookupSecurityTables, cleanupOrderLookupAudit } from './src/utils/orderLookupSecurityUtils.js';
+import { registerReturnRequestRoutes } from './src/routes/returnRequestRoutes.js';
+import { ensureReturnRequestTables, cleanupReturnOffers } from './src/utils/returnRequestUtils.js';
+import { registerOrderResponseMappingRoutes } from './src/routes/orderResponseMappingRoutes.js';
+import { ensureOrderResponseMappingsTable } from './src/utils/orderResponseMappingUtils.js';
+import { registerShopifyWebhookRoutes } from './src/routes/shopifyWebhookRoutes.js';
+import { ensureShopifyWebhookTables } from './src/utils/shopifyWebhookUtils.js';
+import { ensureKnowledgeImportTables } from './src/utils/knowledgeImportUtils.js';
+import { ensureKnowledgeChunkColumns, deleteKnowledgeVectors } from './src/utils/knowledgeChunkingUtils.js';
+import { registerKnowledgeCrawlerRoutes } from './src/routes/knowledgeCrawlerRoutes.js';
+import { ensureKnowledgeCrawlerTables, runDueKnowledgeCrawls } from './src/utils/knowledgeCrawlerUtils.js';
+import { registerVectorStoreRoutes } from './src/routes/vectorStoreRoutes.js';
+import { ensureVectorStoreTables, getVectorStore } from './src/utils/vectorStoreUtils.js';
+import {
+  KNOWLEDGE_HISTORY_ACTIONS,
+  ensureKnowledgeHistoryTable,
+  ensureKnowledgeHistoryBaseline,
+  recordKnowledgeHistory
+} from './src/utils/knowledgeHistoryUtils.js';
 import { ensureConversationUpdateJobsTable } from './src/utils/conversationsUtils.js';
 import axios from 'axios';
 
@@ -136,18 +171,61 @@ if (isProduction) {
   });
 }
 
-// Cleanup old streaming sessions and events (every hour)
+// Cleanup old streaming sessions, events and expired idempotency keys (every hour)
 cron.schedule('0 * * * *', async () => {
   try {
     console.log('Cleaning up old streaming sessions...');
     const { createAiStreamingService } = await import('./src/services/aiStreamingService.js');
     const streamingService = createAiStreamingService(pool);
     await streamingService.cleanupOldSessions();
+
+    const { createMessageIdempotencyService } = await import('./src/services/messageIdempotencyService.js');
+    await createMessageIdempotencyService(pool).cleanupExpiredKeys();
   } catch (error) {
     console.error('Error cleaning up streaming sessions:', error);
   }
 });
 
+// Cleanup finished rate limit windows and old block events (every hour)
+cron.schedule('30 * * * *', async () => {
+  try {
+    const removed = await cleanupRateLimitData(pool);
+    console.log(`🧹 Cleanup: Removed ${removed.counters} rate limit counters and ${removed.events} old block events`);
+  } catch (error) {
+    console.error('Error cleaning up rate limit data:', error);
+  }
+});
+
+// Cleanup order lookup audit entries past their retention (daily at 4:30 AM)
+cron.schedule('30 4 * * *', async () => {
+  try {
+    const removed = await cleanupOrderLookupAudit(pool);
+    console.log(`🧹 Cleanup: Removed ${removed} old order lookup audit entries`);
+  } catch (error) {
+    console.error('Error cleaning up order lookup audit:', error);
+  }
+});
+
+// Cleanup return offers the visitor never submitted (daily at 4:45 AM)
+cron.schedule('45 4 * * *', async () => {
+  try {
+    const removed = await cleanupReturnOffers(pool);
+    console.log(`🧹 Cleanup: Removed ${removed} unsubmitted return offers`);
+  } catch (error) {
+    console.error('Error cleaning up return offers:', error);
+  }
+});
+
+// Re-crawl knowledge sources that are due (every 15 minutes)
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    const crawled = await runDueKnowledgeCrawls(pool);
+    if (crawled > 0) console.log(`🕷️ Knowledge crawler: Crawled ${crawled} due sources`);
+  } catch (error) {
+    console.error('Error running scheduled knowledge crawls:', error);
+  }
+});
+
 // Cleanup old performance metrics (daily at 4 AM)
 cron.schedule('0 4 * * *', async () => {
   try {
@@ -179,13 +257,20 @@ if (!process.env.OPENAI_API_KEY) {
 
 // Initialize Express
 const app = express();
-app.use(bodyParser.json({ limit: '10mb' }));
+app.use(bodyParser.json({
+  limit: '10mb',
+  // Webhook signatures are computed over the exact bytes that were sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ limit: '10mb', extended: true }));
 // Replace your current CORS configuration with this
 app.use(cors({
   origin: '*', // Or ideally specify only allowed domains like 'https://dashboard.dialogintelligens.dk'
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'], // Include all methods you use
-  allowedHeaders: ['Content-Type', 'Origin', 'Accept', 'Authorization'], // Add Authorization
+  allowedHeaders: ['Content-Type', 'Origin', 'Accept', 'Authorization', 'Last-Event-ID', 'Idempotency-Key'], // Add Authorization
+  exposedHeaders: ['Retry-After'], // Lets widgets read when a rate-limited request may be retried
   credentials: false, // Set to true if using cookies
   preflightContinue: false,
   optionsSuccessStatus: 204
@@ -193,8 +278,10 @@ app.use(cors({
 // Keep this line as well
 app.options('*', cors());
 
-// Trust X-Forwarded-For header when behind proxies (Render, Heroku, etc.)
-app.set('trust proxy', true);
+// Trust X-Forwarded-For only from the proxies in front of the app (Render adds one hop).
+// req.ip is the address the outermost trusted proxy saw, so clients cannot choose it.
+const trustProxyHops = parseInt(process.env.TRUST_PROXY_HOPS ?? '1', 10);
+app.set('trust proxy', Number.isNaN(trustProxyHops) ? 1 : trustProxyHops);
 
 // Database migration function to update profile_picture column
 async function migrateProfilePictureColumn() {
@@ -338,17 +425,11 @@ app.post('/search-vectors-by-query', authenticateToken, async (req, res) => {
     const queryEmbedding = await generateEmbedding(query);
     console.log('Embedding generated successfully');
     
-    // Get Pinecone API key
-    console.log('Getting Pinecone API key...');
-    const pineconeApiKey = await getPineconeApiKeyForIndex(pool, targetUserId, indexName, namespace);
-    
-    // Initialize Pinecone client and query
-    console.log('Initializing Pinecone client...');
-    const pineconeClient = initializePineconeClient(pineconeApiKey);
-    const index = pineconeClient.index(namespace);
+    // Pinecone or pgvector, as configured for this index/namespace
+    const index = await getVectorStore(pool, { userId: targetUserId, indexName, namespace });
     
-    // Query Pinecone for similar vectors
-    console.log(`Querying Pinecone for top ${topK} results...`);
+    // Query the vector store for similar vectors
+    console.log(`Querying ${index.backend} for top ${topK} results...`);
     const queryResponse = await index.query({
       vector: queryEmbedding,
       topK: topK,
@@ -426,24 +507,23 @@ cron.schedule('0 * * * *', async () => {
   try {
     const now = new Date();
     const expiredRows = await pool.query(
-      `SELECT id, pinecone_vector_id, pinecone_index_name, namespace, user_id
+      `SELECT *
        FROM pinecone_data
        WHERE expiration_time IS NOT NULL AND expiration_time <= $1`,
       [now]
     );
 
     for (const row of expiredRows.rows) {
-      const { id, pinecone_vector_id, pinecone_index_name, namespace, user_id } = row;
+      const { id, pinecone_vector_id, pinecone_index_name, namespace, user_id, chunk_count } = row;
 
-      // Get the appropriate Pinecone API key for this index
+      // Get the vector store (Pinecone or pgvector) for this index
       try {
-        const pineconeApiKey = await getPineconeApiKeyForIndex(pool, user_id, pinecone_index_name, namespace);
-        
-        const pineconeClient = initializePineconeClient(pineconeApiKey);
-        const index = pineconeClient.index(namespace);
-        await index.deleteOne(pinecone_vector_id, { namespace: namespace });
+        const index = await getVectorStore(pool, { userId: user_id, indexName: pinecone_index_name, namespace });
+        await deleteKnowledgeVectors(index, pinecone_vector_id, chunk_count);
 
+        await ensureKnowledgeHistoryBaseline(pool, row);
         await pool.query('DELETE FROM pinecone_data WHERE id = $1', [id]);
+        await recordKnowledgeHistory(pool, row, { action: KNOWLEDGE_HISTORY_ACTIONS.DELETED });
         console.log(`Expired chunk with ID ${id} removed from Pinecone and DB`);
       } catch (keyError) {
         console.error(`Failed to get API key for expired data ID ${id}:`, keyError.message);
@@ -878,6 +958,34 @@ app.post('/duplicate-chatbot-settings', authenticateToken, async (req, res) => {
       );
       console.log(`Duplicated Commerce Tools credentials`);
     }
+
+    // 9. Duplicate woocommerce_credentials
+    const woocommerceCredentials = await client.query(
+      `SELECT woocommerce_store_url, woocommerce_consumer_key, woocommerce_consumer_secret,
+              woocommerce_enabled, query_string_auth
+       FROM woocommerce_credentials WHERE chatbot_id = $1`,
+      [source_chatbot_id]
+    );
+
+    if (woocommerceCredentials.rows.length > 0) {
+      const wc = woocommerceCredentials.rows[0];
+      await client.query(
+        `INSERT INTO woocommerce_credentials
+         (chatbot_id, woocommerce_store_url, woocommerce_consumer_key, woocommerce_consumer_secret,
+          woocommerce_enabled, query_string_auth)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (chatbot_id) DO UPDATE SET
+           woocommerce_store_url = $2,
+           woocommerce_consumer_key = $3,
+           woocommerce_consumer_secret = $4,
+           woocommerce_enabled = $5,
+           query_string_auth = $6,
+           updated_at = CURRENT_TIMESTAMP`,
+        [target_chatbot_id, wc.woocommerce_store_url, wc.woocommerce_consumer_key,
+         wc.woocommerce_consumer_secret, wc.woocommerce_enabled, wc.query_string_auth]
+      );
+      console.log(`Duplicated WooCommerce credentials`);
+    }
     
     await client.query('COMMIT');
     
@@ -890,7 +998,8 @@ app.post('/duplicate-chatbot-settings', authenticateToken, async (req, res) => {
       magento_credentials: magentoCredentials.rows.length,
       prompt_overrides: promptOverrides.rows.length,
       gdpr_settings: gdprSettings.rows.length,
-      commercetools_credentials: commerceToolsSettings.rows.length
+      commercetools_credentials: commerceToolsSettings.rows.length,
+      woocommerce_credentials: woocommerceCredentials.rows.length
     };
     
     res.json({
@@ -1386,6 +1495,10 @@ setTimeout(checkNotificationTriggers, 30000);
 
 console.log('📧 Notification monitoring system initialized');
 
+// Startup schema setup (ensure* functions); the server only starts listening once all of it has finished,
+// so no request reaches a table or column before it exists
+const schemaSetup = [];
+
 // After Express app is initialised and authenticateToken is declared but before app.listen
 registerPromptTemplateV2Routes(app, pool, authenticateToken);
 registerPopupMessageRoutes(app, pool, authenticateToken);
@@ -1394,7 +1507,7 @@ registerIntegrationRoutes(app, pool); // Public endpoint - no auth required
 registerReportRoutes(app, pool, authenticateToken);
 
 // Initialize GDPR table and routes
-ensureGdprSettingsTable(pool).catch(err => console.error('GDPR init error:', err));
+schemaSetup.push(ensureGdprSettingsTable(pool).catch(err => console.error('GDPR init error:', err)));
 registerGdprRoutes(app, pool, authenticateToken);
 // Optional scheduler (kept equivalent behavior)
 scheduleGdprCleanup(pool, runGdprCleanupAllService);
@@ -1407,7 +1520,7 @@ registerLivechatRoutes(app, pool, authenticateToken);
 registerUserSettingsRoutes(app, pool, authenticateToken);
 registerCommentsRoutes(app, pool, authenticateToken);
 registerSupportRoutes(app, pool, authenticateToken);
-registerAdminRoutes(app, pool, authenticateToken, getPineconeApiKeyForIndex);
+registerAdminRoutes(app, pool, authenticateToken);
 registerUsersRoutes(app, pool, authenticateToken, SECRET_KEY);
 registerBodylabRoutes(app);
 registerPurchasesRoutes(app, pool, authenticateToken);
@@ -1416,9 +1529,37 @@ registerMagentoRoutes(app, pool);
 registerStatisticsRoutes(app, pool, authenticateToken);
 registerConversationsRoutes(app, pool, authenticateToken, SECRET_KEY);
 registerConversationProcessingRoutes(app, pool, authenticateToken);
+schemaSetup.push(ensureLlmProvidersTable(pool).catch(err => console.error('LLM providers init error:', err)));
+schemaSetup.push(ensureFlowEndpointsTable(pool).catch(err => console.error('Flow endpoints init error:', err)));
+schemaSetup.push(ensureConversationMemoryTables(pool).catch(err => console.error('Conversation memory init error:', err)));
+schemaSetup.push(ensureMessageIdempotencyTable(pool).catch(err => console.error('Message idempotency init error:', err)));
+schemaSetup.push(ensureRoutingRulesTable(pool).catch(err => console.error('Routing rules init error:', err)));
+registerRoutingRulesRoutes(app, pool, authenticateToken);
+schemaSetup.push(ensureConversationReplayTables(pool).catch(err => console.error('Conversation replay init error:', err)));
+registerConversationReplayRoutes(app, pool, authenticateToken);
+schemaSetup.push(ensureRateLimitTables(pool).catch(err => console.error('Rate limit init error:', err)));
+registerRateLimitRoutes(app, pool, authenticateToken);
+schemaSetup.push(ensureOrderTrackingProvidersTable(pool).catch(err => console.error('Order tracking providers init error:', err)));
+schemaSetup.push(ensureWooCommerceCredentialsTable(pool).catch(err => console.error('WooCommerce credentials init error:', err)));
+registerWooCommerceRoutes(app, pool, authenticateToken);
+schemaSetup.push(ensureOrderLookupSecurityTables(pool).catch(err => console.error('Order lookup security init error:', err)));
+registerOrderLookupSecurityRoutes(app, pool, authenticateToken);
+schemaSetup.push(ensureReturnRequestTables(pool).catch(err => console.error('Return requests init error:', err)));
+registerReturnRequestRoutes(app, pool, authenticateToken);
+schemaSetup.push(ensureOrderResponseMappingsTable(pool).catch(err => console.error('Order response mappings init error:', err)));
+registerOrderResponseMappingRoutes(app, pool, authenticateToken);
+schemaSetup.push(ensureShopifyWebhookTables(pool).catch(err => console.error('Shopify webhook init error:', err)));
+registerShopifyWebhookRoutes(app, pool, authenticateToken);
 registerMonitoringRoutes(app, pool, authenticateToken);
 registerConversationMissingInfoRoutes(app, pool, authenticateToken);
+schemaSetup.push(ensureVectorStoreTables(pool).catch(err => console.error('Vector store init error:', err)));
+registerVectorStoreRoutes(app, pool, authenticateToken);
+schemaSetup.push(ensureKnowledgeChunkColumns(pool).catch(err => console.error('Knowledge chunking init error:', err)));
+schemaSetup.push(ensureKnowledgeHistoryTable(pool).catch(err => console.error('Knowledge history init error:', err)));
+schemaSetup.push(ensureKnowledgeImportTables(pool).catch(err => console.error('Knowledge import init error:', err)));
 registerPineconeRoutes(app, pool, authenticateToken);
+schemaSetup.push(ensureKnowledgeCrawlerTables(pool).catch(err => console.error('Knowledge crawler init error:', err)));
+registerKnowledgeCrawlerRoutes(app, pool, authenticateToken);
 
 /* ================================
    OpenAI Merge Suggestion Endpoint
@@ -2124,7 +2265,7 @@ function extractRelevantCommerceToolsOrderDetails(order) {
 }
 
 // POST endpoint for order tracking
-app.post('/track-order', async (req, res) => {
+app.post('/track-order', createRateLimitMiddleware(pool, 'track_order'), async (req, res) => {
   const { chatbot_id, order_number, email } = req.body;
   
   if (!chatbot_id || !order_number || !email) {
@@ -2149,27 +2290,28 @@ app.post('/track-order', async (req, res) => {
     
     const credentials = credentialsResult.rows[0];
     
-    // Fetch order from Commerce Tools
-    const order = await fetchCommerceToolsOrder(credentials, order_number, email);
-    
-    if (!order) {
-      return res.status(404).json({ 
-        error: 'Order not found',
-        message: 'No order found with the provided order number and email combination'
-      });
-    }
-    
-    // Extract relevant order details using the same logic as frontend
-    const relevantOrderDetails = extractRelevantCommerceToolsOrderDetails(order);
+    // Fetch order from Commerce Tools (verified, throttled and audited)
+    const result = await runSecuredOrderLookup({
+      source: 'track_order',
+      providerType: ORDER_PROVIDER_TYPES.COMMERCETOOLS,
+      identity: getRateLimitIdentity(req),
+      orderVariables: req.body,
+      lookup: async () => {
+        const order = await fetchCommerceToolsOrder(credentials, order_number, email);
+        if (!order) return null;
+        
+        // Return simplified order information in the format expected by the chatbot
+        return {
+          success: true,
+          results: [order], // Keep original format for compatibility
+          relevantOrderDetails: extractRelevantCommerceToolsOrderDetails(order), // Add simplified format
+          count: 1,
+          total: 1
+        };
+      }
+    }, pool);
     
-    // Return simplified order information in the format expected by the chatbot
-    res.json({
-      success: true,
-      results: [order], // Keep original format for compatibility
-      relevantOrderDetails: relevantOrderDetails, // Add simplified format
-      count: 1,
-      total: 1
-    });
+    sendOrderLookupResponse(res, result);
     
   } catch (error) {
     console.error('Error tracking order:', error);
@@ -2278,11 +2420,13 @@ app.put('/admin/commerce-tools-credentials/:chatbot_id', authenticateToken, asyn
   }
 });
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`🚀 Server (${environment}) is running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔧 Background jobs: ${isProduction ? 'ENABLED' : 'DISABLED'}`);
+// Start the server once the schema setup has finished (failures are logged and do not block startup)
+Promise.all(schemaSetup).then(() => {
+  app.listen(PORT, () => {
+    console.log(`🚀 Server (${environment}) is running on port ${PORT}`);
+    console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🔧 Background jobs: ${isProduction ? 'ENABLED' : 'DISABLED'}`);
+  });
 });
 
 // Export pool for use in utility modules
@@ -1,5 +1,6 @@
-import { Pinecone } from '@pinecone-database/pinecone';
 import pg from 'pg';
+import { getKnowledgeVectorIds } from './src/utils/knowledgeChunkingUtils.js';
+import { getVectorStore } from './src/utils/vectorStoreUtils.js';
 
 const { Pool } = pg;
 
@@ -11,52 +12,6 @@ const pool = new Pool({
     : { rejectUnauthorized: false }
 });
 
-// Helper function to get the API key for a specific index or fallback to user's default key
-async function getPineconeApiKeyForIndex(userId, indexName, namespace) {
-  try {
-    // Get user data
-    const userResult = await pool.query('SELECT pinecone_api_key, pinecone_indexes FROM users WHERE id = $1', [userId]);
-    if (userResult.rows.length === 0) {
-      throw new Error('User not found');
-    }
-    
-    const user = userResult.rows[0];
-    let pineconeIndexes = user.pinecone_indexes;
-    
-    // Parse indexes if it's a string
-    if (typeof pineconeIndexes === 'string') {
-      pineconeIndexes = JSON.parse(pineconeIndexes);
-    }
-    
-    // Check if pineconeIndexes is an array
-    if (Array.isArray(pineconeIndexes)) {
-      // Look for the matching index with the specified namespace and index_name
-      const matchedIndex = pineconeIndexes.find(index => 
-        index.namespace === namespace && 
-        index.index_name === indexName && 
-        index.API_key
-      );
-      
-      // If found a matching index with API_key, return that key
-      if (matchedIndex && matchedIndex.API_key) {
-        console.log(`Using index-specific API key for index: ${indexName}, namespace: ${namespace}`);
-        return matchedIndex.API_key;
-      }
-    }
-    
-    // Fallback to user's default API key
-    if (user.pinecone_api_key) {
-      console.log(`Using default user API key for index: ${indexName}, namespace: ${namespace}`);
-      return user.pinecone_api_key;
-    }
-    
-    throw new Error('No Pinecone API key found for this index or user');
-  } catch (error) {
-    console.error('Error getting Pinecone API key:', error);
-    throw error;
-  }
-}
-
 // Function to determine if a vector is from the scraper (should be ignored)
 function isScraperVector(vectorId, metadata) {
   // Check if ID looks like a hash (scraper pattern)
@@ -78,16 +33,12 @@ function isScraperVector(vectorId, metadata) {
   return isHashId || hasScraperMetadata;
 }
 
-// Function to get all vectors from a Pinecone index
-async function getAllVectorsFromIndex(pineconeClient, indexName, namespace, debugInfo = []) {
+// Function to get all vectors from a vector store (Pinecone index or pgvector namespace)
+async function getAllVectorsFromIndex(index, indexName, namespace, debugInfo = []) {
   try {
-    debugInfo.push(`🔄 Starting getAllVectorsFromIndex - indexName: ${indexName}, namespace: ${namespace}`);
+    debugInfo.push(`🔄 Starting getAllVectorsFromIndex - indexName: ${indexName}, namespace: ${namespace}, backend: ${index.backend}`);
     debugInfo.push('📝 Note: In this system, "namespace" parameter is actually the Pinecone index name');
     
-    // In your system, "namespace" is actually the Pinecone index name
-    // We connect to that index and then operations like listPaginated() work on that index directly
-    const index = pineconeClient.index(namespace);
-    
     // Test the connection first
     debugInfo.push('🔗 Testing index connection...');
     const indexStats = await index.describeIndexStats();
@@ -418,19 +369,10 @@ export async function deleteSpecificVectors(requestingUserId, vectorsToDelete, i
           continue;
         }
 
-        // Get Pinecone API key for this user/index
-        debugInfo.push(`🔑 Getting Pinecone API key for User ${group.ownerUserId}...`);
-        const pineconeApiKey = await getPineconeApiKeyForIndex(group.ownerUserId, group.indexName, group.namespace);
-        
-        if (!pineconeApiKey) {
-          throw new Error(`No Pinecone API key found for User ${group.ownerUserId}`);
-        }
-
-        // Initialize Pinecone client
-        debugInfo.push(`🔧 Initializing Pinecone client for ${group.namespace}...`);
-        const { Pinecone } = await import('@pinecone-database/pinecone');
-        const pineconeClient = new Pinecone({ apiKey: pineconeApiKey });
-        const index = pineconeClient.index(group.namespace);
+        // Get the vector store (Pinecone with the owner's API key, or pgvector)
+        debugInfo.push(`🔑 Getting vector store for User ${group.ownerUserId}...`);
+        const index = await getVectorStore(pool, { userId: group.ownerUserId, indexName: group.indexName, namespace: group.namespace });
+        debugInfo.push(`🔧 Using ${index.backend} for ${group.namespace}`);
 
         // Extract vector IDs
         const vectorIds = group.vectors.map(v => v.vectorId);
@@ -502,25 +444,21 @@ export async function checkMissingChunks(userId, indexName, namespace) {
   try {
     debugInfo.push(`🚀 Starting Pinecone-to-database check - User: ${userId}, Index: ${indexName}, Namespace: ${namespace}`);
     
-    // Get Pinecone API key
-    debugInfo.push('🔑 Getting Pinecone API key...');
-    const pineconeApiKey = await getPineconeApiKeyForIndex(userId, indexName, namespace);
-    debugInfo.push('✅ Pinecone API key retrieved successfully');
-    
-    // Initialize Pinecone client
-    debugInfo.push('🔧 Initializing Pinecone client...');
-    const pineconeClient = new Pinecone({ apiKey: pineconeApiKey });
-    debugInfo.push('✅ Pinecone client initialized successfully');
+    // Get the vector store (Pinecone with the user's API key, or pgvector)
+    debugInfo.push('🔑 Getting vector store...');
+    const index = await getVectorStore(pool, { userId, indexName, namespace });
+    debugInfo.push(`✅ Using ${index.backend} vector store`);
     
-            // Get all vectors from Pinecone
-        debugInfo.push('📥 Fetching all vectors from Pinecone...');
-        const allPineconeVectors = await getAllVectorsFromIndex(pineconeClient, indexName, namespace, debugInfo);
+            // Get all vectors from the vector store
+        debugInfo.push('📥 Fetching all vectors from the vector store...');
+        const allPineconeVectors = await getAllVectorsFromIndex(index, indexName, namespace, debugInfo);
         debugInfo.push(`✅ Successfully fetched ${allPineconeVectors.length} vectors from Pinecone`);
         
         // Filter out scraper chunks - only keep vectors with userId (non-scraper chunks)
-        debugInfo.push('🔍 Filtering out scraper chunks (keeping only vectors with userId)...');
+        // and chunk vectors of chunked entries (parent_vector_id)
+        debugInfo.push('🔍 Filtering out scraper chunks (keeping only vectors with userId or parent_vector_id)...');
         const nonScraperVectors = allPineconeVectors.filter(vector => {
-          const hasUserId = vector.metadata && vector.metadata.userId;
+          const hasUserId = vector.metadata && (vector.metadata.userId || vector.metadata.parent_vector_id);
           if (!hasUserId) {
             debugInfo.push(`🚮 Filtered out scraper chunk: ${vector.id} (no userId)`);
           }
@@ -534,14 +472,17 @@ export async function checkMissingChunks(userId, indexName, namespace) {
     // Get all chunks from our database for this index/namespace
     debugInfo.push('🗄️ Querying database for existing chunks...');
     const dbResult = await pool.query(
-      `SELECT pinecone_vector_id, title, text, user_id, id as db_id, created_at
+      `SELECT pinecone_vector_id, chunk_count, title, text, user_id, id as db_id, created_at
        FROM pinecone_data 
        WHERE pinecone_index_name = $1 AND namespace = $2`,
       [indexName, namespace]
     );
     
-    const dbVectorIds = new Set(dbResult.rows.map(row => row.pinecone_vector_id));
-    debugInfo.push(`📈 Found ${dbResult.rows.length} chunks in database`);
+    // A chunked entry (chunk_count > 0) is one row with chunk vectors `${pinecone_vector_id}_chunk_${n}`
+    const dbVectorIds = new Set(dbResult.rows.flatMap(row => getKnowledgeVectorIds(row.pinecone_vector_id, row.chunk_count)));
+    const chunkedRows = dbResult.rows.filter(row => row.pinecone_vector_id && row.chunk_count > 0);
+    const chunkVectorCount = chunkedRows.reduce((sum, row) => sum + row.chunk_count, 0);
+    debugInfo.push(`📈 Found ${dbResult.rows.length} chunks in database (${chunkedRows.length} of them stored as ${chunkVectorCount} chunk vectors)`);
     
             // Find non-scraper vectors that exist in Pinecone but not in our database
         debugInfo.push('🔍 Comparing non-scraper Pinecone vectors with database records...');
@@ -554,6 +495,18 @@ export async function checkMissingChunks(userId, indexName, namespace) {
         });
     
     debugInfo.push(`📊 Found ${missingChunks.length} vectors in Pinecone that are missing from database`);
+
+    // Chunked entries whose chunk vectors are not all in Pinecone
+    const pineconeVectorIds = new Set(allPineconeVectors.map(vector => vector.id));
+    const incompleteChunkedEntries = chunkedRows
+      .map(row => ({
+        row,
+        missingVectorIds: getKnowledgeVectorIds(row.pinecone_vector_id, row.chunk_count).filter(id => !pineconeVectorIds.has(id))
+      }))
+      .filter(entry => entry.missingVectorIds.length > 0);
+    if (incompleteChunkedEntries.length > 0) {
+      debugInfo.push(`⚠️ Found ${incompleteChunkedEntries.length} chunked entries with chunk vectors missing from Pinecone`);
+    }
     
     // Format the results
     debugInfo.push('📋 Formatting results...');
@@ -563,7 +516,9 @@ export async function checkMissingChunks(userId, indexName, namespace) {
             scraperVectors: allPineconeVectors.length - nonScraperVectors.length,
             nonScraperVectors: nonScraperVectors.length,
             databaseChunks: dbResult.rows.length,
-            missingFromDatabase: missingChunks.length
+            chunkedEntries: chunkedRows.length,
+            missingFromDatabase: missingChunks.length,
+            incompleteChunkedEntries: incompleteChunkedEntries.length
           },
       missingChunks: missingChunks.map(vector => ({
         vectorId: vector.id,
@@ -571,7 +526,19 @@ export async function checkMissingChunks(userId, indexName, namespace) {
         text: vector.metadata.text ? (vector.metadata.text.substring(0, 200) + '...') : 'No text',
         userId: vector.metadata.userId,
         group: vector.metadata.group || 'No group',
+        // Chunk vectors left behind by a chunked entry that was deleted or re-chunked
+        ...(vector.metadata.parent_vector_id && {
+          parentVectorId: vector.metadata.parent_vector_id,
+          chunkIndex: vector.metadata.chunk_index
+        }),
         metadata: vector.metadata
+      })),
+      incompleteChunkedEntries: incompleteChunkedEntries.map(({ row, missingVectorIds }) => ({
+        dbId: row.db_id,
+        vectorId: row.pinecone_vector_id,
+        title: row.title,
+        chunkCount: row.chunk_count,
+        missingVectorIds
       })),
                 note: `This check finds non-scraper vectors (with userId) that exist in Pinecone but are missing from your database. Scraper vectors (without userId) are automatically ignored.`,
       debugInfo: debugInfo
@@ -1,5 +1,27 @@
 import express from 'express';
 import cacheService from './src/utils/cacheService.js';
+import { LLM_PROVIDER_TYPES } from './src/utils/llmProviderUtils.js';
+import { FLOW_KEY_MAPPING } from './src/utils/flowRoutingUtils.js';
+import { getOrderTrackingProviderTypes, validateRequiredFieldsRule } from './src/utils/orderTrackingProviderUtils.js';
+
+// Leading characters of a stored secret shown by the GET routes
+const API_KEY_MASK_CHARS = 4;
+const AUTH_HEADER_MASK_CHARS = 10;
+const CUSTOM_HEADER_MASK_CHARS = 4;
+
+/**
+ * Shorten a stored secret for a GET response
+ */
+function maskSecret(value, visibleChars) {
+  return value ? `${String(value).substring(0, visibleChars)}...` : null;
+}
+
+/**
+ * Whether a submitted secret is the masked form of the stored one, i.e. a GET response sent back unchanged
+ */
+function isMaskedSecret(value, storedValue, visibleChars) {
+  return !!storedValue && value === maskSecret(storedValue, visibleChars);
+}
 
 /**
  * Registers V2 prompt template routes under /prompt-template
@@ -208,6 +230,61 @@ export function registerPromptTemplateV2Routes(app, pool, authenticateToken) {
     }
   });
 
+  /* =============================
+     HISTORY SETTINGS
+     Conversation history token budget per flow (flow_key * is the chatbot default)
+  ============================= */
+  router.get('/history-settings/:chatbot_id', async (req, res) => {
+    try {
+      const { rows } = await pool.query('SELECT * FROM flow_history_settings WHERE chatbot_id=$1 ORDER BY flow_key', [req.params.chatbot_id]);
+      res.json(rows);
+    } catch (err) {
+      console.error('GET history settings error', err);
+      res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  });
+
+  router.post('/history-settings', authenticateToken, async (req, res) => {
+    const { chatbot_id, flow_key, token_budget, recent_turns } = req.body;
+    if (!chatbot_id || !flow_key || token_budget === undefined) return res.status(400).json({ error: 'chatbot_id, flow_key, token_budget required' });
+    if (flow_key !== '*' && !Object.keys(FLOW_KEY_MAPPING).includes(flow_key)) {
+      return res.status(400).json({ error: `flow_key must be * or one of: ${Object.keys(FLOW_KEY_MAPPING).join(', ')}` });
+    }
+
+    const budgetValue = parseInt(token_budget);
+    if (isNaN(budgetValue) || budgetValue < 100) return res.status(400).json({ error: 'token_budget must be an integer of at least 100' });
+    let recentTurnsValue = null;
+    if (recent_turns !== undefined && recent_turns !== null && recent_turns !== '') {
+      recentTurnsValue = parseInt(recent_turns);
+      if (isNaN(recentTurnsValue) || recentTurnsValue < 1) return res.status(400).json({ error: 'recent_turns must be a positive integer' });
+    }
+
+    try {
+      await pool.query(
+        `INSERT INTO flow_history_settings (chatbot_id, flow_key, token_budget, recent_turns)
+         VALUES ($1,$2,$3,$4)
+         ON CONFLICT (chatbot_id, flow_key) DO UPDATE SET token_budget=$3, recent_turns=$4, updated_at=NOW()`,
+        [chatbot_id, flow_key, budgetValue, recentTurnsValue],
+      );
+      cacheService.delete(`config:${chatbot_id}`);
+      res.json({ message: 'history setting saved' });
+    } catch (err) {
+      console.error('POST history settings error', err);
+      res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  });
+
+  router.delete('/history-settings/:chatbot_id/:flow_key', authenticateToken, async (req, res) => {
+    try {
+      await pool.query('DELETE FROM flow_history_settings WHERE chatbot_id=$1 AND flow_key=$2', [req.params.chatbot_id, req.params.flow_key]);
+      cacheService.delete(`config:${req.params.chatbot_id}`);
+      res.json({ message: 'history setting deleted' });
+    } catch (err) {
+      console.error('DELETE history setting error', err);
+      res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  });
+
   /* =============================
      CHATBOT SETTINGS
   ============================= */
@@ -416,6 +493,222 @@ export function registerPromptTemplateV2Routes(app, pool, authenticateToken) {
     }
   });
 
+  /* =============================
+     FLOW ENDPOINTS
+  ============================= */
+  router.get('/flow-endpoints/:chatbot_id', authenticateToken, async (req, res) => {
+    try {
+      const { rows } = await pool.query(
+        'SELECT id, chatbot_id, flow_key, endpoint_url, auth_header, timeout_ms, streaming, created_at, updated_at FROM chatbot_flow_endpoints WHERE chatbot_id=$1 ORDER BY flow_key',
+        [req.params.chatbot_id],
+      );
+      // Never send stored auth headers back in full
+      res.json(rows.map(row => ({
+        ...row,
+        auth_header: maskSecret(row.auth_header, AUTH_HEADER_MASK_CHARS),
+      })));
+    } catch (err) {
+      console.error('GET flow endpoints error', err);
+      res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  });
+
+  router.post('/flow-endpoints', authenticateToken, async (req, res) => {
+    if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+    const { chatbot_id, flow_key, endpoint_url, auth_header, timeout_ms, streaming } = req.body;
+    if (!chatbot_id || !flow_key || !endpoint_url) return res.status(400).json({ error: 'chatbot_id, flow_key, endpoint_url required' });
+    if (!Object.keys(FLOW_KEY_MAPPING).includes(flow_key)) {
+      return res.status(400).json({ error: `flow_key must be one of: ${Object.keys(FLOW_KEY_MAPPING).join(', ')}` });
+    }
+    try {
+      const { protocol } = new URL(endpoint_url);
+      if (!['http:', 'https:'].includes(protocol)) throw new Error('unsupported protocol');
+    } catch (e) {
+      return res.status(400).json({ error: 'endpoint_url must be a valid http(s) URL' });
+    }
+    if (timeout_ms !== undefined && timeout_ms !== null && (!Number.isInteger(timeout_ms) || timeout_ms <= 0)) {
+      return res.status(400).json({ error: 'timeout_ms must be a positive integer' });
+    }
+
+    try {
+      // An omitted auth_header, or the masked one from GET sent back unchanged, keeps the stored header
+      const { rows: stored } = await pool.query(
+        'SELECT auth_header FROM chatbot_flow_endpoints WHERE chatbot_id=$1 AND flow_key=$2',
+        [chatbot_id, flow_key],
+      );
+      const newAuthHeader = isMaskedSecret(auth_header, stored[0]?.auth_header, AUTH_HEADER_MASK_CHARS) ? null : auth_header;
+      await pool.query(
+        `INSERT INTO chatbot_flow_endpoints (chatbot_id, flow_key, endpoint_url, auth_header, timeout_ms, streaming)
+         VALUES ($1,$2,$3,$4,$5,$6)
+         ON CONFLICT (chatbot_id, flow_key) DO UPDATE SET endpoint_url=$3,
+           auth_header=COALESCE($4, chatbot_flow_endpoints.auth_header), timeout_ms=$5, streaming=$6, updated_at=NOW()`,
+        [chatbot_id, flow_key, endpoint_url, newAuthHeader || null, timeout_ms || null, streaming !== false],
+      );
+      cacheService.delete(`flow-endpoints:${chatbot_id}`);
+      cacheService.delete(`config:${chatbot_id}`);
+      res.json({ message: 'flow endpoint saved' });
+    } catch (err) {
+      console.error('POST flow endpoint error', err);
+      res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  });
+
+  router.delete('/flow-endpoints/:chatbot_id/:flow_key', authenticateToken, async (req, res) => {
+    if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+    try {
+      await pool.query('DELETE FROM chatbot_flow_endpoints WHERE chatbot_id=$1 AND flow_key=$2', [req.params.chatbot_id, req.params.flow_key]);
+      cacheService.delete(`flow-endpoints:${req.params.chatbot_id}`);
+      cacheService.delete(`config:${req.params.chatbot_id}`);
+      res.json({ message: 'flow endpoint deleted' });
+    } catch (err) {
+      console.error('DELETE flow endpoint error', err);
+      res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  });
+
+  /* =============================
+     FLOW LLM PROVIDERS
+  ============================= */
+  router.get('/llm-providers/:chatbot_id', authenticateToken, async (req, res) => {
+    try {
+      const { rows } = await pool.query(
+        'SELECT id, chatbot_id, flow_key, provider_type, model, base_url, api_key, options, created_at, updated_at FROM chatbot_llm_providers WHERE chatbot_id=$1 ORDER BY flow_key',
+        [req.params.chatbot_id],
+      );
+      // Never send stored provider keys back in full
+      res.json(rows.map(row => ({
+        ...row,
+        api_key: maskSecret(row.api_key, API_KEY_MASK_CHARS),
+      })));
+    } catch (err) {
+      console.error('GET LLM providers error', err);
+      res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  });
+
+  router.post('/llm-providers', authenticateToken, async (req, res) => {
+    if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+    const { chatbot_id, flow_key = '*', provider_type, model, base_url, api_key, options } = req.body;
+    if (!chatbot_id || !provider_type) return res.status(400).json({ error: 'chatbot_id and provider_type required' });
+    if (!Object.values(LLM_PROVIDER_TYPES).includes(provider_type)) {
+      return res.status(400).json({ error: `provider_type must be one of: ${Object.values(LLM_PROVIDER_TYPES).join(', ')}` });
+    }
+
+    try {
+      // An omitted api_key, or the masked one from GET sent back unchanged, keeps the stored key
+      const { rows: stored } = await pool.query(
+        'SELECT api_key FROM chatbot_llm_providers WHERE chatbot_id=$1 AND flow_key=$2',
+        [chatbot_id, flow_key],
+      );
+      const newApiKey = isMaskedSecret(api_key, stored[0]?.api_key, API_KEY_MASK_CHARS) ? null : api_key;
+      await pool.query(
+        `INSERT INTO chatbot_llm_providers (chatbot_id, flow_key, provider_type, model, base_url, api_key, options)
+         VALUES ($1,$2,$3,$4,$5,$6,$7)
+         ON CONFLICT (chatbot_id, flow_key) DO UPDATE SET provider_type=$3, model=$4, base_url=$5,
+           api_key=COALESCE($6, chatbot_llm_providers.api_key), options=$7, updated_at=NOW()`,
+        [chatbot_id, flow_key, provider_type, model || null, base_url || null, newApiKey || null, options || {}],
+      );
+      cacheService.delete(`llm-providers:${chatbot_id}`);
+      res.json({ message: 'LLM provider saved' });
+    } catch (err) {
+      console.error('POST LLM provider error', err);
+      res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  });
+
+  router.delete('/llm-providers/:chatbot_id/:flow_key', authenticateToken, async (req, res) => {
+    if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+    try {
+      await pool.query('DELETE FROM chatbot_llm_providers WHERE chatbot_id=$1 AND flow_key=$2', [req.params.chatbot_id, req.params.flow_key]);
+      cacheService.delete(`llm-providers:${req.params.chatbot_id}`);
+      res.json({ message: 'LLM provider deleted' });
+    } catch (err) {
+      console.error('DELETE LLM provider error', err);
+      res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  });
+
+  /* =============================
+     ORDER TRACKING PROVIDERS
+     Order backend per chatbot (chatbots without a row use the Shopify / Magento / order tracking flags)
+  ============================= */
+  router.get('/order-providers/:chatbot_id', authenticateToken, async (req, res) => {
+    try {
+      const { rows } = await pool.query(
+        'SELECT id, chatbot_id, provider_type, required_fields, options, enabled, created_at, updated_at FROM chatbot_order_providers WHERE chatbot_id=$1',
+        [req.params.chatbot_id],
+      );
+      if (rows.length === 0) return res.status(404).json({ error: 'No order tracking provider for this chatbot' });
+      // Never send stored request headers back in full
+      const row = rows[0];
+      const customHeaders = row.options?.custom_headers;
+      res.json({
+        ...row,
+        options: customHeaders
+          ? { ...row.options, custom_headers: Object.fromEntries(Object.entries(customHeaders).map(([name, value]) => [name, maskSecret(value, CUSTOM_HEADER_MASK_CHARS)])) }
+          : row.options,
+      });
+    } catch (err) {
+      console.error('GET order provider error', err);
+      res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  });
+
+  router.post('/order-providers', authenticateToken, async (req, res) => {
+    if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+    const { chatbot_id, provider_type, required_fields, options, enabled } = req.body;
+    if (!chatbot_id || !provider_type) return res.status(400).json({ error: 'chatbot_id and provider_type required' });
+    if (!getOrderTrackingProviderTypes().includes(provider_type)) {
+      return res.status(400).json({ error: `provider_type must be one of: ${getOrderTrackingProviderTypes().join(', ')}` });
+    }
+    const ruleErrors = validateRequiredFieldsRule(required_fields);
+    if (ruleErrors.length > 0) return res.status(400).json({ error: ruleErrors.join('; ') });
+    if (options !== undefined && options !== null && (typeof options !== 'object' || Array.isArray(options))) {
+      return res.status(400).json({ error: 'options must be an object' });
+    }
+
+    try {
+      // Omitted options.custom_headers keep the stored ones; a header sent back with its masked value from GET keeps its stored value
+      const { rows: stored } = await pool.query('SELECT options FROM chatbot_order_providers WHERE chatbot_id=$1', [chatbot_id]);
+      const storedHeaders = stored[0]?.options?.custom_headers;
+      let newOptions = options || {};
+      if (storedHeaders && !('custom_headers' in newOptions)) {
+        newOptions = { ...newOptions, custom_headers: storedHeaders };
+      } else if (storedHeaders && newOptions.custom_headers && typeof newOptions.custom_headers === 'object') {
+        newOptions = {
+          ...newOptions,
+          custom_headers: Object.fromEntries(Object.entries(newOptions.custom_headers).map(([name, value]) => [
+            name,
+            isMaskedSecret(value, storedHeaders[name], CUSTOM_HEADER_MASK_CHARS) ? storedHeaders[name] : value,
+          ])),
+        };
+      }
+      await pool.query(
+        `INSERT INTO chatbot_order_providers (chatbot_id, provider_type, required_fields, options, enabled)
+         VALUES ($1,$2,$3,$4,$5)
+         ON CONFLICT (chatbot_id) DO UPDATE SET provider_type=$2, required_fields=$3, options=$4, enabled=$5, updated_at=NOW()`,
+        [chatbot_id, provider_type, required_fields || null, newOptions, enabled !== false],
+      );
+      cacheService.delete(`order-provider:${chatbot_id}`);
+      res.json({ message: 'order tracking provider saved' });
+    } catch (err) {
+      console.error('POST order provider error', err);
+      res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  });
+
+  router.delete('/order-providers/:chatbot_id', authenticateToken, async (req, res) => {
+    if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+    try {
+      await pool.query('DELETE FROM chatbot_order_providers WHERE chatbot_id=$1', [req.params.chatbot_id]);
+      cacheService.delete(`order-provider:${req.params.chatbot_id}`);
+      res.json({ message: 'order tracking provider deleted' });
+    } catch (err) {
+      console.error('DELETE order provider error', err);
+      res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  });
+
 
 
   /* =============================
@@ -890,7 +1183,7 @@ export function registerPromptTemplateV2Routes(app, pool, authenticateToken) {
 }
 
 /* Helper to build final prompt */
-export async function buildRephrasePrompt(pool, chatbot_id, flow_key) {
+export async function buildRephrasePrompt(pool, chatbot_id, flow_key, candidates = null) {
   // Skip flows that don't use rephrase prompts
   if (flow_key === 'metadata' || flow_key === 'metadata2' || flow_key === 'statistics' || flow_key === 'image' || flow_key === 'fordelingsflow') {
     console.log(`${flow_key} rephrase prompt skipped - flow doesn't use rephrase`);
@@ -898,7 +1191,7 @@ export async function buildRephrasePrompt(pool, chatbot_id, flow_key) {
   }
 
   try {
-    const prompt = await buildPrompt(pool, chatbot_id, `${flow_key}_rephrase`);
+    const prompt = await buildPrompt(pool, chatbot_id, `${flow_key}_rephrase`, candidates?.[`${flow_key}_rephrase`]);
     return prompt;
   } catch (error) {
     console.log(`No rephrase prompt found for ${flow_key}: ${error.message}`);
@@ -906,10 +1199,15 @@ export async function buildRephrasePrompt(pool, chatbot_id, flow_key) {
   }
 }
 
-export async function buildPrompt(pool, chatbot_id, flow_key) {
+/**
+ * Build the final prompt for a chatbot flow from its template and overrides
+ * candidate ({ prompt } | { template_id, overrides }) replaces the stored template and/or overrides
+ * without touching the database or the prompt cache; used by the conversation replay harness
+ */
+export async function buildPrompt(pool, chatbot_id, flow_key, candidate = null) {
   // Check cache first
   const cacheKey = `prompt:${chatbot_id}:${flow_key}`;
-  const cached = cacheService.get(cacheKey);
+  const cached = candidate ? null : cacheService.get(cacheKey);
   if (cached) {
     console.log(`💾 Using cached prompt for ${chatbot_id}:${flow_key}`);
     return cached;
@@ -917,7 +1215,12 @@ export async function buildPrompt(pool, chatbot_id, flow_key) {
 
   let templateSections = [];
   
-  if (flow_key === 'statistics') {
+  if (candidate?.prompt) {
+    templateSections = [{ key: 1, content: candidate.prompt }];
+  } else if (candidate?.template_id) {
+    const tmpl = await pool.query('SELECT sections FROM prompt_templates WHERE id=$1', [candidate.template_id]);
+    templateSections = tmpl.rows[0]?.sections || [];
+  } else if (flow_key === 'statistics') {
     const stats = await pool.query('SELECT sections FROM prompt_templates WHERE is_system_template=TRUE LIMIT 1');
     templateSections = stats.rows[0]?.sections || [];
   } else if (flow_key === 'image') {
@@ -963,10 +1266,16 @@ export async function buildPrompt(pool, chatbot_id, flow_key) {
   
   const map = new Map(templateSections.map(s => [Number(s.key), s.content]));
   
-  // Apply overrides
-  const ovRows = await pool.query('SELECT section_key, action, content FROM prompt_overrides WHERE chatbot_id=$1 AND flow_key=$2', [chatbot_id, flow_key]);
+  // Apply overrides (a full candidate prompt already contains them)
+  let overrides = [];
+  if (Array.isArray(candidate?.overrides)) {
+    overrides = candidate.overrides;
+  } else if (!candidate?.prompt) {
+    const ovRows = await pool.query('SELECT section_key, action, content FROM prompt_overrides WHERE chatbot_id=$1 AND flow_key=$2', [chatbot_id, flow_key]);
+    overrides = ovRows.rows;
+  }
   
-  for (const ov of ovRows.rows) {
+  for (const ov of overrides) {
     const key = Number(ov.section_key);
     
     let contentToUse = ov.content;
@@ -1035,8 +1344,10 @@ export async function buildPrompt(pool, chatbot_id, flow_key) {
   }
   
   // Cache the built prompt (10 minute TTL)
-  cacheService.set(cacheKey, finalPrompt, 600);
-  console.log(`💾 Cached prompt for ${chatbot_id}:${flow_key} (length: ${finalPrompt.length})`);
+  if (!candidate) {
+    cacheService.set(cacheKey, finalPrompt, 600);
+    console.log(`💾 Cached prompt for ${chatbot_id}:${flow_key} (length: ${finalPrompt.length})`);
+  }
   
   return finalPrompt;
 }
@@ -0,0 +1,124 @@
+import http from 'http';
+
+/**
+ * Mock shop website for testing the knowledge crawler locally
+ *
+ * Serves a sitemap index (/sitemap.xml) with two sitemaps and a few HTML pages. The site has two versions:
+ * version 2 changes the returns page, removes the contact page and adds a FAQ page, so a second crawl shows an
+ * update, a delete and a create. Switch with GET /__version?set=2 (or start with MOCK_SITE_VERSION=2).
+ *
+ * Usage:
+ *   node scripts/mock-knowledge-site.js
+ *   start the backend with KNOWLEDGE_CRAWLER_ALLOW_PRIVATE=true (the crawler refuses localhost otherwise)
+ *   POST /api/knowledge-crawl-sources with
+ *     { "chatbot_id": "test", "index_name": "my-index", "namespace": "test", "enabled": false,
+ *       "sitemap_url": "http://localhost:8090/sitemap.xml" }
+ *   POST /api/knowledge-crawl-sources/:id/crawl with { "dry_run": true }
+ *   curl "http://localhost:8090/__version?set=2" and crawl again
+ */
+
+const PORT = parseInt(process.env.MOCK_SITE_PORT, 10) || 8090;
+const BASE_URL = `http://localhost:${PORT}`;
+let version = parseInt(process.env.MOCK_SITE_VERSION, 10) || 1;
+
+const layout = (title, main) => `<!DOCTYPE html>
+<html lang="da">
+<head>
+  <meta charset="utf-8">
+  <title>${title} | Uldbutikken</title>
+  <style>body { font-family: sans-serif; }</style>
+  <script>window.dataLayer = [];</script>
+</head>
+<body>
+  <header><nav><a href="/">Forside</a> <a href="/fragt">Fragt</a> <a href="/returnering">Returnering</a></nav></header>
+  <main>
+${main}
+  </main>
+  <footer>Uldbutikken ApS &middot; CVR 12345678</footer>
+</body>
+</html>`;
+
+const PAGES = {
+  '/': () => layout('Forside', `
+    <h1>Velkommen til Uldbutikken</h1>
+    <p>Vi s&aelig;lger sokker, huer og tr&oslash;jer i 100% merinould, strikket i Danmark.</p>`),
+  '/fragt': () => layout('Fragt og levering', `
+    <h1>Fragt og levering</h1>
+    <p>Vi sender med PostNord og GLS. Levering tager 1-3 hverdage.</p>
+    <h2>Priser</h2>
+    <ul>
+      <li>Pakkeshop: 39 kr.</li>
+      <li>Levering til d&oslash;ren: 59 kr.</li>
+      <li>Gratis fragt ved k&oslash;b over 499 kr.</li>
+    </ul>`),
+  '/returnering': () => layout('Returnering', version === 1 ? `
+    <h1>Returnering</h1>
+    <p>Du har 30 dages returret fra du har modtaget varen.</p>
+    <h2>S&aring;dan returnerer du</h2>
+    <p>Udfyld returformularen og send pakken til Uldbutikken, Testvej 1, 2100 K&oslash;benhavn.</p>
+    <p>Returfragten betaler du selv.</p>` : `
+    <h1>Returnering</h1>
+    <p>Du har 60 dages returret fra du har modtaget varen.</p>
+    <h2>S&aring;dan returnerer du</h2>
+    <p>Udfyld returformularen og send pakken til Uldbutikken, Testvej 1, 2100 K&oslash;benhavn.</p>
+    <p>Returfragt er gratis med vores returlabel.</p>`),
+  '/kontakt': () => (version === 1 ? layout('Kontakt', `
+    <h1>Kontakt</h1>
+    <p>Skriv til kundeservice@uldbutikken.dk eller ring p&aring; 12 34 56 78 hverdage kl. 9-16.</p>`) : null),
+  '/faq': () => (version === 2 ? layout('Ofte stillede sp&oslash;rgsm&aring;l', `
+    <h1>Ofte stillede sp&oslash;rgsm&aring;l</h1>
+    <h2>Kan sokkerne vaskes i maskine?</h2>
+    <p>Ja, p&aring; uldprogram ved 30 grader.</p>
+    <h2>Kan jeg bytte en st&oslash;rrelse?</h2>
+    <p>Ja, bytte er gratis inden for returretten.</p>`) : null),
+  '/produkter/uldsokker': () => layout('Uldsokker', `
+    <article>
+      <h1>Uldsokker</h1>
+      <p>Varme sokker i merinould. Pris: 149,50 kr.</p>
+      <table><tr><th>St&oslash;rrelse</th><th>P&aring; lager</th></tr><tr><td>36-40</td><td>Ja</td></tr><tr><td>41-45</td><td>Nej</td></tr></table>
+    </article>`)
+};
+
+const sitemap = (paths) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${paths.map(path => `  <url><loc>${BASE_URL}${path}</loc></url>`).join('\n')}
+</urlset>`;
+
+const SITEMAPS = {
+  '/sitemap.xml': () => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>${BASE_URL}/sitemap-pages.xml</loc></sitemap>
+  <sitemap><loc>${BASE_URL}/sitemap-products.xml</loc></sitemap>
+</sitemapindex>`,
+  '/sitemap-pages.xml': () => sitemap(Object.keys(PAGES).filter(path => !path.startsWith('/produkter/') && PAGES[path]())),
+  '/sitemap-products.xml': () => sitemap(Object.keys(PAGES).filter(path => path.startsWith('/produkter/')))
+};
+
+function send(res, status, contentType, body) {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(body);
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, BASE_URL);
+  console.log(`${req.method} ${url.pathname}${url.search}`);
+
+  if (url.pathname === '/__version') {
+    const requested = parseInt(url.searchParams.get('set'), 10);
+    if (requested === 1 || requested === 2) version = requested;
+    return send(res, 200, 'application/json', JSON.stringify({ version }));
+  }
+
+  if (SITEMAPS[url.pathname]) {
+    return send(res, 200, 'application/xml; charset=utf-8', SITEMAPS[url.pathname]());
+  }
+
+  const html = PAGES[url.pathname]?.();
+  if (html) return send(res, 200, 'text/html; charset=utf-8', html);
+
+  send(res, 404, 'text/html; charset=utf-8', layout('Siden findes ikke', '<h1>Siden findes ikke</h1>'));
+});
+
+server.listen(PORT, () => {
+  console.log(`🕸️ Mock knowledge site on ${BASE_URL} (version ${version}, sitemap ${BASE_URL}/sitemap.xml)`);
+});
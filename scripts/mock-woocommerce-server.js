@@ -0,0 +1,145 @@
+import http from 'http';
+
+/**
+ * Mock WooCommerce store for testing order tracking locally
+ *
+ * Serves GET /wp-json/wc/v3/orders?search= and GET /wp-json/wc/v3/orders/:id with a few sample orders,
+ * authenticated with Basic auth or consumer_key/consumer_secret query parameters.
+ *
+ * Usage:
+ *   node scripts/mock-woocommerce-server.js
+ *   start the backend with WOOCOMMERCE_ALLOW_PRIVATE_STORE=true (localhost is refused otherwise)
+ *   POST /api/woocommerce-credentials (as an admin) with
+ *     { "chatbot_id": "test", "woocommerce_store_url": "http://localhost:8089",
+ *       "woocommerce_consumer_key": "ck_test", "woocommerce_consumer_secret": "cs_test" }
+ *   POST /api/woocommerce/orders with { "chatbot_id": "test", "order_number": "1001", "email": "anna@example.com" }
+ */
+
+const PORT = parseInt(process.env.MOCK_WOOCOMMERCE_PORT, 10) || 8089;
+const CONSUMER_KEY = process.env.MOCK_WOOCOMMERCE_KEY || 'ck_test';
+const CONSUMER_SECRET = process.env.MOCK_WOOCOMMERCE_SECRET || 'cs_test';
+
+const address = (firstName, lastName, email, phone) => ({
+  first_name: firstName,
+  last_name: lastName,
+  company: '',
+  address_1: 'Testvej 1',
+  address_2: '',
+  city: 'København',
+  state: '',
+  postcode: '2100',
+  country: 'DK',
+  email,
+  phone
+});
+
+const ORDERS = [
+  {
+    id: 1001,
+    number: '1001',
+    status: 'completed',
+    currency: 'DKK',
+    total: '499.00',
+    date_created: '2025-01-10T09:15:00',
+    date_created_gmt: '2025-01-10T08:15:00',
+    date_modified: '2025-01-12T14:00:00',
+    date_modified_gmt: '2025-01-12T13:00:00',
+    date_paid: '2025-01-10T09:16:00',
+    payment_method_title: 'MobilePay',
+    customer_note: '',
+    billing: address('Anna', 'Jensen', 'anna@example.com', '+45 12 34 56 78'),
+    shipping: address('Anna', 'Jensen', undefined, ''),
+    line_items: [
+      { id: 1, name: 'Uldsokker', quantity: 2, price: 149.5, total: '299.00', sku: 'SOCK-1', product_id: 11, variation_id: 0 },
+      { id: 2, name: 'Hue', quantity: 1, price: 200, total: '200.00', sku: 'HAT-1', product_id: 12, variation_id: 121 }
+    ],
+    shipping_lines: [{ method_title: 'PostNord', method_id: 'flat_rate', total: '0.00' }],
+    meta_data: [{
+      id: 1,
+      key: '_wc_shipment_tracking_items',
+      value: [{
+        tracking_provider: 'PostNord',
+        tracking_number: '00370712345678901234',
+        custom_tracking_link: 'https://tracking.postnord.com/dk/?id=00370712345678901234',
+        date_shipped: '1736596800'
+      }]
+    }]
+  },
+  {
+    id: 1002,
+    number: 'WC-1002',
+    status: 'processing',
+    currency: 'DKK',
+    total: '899.00',
+    date_created: '2025-02-01T11:00:00',
+    date_created_gmt: '2025-02-01T10:00:00',
+    date_modified: '2025-02-01T11:00:00',
+    date_modified_gmt: '2025-02-01T10:00:00',
+    date_paid: '2025-02-01T11:01:00',
+    payment_method_title: 'Kort',
+    customer_note: 'Stil pakken ved døren',
+    billing: address('Peter', 'Hansen', 'peter@example.com', '87654321'),
+    shipping: address('Peter', 'Hansen', undefined, '87654321'),
+    line_items: [
+      { id: 3, name: 'Jakke', quantity: 1, price: 899, total: '899.00', sku: 'JACKET-1', product_id: 13, variation_id: 0 }
+    ],
+    shipping_lines: [{ method_title: 'GLS Pakkeshop', method_id: 'flat_rate', total: '0.00' }],
+    meta_data: []
+  }
+];
+
+function isAuthorized(req, url) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Basic ')) {
+    const [key, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':');
+    return key === CONSUMER_KEY && secret === CONSUMER_SECRET;
+  }
+  return url.searchParams.get('consumer_key') === CONSUMER_KEY &&
+    url.searchParams.get('consumer_secret') === CONSUMER_SECRET;
+}
+
+// Same fields WooCommerce searches (order id, number, billing/shipping details)
+function matchesSearch(order, term) {
+  const needle = term.toLowerCase();
+  return [
+    String(order.id),
+    order.number,
+    ...Object.values(order.billing),
+    ...Object.values(order.shipping)
+  ].some(value => value && String(value).toLowerCase().includes(needle));
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  console.log(`${req.method} ${url.pathname}${url.search.replace(/consumer_secret=[^&]+/, 'consumer_secret=[HIDDEN]')}`);
+
+  if (!isAuthorized(req, url)) {
+    return sendJson(res, 401, { code: 'woocommerce_rest_cannot_view', message: 'Sorry, you cannot list resources.', data: { status: 401 } });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/wp-json/wc/v3/orders') {
+    const search = url.searchParams.get('search');
+    const perPage = parseInt(url.searchParams.get('per_page'), 10) || 10;
+    const orders = search ? ORDERS.filter(order => matchesSearch(order, search)) : ORDERS;
+    return sendJson(res, 200, orders.slice(0, perPage));
+  }
+
+  const orderMatch = url.pathname.match(/^\/wp-json\/wc\/v3\/orders\/(\d+)$/);
+  if (req.method === 'GET' && orderMatch) {
+    const order = ORDERS.find(o => String(o.id) === orderMatch[1]);
+    return order
+      ? sendJson(res, 200, order)
+      : sendJson(res, 404, { code: 'woocommerce_rest_shop_order_invalid_id', message: 'Invalid ID.', data: { status: 404 } });
+  }
+
+  sendJson(res, 404, { code: 'rest_no_route', message: 'No route was found matching the URL and request method.', data: { status: 404 } });
+});
+
+server.listen(PORT, () => {
+  console.log(`🛒 Mock WooCommerce store on http://localhost:${PORT} (key ${CONSUMER_KEY}, secret ${CONSUMER_SECRET})`);
+});
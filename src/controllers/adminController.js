@@ -28,11 +28,11 @@ import {
   hasFullAdminAccess
 } from '../utils/adminUtils.js';
 
-export async function deleteUserController(req, res, pool, getPineconeApiKeyForIndex) {
+export async function deleteUserController(req, res, pool) {
   const userId = req.params.id;
   if (!hasAdminAccess(req.user)) return res.status(403).json({ error: 'Forbidden: Admins only' });
   try {
-    const deletedUser = await deleteUserService(userId, pool, getPineconeApiKeyForIndex);
+    const deletedUser = await deleteUserService(userId, pool);
     res.status(200).json({ message: 'User deleted successfully', username: deletedUser.username });
   } catch (err) {
     if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
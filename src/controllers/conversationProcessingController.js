@@ -1,6 +1,20 @@
 import { createConversationProcessingService } from '../services/conversationProcessingService.js';
 import { createAiStreamingService } from '../services/aiStreamingService.js';
 import { createConfigurationService } from '../services/configurationService.js';
+import { getStreamEventBus } from '../utils/streamEventBus.js';
+import { formatSSEMessage, TERMINAL_SSE_EVENTS } from '../utils/streamingUtils.js';
+import { resolveStreamProtocol } from '../utils/streamEventProtocol.js';
+import {
+  createMessageIdempotencyService,
+  getIdempotencyKey,
+  hashMessageRequest,
+  MAX_IDEMPOTENCY_KEY_LENGTH
+} from '../services/messageIdempotencyService.js';
+
+const SSE_HEARTBEAT_INTERVAL_MS = 15000;
+const SSE_CATCH_UP_INTERVAL_MS = 5000;
+// How long a retry waits for the first request with the same idempotency key before answering 409
+const IDEMPOTENT_REPLAY_WAIT_MS = 10000;
 
 /**
  * Controller for conversation processing endpoints
@@ -10,8 +24,13 @@ import { createConfigurationService } from '../services/configurationService.js'
 /**
  * Main endpoint for processing user messages
  * POST /api/process-message
+ * An Idempotency-Key header (or idempotency_key body field) makes retries return the original response
  */
 export async function processMessageController(req, res, pool) {
+  // Set once this request has claimed its idempotency key and is the one processing the message
+  let claimedKey = null;
+  let idempotency = null;
+
   try {
     const {
       user_id,
@@ -21,7 +40,9 @@ export async function processMessageController(req, res, pool) {
       conversation_history = [],
       session_id,
       configuration = {},
-      split_test_id
+      split_test_id,
+      stream_protocol,
+      widget_version
     } = req.body;
 
     // Validate required fields (allow empty message_text if image_data is provided)
@@ -32,6 +53,54 @@ export async function processMessageController(req, res, pool) {
       });
     }
 
+    const idempotencyKey = getIdempotencyKey(req);
+    if (idempotencyKey !== null && (idempotencyKey === '' || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+      return res.status(400).json({
+        error: 'Invalid idempotency key',
+        details: `Idempotency key must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters`
+      });
+    }
+
+    if (idempotencyKey) {
+      idempotency = createMessageIdempotencyService(pool);
+      let claim;
+      try {
+        claim = await idempotency.claim(idempotencyKey, user_id, chatbot_id, hashMessageRequest({ message_text, image_data }));
+      } catch (error) {
+        // Without the key table a message is still processed, just not deduplicated
+        console.error('🚨 Backend: Idempotency check failed, processing without key:', error.message);
+      }
+
+      if (claim?.state === 'mismatch') {
+        return res.status(422).json({
+          error: 'Idempotency key reused',
+          details: 'This idempotency key was already used for a different message'
+        });
+      }
+
+      if (claim?.state === 'processing') {
+        const response = await idempotency.waitForCompletion(idempotencyKey, user_id, chatbot_id, IDEMPOTENT_REPLAY_WAIT_MS);
+        if (!response) {
+          res.set('Retry-After', '1');
+          return res.status(409).json({
+            error: 'Message is still being processed',
+            details: 'A request with this idempotency key is in progress, retry shortly'
+          });
+        }
+        claim = { state: 'completed', response };
+      }
+
+      if (claim?.state === 'completed') {
+        console.log(`🔁 Backend: Idempotent replay for ${user_id}, streaming session ${claim.response.streaming_session_id}`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(200).json({ ...claim.response, idempotent_replay: true });
+      }
+
+      if (claim?.state === 'claimed') {
+        claimedKey = idempotencyKey;
+      }
+    }
+
     console.log('📨 Backend: Processing message request:', {
       user_id,
       chatbot_id,
@@ -46,7 +115,16 @@ export async function processMessageController(req, res, pool) {
 
     // Get full configuration for the chatbot
     const fullConfiguration = await processingService.getConversationConfiguration(chatbot_id);
-    const mergedConfiguration = { ...fullConfiguration, ...configuration, chatbot_id };
+    // Stream event protocol negotiated from the widget's request (legacy marker tokens unless it opts in)
+    const streamProtocol = resolveStreamProtocol({ stream_protocol, widget_version });
+    // The visitor is set last so the widget cannot supply it (order lookups are throttled per visitor)
+    const mergedConfiguration = {
+      ...fullConfiguration,
+      ...configuration,
+      chatbot_id,
+      streamProtocol,
+      visitor: { ip: req.ip || null, userId: user_id }
+    };
 
     // Process the message
     const result = await processingService.processMessage({
@@ -61,18 +139,37 @@ export async function processMessageController(req, res, pool) {
     });
 
     // Return success response with streaming session info
-    res.status(200).json({
+    const responseBody = {
       success: true,
       message: 'Message processing started',
       session_id: result.session_id,
       streaming_session_id: result.streaming_session_id,
       flow_type: result.flow_type,
       order_details: result.order_details,
+      order_system_unavailable: result.order_system_unavailable,
+      return_offer: result.return_offer,
+      stream_protocol: streamProtocol,
       streaming_url: `/api/stream-events/${result.streaming_session_id}`
-    });
+    };
+
+    if (claimedKey) {
+      try {
+        await idempotency.complete(claimedKey, user_id, chatbot_id, responseBody);
+      } catch (error) {
+        console.error('🚨 Backend: Error storing idempotent response:', error.message);
+      }
+    }
+
+    res.status(200).json(responseBody);
 
   } catch (error) {
     console.error('🚨 Backend: Error in processMessageController:', error);
+
+    // Let a retry with the same key process the message again
+    if (claimedKey) {
+      await idempotency.release(claimedKey, req.body.user_id, req.body.chatbot_id)
+        .catch(err => console.error('🚨 Backend: Error releasing idempotency key:', err.message));
+    }
     
     // Handle configuration errors differently (user-facing errors)
     if (error.message.includes('Configuration error:') || error.message.includes('No template content available')) {
@@ -136,6 +233,155 @@ export async function getStreamingEventsController(req, res, pool) {
   }
 }
 
+/**
+ * Cancel an in-flight AI answer
+ * POST /api/stream-cancel/:streamingSessionId
+ */
+export async function cancelStreamController(req, res, pool) {
+  try {
+    const { streamingSessionId } = req.params;
+
+    const streamingService = createAiStreamingService(pool);
+    const result = await streamingService.cancelStreaming(streamingSessionId, 'user');
+
+    if (!result.cancelled && result.status === 'not_found') {
+      return res.status(404).json({ error: 'Streaming session not found' });
+    }
+    if (!result.cancelled) {
+      return res.status(409).json({
+        error: 'Streaming session is not active',
+        session_status: result.status
+      });
+    }
+
+    res.json({
+      success: true,
+      streaming_session_id: streamingSessionId,
+      session_status: result.status
+    });
+
+  } catch (error) {
+    console.error('🚨 Backend: Error in cancelStreamController:', error);
+
+    res.status(500).json({
+      error: 'Failed to cancel stream',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Push streaming events as server-sent events
+ * GET /api/stream-events/:streamingSessionId with Accept: text/event-stream
+ * Resumes after the Last-Event-ID header (or lastEventId query) when a client reconnects
+ */
+export async function streamEventsController(req, res, pool) {
+  const { streamingSessionId } = req.params;
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId || 0) || 0;
+
+  const streamingService = createAiStreamingService(pool);
+
+  let sessionStatus;
+  try {
+    sessionStatus = await streamingService.getStreamingSessionStatus(streamingSessionId);
+  } catch (error) {
+    console.error('🚨 Backend: Error in streamEventsController:', error);
+    return res.status(500).json({ error: 'Failed to open event stream', details: error.message });
+  }
+
+  if (sessionStatus.status === 'not_found') {
+    return res.status(404).json({ error: 'Streaming session not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop reverse proxies from buffering the stream
+  });
+  res.write('retry: 2000\n\n');
+
+  let lastSentId = lastEventId;
+  let closed = false;
+  let replaying = true;
+  let sawTerminalStatus = sessionStatus.status !== 'active';
+  const pendingLiveEvents = [];
+  let heartbeatTimer = null;
+  let catchUpTimer = null;
+  let unsubscribe = () => {};
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeatTimer);
+    clearInterval(catchUpTimer);
+    unsubscribe();
+    res.end();
+  };
+
+  const send = (event) => {
+    if (closed || event.id <= lastSentId) return;
+    lastSentId = event.id;
+    res.write(formatSSEMessage(event));
+    if (TERMINAL_SSE_EVENTS.includes(event.event)) {
+      close();
+    }
+  };
+
+  // Catch up from the table - used for the initial replay and to cover missed notifications
+  const catchUp = async () => {
+    const events = await streamingService.getStreamingEvents(streamingSessionId, lastSentId);
+    events.forEach(send);
+  };
+
+  req.on('close', close);
+
+  try {
+    // Subscribe before replaying so nothing emitted in between is lost
+    unsubscribe = await getStreamEventBus(pool).subscribe(streamingSessionId, (event) => {
+      if (replaying) {
+        pendingLiveEvents.push(event);
+      } else {
+        send(event);
+      }
+    });
+
+    await catchUp();
+    replaying = false;
+    pendingLiveEvents.sort((a, b) => a.id - b.id).forEach(send);
+  } catch (error) {
+    console.error('🚨 Backend: Error replaying streaming events:', error);
+    res.write(formatSSEMessage({ event: 'error', data: { error: 'Failed to load streaming events' } }));
+    return close();
+  }
+
+  if (closed) return;
+
+  heartbeatTimer = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n');
+  }, SSE_HEARTBEAT_INTERVAL_MS);
+
+  catchUpTimer = setInterval(async () => {
+    if (closed) return;
+    try {
+      await catchUp();
+      if (closed) return;
+
+      const { status, error_message } = await streamingService.getStreamingSessionStatus(streamingSessionId);
+      if (status === 'active') return;
+
+      // Give a final event written right after the status change one more round to arrive
+      if (sawTerminalStatus) {
+        res.write(formatSSEMessage({ event: 'session_status', data: { status, error_message: error_message || null } }));
+        close();
+      }
+      sawTerminalStatus = true;
+    } catch (error) {
+      console.error('🚨 Backend: Error during SSE catch-up:', error);
+    }
+  }, SSE_CATCH_UP_INTERVAL_MS);
+}
+
 /**
  * 🔒 REMOVED: getConversationConfigController
  * This was exposing ALL credentials including API keys via unauthenticated endpoint!
@@ -0,0 +1,50 @@
+import {
+  startConversationReplayJobService,
+  getConversationReplayJobService,
+  getConversationReplayResultsService
+} from '../services/conversationReplayService.js';
+
+/**
+ * Start a conversation replay job
+ */
+export async function startConversationReplayJobController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const result = await startConversationReplayJobService(req.body, req.user, pool);
+    res.status(202).json(result);
+  } catch (error) {
+    const code = error.status || 500;
+    console.error('Error starting conversation replay job:', error);
+    res.status(code).json({ error: code === 500 ? 'Internal server error' : error.message, details: error.message });
+  }
+}
+
+/**
+ * Get conversation replay job status
+ */
+export async function getConversationReplayJobController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const job = await getConversationReplayJobService(req.params.jobId, pool);
+    res.json(job);
+  } catch (error) {
+    const code = error.status || 500;
+    console.error('Error fetching conversation replay job:', error);
+    res.status(code).json({ error: code === 404 ? error.message : 'Database error', details: error.message });
+  }
+}
+
+/**
+ * Get side-by-side results of a conversation replay job
+ */
+export async function getConversationReplayResultsController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const results = await getConversationReplayResultsService(req.params.jobId, req.query, pool);
+    res.json(results);
+  } catch (error) {
+    const code = error.status || 500;
+    console.error('Error fetching conversation replay results:', error);
+    res.status(code).json({ error: code === 404 ? error.message : 'Database error', details: error.message });
+  }
+}
@@ -0,0 +1,118 @@
+import {
+  listKnowledgeCrawlSourcesService,
+  createKnowledgeCrawlSourceService,
+  updateKnowledgeCrawlSourceService,
+  deleteKnowledgeCrawlSourceService,
+  startKnowledgeCrawlService,
+  listKnowledgeCrawlRunsService,
+  getKnowledgeCrawlRunService,
+  listKnowledgeCrawlPagesService
+} from '../services/knowledgeCrawlerService.js';
+
+function errorLabel(code) {
+  if (code === 400) return 'Bad request';
+  if (code === 404) return 'Not found';
+  if (code === 409) return 'Conflict';
+  return 'Server error';
+}
+
+export async function listKnowledgeCrawlSourcesController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const rows = await listKnowledgeCrawlSourcesService(req.params.chatbot_id, pool);
+    res.json(rows);
+  } catch (err) {
+    console.error('Knowledge crawler: list sources error:', err);
+    res.status(500).json({ error: 'Database error', details: err.message });
+  }
+}
+
+export async function createKnowledgeCrawlSourceController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const row = await createKnowledgeCrawlSourceService(req.body, req.user, pool);
+    res.status(201).json(row);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Knowledge crawler: create source error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function updateKnowledgeCrawlSourceController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const row = await updateKnowledgeCrawlSourceService(req.params.id, req.body, pool);
+    res.json(row);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Knowledge crawler: update source error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function deleteKnowledgeCrawlSourceController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const result = await deleteKnowledgeCrawlSourceService(req.params.id, req.query, pool);
+    res.json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Knowledge crawler: delete source error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+/**
+ * Start a crawl (or dry run) of a source
+ */
+export async function startKnowledgeCrawlController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const result = await startKnowledgeCrawlService(req.params.id, req.body, pool);
+    res.status(202).json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Knowledge crawler: start crawl error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function listKnowledgeCrawlRunsController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const rows = await listKnowledgeCrawlRunsService(req.params.id, req.query, pool);
+    res.json(rows);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Knowledge crawler: list runs error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+/**
+ * Get a crawl run with its change log and diffs
+ */
+export async function getKnowledgeCrawlRunController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const run = await getKnowledgeCrawlRunService(req.params.run_id, req.query, pool);
+    res.json(run);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Knowledge crawler: get run error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function listKnowledgeCrawlPagesController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const rows = await listKnowledgeCrawlPagesService(req.params.id, pool);
+    res.json(rows);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Knowledge crawler: list pages error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
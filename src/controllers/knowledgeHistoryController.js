@@ -0,0 +1,70 @@
+import {
+  listKnowledgeHistoryService,
+  diffKnowledgeHistoryService,
+  restoreKnowledgeVersionService,
+  listDeletedKnowledgeService
+} from '../services/knowledgeHistoryService.js';
+
+function errorLabel(code) {
+  if (code === 400) return 'Bad request';
+  if (code === 404) return 'Not found';
+  if (code === 409) return 'Conflict';
+  return 'Server error';
+}
+
+/**
+ * List the versions of a knowledge entry
+ */
+export async function listKnowledgeHistoryController(req, res, pool) {
+  try {
+    const result = await listKnowledgeHistoryService(req.params.id, req.user, pool);
+    res.json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Knowledge history: list error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+/**
+ * Diff two versions of a knowledge entry
+ */
+export async function diffKnowledgeHistoryController(req, res, pool) {
+  try {
+    const result = await diffKnowledgeHistoryService(req.params.id, req.query, req.user, pool);
+    res.json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Knowledge history: diff error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+/**
+ * Restore a knowledge entry to a version
+ */
+export async function restoreKnowledgeVersionController(req, res, pool) {
+  try {
+    const result = await restoreKnowledgeVersionService(req.params.id, req.params.version, req.user, pool);
+    res.json(result);
+  } catch (err) {
+    let code = err.status || 500;
+    if (err.message.startsWith('Invalid chunking') || err.message.includes('No Pinecone API key found')) code = 400;
+    console.error('Knowledge history: restore error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+/**
+ * List deleted knowledge entries that can be restored
+ */
+export async function listDeletedKnowledgeController(req, res, pool) {
+  try {
+    const result = await listDeletedKnowledgeService(req.query, req.user, pool);
+    res.json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Knowledge history: list deleted error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
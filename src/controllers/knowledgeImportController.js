@@ -0,0 +1,84 @@
+import {
+  previewKnowledgeImportService,
+  startKnowledgeImportService,
+  getKnowledgeImportJobService,
+  listKnowledgeImportJobsService,
+  cancelKnowledgeImportJobService
+} from '../services/knowledgeImportService.js';
+
+function errorLabel(code) {
+  if (code === 400) return 'Bad request';
+  if (code === 404) return 'Not found';
+  if (code === 409) return 'Conflict';
+  return 'Server error';
+}
+
+/**
+ * Parse an uploaded file and return the entries it would create
+ */
+export async function previewKnowledgeImportController(req, res) {
+  try {
+    const result = await previewKnowledgeImportService(req.body);
+    res.json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Knowledge import: preview error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+/**
+ * Start a knowledge import job
+ */
+export async function startKnowledgeImportController(req, res, pool) {
+  try {
+    const result = await startKnowledgeImportService(req.body, req.user, pool);
+    res.status(202).json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Knowledge import: start error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+/**
+ * Get a knowledge import job with progress and per-row errors
+ */
+export async function getKnowledgeImportJobController(req, res, pool) {
+  try {
+    const job = await getKnowledgeImportJobService(req.params.job_id, req.user, pool);
+    res.json(job);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Knowledge import: get job error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+/**
+ * List recent knowledge import jobs
+ */
+export async function listKnowledgeImportJobsController(req, res, pool) {
+  try {
+    const jobs = await listKnowledgeImportJobsService(req.query, req.user, pool);
+    res.json(jobs);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Knowledge import: list jobs error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+/**
+ * Cancel a knowledge import job
+ */
+export async function cancelKnowledgeImportJobController(req, res, pool) {
+  try {
+    const job = await cancelKnowledgeImportJobService(req.params.job_id, req.user, pool);
+    res.json(job);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Knowledge import: cancel job error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
@@ -1,12 +1,22 @@
 import { searchMagentoOrdersService, getMagentoOrderByIdService } from '../services/magentoService.js';
+import { runSecuredOrderLookup } from '../services/orderLookupSecurityService.js';
+import { sendOrderLookupResponse } from './orderLookupSecurityController.js';
+import { ORDER_PROVIDER_TYPES } from '../utils/orderTrackingProviderUtils.js';
+import { getRateLimitIdentity } from '../utils/rateLimitUtils.js';
 
 /**
  * Search for Magento orders
  */
 export async function searchMagentoOrdersController(req, res, pool) {
   try {
-    const result = await searchMagentoOrdersService(req.body, pool);
-    res.json(result);
+    const result = await runSecuredOrderLookup({
+      source: 'magento_api',
+      providerType: ORDER_PROVIDER_TYPES.MAGENTO,
+      identity: getRateLimitIdentity(req),
+      orderVariables: req.body,
+      lookup: () => searchMagentoOrdersService(req.body, pool)
+    }, pool);
+    sendOrderLookupResponse(res, result);
   } catch (error) {
     console.error('Error fetching Magento orders:', error);
     
@@ -0,0 +1,86 @@
+import {
+  getOrderLookupSecurityService,
+  upsertOrderLookupSecurityService,
+  deleteOrderLookupSecurityService,
+  listOrderLookupAuditService
+} from '../services/orderLookupSecurityService.js';
+import { ORDER_LOOKUP_OUTCOMES, ORDER_NOT_FOUND_RESPONSE } from '../utils/orderLookupSecurityUtils.js';
+import { describeRequiredFields } from '../utils/orderTrackingProviderUtils.js';
+
+function errorLabel(code) {
+  if (code === 400) return 'Bad request';
+  if (code === 404) return 'Order lookup security settings not found';
+  return 'Database error';
+}
+
+/**
+ * Response of a public order endpoint for a secured lookup (see runSecuredOrderLookup)
+ * Unknown orders and orders that do not match the visitor's details get the same 404
+ */
+export function sendOrderLookupResponse(res, result) {
+  if (result.outcome === ORDER_LOOKUP_OUTCOMES.FOUND) {
+    return res.json(result.orderDetails);
+  }
+  if (result.outcome === ORDER_LOOKUP_OUTCOMES.THROTTLED) {
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    return res.status(429).json({
+      error: 'Too many requests',
+      details: `Too many failed order lookups, retry after ${result.retryAfterSeconds} seconds`,
+      retry_after: result.retryAfterSeconds
+    });
+  }
+  if (result.outcome === ORDER_LOOKUP_OUTCOMES.MISSING_FIELDS) {
+    return res.status(400).json({
+      error: 'Missing verification details',
+      details: `Order lookups require ${describeRequiredFields(result.verificationRule)}`
+    });
+  }
+  return res.status(404).json(ORDER_NOT_FOUND_RESPONSE);
+}
+
+export async function getOrderLookupSecurityController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const result = await getOrderLookupSecurityService(req.params.chatbot_id, pool);
+    res.json(result);
+  } catch (err) {
+    console.error('Order lookup security: get error:', err);
+    res.status(500).json({ error: 'Database error', details: err.message });
+  }
+}
+
+export async function upsertOrderLookupSecurityController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const row = await upsertOrderLookupSecurityService(req.body, pool);
+    res.json(row);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Order lookup security: save error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function deleteOrderLookupSecurityController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const result = await deleteOrderLookupSecurityService(req.params.chatbot_id, pool);
+    res.json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Order lookup security: delete error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function listOrderLookupAuditController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const rows = await listOrderLookupAuditService(req.query, pool);
+    res.json(rows);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Order lookup security: audit error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
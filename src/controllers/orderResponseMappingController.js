@@ -0,0 +1,63 @@
+import {
+  getOrderResponseMappingService,
+  upsertOrderResponseMappingService,
+  deleteOrderResponseMappingService,
+  testOrderLookupService
+} from '../services/orderResponseMappingService.js';
+
+function errorLabel(code) {
+  if (code === 400) return 'Bad request';
+  if (code === 404) return 'Order response mapping not found';
+  return 'Database error';
+}
+
+export async function getOrderResponseMappingController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const row = await getOrderResponseMappingService(req.params.chatbot_id, pool);
+    res.json(row);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Order response mapping: get error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function upsertOrderResponseMappingController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const row = await upsertOrderResponseMappingService(req.body, pool);
+    res.json(row);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Order response mapping: save error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function deleteOrderResponseMappingController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const result = await deleteOrderResponseMappingService(req.params.chatbot_id, pool);
+    res.json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Order response mapping: delete error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+/**
+ * Errors of the tracked API (failed request, no order, mapping errors) are part of the 200 response
+ */
+export async function testOrderLookupController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const result = await testOrderLookupService(req.body, pool);
+    res.json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Order response mapping: test lookup error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
@@ -29,6 +29,9 @@ export async function createPineconeDataController(req, res, pool) {
     if (err.message === 'Invalid scheduleTime format') {
       return res.status(400).json({ error: err.message });
     }
+    if (err.message.startsWith('Invalid chunking')) {
+      return res.status(400).json({ error: err.message });
+    }
     if (err.message.includes('No Pinecone API key found')) {
       return res.status(400).json({ error: err.message });
     }
@@ -50,6 +53,9 @@ export async function updatePineconeDataController(req, res, pool) {
     if (err.message === 'Title and text are required') {
       return res.status(400).json({ error: err.message });
     }
+    if (err.message === 'Invalid scheduleTime format' || err.message.startsWith('Invalid chunking')) {
+      return res.status(400).json({ error: err.message });
+    }
     if (err.message === 'User not found') {
       return res.status(404).json({ error: err.message });
     }
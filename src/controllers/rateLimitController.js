@@ -0,0 +1,58 @@
+import {
+  listRateLimitSettingsService,
+  upsertRateLimitSettingsService,
+  deleteRateLimitSettingsService,
+  listRateLimitEventsService
+} from '../services/rateLimitService.js';
+
+function errorLabel(code) {
+  if (code === 400) return 'Bad request';
+  if (code === 404) return 'Rate limit settings not found';
+  return 'Database error';
+}
+
+export async function listRateLimitSettingsController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const result = await listRateLimitSettingsService(req.params.chatbot_id, pool);
+    res.json(result);
+  } catch (err) {
+    console.error('Rate limits: list error:', err);
+    res.status(500).json({ error: 'Database error', details: err.message });
+  }
+}
+
+export async function upsertRateLimitSettingsController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const row = await upsertRateLimitSettingsService(req.body, pool);
+    res.json(row);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Rate limits: save error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function deleteRateLimitSettingsController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const result = await deleteRateLimitSettingsService(req.params.chatbot_id, req.params.endpoint, pool);
+    res.json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Rate limits: delete error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function listRateLimitEventsController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const rows = await listRateLimitEventsService(req.query, pool);
+    res.json(rows);
+  } catch (err) {
+    console.error('Rate limits: events error:', err);
+    res.status(500).json({ error: 'Database error', details: err.message });
+  }
+}
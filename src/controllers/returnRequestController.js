@@ -0,0 +1,75 @@
+import {
+  submitReturnRequestService,
+  getReturnSettingsService,
+  upsertReturnSettingsService,
+  deleteReturnSettingsService,
+  listReturnRequestsService
+} from '../services/returnRequestService.js';
+
+function errorLabel(code) {
+  if (code === 400) return 'Bad request';
+  if (code === 404) return 'Not found';
+  if (code === 409) return 'Already submitted';
+  if (code === 410) return 'Offer expired';
+  if (code === 502) return 'Return not registered';
+  return 'Database error';
+}
+
+export async function submitReturnRequestController(req, res, pool) {
+  try {
+    const result = await submitReturnRequestService(req.params.return_request_id, req.body, pool);
+    res.status(201).json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Returns: submit error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function getReturnSettingsController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const row = await getReturnSettingsService(req.params.chatbot_id, pool);
+    res.json(row);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Returns: get settings error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function upsertReturnSettingsController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const row = await upsertReturnSettingsService(req.body, pool);
+    res.json(row);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Returns: save settings error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function deleteReturnSettingsController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const result = await deleteReturnSettingsService(req.params.chatbot_id, pool);
+    res.json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Returns: delete settings error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function listReturnRequestsController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const rows = await listReturnRequestsService(req.query, pool);
+    res.json(rows);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Returns: list error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
@@ -0,0 +1,70 @@
+import {
+  listRoutingRulesService,
+  createRoutingRuleService,
+  updateRoutingRuleService,
+  deleteRoutingRuleService,
+  dryRunRoutingRulesService
+} from '../services/routingRulesService.js';
+
+function errorLabel(code) {
+  if (code === 400) return 'Bad request';
+  if (code === 404) return 'Routing rule not found';
+  return 'Database error';
+}
+
+export async function listRoutingRulesController(req, res, pool) {
+  try {
+    const rows = await listRoutingRulesService(req.params.chatbot_id, pool);
+    res.json(rows);
+  } catch (err) {
+    console.error('Routing rules: list error:', err);
+    res.status(500).json({ error: 'Database error', details: err.message });
+  }
+}
+
+export async function createRoutingRuleController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const row = await createRoutingRuleService(req.body, pool);
+    res.status(201).json(row);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Routing rules: create error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function updateRoutingRuleController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const row = await updateRoutingRuleService(req.params.id, req.body, pool);
+    res.json(row);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Routing rules: update error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function deleteRoutingRuleController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const result = await deleteRoutingRuleService(req.params.id, pool);
+    res.json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Routing rules: delete error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function dryRunRoutingRulesController(req, res, pool) {
+  try {
+    const result = await dryRunRoutingRulesService(req.params.chatbot_id, req.body, pool);
+    res.json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Routing rules: dry-run error:', err);
+    res.status(code).json({ error: code === 400 ? 'Bad request' : 'Server error', details: err.message });
+  }
+}
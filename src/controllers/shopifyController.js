@@ -5,11 +5,21 @@ import {
   upsertShopifyCredentialsService,
   deleteShopifyCredentialsService
 } from '../services/shopifyService.js';
+import { runSecuredOrderLookup } from '../services/orderLookupSecurityService.js';
+import { sendOrderLookupResponse } from './orderLookupSecurityController.js';
+import { ORDER_PROVIDER_TYPES } from '../utils/orderTrackingProviderUtils.js';
+import { getRateLimitIdentity } from '../utils/rateLimitUtils.js';
 
 export async function getShopifyOrdersController(req, res, pool) {
   try {
-    const data = await getShopifyOrdersService(req.body, pool);
-    res.json(data);
+    const result = await runSecuredOrderLookup({
+      source: 'shopify_api',
+      providerType: ORDER_PROVIDER_TYPES.SHOPIFY,
+      identity: getRateLimitIdentity(req),
+      orderVariables: req.body,
+      lookup: () => getShopifyOrdersService(req.body, pool)
+    }, pool);
+    sendOrderLookupResponse(res, result);
   } catch (error) {
     console.error('Shopify orders controller error:', error);
     res.status(500).json({ error: 'Internal server error', details: error.message });
@@ -0,0 +1,68 @@
+import {
+  handleShopifyWebhookService,
+  getShopifyWebhookSettingsService,
+  upsertShopifyWebhookSettingsService,
+  deleteShopifyWebhookSettingsService
+} from '../services/shopifyWebhookService.js';
+
+function errorLabel(code) {
+  if (code === 400) return 'Bad request';
+  if (code === 401) return 'Unauthorized';
+  if (code === 404) return 'Shopify webhook settings not found';
+  return 'Database error';
+}
+
+export async function shopifyWebhookController(req, res, pool) {
+  try {
+    const result = await handleShopifyWebhookService(req.params.chatbot_id, {
+      rawBody: req.rawBody,
+      headers: req.headers,
+      body: req.body
+    }, pool);
+    res.json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    if (code === 401) {
+      console.warn(`🛒 SHOPIFY WEBHOOK: Rejected webhook for ${req.params.chatbot_id}: ${err.message}`);
+      return res.status(401).json({ error: errorLabel(code) });
+    }
+    console.error('Shopify webhook: error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function getShopifyWebhookSettingsController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const row = await getShopifyWebhookSettingsService(req.params.chatbot_id, pool);
+    res.json(row);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Shopify webhook: get settings error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function upsertShopifyWebhookSettingsController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const row = await upsertShopifyWebhookSettingsService(req.body, pool);
+    res.json(row);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Shopify webhook: save settings error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function deleteShopifyWebhookSettingsController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const result = await deleteShopifyWebhookSettingsService(req.params.chatbot_id, pool);
+    res.json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Shopify webhook: delete settings error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
@@ -0,0 +1,59 @@
+import {
+  listVectorStoreSettingsService,
+  saveVectorStoreSettingService,
+  deleteVectorStoreSettingService,
+  resolveVectorStoreService
+} from '../services/vectorStoreService.js';
+
+function errorLabel(code) {
+  if (code === 400) return 'Bad request';
+  if (code === 404) return 'Vector store setting not found';
+  return 'Database error';
+}
+
+export async function listVectorStoreSettingsController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const result = await listVectorStoreSettingsService(pool);
+    res.json(result);
+  } catch (err) {
+    console.error('Vector store: list settings error:', err);
+    res.status(500).json({ error: 'Database error', details: err.message });
+  }
+}
+
+export async function saveVectorStoreSettingController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const row = await saveVectorStoreSettingService(req.body, pool);
+    res.json(row);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Vector store: save setting error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function deleteVectorStoreSettingController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const result = await deleteVectorStoreSettingService(req.params.id, pool);
+    res.json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Vector store: delete setting error:', err);
+    res.status(code).json({ error: errorLabel(code), details: err.message });
+  }
+}
+
+export async function resolveVectorStoreController(req, res, pool) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+  try {
+    const result = await resolveVectorStoreService(req.query, pool);
+    res.json(result);
+  } catch (err) {
+    const code = err.status || 500;
+    console.error('Vector store: resolve error:', err);
+    res.status(code).json({ error: code === 400 ? 'Bad request' : 'Server error', details: err.message });
+  }
+}
@@ -0,0 +1,83 @@
+import {
+  searchWooCommerceOrdersService,
+  getWooCommerceCredentialsService,
+  upsertWooCommerceCredentialsService,
+  testWooCommerceCredentialsService,
+  deleteWooCommerceCredentialsService
+} from '../services/woocommerceService.js';
+import { runSecuredOrderLookup } from '../services/orderLookupSecurityService.js';
+import { sendOrderLookupResponse } from './orderLookupSecurityController.js';
+import { ORDER_PROVIDER_TYPES } from '../utils/orderTrackingProviderUtils.js';
+import { getRateLimitIdentity } from '../utils/rateLimitUtils.js';
+
+/**
+ * Search for WooCommerce orders
+ */
+export async function searchWooCommerceOrdersController(req, res, pool) {
+  try {
+    const result = await runSecuredOrderLookup({
+      source: 'woocommerce_api',
+      providerType: ORDER_PROVIDER_TYPES.WOOCOMMERCE,
+      identity: getRateLimitIdentity(req),
+      orderVariables: req.body,
+      lookup: () => searchWooCommerceOrdersService(req.body, pool)
+    }, pool);
+    sendOrderLookupResponse(res, result);
+  } catch (error) {
+    console.error('Error fetching WooCommerce orders:', error);
+
+    let statusCode = 500;
+    if (error.message.includes('credentials not available') || error.message.includes('requires order_number')
+      || error.message.includes('store not allowed')) {
+      statusCode = 400;
+    } else if (error.message.includes('WooCommerce API error')) {
+      // Store rejected the keys or failed - not an error on our side
+      statusCode = 502;
+    }
+
+    res.status(statusCode).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
+
+export async function getWooCommerceCredentialsController(req, res, pool) {
+  try {
+    const { statusCode, payload } = await getWooCommerceCredentialsService(req.params, pool);
+    return res.status(statusCode).json(payload);
+  } catch (error) {
+    console.error('WooCommerce credentials controller error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+}
+
+export async function upsertWooCommerceCredentialsController(req, res, pool) {
+  try {
+    const { statusCode, payload } = await upsertWooCommerceCredentialsService(req.body, pool);
+    return res.status(statusCode).json(payload);
+  } catch (error) {
+    console.error('WooCommerce credentials save controller error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+}
+
+export async function testWooCommerceCredentialsController(req, res, pool) {
+  try {
+    const { statusCode, payload } = await testWooCommerceCredentialsService(req.body, pool);
+    return res.status(statusCode).json(payload);
+  } catch (error) {
+    console.error('WooCommerce credentials test controller error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+}
+
+export async function deleteWooCommerceCredentialsController(req, res, pool) {
+  try {
+    const { statusCode, payload } = await deleteWooCommerceCredentialsService(req.params, pool);
+    return res.status(statusCode).json(payload);
+  } catch (error) {
+    console.error('WooCommerce credentials delete controller error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+}
@@ -18,9 +18,9 @@ import {
   updateUserIndexesController
 } from '../controllers/adminController.js';
 
-export function registerAdminRoutes(app, pool, authenticateToken, getPineconeApiKeyForIndex) {
+export function registerAdminRoutes(app, pool, authenticateToken) {
   // User Management
-  app.delete('/users/:id', authenticateToken, (req, res) => deleteUserController(req, res, pool, getPineconeApiKeyForIndex));
+  app.delete('/users/:id', authenticateToken, (req, res) => deleteUserController(req, res, pool));
   app.get('/users', authenticateToken, (req, res) => getUsersController(req, res, pool));
   app.get('/user/:id', authenticateToken, (req, res) => getUserByIdController(req, res, pool));
   app.patch('/users/:id', authenticateToken, (req, res) => updateUserController(req, res, pool));
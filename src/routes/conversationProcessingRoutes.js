@@ -1,7 +1,11 @@
 import express from 'express';
+import { wantsEventStream } from '../utils/streamingUtils.js';
+import { createRateLimitMiddleware } from '../services/rateLimitService.js';
 import {
   processMessageController,
   getStreamingEventsController,
+  streamEventsController,
+  cancelStreamController,
   uploadImageController,
   conversationHealthController
 } from '../controllers/conversationProcessingController.js';
@@ -15,16 +19,25 @@ export function registerConversationProcessingRoutes(app, pool, authenticateToke
 
   // Main conversation processing endpoint
   // Replaces the complex frontend sendMessage logic
-  router.post('/process-message', async (req, res) => {
+  router.post('/process-message', createRateLimitMiddleware(pool, 'process_message'), async (req, res) => {
     await processMessageController(req, res, pool);
   });
 
-  // Streaming events polling endpoint
-  // Frontend will poll this to get streaming updates
+  // Streaming events endpoint
+  // Clients sending Accept: text/event-stream get pushed events; older widgets keep polling for JSON
   router.get('/stream-events/:streamingSessionId', async (req, res) => {
+    if (wantsEventStream(req)) {
+      await streamEventsController(req, res, pool);
+      return;
+    }
     await getStreamingEventsController(req, res, pool);
   });
 
+  // Stop an in-flight answer, e.g. when the visitor closes the widget
+  router.post('/stream-cancel/:streamingSessionId', createRateLimitMiddleware(pool, 'stream_cancel'), async (req, res) => {
+    await cancelStreamController(req, res, pool);
+  });
+
   // 🔒 REMOVED: /conversation-config/:chatbotId endpoint
   // This endpoint was exposing ALL credentials including API keys to unauthenticated users!
   // Backend services should use ConfigurationService.getFrontendConfiguration() directly
@@ -32,7 +45,7 @@ export function registerConversationProcessingRoutes(app, pool, authenticateToke
 
   // Image upload and processing endpoint
   // Handles image uploads separately from main message processing
-  router.post('/upload-image', async (req, res) => {
+  router.post('/upload-image', createRateLimitMiddleware(pool, 'upload_image'), async (req, res) => {
     await uploadImageController(req, res, pool);
   });
 
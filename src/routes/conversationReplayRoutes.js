@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  startConversationReplayJobController,
+  getConversationReplayJobController,
+  getConversationReplayResultsController
+} from '../controllers/conversationReplayController.js';
+
+export function registerConversationReplayRoutes(app, pool, authenticateToken) {
+  const router = express.Router();
+
+  router.post('/conversation-replay-jobs', authenticateToken, async (req, res) => {
+    await startConversationReplayJobController(req, res, pool);
+  });
+
+  router.get('/conversation-replay-jobs/:jobId', authenticateToken, async (req, res) => {
+    await getConversationReplayJobController(req, res, pool);
+  });
+
+  router.get('/conversation-replay-jobs/:jobId/results', authenticateToken, async (req, res) => {
+    await getConversationReplayResultsController(req, res, pool);
+  });
+
+  app.use('/api', router);
+}
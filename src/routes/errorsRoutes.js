@@ -1,6 +1,7 @@
 import { logErrorController } from '../controllers/errorsController.js';
+import { createRateLimitMiddleware } from '../services/rateLimitService.js';
 
 export function registerErrorsRoutes(app, pool) {
-  // Keep public (no authenticateToken) as in current behavior
-  app.post('/api/log-error', (req, res) => logErrorController(req, res, pool));
+  // Keep public (no authenticateToken) as in current behavior, but rate limited
+  app.post('/api/log-error', createRateLimitMiddleware(pool, 'log_error'), (req, res) => logErrorController(req, res, pool));
 }
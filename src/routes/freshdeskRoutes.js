@@ -1,9 +1,10 @@
 import { createTicketController } from '../controllers/freshdeskController.js';
 import { createFreshdeskQueueService } from '../services/freshdeskQueueService.js';
+import { createRateLimitMiddleware } from '../services/rateLimitService.js';
 
 export function registerFreshdeskRoutes(app, pool) {
   // Main endpoint - async queue processing
-  app.post('/api/create-freshdesk-ticket', (req, res) => createTicketController(req, res, pool));
+  app.post('/api/create-freshdesk-ticket', createRateLimitMiddleware(pool, 'freshdesk_ticket'), (req, res) => createTicketController(req, res, pool));
   
   // Queue management endpoints
   app.get('/api/freshdesk-queue/stats', async (req, res) => {
@@ -0,0 +1,49 @@
+import express from 'express';
+import {
+  listKnowledgeCrawlSourcesController,
+  createKnowledgeCrawlSourceController,
+  updateKnowledgeCrawlSourceController,
+  deleteKnowledgeCrawlSourceController,
+  startKnowledgeCrawlController,
+  listKnowledgeCrawlRunsController,
+  getKnowledgeCrawlRunController,
+  listKnowledgeCrawlPagesController
+} from '../controllers/knowledgeCrawlerController.js';
+
+export function registerKnowledgeCrawlerRoutes(app, pool, authenticateToken) {
+  const router = express.Router();
+
+  router.get('/knowledge-crawl-sources/:chatbot_id', authenticateToken, async (req, res) => {
+    await listKnowledgeCrawlSourcesController(req, res, pool);
+  });
+
+  router.post('/knowledge-crawl-sources', authenticateToken, async (req, res) => {
+    await createKnowledgeCrawlSourceController(req, res, pool);
+  });
+
+  router.put('/knowledge-crawl-sources/:id', authenticateToken, async (req, res) => {
+    await updateKnowledgeCrawlSourceController(req, res, pool);
+  });
+
+  router.delete('/knowledge-crawl-sources/:id', authenticateToken, async (req, res) => {
+    await deleteKnowledgeCrawlSourceController(req, res, pool);
+  });
+
+  router.post('/knowledge-crawl-sources/:id/crawl', authenticateToken, async (req, res) => {
+    await startKnowledgeCrawlController(req, res, pool);
+  });
+
+  router.get('/knowledge-crawl-sources/:id/runs', authenticateToken, async (req, res) => {
+    await listKnowledgeCrawlRunsController(req, res, pool);
+  });
+
+  router.get('/knowledge-crawl-sources/:id/pages', authenticateToken, async (req, res) => {
+    await listKnowledgeCrawlPagesController(req, res, pool);
+  });
+
+  router.get('/knowledge-crawl-runs/:run_id', authenticateToken, async (req, res) => {
+    await getKnowledgeCrawlRunController(req, res, pool);
+  });
+
+  app.use('/api', router);
+}
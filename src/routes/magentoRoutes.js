@@ -1,4 +1,5 @@
 import { searchMagentoOrdersController, getMagentoOrderByIdController } from '../controllers/magentoController.js';
+import { createRateLimitMiddleware } from '../services/rateLimitService.js';
 
 /**
  * Register Magento routes
@@ -7,7 +8,7 @@ import { searchMagentoOrdersController, getMagentoOrderByIdController } from '..
  */
 export function registerMagentoRoutes(app, pool) {
   // POST /api/magento/orders - Search for orders (no auth required)
-  app.post('/api/magento/orders', (req, res) => searchMagentoOrdersController(req, res, pool));
+  app.post('/api/magento/orders', createRateLimitMiddleware(pool, 'track_order'), (req, res) => searchMagentoOrdersController(req, res, pool));
 
   // GET /api/magento/orders/:order_id - Get specific order by ID (no auth required)
   app.get('/api/magento/orders/:order_id', (req, res) => getMagentoOrderByIdController(req, res));
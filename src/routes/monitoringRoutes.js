@@ -121,6 +121,28 @@ export function registerMonitoringRoutes(app, pool, authenticateToken) {
     }
   });
 
+  /**
+   * Get order provider circuit breakers that are open or failing (?all=true for every breaker, admin only)
+   */
+  app.get('/api/monitoring/circuit-breakers', authenticateToken, async (req, res) => {
+    if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+    try {
+      const { getCircuitBreakerStatuses } = await import('../utils/circuitBreakerUtils.js');
+
+      res.json({
+        success: true,
+        circuit_breakers: getCircuitBreakerStatuses({ all: req.query.all === 'true' }),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error getting circuit breakers:', error);
+      res.status(500).json({
+        error: 'Failed to get circuit breakers',
+        details: error.message
+      });
+    }
+  });
+
   /**
    * Clear all caches (admin only)
    */
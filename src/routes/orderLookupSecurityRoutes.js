@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  getOrderLookupSecurityController,
+  upsertOrderLookupSecurityController,
+  deleteOrderLookupSecurityController,
+  listOrderLookupAuditController
+} from '../controllers/orderLookupSecurityController.js';
+
+export function registerOrderLookupSecurityRoutes(app, pool, authenticateToken) {
+  const router = express.Router();
+
+  router.get('/order-lookup-audit', authenticateToken, async (req, res) => {
+    await listOrderLookupAuditController(req, res, pool);
+  });
+
+  router.get('/order-lookup-security/:chatbot_id', authenticateToken, async (req, res) => {
+    await getOrderLookupSecurityController(req, res, pool);
+  });
+
+  router.post('/order-lookup-security', authenticateToken, async (req, res) => {
+    await upsertOrderLookupSecurityController(req, res, pool);
+  });
+
+  router.delete('/order-lookup-security/:chatbot_id', authenticateToken, async (req, res) => {
+    await deleteOrderLookupSecurityController(req, res, pool);
+  });
+
+  app.use('/api', router);
+}
@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  getOrderResponseMappingController,
+  upsertOrderResponseMappingController,
+  deleteOrderResponseMappingController,
+  testOrderLookupController
+} from '../controllers/orderResponseMappingController.js';
+
+export function registerOrderResponseMappingRoutes(app, pool, authenticateToken) {
+  const router = express.Router();
+
+  router.post('/order-tracking/test-lookup', authenticateToken, async (req, res) => {
+    await testOrderLookupController(req, res, pool);
+  });
+
+  router.get('/order-response-mapping/:chatbot_id', authenticateToken, async (req, res) => {
+    await getOrderResponseMappingController(req, res, pool);
+  });
+
+  router.post('/order-response-mapping', authenticateToken, async (req, res) => {
+    await upsertOrderResponseMappingController(req, res, pool);
+  });
+
+  router.delete('/order-response-mapping/:chatbot_id', authenticateToken, async (req, res) => {
+    await deleteOrderResponseMappingController(req, res, pool);
+  });
+
+  app.use('/api', router);
+}
@@ -6,6 +6,19 @@ import {
   markPineconeDataViewedController,
   processScheduledUploadsController
 } from '../controllers/pineconeController.js';
+import {
+  previewKnowledgeImportController,
+  startKnowledgeImportController,
+  getKnowledgeImportJobController,
+  listKnowledgeImportJobsController,
+  cancelKnowledgeImportJobController
+} from '../controllers/knowledgeImportController.js';
+import {
+  listKnowledgeHistoryController,
+  diffKnowledgeHistoryController,
+  restoreKnowledgeVersionController,
+  listDeletedKnowledgeController
+} from '../controllers/knowledgeHistoryController.js';
 
 /**
  * Register all Pinecone-related routes
@@ -28,4 +41,31 @@ export function registerPineconeRoutes(app, pool, authenticateToken) {
 
   // POST process scheduled uploads manually
   app.post('/pinecone-data/process-scheduled', authenticateToken, (req, res) => processScheduledUploadsController(req, res, pool));
+
+  // POST parse a CSV/JSON/Markdown/PDF file and preview the entries
+  app.post('/pinecone-data/bulk-import/preview', authenticateToken, (req, res) => previewKnowledgeImportController(req, res));
+
+  // POST start a bulk import job
+  app.post('/pinecone-data/bulk-import', authenticateToken, (req, res) => startKnowledgeImportController(req, res, pool));
+
+  // GET recent bulk import jobs
+  app.get('/pinecone-data/bulk-import', authenticateToken, (req, res) => listKnowledgeImportJobsController(req, res, pool));
+
+  // GET bulk import job progress
+  app.get('/pinecone-data/bulk-import/:job_id', authenticateToken, (req, res) => getKnowledgeImportJobController(req, res, pool));
+
+  // POST cancel a bulk import job
+  app.post('/pinecone-data/bulk-import/:job_id/cancel', authenticateToken, (req, res) => cancelKnowledgeImportJobController(req, res, pool));
+
+  // GET deleted entries that can be restored
+  app.get('/pinecone-data/history/deleted', authenticateToken, (req, res) => listDeletedKnowledgeController(req, res, pool));
+
+  // GET version history of an entry
+  app.get('/pinecone-data/:id/history', authenticateToken, (req, res) => listKnowledgeHistoryController(req, res, pool));
+
+  // GET diff of two versions (?from=&to=)
+  app.get('/pinecone-data/:id/history/diff', authenticateToken, (req, res) => diffKnowledgeHistoryController(req, res, pool));
+
+  // POST restore an entry to a version (re-embeds the text; recreates a deleted entry)
+  app.post('/pinecone-data/:id/history/:version/restore', authenticateToken, (req, res) => restoreKnowledgeVersionController(req, res, pool));
 }
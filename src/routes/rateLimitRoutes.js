@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  listRateLimitSettingsController,
+  upsertRateLimitSettingsController,
+  deleteRateLimitSettingsController,
+  listRateLimitEventsController
+} from '../controllers/rateLimitController.js';
+
+export function registerRateLimitRoutes(app, pool, authenticateToken) {
+  const router = express.Router();
+
+  router.get('/rate-limits/events', authenticateToken, async (req, res) => {
+    await listRateLimitEventsController(req, res, pool);
+  });
+
+  router.get('/rate-limits/:chatbot_id', authenticateToken, async (req, res) => {
+    await listRateLimitSettingsController(req, res, pool);
+  });
+
+  router.post('/rate-limits', authenticateToken, async (req, res) => {
+    await upsertRateLimitSettingsController(req, res, pool);
+  });
+
+  router.delete('/rate-limits/:chatbot_id/:endpoint', authenticateToken, async (req, res) => {
+    await deleteRateLimitSettingsController(req, res, pool);
+  });
+
+  app.use('/api', router);
+}
@@ -0,0 +1,36 @@
+import express from 'express';
+import {
+  submitReturnRequestController,
+  getReturnSettingsController,
+  upsertReturnSettingsController,
+  deleteReturnSettingsController,
+  listReturnRequestsController
+} from '../controllers/returnRequestController.js';
+import { createRateLimitMiddleware } from '../services/rateLimitService.js';
+
+export function registerReturnRequestRoutes(app, pool, authenticateToken) {
+  const router = express.Router();
+
+  // Return form of the widget (public, the offer id comes from the return_form event)
+  router.post('/returns/:return_request_id', createRateLimitMiddleware(pool, 'return_request'), async (req, res) => {
+    await submitReturnRequestController(req, res, pool);
+  });
+
+  router.get('/return-requests', authenticateToken, async (req, res) => {
+    await listReturnRequestsController(req, res, pool);
+  });
+
+  router.get('/return-settings/:chatbot_id', authenticateToken, async (req, res) => {
+    await getReturnSettingsController(req, res, pool);
+  });
+
+  router.post('/return-settings', authenticateToken, async (req, res) => {
+    await upsertReturnSettingsController(req, res, pool);
+  });
+
+  router.delete('/return-settings/:chatbot_id', authenticateToken, async (req, res) => {
+    await deleteReturnSettingsController(req, res, pool);
+  });
+
+  app.use('/api', router);
+}
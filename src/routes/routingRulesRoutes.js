@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  listRoutingRulesController,
+  createRoutingRuleController,
+  updateRoutingRuleController,
+  deleteRoutingRuleController,
+  dryRunRoutingRulesController
+} from '../controllers/routingRulesController.js';
+
+export function registerRoutingRulesRoutes(app, pool, authenticateToken) {
+  const router = express.Router();
+
+  router.get('/routing-rules/:chatbot_id', authenticateToken, async (req, res) => {
+    await listRoutingRulesController(req, res, pool);
+  });
+
+  router.post('/routing-rules', authenticateToken, async (req, res) => {
+    await createRoutingRuleController(req, res, pool);
+  });
+
+  router.put('/routing-rules/:id', authenticateToken, async (req, res) => {
+    await updateRoutingRuleController(req, res, pool);
+  });
+
+  router.delete('/routing-rules/:id', authenticateToken, async (req, res) => {
+    await deleteRoutingRuleController(req, res, pool);
+  });
+
+  router.post('/routing-rules/:chatbot_id/dry-run', authenticateToken, async (req, res) => {
+    await dryRunRoutingRulesController(req, res, pool);
+  });
+
+  app.use('/api', router);
+}
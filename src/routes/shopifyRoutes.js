@@ -6,12 +6,13 @@ import {
   upsertShopifyCredentialsController,
   deleteShopifyCredentialsController
 } from '../controllers/shopifyController.js';
+import { createRateLimitMiddleware } from '../services/rateLimitService.js';
 
 export function registerShopifyRoutes(app, pool) {
   const router = express.Router();
 
   // Existing order endpoints
-  router.post('/api/shopify/orders', async (req, res) => {
+  router.post('/api/shopify/orders', createRateLimitMiddleware(pool, 'track_order'), async (req, res) => {
     await getShopifyOrdersController(req, res, pool);
   });
 
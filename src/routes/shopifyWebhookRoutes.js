@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  shopifyWebhookController,
+  getShopifyWebhookSettingsController,
+  upsertShopifyWebhookSettingsController,
+  deleteShopifyWebhookSettingsController
+} from '../controllers/shopifyWebhookController.js';
+
+export function registerShopifyWebhookRoutes(app, pool, authenticateToken) {
+  const router = express.Router();
+
+  // Called by Shopify: signed with the chatbot's webhook secret instead of a token
+  router.post('/webhooks/shopify/:chatbot_id', async (req, res) => {
+    await shopifyWebhookController(req, res, pool);
+  });
+
+  router.get('/shopify-webhook-settings/:chatbot_id', authenticateToken, async (req, res) => {
+    await getShopifyWebhookSettingsController(req, res, pool);
+  });
+
+  router.post('/shopify-webhook-settings', authenticateToken, async (req, res) => {
+    await upsertShopifyWebhookSettingsController(req, res, pool);
+  });
+
+  router.delete('/shopify-webhook-settings/:chatbot_id', authenticateToken, async (req, res) => {
+    await deleteShopifyWebhookSettingsController(req, res, pool);
+  });
+
+  app.use('/api', router);
+}
@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  listVectorStoreSettingsController,
+  saveVectorStoreSettingController,
+  deleteVectorStoreSettingController,
+  resolveVectorStoreController
+} from '../controllers/vectorStoreController.js';
+
+export function registerVectorStoreRoutes(app, pool, authenticateToken) {
+  const router = express.Router();
+
+  router.get('/vector-store-settings', authenticateToken, async (req, res) => {
+    await listVectorStoreSettingsController(req, res, pool);
+  });
+
+  router.put('/vector-store-settings', authenticateToken, async (req, res) => {
+    await saveVectorStoreSettingController(req, res, pool);
+  });
+
+  router.get('/vector-store-settings/resolve', authenticateToken, async (req, res) => {
+    await resolveVectorStoreController(req, res, pool);
+  });
+
+  router.delete('/vector-store-settings/:id', authenticateToken, async (req, res) => {
+    await deleteVectorStoreSettingController(req, res, pool);
+  });
+
+  app.use('/api', router);
+}
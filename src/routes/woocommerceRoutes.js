@@ -0,0 +1,74 @@
+import express from 'express';
+import {
+  searchWooCommerceOrdersController,
+  getWooCommerceCredentialsController,
+  upsertWooCommerceCredentialsController,
+  testWooCommerceCredentialsController,
+  deleteWooCommerceCredentialsController
+} from '../controllers/woocommerceController.js';
+import { createRateLimitMiddleware } from '../services/rateLimitService.js';
+
+/**
+ * Public URL of the order search on this backend (PUBLIC_BASE_URL, else the host the request came in on)
+ */
+function getOrderSearchUrl(req) {
+  const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/+$/, '')}/api/woocommerce/orders`;
+}
+
+export function registerWooCommerceRoutes(app, pool, authenticateToken) {
+  const router = express.Router();
+
+  // Order search (no auth required - called by the widget proxy)
+  router.post('/api/woocommerce/orders', createRateLimitMiddleware(pool, 'track_order'), async (req, res) => {
+    await searchWooCommerceOrdersController(req, res, pool);
+  });
+
+  // Credentials (same paths as /api/shopify-credentials)
+  router.get('/api/woocommerce-credentials/:chatbotId', authenticateToken, async (req, res) => {
+    req.params.chatbot_id = req.params.chatbotId;
+    await getWooCommerceCredentialsController(req, res, pool);
+  });
+
+  // Saving and deleting are admin only: the stored store URL is called from the public order search
+  router.post('/api/woocommerce-credentials', authenticateToken, async (req, res) => {
+    if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+    await upsertWooCommerceCredentialsController(req, res, pool);
+  });
+
+  // Tries credentials against the store; admins only because it calls a URL of the caller's choice
+  router.post('/api/woocommerce-credentials/test', authenticateToken, async (req, res) => {
+    if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+    await testWooCommerceCredentialsController(req, res, pool);
+  });
+
+  router.delete('/api/woocommerce-credentials/:chatbotId', authenticateToken, async (req, res) => {
+    if (!req.user?.isAdmin) return res.status(403).json({ error: 'Admins only' });
+    req.params.chatbot_id = req.params.chatbotId;
+    await deleteWooCommerceCredentialsController(req, res, pool);
+  });
+
+  // Public settings endpoint
+  router.get('/api/woocommerce-settings/:chatbotId', async (req, res) => {
+    try {
+      const result = await pool.query(
+        'SELECT woocommerce_enabled, woocommerce_store_url FROM woocommerce_credentials WHERE chatbot_id = $1',
+        [req.params.chatbotId]
+      );
+      const row = result.rows[0];
+      res.json({
+        woocommerceEnabled: row?.woocommerce_enabled === true,
+        woocommerceStoreUrl: row?.woocommerce_store_url || '',
+        orderTrackingUseProxy: true,
+        orderTrackingProxyUrl: getOrderSearchUrl(req),
+        orderTrackingRequestMethod: 'POST',
+        trackingRequiredFields: ['order_number', 'email', 'phone']
+      });
+    } catch (error) {
+      console.error('Error fetching WooCommerce settings:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  app.use('/', router);
+}
@@ -1,7 +1,13 @@
 import bcrypt from 'bcryptjs';
-import { Pinecone } from '@pinecone-database/pinecone';
-
-export async function deleteUserService(userId, pool, getPineconeApiKeyForIndex) {
+import { deleteKnowledgeVectors } from '../utils/knowledgeChunkingUtils.js';
+import { getVectorStore } from '../utils/vectorStoreUtils.js';
+import {
+  KNOWLEDGE_HISTORY_ACTIONS,
+  ensureKnowledgeHistoryBaseline,
+  recordKnowledgeHistory
+} from '../utils/knowledgeHistoryUtils.js';
+
+export async function deleteUserService(userId, pool) {
   const checkResult = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
   if (checkResult.rows.length === 0) {
     const err = new Error('User not found'); err.statusCode = 404; throw err;
@@ -12,15 +18,19 @@ export async function deleteUserService(userId, pool, getPineconeApiKeyForIndex)
   const pineconeResult = await pool.query('SELECT * FROM pinecone_data WHERE user_id = $1', [userId]);
   for (const row of pineconeResult.rows) {
     try {
-      const apiKey = await getPineconeApiKeyForIndex(userId, row.pinecone_index_name, row.namespace);
-      if (apiKey && row.pinecone_vector_id && row.namespace) {
-        const pineconeClient = new Pinecone({ apiKey });
-        const index = pineconeClient.index(row.namespace);
-        await index.deleteOne(row.pinecone_vector_id, { namespace: row.namespace });
+      if (row.pinecone_vector_id && row.namespace) {
+        const index = await getVectorStore(pool, { userId, indexName: row.pinecone_index_name, namespace: row.namespace });
+        await deleteKnowledgeVectors(index, row.pinecone_vector_id, row.chunk_count);
       }
     } catch {}
   }
+  for (const row of pineconeResult.rows) {
+    await ensureKnowledgeHistoryBaseline(pool, row);
+  }
   await pool.query('DELETE FROM pinecone_data WHERE user_id = $1', [userId]);
+  for (const row of pineconeResult.rows) {
+    await recordKnowledgeHistory(pool, row, { action: KNOWLEDGE_HISTORY_ACTIONS.DELETED });
+  }
 
   const result = await pool.query('DELETE FROM users WHERE id = $1 RETURNING username', [userId]);
   return result.rows[0];
@@ -0,0 +1,102 @@
+import cacheService from '../utils/cacheService.js';
+import {
+  detectCarrier,
+  extractTrackingNumberFromUrl,
+  getCarrierAdapter
+} from '../utils/carrierTrackingUtils.js';
+
+// Carrier scans change during the day, so results are only reused for a few minutes
+const SHIPMENT_CACHE_TTL = 300;
+const NOT_FOUND_CACHE_TTL = 120;
+
+// Orders with many parcels only get their first shipments looked up
+const MAX_SHIPMENTS_PER_ORDER = 3;
+
+/**
+ * Carrier Tracking Service
+ * Enriches normalized order details with the carrier's view of the shipment (status, last scan, ETA, pickup point)
+ */
+export class CarrierTrackingService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Configured adapter of the carrier a shipment was sent with, or null
+   */
+  getAdapterFor({ trackingCompany, trackingUrl }) {
+    const carrier = detectCarrier(trackingCompany, trackingUrl);
+    const adapter = carrier && getCarrierAdapter(carrier);
+    return adapter && adapter.isConfigured() ? adapter : null;
+  }
+
+  /**
+   * Look a shipment up at its carrier, cached per carrier and tracking number
+   * Returns null when the carrier is unknown or not configured, or the lookup fails
+   */
+  async trackShipment({ trackingNumber, trackingCompany, trackingUrl }) {
+    const adapter = this.getAdapterFor({ trackingCompany, trackingUrl });
+    if (!adapter) return null;
+    const { carrier } = adapter;
+
+    const cacheKey = `carrier-tracking:${carrier}:${trackingNumber}`;
+    const cached = cacheService.get(cacheKey);
+    if (cached) return cached.shipment;
+
+    try {
+      const shipment = await adapter.track(trackingNumber);
+      cacheService.set(cacheKey, { shipment }, shipment ? SHIPMENT_CACHE_TTL : NOT_FOUND_CACHE_TTL);
+      console.log(`📦 CARRIER TRACKING: ${carrier} ${trackingNumber} → ${shipment ? shipment.status : 'not found'}`);
+      return shipment;
+    } catch (error) {
+      console.error(`📦 CARRIER TRACKING: ${carrier} lookup failed for ${trackingNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fill in the carrier's view of the shipments of normalized order details (see orderSchemaUtils.js)
+   * Shipments without a known, configured carrier are left as the shop platform reported them
+   */
+  async enrichNormalizedOrders(normalizedOrderDetails) {
+    if (!normalizedOrderDetails?.orders) return normalizedOrderDetails;
+
+    const orders = await Promise.all(normalizedOrderDetails.orders.map(async (order) => {
+      let lookups = 0;
+      const shipments = await Promise.all(order.shipments.map(async (shipment) => {
+        const reference = {
+          trackingNumber: shipment.tracking_number || extractTrackingNumberFromUrl(shipment.tracking_url),
+          trackingCompany: shipment.carrier,
+          trackingUrl: shipment.tracking_url
+        };
+        if (!reference.trackingNumber || !this.getAdapterFor(reference) || lookups >= MAX_SHIPMENTS_PER_ORDER) {
+          return shipment;
+        }
+        lookups++;
+
+        const tracked = await this.trackShipment(reference);
+        if (!tracked) return shipment;
+        return {
+          ...shipment,
+          carrier: tracked.carrier,
+          tracking_number: tracked.trackingNumber,
+          status: tracked.status,
+          status_text: tracked.statusText,
+          last_event: tracked.lastEvent,
+          estimated_delivery: tracked.estimatedDelivery,
+          pickup_point: tracked.pickupPoint || shipment.pickup_point
+        };
+      }));
+      return { ...order, shipments };
+    }));
+
+    return { ...normalizedOrderDetails, orders };
+  }
+}
+
+/**
+ * Factory function to create service instance
+ */
+export function createCarrierTrackingService(pool) {
+  return new CarrierTrackingService(pool);
+}
@@ -1,4 +1,5 @@
 import cacheService from '../utils/cacheService.js';
+import { createFlowEndpointService } from './flowEndpointService.js';
 
 /**
  * Configuration Service
@@ -8,6 +9,7 @@ import cacheService from '../utils/cacheService.js';
 export class ConfigurationService {
   constructor(pool) {
     this.pool = pool;
+    this.flowEndpoints = createFlowEndpointService(pool);
     this.cacheTTL = 600; // 10 minutes cache TTL (in seconds)
   }
 
@@ -32,18 +34,24 @@ export class ConfigurationService {
         basicSettings,
         languageSettings,
         topKSettings,
+        historySettings,
         flowApiKeys,
+        flowEndpoints,
         shopifySettings,
         magentoSettings,
+        woocommerceSettings,
         templateAssignments,
         promptOverrides
       ] = await Promise.all([
         this.getBasicSettings(chatbotId),
         this.getLanguageSettings(chatbotId),
         this.getTopKSettings(chatbotId),
+        this.getHistorySettings(chatbotId),
         this.getFlowApiKeys(chatbotId),
+        this.flowEndpoints.getFlowEndpoints(chatbotId),
         this.getShopifySettings(chatbotId),
         this.getMagentoSettings(chatbotId),
+        this.getWooCommerceSettings(chatbotId),
         this.getTemplateAssignments(chatbotId),
         this.getPromptOverrides(chatbotId)
       ]);
@@ -54,9 +62,12 @@ export class ConfigurationService {
         ...basicSettings, // This now includes Pinecone settings
         ...languageSettings,
         topKSettings,
+        historySettings,
         flowApiKeys,
+        flowEndpoints,
         ...shopifySettings,
         ...magentoSettings,
+        ...woocommerceSettings,
         templateAssignments,
         promptOverrides,
         
@@ -198,6 +209,32 @@ export class ConfigurationService {
     }
   }
 
+  /**
+   * Get conversation history budgets for all flows (flow key * is the chatbot default)
+   */
+  async getHistorySettings(chatbotId) {
+    try {
+      const result = await this.pool.query(`
+        SELECT flow_key, token_budget, recent_turns
+        FROM flow_history_settings
+        WHERE chatbot_id = $1
+      `, [chatbotId]);
+
+      const historySettings = {};
+      result.rows.forEach(row => {
+        historySettings[row.flow_key] = {
+          tokenBudget: row.token_budget,
+          recentTurns: row.recent_turns
+        };
+      });
+
+      return historySettings;
+    } catch (error) {
+      console.error('Error getting history settings:', error.message);
+      return {};
+    }
+  }
+
   /**
    * Get flow-specific API keys
    */
@@ -283,6 +320,31 @@ export class ConfigurationService {
     }
   }
 
+  /**
+   * Get WooCommerce settings
+   * Only the flags - lookups run server side, so the proxy settings above are left alone
+   */
+  async getWooCommerceSettings(chatbotId) {
+    try {
+      const result = await this.pool.query(`
+        SELECT woocommerce_enabled, woocommerce_store_url
+        FROM woocommerce_credentials
+        WHERE chatbot_id = $1
+      `, [chatbotId]);
+
+      return {
+        woocommerceEnabled: result.rows[0]?.woocommerce_enabled || false,
+        woocommerceStoreUrl: result.rows[0]?.woocommerce_store_url || ''
+      };
+    } catch (error) {
+      console.error('Error getting WooCommerce settings:', error);
+      return {
+        woocommerceEnabled: false,
+        woocommerceStoreUrl: ''
+      };
+    }
+  }
+
 
   /**
    * Get template assignments
@@ -438,7 +500,9 @@ export class ConfigurationService {
       // Ensure database config takes precedence for critical settings
       chatbot_id: databaseConfig.chatbot_id,
       topKSettings: databaseConfig.topKSettings,
+      historySettings: databaseConfig.historySettings,
       flowApiKeys: databaseConfig.flowApiKeys,
+      flowEndpoints: databaseConfig.flowEndpoints,
       
       // Allow runtime overrides for dynamic settings
       websiteOverride: runtimeConfig.websiteOverride || databaseConfig.websiteOverride,
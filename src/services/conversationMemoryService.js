@@ -0,0 +1,172 @@
+import { createLlmProviderService } from './llmProviderService.js';
+import {
+  DEFAULT_SUMMARY_PROMPT,
+  DEFAULT_HISTORY_FLOW_KEY,
+  toHistoryMessages,
+  estimateTokens,
+  estimateHistoryTokens,
+  getHistorySettingsForFlow,
+  getMaxHistoryBudget,
+  fitHistoryToBudget,
+  recentTurnsStartIndex,
+  createSummaryMessage,
+  formatMessagesForSummary
+} from '../utils/conversationMemoryUtils.js';
+
+/**
+ * Conversation Memory Service
+ * Builds the AI history for a stored conversation within the chatbot's token budget
+ *
+ * While the whole conversation fits the budget it is sent verbatim. Beyond that the latest
+ * recent_turns turns stay verbatim and everything before them is folded into a rolling summary
+ * (conversation_history_summaries), which is extended only with the messages that left the window.
+ * The summary is extended in the background, so the summarizer never delays an answer
+ */
+
+// Conversations whose summary is being extended by this process
+const summariesInProgress = new Set();
+
+export class ConversationMemoryService {
+  constructor(pool) {
+    this.pool = pool;
+    this.llmProviders = createLlmProviderService(pool);
+  }
+
+  /**
+   * Build the budgeted history for a stored conversation
+   * The result fits the largest flow budget; executeFlow trims it further for smaller flow budgets
+   */
+  async buildHistory(conversation, storedMessages, configuration) {
+    const history = toHistoryMessages(storedMessages);
+    const tokenBudget = getMaxHistoryBudget(configuration);
+
+    if (estimateHistoryTokens(history) <= tokenBudget) {
+      return history;
+    }
+
+    const { recentTurns } = getHistorySettingsForFlow(configuration, DEFAULT_HISTORY_FLOW_KEY);
+    const windowStart = recentTurnsStartIndex(history, recentTurns);
+    if (windowStart === 0) {
+      return fitHistoryToBudget(history, tokenBudget);
+    }
+
+    const storedSummary = await this.getSummary(conversation.id);
+    // A summary covering more messages than there are means the conversation was edited (e.g. GDPR cleanup)
+    const summary = storedSummary && storedSummary.summarized_messages <= history.length ? storedSummary : null;
+
+    // This answer uses the stored summary; messages not summarized yet stay verbatim (trimmed to the budget below)
+    const summarizedMessages = summary?.summarized_messages || 0;
+    if (summarizedMessages < windowStart) {
+      this.refreshSummary(
+        conversation,
+        summary?.summary || '',
+        history.slice(summarizedMessages, windowStart),
+        windowStart,
+        storedSummary?.summarized_messages ?? null,
+        configuration
+      );
+    }
+
+    const verbatimStart = summary ? Math.min(summary.summarized_messages, windowStart) : 0;
+    const result = summary
+      ? [createSummaryMessage(summary.summary), ...history.slice(verbatimStart)]
+      : history.slice(verbatimStart);
+
+    console.log(`📚 Backend: History compressed: ${history.length} messages -> ${summary ? 'summary + ' : ''}${history.length - verbatimStart} verbatim`);
+    return fitHistoryToBudget(result, tokenBudget);
+  }
+
+  /**
+   * Get the stored summary for a conversation
+   */
+  async getSummary(conversationId) {
+    try {
+      const result = await this.pool.query(
+        'SELECT summary, summarized_messages FROM conversation_history_summaries WHERE conversation_id = $1',
+        [conversationId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('📚 Backend: Error loading conversation summary:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Extend the summary in the background; failures are logged and the next turn tries again
+   */
+  refreshSummary(conversation, previousSummary, newMessages, summarizedMessages, expectedStoredMessages, configuration) {
+    if (summariesInProgress.has(conversation.id)) return;
+    summariesInProgress.add(conversation.id);
+
+    this.updateSummary(conversation, previousSummary, newMessages, summarizedMessages, expectedStoredMessages, configuration)
+      .catch(error => console.error('📚 Backend: Error updating conversation summary:', error.message))
+      .finally(() => summariesInProgress.delete(conversation.id));
+  }
+
+  /**
+   * Fold the messages that left the verbatim window into the summary and store it
+   * The summary is only stored if the stored one still covers expectedStoredMessages (null: none stored),
+   * so a concurrent update by another request or server is never overwritten with an older result
+   */
+  async updateSummary(conversation, previousSummary, newMessages, summarizedMessages, expectedStoredMessages, configuration) {
+    const prompt = await this.getSummaryPrompt(configuration.chatbot_id);
+    const question = `Current summary:\n${previousSummary || '(none)'}\n\nNext part of the conversation:\n${formatMessagesForSummary(newMessages)}`;
+
+    const { text } = await this.llmProviders.predict(
+      configuration.chatbot_id,
+      'summary',
+      {
+        question,
+        history: [],
+        overrideConfig: { vars: { masterPrompt: prompt } }
+      },
+      configuration.llmProviderOverride
+    );
+
+    const summary = (text || '').trim();
+    if (!summary) {
+      throw new Error('Summarizer returned an empty summary');
+    }
+
+    const result = await this.pool.query(`
+      INSERT INTO conversation_history_summaries
+      (conversation_id, chatbot_id, summary, summarized_messages, summary_tokens, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+      ON CONFLICT (conversation_id) DO UPDATE SET
+        summary = EXCLUDED.summary,
+        summarized_messages = EXCLUDED.summarized_messages,
+        summary_tokens = EXCLUDED.summary_tokens,
+        updated_at = NOW()
+      WHERE conversation_history_summaries.summarized_messages IS NOT DISTINCT FROM $6::integer
+    `, [conversation.id, configuration.chatbot_id, summary, summarizedMessages, estimateTokens(summary), expectedStoredMessages]);
+
+    if (result.rowCount === 0) {
+      console.log(`📚 Backend: Conversation ${conversation.id} summary was updated concurrently, keeping that one`);
+      return null;
+    }
+    console.log(`📚 Backend: Conversation ${conversation.id} summary now covers ${summarizedMessages} messages`);
+    return { summary, summarized_messages: summarizedMessages };
+  }
+
+  /**
+   * Chatbot's summary prompt (prompt template flow "summary") or the built-in default
+   */
+  async getSummaryPrompt(chatbotId) {
+    try {
+      const { buildPrompt } = await import('../../promptTemplateV2Routes.js');
+      const prompt = await buildPrompt(this.pool, chatbotId, 'summary');
+      if (prompt && prompt.trim() !== '') return prompt;
+    } catch (error) {
+      console.warn('📚 Backend: Could not load summary prompt, using default:', error.message);
+    }
+    return DEFAULT_SUMMARY_PROMPT;
+  }
+}
+
+/**
+ * Factory function to create service instance
+ */
+export function createConversationMemoryService(pool) {
+  return new ConversationMemoryService(pool);
+}
@@ -1,11 +1,24 @@
 import { createFlowRoutingService } from './flowRoutingService.js';
 import { createAiStreamingService } from './aiStreamingService.js';
-import { createOrderTrackingService } from './orderTrackingService.js';
+import { createOrderTrackingService, ORDER_SYSTEM_UNAVAILABLE } from './orderTrackingService.js';
+import { createCarrierTrackingService } from './carrierTrackingService.js';
 import { createConfigurationService } from './configurationService.js';
 import { createImageProcessingService } from './imageProcessingService.js';
 import { createConversationAnalyticsService } from './conversationAnalyticsService.js';
 import { createPerformanceTrackingService } from './performanceTrackingService.js';
+import { createLlmProviderService } from './llmProviderService.js';
+import { createConversationMemoryService } from './conversationMemoryService.js';
 import { getEmneAndScore } from '../utils/mainUtils.js';
+import { API_ENDPOINTS } from '../utils/flowRoutingUtils.js';
+import { describeShipment } from '../utils/carrierTrackingUtils.js';
+import { isReturnRequestMessage, describeReturnEligibility } from '../utils/returnRequestUtils.js';
+import { getReturnEligibility, createReturnOffers } from './returnRequestService.js';
+import {
+  fitHistoryToBudget,
+  getHistorySettingsForFlow,
+  getMaxHistoryBudget,
+  sanitizeHistoryText
+} from '../utils/conversationMemoryUtils.js';
 import { buildPrompt, buildRephrasePrompt } from '../../promptTemplateV2Routes.js';
 
 /**
@@ -18,10 +31,13 @@ export class ConversationProcessingService {
     this.flowRouting = createFlowRoutingService(pool);
     this.aiStreaming = createAiStreamingService(pool);
     this.orderTracking = createOrderTrackingService(pool);
+    this.carrierTracking = createCarrierTrackingService(pool);
     this.configuration = createConfigurationService(pool);
     this.imageProcessing = createImageProcessingService(pool);
     this.analytics = createConversationAnalyticsService(pool);
     this.performance = createPerformanceTrackingService(pool);
+    this.llmProviders = createLlmProviderService(pool);
+    this.memory = createConversationMemoryService(pool);
   }
 
   /**
@@ -54,6 +70,16 @@ export class ConversationProcessingService {
       const perfTracker = this.performance.startTracking(session_id || user_id, 'conversation');
       perfTracker.startPhase('total_processing');
 
+      // Step 0: Stop any answer still streaming for the previous message in this conversation
+      try {
+        const cancelledStreams = await this.aiStreaming.cancelActiveStreams(user_id, chatbot_id, session_id);
+        if (cancelledStreams > 0) {
+          console.log(`🛑 Backend: Cancelled ${cancelledStreams} superseded stream(s) for ${user_id}`);
+        }
+      } catch (error) {
+        console.error('Error cancelling previous streams:', error.message);
+      }
+
       // Step 1: Process image if provided
       let imageDescription = '';
       if (image_data && (configuration.image_enabled || configuration.imageEnabled || configuration.imageAPI)) {
@@ -78,7 +104,7 @@ export class ConversationProcessingService {
 
       // Step 2.5: Build complete conversation history from database
       perfTracker.startPhase('history_reconstruction');
-      const completeHistory = await this.buildCompleteConversationHistory(user_id, chatbot_id, conversation_history);
+      const completeHistory = await this.buildCompleteConversationHistory(user_id, chatbot_id, conversation_history, configuration);
       perfTracker.endPhase('history_reconstruction', { 
         frontend_history_length: conversation_history?.length || 0,
         complete_history_length: completeHistory.length 
@@ -121,16 +147,34 @@ export class ConversationProcessingService {
       );
       perfTracker.endPhase('flow_execution', { 
         has_order_details: !!processingResult.orderDetails,
+        order_system_unavailable: !!processingResult.orderSystemUnavailable,
+        flow_key: processingResult.flowKey,
         api_url: processingResult.apiUrl
       });
 
+      // Step 4.5: Store return offers for the returnable orders; the widget renders them as the return form
+      let returnOffer = null;
+      if (processingResult.returnEligibility) {
+        try {
+          returnOffer = await createReturnOffers({
+            normalizedOrderDetails: processingResult.orderDetails.normalizedOrderDetails,
+            eligibility: processingResult.returnEligibility,
+            chatbotId: chatbot_id,
+            userId: user_id,
+            sessionId: session.session_id
+          }, this.pool);
+        } catch (error) {
+          console.error('↩️ RETURNS: Error storing return offers:', error.message);
+        }
+      }
+
       // Step 5: Start streaming response
       perfTracker.startPhase('streaming_start');
       const streamingSession = await this.aiStreaming.startStreaming(
-        processingResult.apiUrl,
+        processingResult.flowKey,
         processingResult.requestBody,
         session.session_id, // Pass the session_id string, not the database ID
-        configuration
+        returnOffer ? { ...configuration, returnOffer } : configuration
       );
       perfTracker.endPhase('streaming_start');
       perfTracker.endPhase('total_processing');
@@ -144,6 +188,8 @@ export class ConversationProcessingService {
         streaming_session_id: streamingSession.id,
         flow_type: flowResult.questionType,
         order_details: processingResult.orderDetails || null,
+        order_system_unavailable: !!processingResult.orderSystemUnavailable,
+        return_offer: returnOffer,
         performance_summary: perfTracker.getSummary()
       };
 
@@ -154,11 +200,40 @@ export class ConversationProcessingService {
     }
   }
 
+  /**
+   * Replay a single message through routing and flow execution without sessions, streaming or saving
+   * Used by the conversation replay harness; configuration may carry candidatePrompts and llmProviderOverride.
+   * Order lookups are skipped (configuration.isReplay), so a replay has no side effects on the shops
+   */
+  async replayMessage(messageText, conversationHistory, configuration) {
+    const replayConfiguration = { ...configuration, isReplay: true };
+    const flowResult = await this.flowRouting.determineFlow(messageText, conversationHistory, replayConfiguration);
+    const processingResult = await this.executeFlow(flowResult, messageText, conversationHistory, '', replayConfiguration, null);
+
+    const { text } = await this.llmProviders.predict(
+      configuration.chatbot_id,
+      processingResult.flowKey,
+      processingResult.requestBody,
+      configuration.llmProviderOverride
+    );
+
+    return {
+      question_type: flowResult.questionType,
+      routing_method: flowResult.method,
+      flow_key: processingResult.flowKey,
+      metadata_filter: flowResult.selectedMetaData || {},
+      order_lookup_skipped: processingResult.orderLookupSkipped,
+      answer: text || '',
+      answer_length: (text || '').length
+    };
+  }
+
   /**
    * Build complete conversation history from database
    * This ensures AI has access to all previous messages, not just what frontend sends
+   * The history is kept within the chatbot's token budget (see ConversationMemoryService)
    */
-  async buildCompleteConversationHistory(userId, chatbotId, frontendHistory = []) {
+  async buildCompleteConversationHistory(userId, chatbotId, frontendHistory = [], configuration = {}) {
     try {
       console.log('📚 Backend: Building complete conversation history from database');
       
@@ -167,7 +242,7 @@ export class ConversationProcessingService {
       
       if (!existingConversation || !existingConversation.conversation_data) {
         console.log('📚 Backend: No existing conversation found, using frontend history');
-        return frontendHistory || [];
+        return this.budgetFrontendHistory(frontendHistory, configuration);
       }
 
       // Parse conversation data from database
@@ -178,21 +253,16 @@ export class ConversationProcessingService {
           : existingConversation.conversation_data;
       } catch (e) {
         console.error('📚 Backend: Error parsing conversation data, using frontend history:', e);
-        return frontendHistory || [];
+        return this.budgetFrontendHistory(frontendHistory, configuration);
       }
 
       if (!Array.isArray(dbMessages)) {
         console.log('📚 Backend: Invalid conversation data format, using frontend history');
-        return frontendHistory || [];
+        return this.budgetFrontendHistory(frontendHistory, configuration);
       }
 
-      // Convert database format to flowise history format
-      const historyForFlowise = dbMessages
-        .filter(msg => msg.text && msg.text.trim() !== '') // Only include messages with content
-        .map(msg => ({
-          content: msg.text,
-          role: msg.isUser ? "userMessage" : "apiMessage"
-        }));
+      // Convert database format to flowise history format, summarizing older turns when over budget
+      const historyForFlowise = await this.memory.buildHistory(existingConversation, dbMessages, configuration);
 
       console.log(`📚 Backend: Built complete history: ${historyForFlowise.length} messages (${dbMessages.length} total in DB)`);
       return historyForFlowise;
@@ -200,10 +270,20 @@ export class ConversationProcessingService {
     } catch (error) {
       console.error('📚 Backend: Error building conversation history:', error);
       console.log('📚 Backend: Falling back to frontend history');
-      return frontendHistory || [];
+      return this.budgetFrontendHistory(frontendHistory, configuration);
     }
   }
 
+  /**
+   * Clean and trim history sent by the widget when there is no stored conversation to use
+   */
+  budgetFrontendHistory(frontendHistory, configuration) {
+    const history = (frontendHistory || [])
+      .map(msg => (typeof msg?.content === 'string' ? { ...msg, content: sanitizeHistoryText(msg.content) } : msg))
+      .filter(msg => msg && msg.content !== '');
+    return fitHistoryToBudget(history, getMaxHistoryBudget(configuration));
+  }
+
   /**
    * Create or update conversation session
    */
@@ -312,19 +392,42 @@ export class ConversationProcessingService {
 
     // Handle order tracking if this is an API flow
     let orderDetails = null;
-    if (questionType === configuration.apiFlowKey) {
-      orderDetails = await this.handleOrderTracking(messageText, conversationHistory, configuration);
+    let returnEligibility = null;
+    let orderSystemUnavailable = false;
+    let orderLookupSkipped = false;
+    if (questionType === configuration.apiFlowKey && configuration.isReplay) {
+      // Replays never reach the shop: no live lookup, audit rows, failed-lookup throttle or circuit breaker counts.
+      // Baseline and candidate get the same note, so the comparison stays fair
+      orderLookupSkipped = true;
+      finalQuestion += ` ORDER_LOOKUP_SKIPPED: The order could not be looked up for this answer. Answer as you would when no order details are available.`;
+    } else if (questionType === configuration.apiFlowKey) {
+      try {
+        orderDetails = await this.handleOrderTracking(messageText, conversationHistory, configuration);
+      } catch (error) {
+        // The order system is down: tell the AI, so it does not answer as if the order does not exist
+        orderSystemUnavailable = true;
+        finalQuestion += ` ORDER_SYSTEM_UNAVAILABLE: The order system could not be reached right now, so the order could not be looked up. Tell the user that order information is temporarily unavailable and ask them to try again in a few minutes. Do not say that the order was not found.`;
+      }
       
       if (orderDetails) {
         const orderSummary = this.buildOrderSummary(orderDetails);
-        finalQuestion += ` Orderdetails (the user has not seen these details): ${orderSummary} COMPLETE_DATA: ${JSON.stringify(orderDetails)}`;
+        // Only the normalized order goes into the prompt, never the provider's raw response
+        finalQuestion += ` Orderdetails (the user has not seen these details): ${orderSummary} COMPLETE_DATA: ${JSON.stringify(orderDetails.normalizedOrderDetails)}`;
+
+        // Return questions get the eligibility, so the answer agrees with the return form shown for returnable orders
+        if (isReturnRequestMessage(messageText)) {
+          returnEligibility = await getReturnEligibility(orderDetails.normalizedOrderDetails, configuration.chatbot_id, this.pool);
+          if (returnEligibility) {
+            finalQuestion += ` RETURN_ELIGIBILITY (a return form is shown below your answer for the orders that can be returned): ${returnEligibility.map(describeReturnEligibility).join(' | ')}`;
+          }
+        }
       }
     }
 
     // Build request body for AI API
     const requestBody = {
       question: finalQuestion,
-      history: conversationHistory,
+      history: fitHistoryToBudget(conversationHistory, getHistorySettingsForFlow(configuration, actualQuestionType).tokenBudget),
     };
 
     // Apply metadata filters if available (this is the key part!)
@@ -345,17 +448,22 @@ export class ConversationProcessingService {
       throw new Error(`Configuration error: ${promptError.message}`);
     }
 
-    // Determine API URL based on actual flow type (not metadata flow)
-    const apiUrl = this.getApiUrlForFlow(actualQuestionType, configuration);
+    // Determine flow key and API URL based on actual flow type (not metadata flow)
+    const flowKey = this.getFlowKeyFromQuestionType(actualQuestionType, configuration);
+    const apiUrl = this.getApiUrlForFlow(flowKey, configuration);
 
     // Log complete override configuration being sent to AI API
-    console.log(`🔍 Backend: Final streaming will use questionType: ${actualQuestionType}, API: ${apiUrl}`);
+    console.log(`🔍 Backend: Final streaming will use questionType: ${actualQuestionType}, flow key: ${flowKey}, API: ${apiUrl}`);
     console.log(`📋 Backend: COMPLETE OVERRIDE CONFIG:`, JSON.stringify(requestBody.overrideConfig || {}, null, 2));
 
     return {
+      flowKey,
       apiUrl,
       requestBody,
       orderDetails,
+      returnEligibility,
+      orderSystemUnavailable,
+      orderLookupSkipped,
       questionType: actualQuestionType // Return the actual streaming question type
     };
   }
@@ -385,13 +493,15 @@ export class ConversationProcessingService {
       if (orderDetails) {
         console.log("🚨 FLOW ROUTING: ✅ orderDetails found, processing...");
         
-        // Extract relevant order details for AI context
+        // Relevant order details are still returned to the widget; the AI gets the normalized order
         const relevantOrderDetails = this.orderTracking.extractRelevantOrderDetails(orderDetails);
+        const normalizedOrderDetails = this.orderTracking.normalizeOrderDetails(orderDetails);
         
-        if (relevantOrderDetails) {
+        if (normalizedOrderDetails) {
           return {
             ...orderDetails,
-            relevantOrderDetails
+            relevantOrderDetails,
+            normalizedOrderDetails: await this.carrierTracking.enrichNormalizedOrders(normalizedOrderDetails)
           };
         }
       }
@@ -400,6 +510,7 @@ export class ConversationProcessingService {
       return null;
       
     } catch (error) {
+      if (error.code === ORDER_SYSTEM_UNAVAILABLE) throw error;
       console.error("🚨 FLOW ROUTING: Error in order tracking:", error);
       return null;
     }
@@ -409,23 +520,28 @@ export class ConversationProcessingService {
    * Build order summary for AI context
    */
   buildOrderSummary(orderDetails) {
-    if (!orderDetails || !orderDetails.relevantOrderDetails) {
+    if (!orderDetails || !orderDetails.normalizedOrderDetails) {
       return '';
     }
 
-    const details = orderDetails.relevantOrderDetails;
-    let summary = '';
+    return orderDetails.normalizedOrderDetails.orders.map(order => {
+      let summary = `Order ${order.order_number}`;
 
-    if (details.orderNumber) summary += `Order ${details.orderNumber}`;
-    if (details.orderDate) summary += ` placed on ${details.orderDate}`;
-    if (details.customer?.firstName || details.customer?.lastName) {
-      const name = [details.customer.firstName, details.customer.lastName].filter(Boolean).join(' ');
-      summary += ` for ${name}`;
-    }
-    if (details.status) summary += ` (Status: ${details.status})`;
-    if (details.shipping?.trackingInfo) summary += ` TRACKING: ${details.shipping.trackingInfo}`;
+      if (order.created_at) summary += ` placed on ${order.created_at}`;
+      if (order.customer?.name) summary += ` for ${order.customer.name}`;
+      summary += ` (Status: ${order.status || order.fulfillment.status}, payment: ${order.payment.status})`;
+      if (order.totals?.total !== null && order.totals?.total !== undefined) {
+        summary += ` total ${order.totals.total}${order.currency ? ` ${order.currency}` : ''}`;
+      }
+      order.shipments.forEach(shipment => {
+        summary += ` SHIPMENT: ${describeShipment(shipment)}`;
+      });
+      if (order.returns.length > 0) {
+        summary += ` RETURNS: ${order.returns.map(ret => ret.status).join(', ')}`;
+      }
 
-    return summary;
+      return summary;
+    }).join(' | ');
   }
 
   /**
@@ -445,7 +561,7 @@ export class ConversationProcessingService {
       console.log(`🔧 Backend: getFlowKeyFromQuestionType(${questionType}) returned: ${flowKey}`);
       
       if (flowKey) {
-        let prompt = await buildPrompt(this.pool, chatbot_id, flowKey);
+        let prompt = await buildPrompt(this.pool, chatbot_id, flowKey, configuration.candidatePrompts?.[flowKey]);
         let usedFlowKey = flowKey;
         
         // If no prompt found for the determined flow, try fallback to main
@@ -453,7 +569,7 @@ export class ConversationProcessingService {
           console.log(`⚠️ No prompt found for ${flowKey} flow, trying fallback to main flow`);
           
           if (flowKey !== 'main') {
-            prompt = await buildPrompt(this.pool, chatbot_id, 'main');
+            prompt = await buildPrompt(this.pool, chatbot_id, 'main', configuration.candidatePrompts?.main);
             usedFlowKey = 'main';
             
             if (!prompt || prompt.trim() === '') {
@@ -474,7 +590,7 @@ export class ConversationProcessingService {
 
           // Try to fetch and apply rephrase prompt for this flow
           try {
-            const rephrasePrompt = await buildRephrasePrompt(this.pool, chatbot_id, usedFlowKey);
+            const rephrasePrompt = await buildRephrasePrompt(this.pool, chatbot_id, usedFlowKey, configuration.candidatePrompts);
             if (rephrasePrompt && rephrasePrompt.trim() !== '') {
               requestBody.overrideConfig.vars.masterRephrasePrompt = rephrasePrompt;
               console.log(`✅ Applied rephrase prompt for ${usedFlowKey} flow (length: ${rephrasePrompt?.length || 0})`);
@@ -636,11 +752,11 @@ export class ConversationProcessingService {
   }
 
   /**
-   * Get API URL for flow type
+   * Get API URL for flow key
+   * Resolves from the chatbot's flow endpoint registry, falling back to the default endpoint
    */
-  getApiUrlForFlow(questionType, configuration) {
-    // All flows currently use the same standardized endpoint
-    return "https://den-utrolige-snebold.onrender.com/api/v1/prediction/c88bd6dd-a846-4862-b234-59c8b459b816";
+  getApiUrlForFlow(flowKey, configuration) {
+    return configuration.flowEndpoints?.[flowKey]?.endpoint_url || API_ENDPOINTS[flowKey] || API_ENDPOINTS.main;
   }
 
   /**
@@ -0,0 +1,160 @@
+import { extractReplayTurns, processConversationReplayJob } from '../utils/conversationReplayUtils.js';
+import { LLM_PROVIDER_TYPES } from '../utils/llmProviderUtils.js';
+
+const DEFAULT_SAMPLE_SIZE = 20;
+const MAX_SAMPLE_SIZE = 200;
+const DEFAULT_TURNS_PER_CONVERSATION = 3;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function validateProviderConfig(provider, field) {
+  if (provider === undefined || provider === null) return;
+  if (typeof provider !== 'object' || !Object.values(LLM_PROVIDER_TYPES).includes(provider.provider_type)) {
+    throw badRequest(`${field}.provider_type must be one of: ${Object.values(LLM_PROVIDER_TYPES).join(', ')}`);
+  }
+}
+
+function validateCandidatePrompts(candidatePrompts) {
+  if (!candidatePrompts || typeof candidatePrompts !== 'object' || Object.keys(candidatePrompts).length === 0) {
+    throw badRequest('candidate_prompts must map at least one flow key to a candidate');
+  }
+  for (const [flowKey, candidate] of Object.entries(candidatePrompts)) {
+    const valid = candidate && typeof candidate === 'object' && (
+      (typeof candidate.prompt === 'string' && candidate.prompt.trim() !== '') ||
+      candidate.template_id ||
+      Array.isArray(candidate.overrides)
+    );
+    if (!valid) {
+      throw badRequest(`candidate_prompts.${flowKey} needs a prompt, template_id or overrides`);
+    }
+  }
+}
+
+/**
+ * Strip secrets before a provider configuration is stored on the job
+ */
+function describeProvider(provider) {
+  if (!provider) return null;
+  const { api_key, ...rest } = provider;
+  return { ...rest, has_api_key: !!api_key };
+}
+
+/**
+ * Start a conversation replay job
+ * body: { chatbot_id, candidate_prompts, sample_size, conversation_ids, max_turns_per_conversation, provider, judge_provider }
+ */
+export async function startConversationReplayJobService(body, user, pool) {
+  const {
+    chatbot_id,
+    candidate_prompts,
+    conversation_ids,
+    provider,
+    judge_provider
+  } = body;
+  const sampleSize = Math.min(parseInt(body.sample_size, 10) || DEFAULT_SAMPLE_SIZE, MAX_SAMPLE_SIZE);
+  const maxTurns = Math.max(parseInt(body.max_turns_per_conversation, 10) || DEFAULT_TURNS_PER_CONVERSATION, 1);
+
+  if (!chatbot_id) throw badRequest('chatbot_id is required');
+  validateCandidatePrompts(candidate_prompts);
+  validateProviderConfig(provider, 'provider');
+  validateProviderConfig(judge_provider, 'judge_provider');
+
+  // Explicit conversation ids, otherwise a random sample of the chatbot's conversations
+  const conversations = Array.isArray(conversation_ids) && conversation_ids.length > 0
+    ? await pool.query(
+      'SELECT id, conversation_data FROM conversations WHERE chatbot_id = $1 AND id = ANY($2::bigint[]) LIMIT $3',
+      [chatbot_id, conversation_ids, MAX_SAMPLE_SIZE]
+    )
+    : await pool.query(
+      'SELECT id, conversation_data FROM conversations WHERE chatbot_id = $1 AND conversation_data IS NOT NULL ORDER BY random() LIMIT $2',
+      [chatbot_id, sampleSize]
+    );
+
+  const turns = conversations.rows.flatMap(conversation =>
+    extractReplayTurns(conversation.conversation_data, maxTurns)
+      .map(turn => ({ ...turn, conversationId: conversation.id }))
+  );
+
+  if (turns.length === 0) {
+    const err = new Error('No conversations with user messages found for the given chatbot_id');
+    err.status = 404;
+    throw err;
+  }
+
+  const jobResult = await pool.query(`
+    INSERT INTO conversation_replay_jobs
+    (chatbot_id, status, sample_size, total_turns, candidate_prompts, provider, judge_enabled, created_by)
+    VALUES ($1, 'pending', $2, $3, $4, $5, $6, $7)
+    RETURNING id
+  `, [
+    chatbot_id,
+    conversations.rows.length,
+    turns.length,
+    candidate_prompts,
+    describeProvider(provider),
+    !!judge_provider,
+    user?.userId ? String(user.userId) : null
+  ]);
+
+  const jobId = jobResult.rows[0].id;
+
+  // Start processing the job in the background
+  processConversationReplayJob(pool, jobId, {
+    chatbotId: chatbot_id,
+    turns,
+    candidatePrompts: candidate_prompts,
+    providerConfig: provider || null,
+    judgeProviderConfig: judge_provider || null
+  });
+
+  return {
+    job_id: jobId,
+    message: 'Conversation replay job started',
+    conversations: conversations.rows.length,
+    total_turns: turns.length,
+    status: 'pending'
+  };
+}
+
+/**
+ * Get conversation replay job status and summary
+ */
+export async function getConversationReplayJobService(jobId, pool) {
+  const result = await pool.query('SELECT * FROM conversation_replay_jobs WHERE id = $1', [jobId]);
+
+  if (result.rows.length === 0) {
+    const err = new Error('Job not found');
+    err.status = 404;
+    throw err;
+  }
+
+  const job = result.rows[0];
+  job.progress_percentage = job.total_turns > 0
+    ? Math.round((job.processed_turns / job.total_turns) * 100)
+    : 0;
+  return job;
+}
+
+/**
+ * Get side-by-side replay results for a job
+ */
+export async function getConversationReplayResultsService(jobId, query, pool) {
+  await getConversationReplayJobService(jobId, pool);
+
+  const limit = Math.min(parseInt(query.limit, 10) || 50, 500);
+  const offset = parseInt(query.offset, 10) || 0;
+  const changedOnly = query.changed_only === 'true';
+
+  const result = await pool.query(`
+    SELECT * FROM conversation_replay_results
+    WHERE job_id = $1 ${changedOnly ? 'AND changed = true' : ''}
+    ORDER BY id ASC
+    LIMIT $2 OFFSET $3
+  `, [jobId, limit, offset]);
+
+  return { job_id: Number(jobId), limit, offset, results: result.rows };
+}
@@ -0,0 +1,64 @@
+import cacheService from '../utils/cacheService.js';
+
+/**
+ * Flow Endpoint Service
+ * Loads the per-chatbot flow endpoint registry (chatbot_flow_endpoints)
+ * Flows without a registry entry use the default endpoints from flowRoutingUtils
+ */
+export class FlowEndpointService {
+  constructor(pool) {
+    this.pool = pool;
+    this.cacheTTL = 600; // 10 minutes cache TTL (in seconds)
+  }
+
+  /**
+   * Get registry entries for a chatbot keyed by flow key
+   */
+  async getFlowEndpoints(chatbotId) {
+    const cacheKey = `flow-endpoints:${chatbotId}`;
+    const cached = cacheService.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const flowEndpoints = {};
+    try {
+      const result = await this.pool.query(`
+        SELECT flow_key, endpoint_url, auth_header, timeout_ms, streaming
+        FROM chatbot_flow_endpoints
+        WHERE chatbot_id = $1
+      `, [chatbotId]);
+
+      result.rows.forEach(row => {
+        flowEndpoints[row.flow_key] = {
+          endpoint_url: row.endpoint_url,
+          auth_header: row.auth_header,
+          timeout_ms: row.timeout_ms,
+          streaming: row.streaming !== false
+        };
+      });
+      cacheService.set(cacheKey, flowEndpoints, this.cacheTTL);
+    } catch (error) {
+      // Table missing or database hiccup - every flow falls back to its default endpoint for this request only
+      console.error('Error getting flow endpoints:', error.message);
+    }
+
+    return flowEndpoints;
+  }
+
+  /**
+   * Get the registry entry for one flow, or null when the default endpoint applies
+   */
+  async getEndpointForFlow(chatbotId, flowKey) {
+    if (!chatbotId) return null;
+    const flowEndpoints = await this.getFlowEndpoints(chatbotId);
+    return flowEndpoints[flowKey] || null;
+  }
+}
+
+/**
+ * Factory function to create service instance
+ */
+export function createFlowEndpointService(pool) {
+  return new FlowEndpointService(pool);
+}
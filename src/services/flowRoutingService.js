@@ -1,4 +1,8 @@
 import { buildPrompt } from '../../promptTemplateV2Routes.js';
+import { createLlmProviderService } from './llmProviderService.js';
+import { API_ENDPOINTS } from '../utils/flowRoutingUtils.js';
+import { getActiveRoutingRules, findMatchingRoutingRule } from './routingRulesService.js';
+import { fitHistoryToBudget, getHistorySettingsForFlow } from '../utils/conversationMemoryUtils.js';
 
 /**
  * Flow Routing Service
@@ -7,6 +11,7 @@ import { buildPrompt } from '../../promptTemplateV2Routes.js';
 export class FlowRoutingService {
   constructor(pool) {
     this.pool = pool;
+    this.llmProviders = createLlmProviderService(pool);
   }
 
   /**
@@ -17,6 +22,12 @@ export class FlowRoutingService {
     console.log('🔍 Backend: Starting flow determination for message:', messageText.substring(0, 50));
 
     try {
+      // Deterministic routing rules skip the classifier call when one matches
+      const ruleResult = await this.executeRoutingRules(messageText, conversationHistory, configuration, imageDescription);
+      if (ruleResult) {
+        return ruleResult;
+      }
+
       // Check if any flow keys are configured at all
       const hasFlowKeys = this.hasAnyFlowKeys(configuration);
 
@@ -47,6 +58,40 @@ export class FlowRoutingService {
     }
   }
 
+  /**
+   * Evaluate the chatbot's routing rules in priority order
+   * Returns a flow result when a rule matches, otherwise null so the classifier runs
+   */
+  async executeRoutingRules(messageText, conversationHistory, configuration, imageDescription) {
+    const startTime = performance.now();
+
+    try {
+      const rules = await getActiveRoutingRules(configuration.chatbot_id, this.pool);
+      if (rules.length === 0) {
+        return null;
+      }
+
+      const { match } = findMatchingRoutingRule(rules, { messageText, conversationHistory, imageDescription }, configuration);
+      if (!match) {
+        console.log(`📏 ROUTING: No routing rule matched (${rules.length} evaluated), using classifier`);
+        return null;
+      }
+
+      console.log(`📏 ROUTING: Rule '${match.rule.name}' (#${match.rule.id}) matched - routing to ${match.rule.target_flow_key} (${match.questionType})`);
+      return {
+        questionType: match.questionType,
+        selectedMetaData: match.selectedMetaData,
+        executionTime: performance.now() - startTime,
+        method: 'rule',
+        matchedRule: { id: match.rule.id, name: match.rule.name }
+      };
+    } catch (error) {
+      // Rules are an optimisation - never block routing on them
+      console.error('Error evaluating routing rules:', error);
+      return null;
+    }
+  }
+
   /**
    * Check if any flow keys are configured (not just fordelingsflow)
    */
@@ -227,16 +272,15 @@ export class FlowRoutingService {
       if (checkTemplateResponse.rows.length > 0) {
         // Use new routing API with prompt override
         console.log("🔄 ROUTING: Found fordelingsflow template, using new routing API");
-        const routingAPI = "https://den-utrolige-snebold.onrender.com/api/v1/prediction/52c2cdfa-581f-4a0f-b70e-4f617ed0029e";
         
         // Fetch the fordelingsflow prompt
-        const fordelingsflowPrompt = await buildPrompt(this.pool, configuration.chatbot_id, 'fordelingsflow');
+        const fordelingsflowPrompt = await buildPrompt(this.pool, configuration.chatbot_id, 'fordelingsflow', configuration.candidatePrompts?.fordelingsflow);
         console.log("🔄 ROUTING: Loaded fordelingsflow prompt, length:", fordelingsflowPrompt?.length || 0);
         
         // Create body with prompt override
         const bodyWithOverride = {
           question: messageText,
-          history: conversationHistory,
+          history: this.getFlowHistory(conversationHistory, configuration, 'fordelingsflow'),
           overrideConfig: {
             vars: {
               fordelingsprompt: fordelingsflowPrompt
@@ -254,30 +298,19 @@ export class FlowRoutingService {
         // Log complete override config for fordelingsflow
         console.log(`📋 Backend: FORDELINGSFLOW OVERRIDE CONFIG:`, JSON.stringify(bodyWithOverride.overrideConfig || {}, null, 2));
         
-        const { makeAiApiRequest } = await import('../utils/connectionPoolUtils.js');
-        const response = await makeAiApiRequest(routingAPI, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(bodyWithOverride)
-        });
-        
-        if (!response.ok) {
-          throw new Error(`Fordelingsflow API failed: ${response.status}`);
-        }
-        
-        const result = await response.json();
+        const result = await this.llmProviders.predict(configuration.chatbot_id, 'fordelingsflow', bodyWithOverride, configuration.llmProviderOverride);
         console.log('🔍 Backend: Fordelingsflow result:', result.text);
         return result;
       } else {
         console.log("🔄 ROUTING: No fordelingsflow template assigned, falling back to main flow");
         // Fallback: return default endpoint for main flow
-        return { text: "https://den-utrolige-snebold.onrender.com/api/v1/prediction/c88bd6dd-a846-4862-b234-59c8b459b816" };
+        return { text: API_ENDPOINTS.main };
       }
     } catch (error) {
       console.error('Error executing fordelingsflow:', error);
       // Fallback on error
       console.log("🔄 ROUTING: Error in fordelingsflow, falling back to main flow");
-      return { text: "https://den-utrolige-snebold.onrender.com/api/v1/prediction/c88bd6dd-a846-4862-b234-59c8b459b816" };
+      return { text: API_ENDPOINTS.main };
     }
   }
 
@@ -341,11 +374,11 @@ export class FlowRoutingService {
       
       console.log(`🔍 Backend: Executing ${flowType} flow for metadata extraction (non-streaming)`);
       
-      const metadataPrompt = await buildPrompt(this.pool, configuration.chatbot_id, promptKey);
+      const metadataPrompt = await buildPrompt(this.pool, configuration.chatbot_id, promptKey, configuration.candidatePrompts?.[promptKey]);
       
       const requestBody = {
         question: questionText,
-        history: conversationHistory,
+        history: this.getFlowHistory(conversationHistory, configuration, promptKey),
         overrideConfig: {
           vars: {
             masterPrompt: metadataPrompt
@@ -368,21 +401,7 @@ export class FlowRoutingService {
       console.log(`📋 Backend: ${flowType.toUpperCase()} OVERRIDE CONFIG:`, JSON.stringify(requestBody.overrideConfig || {}, null, 2));
 
       // IMPORTANT: This is a NON-STREAMING call - just get the metadata, don't stream to user
-      const { makeAiApiRequest } = await import('../utils/connectionPoolUtils.js');
-      const response = await makeAiApiRequest("https://den-utrolige-snebold.onrender.com/api/v1/prediction/c1b6c8d2-dd76-443d-ae5f-42efaf8c3668", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: "Bearer YOUR_API_KEY",
-        },
-        body: JSON.stringify(requestBody) // Note: NO streaming: true
-      });
-
-      if (!response.ok) {
-        throw new Error(`Metadata flow ${flowType} API failed: ${response.status}`);
-      }
-
-      const result = await response.json();
+      const result = await this.llmProviders.predict(configuration.chatbot_id, flowType, requestBody, configuration.llmProviderOverride);
       let responseText = result.text || "";
 
       // Parse metadata response (same logic as frontend)
@@ -453,20 +472,17 @@ export class FlowRoutingService {
   async executeBasicRouting(messageText, conversationHistory, configuration) {
     const requestBody = {
       question: messageText,
-      history: conversationHistory,
+      history: this.getFlowHistory(conversationHistory, configuration, 'fordelingsflow'),
     };
 
-    const response = await fetch("https://den-utrolige-snebold.onrender.com/api/v1/prediction/c88bd6dd-a846-4862-b234-59c8b459b816", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(requestBody)
-    });
-
-    if (!response.ok) {
-      throw new Error(`Basic routing API failed: ${response.status}`);
-    }
+    return await this.llmProviders.predict(configuration.chatbot_id, 'main', requestBody, configuration.llmProviderOverride);
+  }
 
-    return await response.json();
+  /**
+   * Conversation history trimmed to the flow's token budget
+   */
+  getFlowHistory(conversationHistory, configuration, flowKey) {
+    return fitHistoryToBudget(conversationHistory, getHistorySettingsForFlow(configuration, flowKey).tokenBudget);
   }
 
   /**
@@ -527,7 +543,7 @@ export class FlowRoutingService {
     else if (questionType === metaData2Key) flowKey = 'metadata2';
 
     try {
-      const prompt = await buildPrompt(this.pool, chatbot_id, flowKey);
+      const prompt = await buildPrompt(this.pool, chatbot_id, flowKey, configuration.candidatePrompts?.[flowKey]);
       if (!prompt || prompt.trim() === '') {
         throw new Error(`No prompt configured for flow: ${flowKey}`);
       }
@@ -131,6 +131,18 @@ export async function executeGdprCleanupService(chatbotId, retentionDays, pool)
       RETURNING id
     `, [conversationIds]);
 
+    // Rolling history summaries repeat what the customer wrote, so they go as well
+    let deletedSummaries = 0;
+    const summaryTable = await client.query(`SELECT to_regclass('conversation_history_summaries') AS name`);
+    if (summaryTable.rows[0].name) {
+      const summariesResult = await client.query(`
+        DELETE FROM conversation_history_summaries
+        WHERE conversation_id = ANY($1)
+        RETURNING conversation_id
+      `, [conversationIds]);
+      deletedSummaries = summariesResult.rows.length;
+    }
+
     await client.query(`
       UPDATE gdpr_settings 
       SET last_cleanup_run = CURRENT_TIMESTAMP 
@@ -145,6 +157,7 @@ export async function executeGdprCleanupService(chatbotId, retentionDays, pool)
       anonymized_legacy_messages: conversationDataResult.rows.length,
       anonymized_atomic_messages: atomicMessagesResult.rows.length,
       anonymized_context_chunks: contextChunksResult.rows.length,
+      deleted_history_summaries: deletedSummaries,
       cutoff_date: cutoffDate
     };
   } catch (error) {
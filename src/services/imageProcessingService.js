@@ -1,4 +1,5 @@
 import { buildPrompt } from '../../promptTemplateV2Routes.js';
+import { createLlmProviderService } from './llmProviderService.js';
 
 /**
  * Image Processing Service
@@ -8,6 +9,7 @@ import { buildPrompt } from '../../promptTemplateV2Routes.js';
 export class ImageProcessingService {
   constructor(pool) {
     this.pool = pool;
+    this.llmProviders = createLlmProviderService(pool);
   }
 
   /**
@@ -71,7 +73,7 @@ export class ImageProcessingService {
     const { imageAPI, imageEnabled, image_enabled, imagePromptEnabled, chatbot_id } = configuration;
     console.log('📷 Backend: processImageWithAPI called with config:', { imageAPI, imageEnabled, image_enabled, imagePromptEnabled, chatbot_id });
     
-    let apiUrl = imageAPI;
+    const apiUrl = imageAPI;
     let requestBody = {
       question: messageText,
       uploads: [{
@@ -83,12 +85,11 @@ export class ImageProcessingService {
     };
 
     // Use template system if no specific imageAPI (migrated from frontend)
-    if (!imageAPI && imageEnabled && imagePromptEnabled) {
-      apiUrl = "https://den-utrolige-snebold.onrender.com/api/v1/prediction/eed6c6d2-16ee-40ae-be9f-3cc39f91dc2c";
-      
+    const useTemplate = !imageAPI && imageEnabled && imagePromptEnabled;
+    if (useTemplate) {
       try {
         // Get image prompt template
-        const imagePrompt = await buildPrompt(this.pool, chatbot_id, 'image');
+        const imagePrompt = await buildPrompt(this.pool, chatbot_id, 'image', configuration.candidatePrompts?.image);
         requestBody.overrideConfig = {
           vars: { masterPrompt: imagePrompt }
         };
@@ -98,20 +99,28 @@ export class ImageProcessingService {
       }
     }
 
-    console.log('📷 Backend: Making image API request to:', apiUrl);
+    let result;
+    if (useTemplate) {
+      // Template image flow runs through the chatbot's image provider
+      console.log('📷 Backend: Making image request through the image flow provider');
+      result = await this.llmProviders.predict(chatbot_id, 'image', requestBody, configuration.llmProviderOverride);
+    } else {
+      console.log('📷 Backend: Making image API request to:', apiUrl);
+
+      const response = await fetch(apiUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(requestBody),
+      });
 
-    const response = await fetch(apiUrl, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(requestBody),
-    });
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Image API request failed: ${response.status} - ${errorText}`);
+      }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Image API request failed: ${response.status} - ${errorText}`);
+      result = await response.json();
     }
 
-    const result = await response.json();
     const description = result.text || "No description available";
     
     console.log('📷 Backend: Image description generated, length:', description.length);
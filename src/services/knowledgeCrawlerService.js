@@ -0,0 +1,242 @@
+import {
+  CRAWL_TRIGGERS,
+  DEFAULT_MAX_PAGES,
+  DEFAULT_CRAWL_INTERVAL_HOURS,
+  validateCrawlSource,
+  startKnowledgeCrawlRun,
+  processKnowledgeCrawl
+} from '../utils/knowledgeCrawlerUtils.js';
+import { deletePineconeDataService } from './pineconeService.js';
+
+const SOURCE_FIELDS = [
+  'name', 'user_id', 'index_name', 'namespace', 'sitemap_url', 'urls', 'include_patterns', 'exclude_patterns',
+  'entry_group', 'chunking', 'max_pages', 'crawl_interval_hours', 'enabled'
+];
+
+function badRequest(errors) {
+  const err = new Error(errors.join('; '));
+  err.status = 400;
+  return err;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function getSource(sourceId, pool) {
+  const result = await pool.query('SELECT * FROM knowledge_crawl_sources WHERE id = $1', [sourceId]);
+  if (result.rows.length === 0) throw httpError(404, 'Crawl source not found');
+  return result.rows[0];
+}
+
+async function assertUserExists(userId, pool) {
+  const result = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
+  if (result.rows.length === 0) throw httpError(404, 'Target user not found');
+}
+
+export async function listKnowledgeCrawlSourcesService(chatbotId, pool) {
+  const result = await pool.query(`
+    SELECT s.*,
+           (SELECT COUNT(*)::int FROM knowledge_crawl_pages p WHERE p.source_id = s.id) AS page_count,
+           (SELECT row_to_json(r) FROM (
+              SELECT id, trigger, dry_run, status, pages_created, pages_updated, pages_deleted, pages_failed, started_at, completed_at
+              FROM knowledge_crawl_runs WHERE source_id = s.id ORDER BY started_at DESC, id DESC LIMIT 1
+            ) r) AS last_run
+    FROM knowledge_crawl_sources s
+    WHERE s.chatbot_id = $1
+    ORDER BY s.id ASC
+  `, [chatbotId]);
+  return result.rows;
+}
+
+/**
+ * Create a crawl source
+ * user_id is the user the entries are stored for (defaults to the caller). An enabled source is crawled by the
+ * next scheduler tick; create it with enabled false to try it with a dry run first.
+ */
+export async function createKnowledgeCrawlSourceService(body, user, pool) {
+  if (!body.chatbot_id) throw badRequest(['chatbot_id is required']);
+  const errors = validateCrawlSource(body);
+  if (errors.length > 0) throw badRequest(errors);
+
+  const ownerId = body.user_id ? parseInt(body.user_id) : user.userId;
+  await assertUserExists(ownerId, pool);
+  const enabled = body.enabled !== false;
+
+  const result = await pool.query(`
+    INSERT INTO knowledge_crawl_sources
+    (chatbot_id, name, user_id, index_name, namespace, sitemap_url, urls, include_patterns, exclude_patterns,
+     entry_group, chunking, max_pages, crawl_interval_hours, enabled, next_crawl_at, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, ${enabled ? 'CURRENT_TIMESTAMP' : 'NULL'}, $15)
+    RETURNING *
+  `, [
+    body.chatbot_id,
+    body.name || null,
+    ownerId,
+    body.index_name,
+    body.namespace,
+    body.sitemap_url || null,
+    JSON.stringify(body.urls || []),
+    JSON.stringify(body.include_patterns || []),
+    JSON.stringify(body.exclude_patterns || []),
+    body.entry_group || null,
+    body.chunking === undefined || body.chunking === null ? null : JSON.stringify(body.chunking),
+    body.max_pages ? Number(body.max_pages) : DEFAULT_MAX_PAGES,
+    body.crawl_interval_hours ? Number(body.crawl_interval_hours) : DEFAULT_CRAWL_INTERVAL_HOURS,
+    enabled,
+    user.userId
+  ]);
+  return result.rows[0];
+}
+
+/**
+ * Partial update of a crawl source; unspecified fields keep their stored value
+ * Changing the interval or enabling the source reschedules it from its last crawl.
+ */
+export async function updateKnowledgeCrawlSourceService(sourceId, body, pool) {
+  const existing = await getSource(sourceId, pool);
+  const changes = Object.fromEntries(SOURCE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+  const source = { ...existing, ...changes };
+  const errors = validateCrawlSource(source);
+  if (errors.length > 0) throw badRequest(errors);
+  if (changes.user_id !== undefined) {
+    source.user_id = parseInt(changes.user_id);
+    await assertUserExists(source.user_id, pool);
+  }
+
+  const reschedule = changes.crawl_interval_hours !== undefined || (changes.enabled !== undefined && changes.enabled !== existing.enabled);
+  const result = await pool.query(`
+    UPDATE knowledge_crawl_sources
+    SET name = $1, user_id = $2, index_name = $3, namespace = $4, sitemap_url = $5, urls = $6, include_patterns = $7,
+        exclude_patterns = $8, entry_group = $9, chunking = $10, max_pages = $11, crawl_interval_hours = $12, enabled = $13,
+        next_crawl_at = CASE
+          WHEN NOT $13 THEN NULL
+          WHEN $14 THEN GREATEST(COALESCE(last_crawled_at + make_interval(hours => $12), NOW()), NOW())
+          ELSE next_crawl_at
+        END,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $15
+    RETURNING *
+  `, [
+    source.name || null,
+    source.user_id,
+    source.index_name,
+    source.namespace,
+    source.sitemap_url || null,
+    JSON.stringify(source.urls || []),
+    JSON.stringify(source.include_patterns || []),
+    JSON.stringify(source.exclude_patterns || []),
+    source.entry_group || null,
+    source.chunking === undefined || source.chunking === null ? null : JSON.stringify(source.chunking),
+    Number(source.max_pages) || DEFAULT_MAX_PAGES,
+    Number(source.crawl_interval_hours) || DEFAULT_CRAWL_INTERVAL_HOURS,
+    source.enabled !== false,
+    reschedule,
+    sourceId
+  ]);
+  return result.rows[0];
+}
+
+/**
+ * Delete a crawl source with its pages and run log
+ * The knowledge entries it created are kept unless delete_entries is set.
+ */
+export async function deleteKnowledgeCrawlSourceService(sourceId, { delete_entries } = {}, pool) {
+  const source = await getSource(sourceId, pool);
+  const running = await pool.query("SELECT id FROM knowledge_crawl_runs WHERE source_id = $1 AND status = 'running'", [sourceId]);
+  if (running.rows.length > 0) throw httpError(409, 'A crawl of this source is running');
+
+  const deleteEntries = delete_entries === true || delete_entries === 'true';
+  let deletedEntries = 0;
+  const failedEntries = [];
+  if (deleteEntries) {
+    const pages = await pool.query('SELECT url, pinecone_data_id FROM knowledge_crawl_pages WHERE source_id = $1 AND pinecone_data_id IS NOT NULL', [sourceId]);
+    for (const page of pages.rows) {
+      try {
+        await deletePineconeDataService(page.pinecone_data_id, { userId: source.user_id, isAdmin: true }, pool);
+        deletedEntries++;
+      } catch (error) {
+        if (error.message.includes('Data not found')) continue;
+        failedEntries.push({ url: page.url, pinecone_data_id: page.pinecone_data_id, error: error.message });
+      }
+    }
+  }
+
+  await pool.query('DELETE FROM knowledge_crawl_sources WHERE id = $1', [sourceId]);
+  return {
+    message: 'Crawl source deleted successfully',
+    deleted: source,
+    deleted_entries: deletedEntries,
+    failed_entries: failedEntries
+  };
+}
+
+/**
+ * Start a crawl of a source in the background; 409 while another crawl of it runs
+ * With dry_run the changes are only logged on the run.
+ */
+export async function startKnowledgeCrawlService(sourceId, body, pool) {
+  const source = await getSource(sourceId, pool);
+  const dryRun = body?.dry_run === true || body?.dry_run === 'true';
+
+  const runId = await startKnowledgeCrawlRun(pool, source, { trigger: CRAWL_TRIGGERS.MANUAL, dryRun });
+  if (!runId) throw httpError(409, 'A crawl of this source is already running');
+
+  processKnowledgeCrawl(pool, source, { runId, dryRun });
+
+  return {
+    run_id: runId,
+    message: dryRun ? 'Knowledge crawl dry run started' : 'Knowledge crawl started',
+    dry_run: dryRun,
+    status: 'running'
+  };
+}
+
+export async function listKnowledgeCrawlRunsService(sourceId, query, pool) {
+  await getSource(sourceId, pool);
+  const limit = Math.min(parseInt(query.limit, 10) || 20, 100);
+  const result = await pool.query(
+    'SELECT * FROM knowledge_crawl_runs WHERE source_id = $1 ORDER BY started_at DESC, id DESC LIMIT $2',
+    [sourceId, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * A run with its logged changes (?action= created, updated, deleted or failed)
+ */
+export async function getKnowledgeCrawlRunService(runId, query, pool) {
+  const runResult = await pool.query('SELECT * FROM knowledge_crawl_runs WHERE id = $1', [runId]);
+  const run = runResult.rows[0];
+  if (!run) throw httpError(404, 'Crawl run not found');
+
+  const params = [runId];
+  let actionFilter = '';
+  if (query.action) {
+    params.push(query.action);
+    actionFilter = 'AND action = $2';
+  }
+  const changes = await pool.query(
+    `SELECT * FROM knowledge_crawl_changes WHERE run_id = $1 ${actionFilter} ORDER BY id ASC`,
+    params
+  );
+
+  run.changes = changes.rows;
+  return run;
+}
+
+/**
+ * Pages stored for a source, without their text
+ */
+export async function listKnowledgeCrawlPagesService(sourceId, pool) {
+  await getSource(sourceId, pool);
+  const result = await pool.query(`
+    SELECT id, url, title, content_hash, pinecone_data_id, last_error, first_seen_at, last_crawled_at, last_changed_at
+    FROM knowledge_crawl_pages
+    WHERE source_id = $1
+    ORDER BY url ASC
+  `, [sourceId]);
+  return result.rows;
+}
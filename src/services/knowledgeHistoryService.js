@@ -0,0 +1,287 @@
+import { createVectorId, extractUserNamespaces } from '../utils/pineconeUtils.js';
+import { resolveChunkingOptions, upsertKnowledgeVectors } from '../utils/knowledgeChunkingUtils.js';
+import { getVectorStore } from '../utils/vectorStoreUtils.js';
+import { KNOWLEDGE_HISTORY_ACTIONS, recordKnowledgeHistory } from '../utils/knowledgeHistoryUtils.js';
+import { diffLines } from '../utils/textDiffUtils.js';
+import { updatePineconeDataService } from './pineconeService.js';
+
+const DEFAULT_DELETED_LIMIT = 50;
+const MAX_DELETED_LIMIT = 200;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function parseId(value, name) {
+  const id = parseInt(value, 10);
+  if (!Number.isInteger(id) || id <= 0 || String(id) !== String(value).trim()) {
+    throw badRequest(`${name} must be a positive integer`);
+  }
+  return id;
+}
+
+function parseMetadata(metadata) {
+  if (!metadata) return {};
+  if (typeof metadata !== 'string') return metadata;
+  try {
+    return JSON.parse(metadata);
+  } catch {
+    return {};
+  }
+}
+
+function formatVersion(row) {
+  return {
+    version: row.version,
+    action: row.action,
+    title: row.title,
+    text: row.text,
+    group: parseMetadata(row.metadata).group ?? null,
+    pinecone_index_name: row.pinecone_index_name,
+    namespace: row.namespace,
+    expiration_time: row.expiration_time,
+    scheduled_time: row.scheduled_time,
+    is_scheduled: row.is_scheduled,
+    changed_by: row.changed_by,
+    changed_by_username: row.changed_by_username ?? null,
+    restored_from_version: row.restored_from_version,
+    changed_at: row.changed_at
+  };
+}
+
+async function getUserNamespaces(user, pool) {
+  const userResult = await pool.query('SELECT pinecone_indexes FROM users WHERE id = $1', [user.userId]);
+  if (userResult.rows.length === 0) throw httpError(404, 'User not found');
+  return extractUserNamespaces(userResult.rows[0].pinecone_indexes);
+}
+
+/**
+ * Load the live entry (null once deleted) and check the user may see its history:
+ * admins always, other users when the entry's namespace is one of theirs
+ */
+async function loadAccessibleEntry(id, user, pool) {
+  const current = await pool.query('SELECT * FROM pinecone_data WHERE id = $1', [id]);
+  let namespace = current.rows[0]?.namespace;
+  if (current.rows.length === 0) {
+    const latest = await pool.query(
+      'SELECT namespace FROM pinecone_data_history WHERE pinecone_data_id = $1 ORDER BY version DESC LIMIT 1',
+      [id]
+    );
+    if (latest.rows.length === 0) throw httpError(404, 'Knowledge entry not found');
+    namespace = latest.rows[0].namespace;
+  }
+
+  if (user.isAdmin !== true) {
+    const userNamespaces = await getUserNamespaces(user, pool);
+    if (!userNamespaces.includes(namespace)) throw httpError(404, 'Knowledge entry not found');
+  }
+  return current.rows[0] || null;
+}
+
+async function getVersion(id, version, pool) {
+  const result = await pool.query(
+    'SELECT * FROM pinecone_data_history WHERE pinecone_data_id = $1 AND version = $2',
+    [id, version]
+  );
+  if (result.rows.length === 0) throw httpError(404, `Version ${version} of entry ${id} not found`);
+  return result.rows[0];
+}
+
+/**
+ * List the versions of an entry, newest first
+ */
+export async function listKnowledgeHistoryService(idParam, user, pool) {
+  const id = parseId(idParam, 'id');
+  const current = await loadAccessibleEntry(id, user, pool);
+
+  const result = await pool.query(`
+    SELECT h.*, u.username AS changed_by_username
+    FROM pinecone_data_history h
+    LEFT JOIN users u ON u.id = h.changed_by
+    WHERE h.pinecone_data_id = $1
+    ORDER BY h.version DESC
+  `, [id]);
+
+  return {
+    pinecone_data_id: id,
+    deleted: current === null,
+    versions: result.rows.map(formatVersion)
+  };
+}
+
+/**
+ * Diff two versions of an entry
+ * query: { from, to } — to defaults to the latest version, from to the version before to
+ */
+export async function diffKnowledgeHistoryService(idParam, query, user, pool) {
+  const id = parseId(idParam, 'id');
+  await loadAccessibleEntry(id, user, pool);
+
+  let to;
+  if (query.to !== undefined) {
+    to = parseId(query.to, 'to');
+  } else {
+    const latest = await pool.query('SELECT MAX(version) AS version FROM pinecone_data_history WHERE pinecone_data_id = $1', [id]);
+    to = latest.rows[0].version;
+    if (!to) throw httpError(404, `Entry ${id} has no history yet`);
+  }
+  const from = query.from !== undefined ? parseId(query.from, 'from') : to - 1;
+  if (from < 1) throw badRequest(`Version ${to} is the first version; there is nothing to compare it with`);
+  if (from === to) throw badRequest('from and to must be different versions');
+
+  const toRow = await getVersion(id, to, pool);
+  const fromRow = await getVersion(id, from, pool);
+  const fromGroup = parseMetadata(fromRow.metadata).group ?? null;
+  const toGroup = parseMetadata(toRow.metadata).group ?? null;
+  const textDiff = diffLines(fromRow.text, toRow.text);
+
+  return {
+    pinecone_data_id: id,
+    from: { version: fromRow.version, action: fromRow.action, changed_by: fromRow.changed_by, changed_at: fromRow.changed_at },
+    to: { version: toRow.version, action: toRow.action, changed_by: toRow.changed_by, changed_at: toRow.changed_at },
+    title: fromRow.title === toRow.title ? null : { from: fromRow.title, to: toRow.title },
+    group: fromGroup === toGroup ? null : { from: fromGroup, to: toGroup },
+    text_changed: fromRow.text !== toRow.text,
+    lines_added: textDiff.linesAdded,
+    lines_removed: textDiff.linesRemoved,
+    diff: textDiff.diff
+  };
+}
+
+/**
+ * Bring a deleted entry back under its old id with the text of a version
+ */
+async function recreateDeletedEntry(id, snapshot, user, pool) {
+  const owner = await pool.query('SELECT id FROM users WHERE id = $1', [snapshot.user_id]);
+  if (owner.rows.length === 0) throw httpError(409, `The owner of entry ${id} no longer exists`);
+
+  const metadata = parseMetadata(snapshot.metadata);
+  const now = new Date();
+  // An expiry or schedule that has passed meanwhile is dropped: the entry would be removed or uploaded right away
+  const expirationTime = snapshot.expiration_time && new Date(snapshot.expiration_time) > now ? snapshot.expiration_time : null;
+  const isScheduled = snapshot.is_scheduled === true && snapshot.scheduled_time && new Date(snapshot.scheduled_time) > now;
+
+  let inserted;
+  try {
+    inserted = await pool.query(
+      `INSERT INTO pinecone_data
+        (id, user_id, title, text, pinecone_vector_id, pinecone_index_name, namespace, expiration_time, scheduled_time, is_scheduled, metadata, chunk_count)
+       VALUES ($1, $2, $3, $4, NULL, $5, $6, $7, $8, $9, $10, 0)
+       RETURNING *`,
+      [id, snapshot.user_id, snapshot.title, snapshot.text, snapshot.pinecone_index_name, snapshot.namespace,
+        expirationTime, isScheduled ? snapshot.scheduled_time : null, !!isScheduled, JSON.stringify(metadata)]
+    );
+  } catch (error) {
+    if (error.code === '23505') throw httpError(409, `Entry ${id} was restored by someone else just now`);
+    throw error;
+  }
+  let row = inserted.rows[0];
+
+  if (!isScheduled) {
+    try {
+      const index = await getVectorStore(pool, { userId: snapshot.user_id, indexName: snapshot.pinecone_index_name, namespace: snapshot.namespace });
+      const vectorId = createVectorId();
+      const chunkCount = await upsertKnowledgeVectors(index, {
+        namespace: snapshot.namespace,
+        vectorId,
+        ownerId: snapshot.user_id,
+        title: snapshot.title,
+        text: snapshot.text,
+        group: metadata.group,
+        chunking: resolveChunkingOptions(metadata.chunking)
+      });
+      const updated = await pool.query(
+        'UPDATE pinecone_data SET pinecone_vector_id = $1, chunk_count = $2 WHERE id = $3 RETURNING *',
+        [vectorId, chunkCount, id]
+      );
+      row = updated.rows[0];
+    } catch (error) {
+      // Without vectors the entry would look restored but never be found; leave it deleted
+      await pool.query('DELETE FROM pinecone_data WHERE id = $1', [id]);
+      throw error;
+    }
+  }
+
+  await pool.query(
+    `INSERT INTO pinecone_data_views (user_id, pinecone_data_id)
+     VALUES ($1, $2)
+     ON CONFLICT (user_id, pinecone_data_id) DO NOTHING`,
+    [user.userId, id]
+  );
+  await recordKnowledgeHistory(pool, row, {
+    action: KNOWLEDGE_HISTORY_ACTIONS.RESTORED,
+    changedBy: user.userId,
+    restoredFromVersion: snapshot.version
+  });
+  return row;
+}
+
+/**
+ * Restore an entry to a version: its title, text and group are written back and the vectors re-embedded.
+ * A deleted entry is created again under the same id.
+ */
+export async function restoreKnowledgeVersionService(idParam, versionParam, user, pool) {
+  const id = parseId(idParam, 'id');
+  const version = parseId(versionParam, 'version');
+  const current = await loadAccessibleEntry(id, user, pool);
+  const snapshot = await getVersion(id, version, pool);
+
+  if (!current) {
+    const row = await recreateDeletedEntry(id, snapshot, user, pool);
+    return { restored_from_version: version, recreated: true, entry: row };
+  }
+
+  const metadata = parseMetadata(snapshot.metadata);
+  const row = await updatePineconeDataService(id, {
+    title: snapshot.title,
+    text: snapshot.text,
+    group: metadata.group ?? null,
+    chunking: metadata.chunking
+  }, user, pool, { restoredFromVersion: version });
+  return { restored_from_version: version, recreated: false, entry: row };
+}
+
+/**
+ * List deleted entries (latest version is a delete), newest first
+ * query: { namespace, limit }
+ */
+export async function listDeletedKnowledgeService(query, user, pool) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_DELETED_LIMIT, 1), MAX_DELETED_LIMIT);
+  const params = [KNOWLEDGE_HISTORY_ACTIONS.DELETED];
+  const filters = [];
+
+  if (user.isAdmin !== true) {
+    params.push(await getUserNamespaces(user, pool));
+    filters.push(`latest.namespace = ANY($${params.length})`);
+  }
+  if (query.namespace) {
+    params.push(query.namespace);
+    filters.push(`latest.namespace = $${params.length}`);
+  }
+  params.push(limit);
+
+  const result = await pool.query(`
+    SELECT latest.*, u.username AS changed_by_username
+    FROM (
+      SELECT DISTINCT ON (pinecone_data_id) *
+      FROM pinecone_data_history
+      ORDER BY pinecone_data_id, version DESC
+    ) latest
+    LEFT JOIN users u ON u.id = latest.changed_by
+    WHERE latest.action = $1
+      AND NOT EXISTS (SELECT 1 FROM pinecone_data pd WHERE pd.id = latest.pinecone_data_id)
+      ${filters.map(filter => `AND ${filter}`).join('\n      ')}
+    ORDER BY latest.changed_at DESC
+    LIMIT $${params.length}
+  `, params);
+
+  return result.rows.map(row => ({ pinecone_data_id: row.pinecone_data_id, ...formatVersion(row) }));
+}
@@ -0,0 +1,204 @@
+import {
+  KNOWLEDGE_IMPORT_STATUSES,
+  MAX_IMPORT_ENTRIES,
+  detectImportFormat,
+  parseImportFile,
+  validateImportEntry,
+  processKnowledgeImportJob
+} from '../utils/knowledgeImportUtils.js';
+import { resolveChunkingOptions } from '../utils/knowledgeChunkingUtils.js';
+
+const PREVIEW_ENTRIES = 20;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Decode and parse the file of a request body
+ * body: { file_name, file_data (base64, a data: URL prefix is allowed), format, mapping, delimiter, heading_level }
+ */
+async function parseUploadedFile(body) {
+  const { file_name, file_data, mapping, delimiter, heading_level } = body;
+  if (!file_data || typeof file_data !== 'string') throw badRequest('file_data is required (base64 encoded file)');
+
+  const format = detectImportFormat(file_name, body.format);
+  if (!format) throw badRequest('Unknown file format; use a .csv, .json, .md or .pdf file or set format');
+  if (mapping !== undefined && mapping !== null && (typeof mapping !== 'object' || Array.isArray(mapping))) {
+    throw badRequest('mapping must be an object like { "title": "Question", "text": ["Answer", "Details"] }');
+  }
+
+  const buffer = Buffer.from(file_data.replace(/^data:[^,]*;base64,/, ''), 'base64');
+  if (buffer.length === 0) throw badRequest('file_data is empty');
+
+  const parsed = await parseImportFile({ fileName: file_name, format, buffer, mapping, delimiter, heading_level });
+  if (parsed.entries.length > MAX_IMPORT_ENTRIES) {
+    throw badRequest(`The file has ${parsed.entries.length} entries; at most ${MAX_IMPORT_ENTRIES} can be imported at once`);
+  }
+  return parsed;
+}
+
+/**
+ * Parse a file without storing anything, so the mapping can be checked before the import
+ */
+export async function previewKnowledgeImportService(body) {
+  const parsed = await parseUploadedFile(body);
+  return {
+    format: parsed.format,
+    columns: parsed.columns,
+    total_entries: parsed.entries.length,
+    entries: body.full === true ? parsed.entries : parsed.entries.slice(0, PREVIEW_ENTRIES),
+    errors: parsed.errors
+  };
+}
+
+/**
+ * Start an import job
+ * body: the file (as for the preview) or entries (e.g. edited preview entries), plus indexName, namespace and the
+ * defaults group, expirationTime, scheduleTime, isScheduled, chunking and userId (admins only) used by rows without their own
+ */
+export async function startKnowledgeImportService(body, user, pool) {
+  const { indexName, namespace, group, expirationTime, scheduleTime, isScheduled, chunking, userId } = body;
+  if (!indexName || !namespace) throw badRequest('indexName and namespace are required');
+  if (isScheduled && !scheduleTime) throw badRequest('scheduleTime is required when isScheduled is set');
+  for (const [field, value] of [['expirationTime', expirationTime], ['scheduleTime', scheduleTime]]) {
+    if (value && isNaN(new Date(value).getTime())) throw badRequest(`Invalid ${field} format`);
+  }
+  try {
+    resolveChunkingOptions(chunking);
+  } catch (error) {
+    throw badRequest(error.message);
+  }
+
+  let entries;
+  let errors = [];
+  let format;
+  if (Array.isArray(body.entries)) {
+    if (body.entries.length > MAX_IMPORT_ENTRIES) {
+      throw badRequest(`At most ${MAX_IMPORT_ENTRIES} entries can be imported at once`);
+    }
+    format = detectImportFormat(body.file_name, body.format) || 'entries';
+    entries = [];
+    body.entries.forEach((entry, index) => {
+      const row = entry?.row ?? index + 1;
+      const error = validateImportEntry(entry);
+      if (error) errors.push({ row, title: entry?.title || null, error });
+      else entries.push({ ...entry, row });
+    });
+  } else {
+    ({ entries, errors, format } = await parseUploadedFile(body));
+  }
+
+  if (entries.length === 0) {
+    throw badRequest(`No entries to import${errors.length > 0 ? `: ${errors.slice(0, 5).map(e => e.row ? `row ${e.row}: ${e.error}` : e.error).join('; ')}` : ''}`);
+  }
+
+  // Same rule as createPineconeDataService: only admins import for another user
+  const targetUserId = user.isAdmin === true && userId ? parseInt(userId) : user.userId;
+  if (targetUserId !== user.userId) {
+    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [targetUserId]);
+    if (userCheck.rows.length === 0) throw httpError(404, 'Target user not found');
+  }
+
+  // Rows that could not be parsed are reported on the job right away
+  const jobResult = await pool.query(`
+    INSERT INTO knowledge_import_jobs
+    (user_id, created_by, file_name, format, index_name, namespace, status, total_entries, skipped_entries, errors)
+    VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, $8, $9)
+    RETURNING id
+  `, [
+    targetUserId,
+    user.userId,
+    body.file_name || null,
+    format,
+    indexName,
+    namespace,
+    entries.length,
+    errors.length,
+    JSON.stringify(errors)
+  ]);
+
+  const jobId = jobResult.rows[0].id;
+
+  // Start processing the job in the background
+  processKnowledgeImportJob(pool, jobId, {
+    entries,
+    defaults: { indexName, namespace, group, expirationTime, scheduleTime, isScheduled, chunking, userId: targetUserId },
+    user
+  });
+
+  return {
+    job_id: jobId,
+    message: 'Knowledge import job started',
+    total_entries: entries.length,
+    skipped_entries: errors.length,
+    status: 'pending'
+  };
+}
+
+/**
+ * Get an import job with its progress; only the owner, the uploader and admins can see it
+ */
+export async function getKnowledgeImportJobService(jobId, user, pool) {
+  const result = await pool.query('SELECT * FROM knowledge_import_jobs WHERE id = $1', [jobId]);
+  const job = result.rows[0];
+  if (!job || (!user.isAdmin && job.user_id !== user.userId && job.created_by !== user.userId)) {
+    throw httpError(404, 'Job not found');
+  }
+
+  job.progress_percentage = job.total_entries > 0
+    ? Math.round((job.processed_entries / job.total_entries) * 100)
+    : 0;
+  return job;
+}
+
+/**
+ * List the newest import jobs of the user (admins: of all users, or of ?userId=)
+ */
+export async function listKnowledgeImportJobsService(query, user, pool) {
+  const limit = Math.min(parseInt(query.limit, 10) || 20, 100);
+  const params = [limit];
+  let where = '';
+  if (!user.isAdmin) {
+    params.push(user.userId);
+    where = 'WHERE user_id = $2 OR created_by = $2';
+  } else if (query.userId) {
+    params.push(parseInt(query.userId));
+    where = 'WHERE user_id = $2';
+  }
+
+  const result = await pool.query(`
+    SELECT id, user_id, created_by, file_name, format, index_name, namespace, status,
+           total_entries, processed_entries, created_entries, failed_entries, skipped_entries, error_message,
+           created_at, started_at, completed_at
+    FROM knowledge_import_jobs
+    ${where}
+    ORDER BY created_at DESC
+    LIMIT $1
+  `, params);
+  return result.rows;
+}
+
+/**
+ * Cancel a pending or running import job; entries already stored are kept
+ */
+export async function cancelKnowledgeImportJobService(jobId, user, pool) {
+  await getKnowledgeImportJobService(jobId, user, pool);
+
+  const result = await pool.query(`
+    UPDATE knowledge_import_jobs
+    SET status = $1, completed_at = CURRENT_TIMESTAMP, last_updated = CURRENT_TIMESTAMP
+    WHERE id = $2 AND status IN ($3, $4)
+    RETURNING *
+  `, [KNOWLEDGE_IMPORT_STATUSES.CANCELLED, jobId, KNOWLEDGE_IMPORT_STATUSES.PENDING, KNOWLEDGE_IMPORT_STATUSES.RUNNING]);
+  if (result.rows.length === 0) throw httpError(409, 'Only pending or running jobs can be cancelled');
+  return result.rows[0];
+}
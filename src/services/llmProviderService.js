@@ -0,0 +1,110 @@
+import cacheService from '../utils/cacheService.js';
+import { createLlmProvider, getDefaultProviderConfig, LLM_PROVIDER_TYPES } from '../utils/llmProviderUtils.js';
+import { createFlowEndpointService } from './flowEndpointService.js';
+
+/**
+ * LLM Provider Service
+ * Resolves which LLM backend a chatbot flow talks to and runs predictions through it
+ *
+ * Resolution order for a chatbot and flow:
+ *   1. chatbot_llm_providers row for (chatbot_id, flow_key)
+ *   2. chatbot_llm_providers row for (chatbot_id, '*')
+ *   3. LLM_PROVIDER environment default (Flowise unless set)
+ *
+ * Flowise providers additionally pick up the chatbot's chatbot_flow_endpoints entry for the flow
+ */
+export class LlmProviderService {
+  constructor(pool) {
+    this.pool = pool;
+    this.flowEndpoints = createFlowEndpointService(pool);
+    this.cacheTTL = 600; // 10 minutes cache TTL (in seconds)
+  }
+
+  /**
+   * Get provider configuration rows for a chatbot keyed by flow key
+   */
+  async getProviderConfigs(chatbotId) {
+    const cacheKey = `llm-providers:${chatbotId}`;
+    const cached = cacheService.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const configs = {};
+    try {
+      const result = await this.pool.query(`
+        SELECT flow_key, provider_type, model, base_url, api_key, options
+        FROM chatbot_llm_providers
+        WHERE chatbot_id = $1
+      `, [chatbotId]);
+
+      result.rows.forEach(row => {
+        configs[row.flow_key] = {
+          provider_type: row.provider_type,
+          model: row.model,
+          base_url: row.base_url,
+          api_key: row.api_key,
+          options: row.options || {}
+        };
+      });
+      cacheService.set(cacheKey, configs, this.cacheTTL);
+    } catch (error) {
+      // Table missing or database hiccup - fall back to the default provider for this request only
+      console.error('Error loading LLM provider configuration:', error.message);
+    }
+
+    return configs;
+  }
+
+  /**
+   * Get the provider adapter for a chatbot flow
+   * override (a provider configuration) bypasses the stored configuration, e.g. for replay runs
+   */
+  async getProvider(chatbotId, flowKey, override = null) {
+    if (override) {
+      return createLlmProvider(override);
+    }
+
+    if (!chatbotId) {
+      return createLlmProvider(getDefaultProviderConfig());
+    }
+
+    const configs = await this.getProviderConfigs(chatbotId);
+    const config = configs[flowKey] || configs['*'] || getDefaultProviderConfig();
+
+    if (config.provider_type === LLM_PROVIDER_TYPES.FLOWISE || !config.provider_type) {
+      const endpoint = await this.flowEndpoints.getEndpointForFlow(chatbotId, flowKey);
+      if (endpoint) {
+        return createLlmProvider({
+          ...config,
+          options: {
+            ...config.options,
+            endpoints: { ...config.options?.endpoints, [flowKey]: endpoint.endpoint_url },
+            authHeader: endpoint.auth_header || config.options?.authHeader,
+            timeoutMs: endpoint.timeout_ms || config.options?.timeoutMs,
+            streaming: endpoint.streaming
+          }
+        });
+      }
+    }
+
+    return createLlmProvider(config);
+  }
+
+  /**
+   * Run a non-streaming prediction for a chatbot flow
+   * Returns { text }
+   */
+  async predict(chatbotId, flowKey, requestBody, override = null) {
+    const provider = await this.getProvider(chatbotId, flowKey, override);
+    console.log(`🤖 LLM: ${provider.type} prediction for ${chatbotId || 'default'}:${flowKey} via ${provider.getEndpoint(flowKey)}`);
+    return provider.predict(flowKey, requestBody);
+  }
+}
+
+/**
+ * Factory function to create service instance
+ */
+export function createLlmProviderService(pool) {
+  return new LlmProviderService(pool);
+}
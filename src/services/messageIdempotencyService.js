@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+
+// How long a key is remembered (the widget only retries within seconds, streams are kept for 24 hours)
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+
+// A key still 'processing' after this long belongs to a request that died, so a retry may take it over
+const STALE_PROCESSING_SECONDS = 120;
+
+export const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+/**
+ * Keys are scoped to chatbot and user; request_hash rejects a reused key with a different message
+ * and response holds the original response body returned to retries
+ */
+export async function ensureMessageIdempotencyTable(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS message_idempotency_keys (
+      id SERIAL PRIMARY KEY,
+      idempotency_key VARCHAR(255) NOT NULL,
+      user_id VARCHAR(255) NOT NULL,
+      chatbot_id VARCHAR(255) NOT NULL,
+      request_hash VARCHAR(64) NOT NULL,
+      status VARCHAR(50) NOT NULL DEFAULT 'processing',
+      streaming_session_id VARCHAR(255),
+      response JSONB,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      completed_at TIMESTAMP WITH TIME ZONE,
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      UNIQUE (chatbot_id, user_id, idempotency_key)
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_message_idempotency_keys_expires_at ON message_idempotency_keys(expires_at)');
+}
+
+/**
+ * Read the idempotency key of a request (Idempotency-Key header, or idempotency_key in the body)
+ */
+export function getIdempotencyKey(req) {
+  const key = req.get('Idempotency-Key') || req.body?.idempotency_key;
+  if (key === undefined || key === null || key === '') return null;
+  return String(key).trim();
+}
+
+/**
+ * Fingerprint of the message a key was first used for
+ */
+export function hashMessageRequest({ message_text, image_data }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ message_text: message_text || '', image_data: image_data || null }))
+    .digest('hex');
+}
+
+/**
+ * Message Idempotency Service
+ * Makes POST /api/process-message safe to retry: the first request with a key claims it,
+ * retries with the same key get the first request's response (and streaming_session_id)
+ */
+export class MessageIdempotencyService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Claim a key for processing
+   * Returns { state: 'claimed' } when this request should process the message, otherwise
+   * 'completed' (with the stored response), 'processing' (first request still running) or 'mismatch'
+   */
+  async claim(idempotencyKey, userId, chatbotId, requestHash) {
+    const inserted = await this.pool.query(`
+      INSERT INTO message_idempotency_keys
+      (idempotency_key, user_id, chatbot_id, request_hash, status, expires_at)
+      VALUES ($1, $2, $3, $4, 'processing', NOW() + ($5 * INTERVAL '1 hour'))
+      ON CONFLICT (chatbot_id, user_id, idempotency_key) DO UPDATE SET
+        request_hash = EXCLUDED.request_hash,
+        status = 'processing',
+        streaming_session_id = NULL,
+        response = NULL,
+        created_at = NOW(),
+        completed_at = NULL,
+        expires_at = EXCLUDED.expires_at
+      WHERE message_idempotency_keys.expires_at < NOW()
+      RETURNING id
+    `, [idempotencyKey, userId, chatbotId, requestHash, IDEMPOTENCY_KEY_TTL_HOURS]);
+
+    if (inserted.rows.length > 0) {
+      return { state: 'claimed' };
+    }
+
+    const existing = await this.getKey(idempotencyKey, userId, chatbotId);
+    if (!existing) {
+      // Released by a failed first request in the meantime - claim it again
+      return this.claim(idempotencyKey, userId, chatbotId, requestHash);
+    }
+
+    if (existing.request_hash !== requestHash) {
+      return { state: 'mismatch' };
+    }
+
+    if (existing.status === 'completed') {
+      return { state: 'completed', response: existing.response };
+    }
+
+    const takenOver = await this.pool.query(`
+      UPDATE message_idempotency_keys
+      SET created_at = NOW()
+      WHERE id = $1 AND status = 'processing' AND created_at < NOW() - ($2 * INTERVAL '1 second')
+      RETURNING id
+    `, [existing.id, STALE_PROCESSING_SECONDS]);
+
+    return takenOver.rows.length > 0 ? { state: 'claimed' } : { state: 'processing' };
+  }
+
+  async getKey(idempotencyKey, userId, chatbotId) {
+    const result = await this.pool.query(`
+      SELECT id, request_hash, status, streaming_session_id, response
+      FROM message_idempotency_keys
+      WHERE chatbot_id = $1 AND user_id = $2 AND idempotency_key = $3
+    `, [chatbotId, userId, idempotencyKey]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Wait for the first request with this key to finish
+   * Returns the stored response, or null if it is still processing (or failed) after timeoutMs
+   */
+  async waitForCompletion(idempotencyKey, userId, chatbotId, timeoutMs = 10000, intervalMs = 250) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+      const key = await this.getKey(idempotencyKey, userId, chatbotId);
+      if (!key) return null;
+      if (key.status === 'completed') return key.response;
+    }
+    return null;
+  }
+
+  /**
+   * Store the response of the request that processed the message
+   */
+  async complete(idempotencyKey, userId, chatbotId, response) {
+    await this.pool.query(`
+      UPDATE message_idempotency_keys
+      SET status = 'completed', streaming_session_id = $4, response = $5, completed_at = NOW()
+      WHERE chatbot_id = $1 AND user_id = $2 AND idempotency_key = $3
+    `, [chatbotId, userId, idempotencyKey, response.streaming_session_id || null, response]);
+  }
+
+  /**
+   * Forget a key whose request failed, so a retry processes the message again
+   */
+  async release(idempotencyKey, userId, chatbotId) {
+    await this.pool.query(`
+      DELETE FROM message_idempotency_keys
+      WHERE chatbot_id = $1 AND user_id = $2 AND idempotency_key = $3 AND status = 'processing'
+    `, [chatbotId, userId, idempotencyKey]);
+  }
+
+  /**
+   * Remove expired keys (hourly cleanup cron)
+   */
+  async cleanupExpiredKeys() {
+    try {
+      const result = await this.pool.query('DELETE FROM message_idempotency_keys WHERE expires_at < NOW()');
+      console.log(`🧹 Cleanup: Removed ${result.rowCount} expired idempotency keys`);
+    } catch (error) {
+      console.error('Error cleaning up idempotency keys:', error);
+    }
+  }
+}
+
+/**
+ * Factory function to create service instance
+ */
+export function createMessageIdempotencyService(pool) {
+  return new MessageIdempotencyService(pool);
+}
@@ -0,0 +1,233 @@
+import cacheService from '../utils/cacheService.js';
+import { getRateLimitCounts, incrementRateLimitCounters } from '../utils/rateLimitUtils.js';
+import { ORDER_PROVIDER_TYPES, evaluateRequiredFields } from '../utils/orderTrackingProviderUtils.js';
+import { normalizeOrderDetails } from '../utils/orderSchemaUtils.js';
+import {
+  VERIFICATION_FIELDS,
+  ORDER_LOOKUP_OUTCOMES,
+  ORDER_LOOKUP_SOURCES,
+  validateOrderLookupSecuritySettings,
+  resolveOrderLookupSecurity,
+  pickVerificationValues,
+  verifyNormalizedOrders,
+  filterOrderResponse,
+  isFailedOrderLookup,
+  buildFailedLookupBuckets,
+  hashOrderLookupContact,
+  insertOrderLookupAudit
+} from '../utils/orderLookupSecurityUtils.js';
+
+// Kept short because other instances only see a settings change once their cache expires
+const SETTINGS_CACHE_TTL = 60;
+
+function badRequest(errors) {
+  const err = new Error(errors.join('; '));
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Security settings row of a chatbot (or null), cached per chatbot
+ */
+export async function getOrderLookupSecuritySettings(chatbotId, pool) {
+  const cacheKey = `order-lookup-security:${chatbotId}`;
+  const cached = cacheService.get(cacheKey);
+  if (cached) return cached.row;
+
+  let row = null;
+  try {
+    const result = await pool.query('SELECT * FROM order_lookup_security_settings WHERE chatbot_id = $1', [chatbotId]);
+    row = result.rows[0] || null;
+    cacheService.set(cacheKey, { row }, SETTINGS_CACHE_TTL);
+  } catch (error) {
+    // Table missing or database hiccup - the provider defaults apply to this lookup only
+    console.error('🔐 ORDER LOOKUP: Error loading security settings:', error.message);
+  }
+
+  return row;
+}
+
+/**
+ * Run an order lookup behind the security checks and audit it
+ *
+ * Throttled visitors and lookups without the verification details are refused before the provider is called.
+ * Orders that do not match the visitor's details are removed from the response, and lookups that end without
+ * an order count as failed attempts. Returns { outcome, orderDetails, verificationRule, retryAfterSeconds };
+ * orderDetails is only set when the outcome is found. Provider errors are audited and rethrown.
+ */
+export async function runSecuredOrderLookup({ source, providerType, identity, orderVariables, lookup }, pool) {
+  const provided = pickVerificationValues(orderVariables);
+  const providedFields = VERIFICATION_FIELDS.filter(field => provided[field] !== undefined && provided[field] !== null && String(provided[field]).trim() !== '');
+  const row = identity.chatbotId ? await getOrderLookupSecuritySettings(identity.chatbotId, pool) : null;
+  const security = resolveOrderLookupSecurity(row, providerType);
+  const verificationRule = security.verification_rule;
+
+  const audit = (outcome, { verifiedFields = [], ordersReturned = 0 } = {}) => {
+    insertOrderLookupAudit(pool, {
+      chatbotId: identity.chatbotId,
+      source,
+      provider: providerType,
+      outcome,
+      orderNumber: provided.order_number,
+      providedFields,
+      verifiedFields,
+      contactHash: hashOrderLookupContact(provided),
+      ordersReturned,
+      ip: identity.ip,
+      userId: identity.userId
+    }).catch(err => console.error('🔐 ORDER LOOKUP: Error writing audit entry:', err.message));
+  };
+
+  const buckets = security.max_failed_attempts > 0 ? buildFailedLookupBuckets(identity, provided, security.max_failed_attempts) : [];
+  if (buckets.length > 0) {
+    try {
+      const counted = await getRateLimitCounts(pool, buckets, security.failure_window_seconds);
+      const exceeded = counted.buckets.find(bucket => bucket.count >= bucket.limit);
+      if (exceeded) {
+        console.warn(`🔐 ORDER LOOKUP: Throttled ${exceeded.scope} after ${exceeded.count} failed lookups (chatbot ${identity.chatbotId || '-'}, ip ${identity.ip}, user ${identity.userId || '-'})`);
+        audit(ORDER_LOOKUP_OUTCOMES.THROTTLED);
+        return { outcome: ORDER_LOOKUP_OUTCOMES.THROTTLED, orderDetails: null, verificationRule, retryAfterSeconds: counted.retryAfterSeconds };
+      }
+    } catch (err) {
+      // Same as the rate limiter: a database hiccup does not stop order lookups
+      console.error('🔐 ORDER LOOKUP: Throttle check failed, allowing lookup:', err.message);
+    }
+  }
+
+  if (verificationRule && !evaluateRequiredFields(verificationRule, provided).met) {
+    console.log(`🔐 ORDER LOOKUP: Missing verification details (provided: ${providedFields.join(', ') || 'none'})`);
+    audit(ORDER_LOOKUP_OUTCOMES.MISSING_FIELDS);
+    return { outcome: ORDER_LOOKUP_OUTCOMES.MISSING_FIELDS, orderDetails: null, verificationRule };
+  }
+
+  let orderDetails;
+  try {
+    orderDetails = await lookup();
+  } catch (error) {
+    audit(ORDER_LOOKUP_OUTCOMES.ERROR);
+    throw error;
+  }
+
+  let outcome = ORDER_LOOKUP_OUTCOMES.NOT_FOUND;
+  let verified = { verifiedIndexes: [], verifiedFields: [] };
+  const normalized = orderDetails ? normalizeOrderDetails(orderDetails) : null;
+  if (normalized) {
+    verified = verifyNormalizedOrders(normalized, provided, verificationRule);
+    outcome = verified.verifiedIndexes.length > 0 ? ORDER_LOOKUP_OUTCOMES.FOUND : ORDER_LOOKUP_OUTCOMES.VERIFICATION_FAILED;
+    if (verified.verifiedIndexes.length < normalized.orders.length) {
+      console.log(`🔐 ORDER LOOKUP: ${normalized.orders.length - verified.verifiedIndexes.length} of ${normalized.orders.length} orders did not match the visitor's details`);
+    }
+  }
+
+  if (isFailedOrderLookup(outcome) && buckets.length > 0) {
+    incrementRateLimitCounters(pool, buckets, security.failure_window_seconds)
+      .catch(err => console.error('🔐 ORDER LOOKUP: Error counting failed lookup:', err.message));
+  }
+
+  audit(outcome, { verifiedFields: verified.verifiedFields, ordersReturned: verified.verifiedIndexes.length });
+  return {
+    outcome,
+    orderDetails: outcome === ORDER_LOOKUP_OUTCOMES.FOUND ? filterOrderResponse(orderDetails, verified.verifiedIndexes) : null,
+    verificationRule
+  };
+}
+
+/**
+ * Stored settings of a chatbot plus the settings in effect for every provider type
+ */
+export async function getOrderLookupSecurityService(chatbotId, pool) {
+  const result = await pool.query('SELECT * FROM order_lookup_security_settings WHERE chatbot_id = $1', [chatbotId]);
+  const row = result.rows[0] || null;
+  const effective = Object.fromEntries(
+    Object.values(ORDER_PROVIDER_TYPES).map(type => [type, resolveOrderLookupSecurity(row, type)])
+  );
+  return { settings: row, effective_settings: effective };
+}
+
+export async function upsertOrderLookupSecurityService(body, pool) {
+  const { chatbot_id, verification_rule = null, max_failed_attempts, failure_window_seconds, enabled = true } = body;
+  if (!chatbot_id) throw badRequest(['chatbot_id is required']);
+  const errors = validateOrderLookupSecuritySettings({ verification_rule, max_failed_attempts, failure_window_seconds });
+  if (errors.length > 0) throw badRequest(errors);
+
+  const toInteger = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+  const result = await pool.query(`
+    INSERT INTO order_lookup_security_settings
+    (chatbot_id, verification_rule, max_failed_attempts, failure_window_seconds, enabled)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (chatbot_id) DO UPDATE SET
+      verification_rule = EXCLUDED.verification_rule,
+      max_failed_attempts = EXCLUDED.max_failed_attempts,
+      failure_window_seconds = EXCLUDED.failure_window_seconds,
+      enabled = EXCLUDED.enabled,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [
+    chatbot_id,
+    verification_rule ? JSON.stringify(verification_rule) : null,
+    toInteger(max_failed_attempts),
+    toInteger(failure_window_seconds),
+    enabled !== false
+  ]);
+
+  cacheService.delete(`order-lookup-security:${chatbot_id}`);
+  return result.rows[0];
+}
+
+export async function deleteOrderLookupSecurityService(chatbotId, pool) {
+  const result = await pool.query(
+    'DELETE FROM order_lookup_security_settings WHERE chatbot_id = $1 RETURNING id',
+    [chatbotId]
+  );
+  if (result.rows.length === 0) {
+    const err = new Error('Order lookup security settings not found');
+    err.status = 404;
+    throw err;
+  }
+  cacheService.delete(`order-lookup-security:${chatbotId}`);
+  return { message: 'Order lookup security settings deleted' };
+}
+
+/**
+ * Audit trail, newest first
+ * Filters: chatbot_id, source, outcome, order_number, email or phone (matched by hash), from, to
+ */
+export async function listOrderLookupAuditService(query, pool) {
+  const limit = Math.min(parseInt(query.limit, 10) || 100, 1000);
+  const offset = parseInt(query.offset, 10) || 0;
+  const params = [limit, offset];
+  const conditions = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (query.source && !ORDER_LOOKUP_SOURCES.includes(query.source)) {
+    throw badRequest([`source must be one of: ${ORDER_LOOKUP_SOURCES.join(', ')}`]);
+  }
+  if (query.outcome && !Object.values(ORDER_LOOKUP_OUTCOMES).includes(query.outcome)) {
+    throw badRequest([`outcome must be one of: ${Object.values(ORDER_LOOKUP_OUTCOMES).join(', ')}`]);
+  }
+
+  if (query.chatbot_id) addCondition('chatbot_id = ?', query.chatbot_id);
+  if (query.source) addCondition('source = ?', query.source);
+  if (query.outcome) addCondition('outcome = ?', query.outcome);
+  if (query.order_number) addCondition('order_number = ?', String(query.order_number).replace(/^#/, ''));
+  if (query.email || query.phone) {
+    const contactHash = hashOrderLookupContact({ email: query.email, phone: query.phone });
+    if (!contactHash) throw badRequest(['phone must have at least 8 digits']);
+    addCondition('contact_hash = ?', contactHash);
+  }
+  if (query.from) addCondition('created_at >= ?', query.from);
+  if (query.to) addCondition('created_at <= ?', query.to);
+
+  const result = await pool.query(`
+    SELECT id, chatbot_id, source, provider, outcome, order_number, provided_fields, verified_fields,
+           orders_returned, ip_address, user_id, created_at
+    FROM order_lookup_audit
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY created_at DESC
+    LIMIT $1 OFFSET $2
+  `, params);
+  return result.rows;
+}
@@ -0,0 +1,159 @@
+import cacheService from '../utils/cacheService.js';
+import { ORDER_PROVIDER_TYPES, ORDER_FIELDS, createOrderTrackingProvider } from '../utils/orderTrackingProviderUtils.js';
+import { normalizeOrderDetails, validateNormalizedOrderDetails } from '../utils/orderSchemaUtils.js';
+import { validateResponseMapping, applyResponseMapping, describeTestRequest } from '../utils/orderResponseMappingUtils.js';
+
+// Kept short because other instances only see a mapping change once their cache expires
+const MAPPING_CACHE_TTL = 60;
+
+// Test lookups give up on slow order APIs after this long
+const TEST_REQUEST_TIMEOUT_MS = 15000;
+
+function badRequest(errors) {
+  const err = new Error(errors.join('; '));
+  err.status = 400;
+  return err;
+}
+
+function notFound() {
+  const err = new Error('Order response mapping not found');
+  err.status = 404;
+  return err;
+}
+
+/**
+ * Enabled response mapping of a chatbot (or null), cached per chatbot
+ */
+export async function getOrderResponseMapping(chatbotId, pool) {
+  const cacheKey = `order-response-mapping:${chatbotId}`;
+  const cached = cacheService.get(cacheKey);
+  if (cached) return cached.mapping;
+
+  let mapping = null;
+  try {
+    const result = await pool.query('SELECT mapping, enabled FROM order_response_mappings WHERE chatbot_id = $1', [chatbotId]);
+    mapping = result.rows[0]?.enabled ? result.rows[0].mapping : null;
+    cacheService.set(cacheKey, { mapping }, MAPPING_CACHE_TTL);
+  } catch (error) {
+    // Table missing or database hiccup - the built-in generic mapping applies to this lookup only
+    console.error('Error loading order response mapping:', error.message);
+  }
+
+  return mapping;
+}
+
+export async function getOrderResponseMappingService(chatbotId, pool) {
+  const result = await pool.query('SELECT * FROM order_response_mappings WHERE chatbot_id = $1', [chatbotId]);
+  if (result.rows.length === 0) throw notFound();
+  return result.rows[0];
+}
+
+export async function upsertOrderResponseMappingService(body, pool) {
+  const { chatbot_id, mapping, enabled = true } = body;
+  if (!chatbot_id) throw badRequest(['chatbot_id is required']);
+  const errors = validateResponseMapping(mapping);
+  if (errors.length > 0) throw badRequest(errors);
+
+  const result = await pool.query(`
+    INSERT INTO order_response_mappings (chatbot_id, mapping, enabled)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (chatbot_id) DO UPDATE SET
+      mapping = EXCLUDED.mapping,
+      enabled = EXCLUDED.enabled,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [chatbot_id, JSON.stringify(mapping), enabled !== false]);
+
+  cacheService.delete(`order-response-mapping:${chatbot_id}`);
+  return result.rows[0];
+}
+
+export async function deleteOrderResponseMappingService(chatbotId, pool) {
+  const result = await pool.query('DELETE FROM order_response_mappings WHERE chatbot_id = $1 RETURNING id', [chatbotId]);
+  if (result.rows.length === 0) throw notFound();
+  cacheService.delete(`order-response-mapping:${chatbotId}`);
+  return { message: 'Order response mapping deleted' };
+}
+
+/**
+ * Run a chatbot's generic order tracking request with sample values, without the chat or the lookup security
+ *
+ * Request settings come from the chatbot's generic provider options, overridden by body.request (provider option
+ * names) and body.configuration (widget names such as orderTrackingUrl). The mapping is body.response_mapping, else
+ * the stored one (also when disabled); without either, the built-in generic mapping is shown.
+ * Returns { request, response, mapping_source, mapped, errors, unmatched }
+ */
+export async function testOrderLookupService(body, pool) {
+  const { chatbot_id, sample = {}, request = {}, configuration = {}, response_mapping } = body;
+  if (!chatbot_id) throw badRequest(['chatbot_id is required']);
+  if (!sample || typeof sample !== 'object' || Array.isArray(sample)) {
+    throw badRequest([`sample must be an object with any of: ${ORDER_FIELDS.join(', ')}`]);
+  }
+  if (response_mapping !== undefined && response_mapping !== null) {
+    const mappingErrors = validateResponseMapping(response_mapping);
+    if (mappingErrors.length > 0) throw badRequest(mappingErrors);
+  }
+
+  const [providerResult, mappingResult] = await Promise.all([
+    pool.query('SELECT provider_type, options FROM chatbot_order_providers WHERE chatbot_id = $1', [chatbot_id]),
+    pool.query('SELECT mapping FROM order_response_mappings WHERE chatbot_id = $1', [chatbot_id])
+  ]);
+  const providerRow = providerResult.rows[0];
+  const storedOptions = providerRow?.provider_type === ORDER_PROVIDER_TYPES.GENERIC ? providerRow.options || {} : {};
+  const provider = createOrderTrackingProvider(pool, {
+    provider_type: ORDER_PROVIDER_TYPES.GENERIC,
+    options: { ...storedOptions, ...request }
+  });
+
+  const orderVariables = Object.fromEntries(Object.entries(sample).filter(([field]) => ORDER_FIELDS.includes(field)));
+  const built = provider.buildRequest(orderVariables, { ...configuration, chatbot_id });
+  if (!built) throw badRequest(['No order tracking URL: set request.url or configuration.orderTrackingUrl']);
+
+  const mapping = response_mapping ?? mappingResult.rows[0]?.mapping ?? null;
+  const errors = built.templateError ? [built.templateError] : [];
+  const result = {
+    request: describeTestRequest(built),
+    response: null,
+    mapping_source: response_mapping ? 'request' : (mapping ? 'stored' : 'built_in'),
+    mapped: null,
+    errors,
+    unmatched: []
+  };
+
+  const started = Date.now();
+  let data;
+  try {
+    const response = await provider.sendRequest(built, { signal: AbortSignal.timeout(TEST_REQUEST_TIMEOUT_MS) });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      // Shown as text
+    }
+    result.response = { status: response.status, duration_ms: Date.now() - started, body: parsed };
+
+    if (!response.ok) errors.push(`Order tracking request failed: ${response.status}`);
+    else if (typeof parsed === 'string') errors.push('Response is not JSON');
+    else data = parsed;
+  } catch (error) {
+    result.response = { status: null, duration_ms: Date.now() - started, body: null };
+    errors.push(`Order tracking request failed: ${error.message}`);
+  }
+
+  if (data !== undefined) {
+    if (mapping) {
+      const mapped = applyResponseMapping(data, mapping);
+      result.mapped = mapped.normalized;
+      result.unmatched = mapped.unmatched;
+      errors.push(...mapped.errors);
+    } else {
+      result.mapped = normalizeOrderDetails(data);
+      if (result.mapped) errors.push(...validateNormalizedOrderDetails(result.mapped));
+    }
+    if (!result.mapped) errors.push('No order found in the response');
+  }
+
+  console.log(`🧪 ORDER TRACKING TEST: ${chatbot_id} ${built.method} ${built.url} → ${result.response.status ?? 'failed'}, ${errors.length} errors`);
+  return result;
+}
@@ -1,4 +1,26 @@
+import crypto from 'crypto';
 import { buildPrompt } from '../../promptTemplateV2Routes.js';
+import { createLlmProviderService } from './llmProviderService.js';
+import cacheService from '../utils/cacheService.js';
+import {
+  ORDER_PROVIDER_TYPES,
+  createOrderTrackingProvider,
+  evaluateRequiredFields,
+  describeRequiredFields
+} from '../utils/orderTrackingProviderUtils.js';
+import { normalizeOrderDetails, validateNormalizedOrderDetails } from '../utils/orderSchemaUtils.js';
+import { ORDER_LOOKUP_OUTCOMES } from '../utils/orderLookupSecurityUtils.js';
+import { runSecuredOrderLookup } from './orderLookupSecurityService.js';
+import { getCircuitBreaker } from '../utils/circuitBreakerUtils.js';
+
+// A conversation asks about the same order several times; found orders are reused briefly, misses even shorter
+const ORDER_LOOKUP_CACHE_TTL = 120;
+const ORDER_NOT_FOUND_CACHE_TTL = 30;
+
+// Per chatbot and provider: 3 failed or timed out lookups in a row stop lookups for a minute
+const ORDER_PROVIDER_BREAKER_OPTIONS = { failureThreshold: 3, openSeconds: 60, timeoutMs: 15000 };
+
+export const ORDER_SYSTEM_UNAVAILABLE = 'ORDER_SYSTEM_UNAVAILABLE';
 
 /**
  * Order Tracking Service
@@ -7,13 +29,8 @@ import { buildPrompt } from '../../promptTemplateV2Routes.js';
 export class OrderTrackingService {
   constructor(pool) {
     this.pool = pool;
-  }
-
-  /**
-   * Check if this chatbot uses BevCo order tracking
-   */
-  isBevCoChatbot(chatbotId) {
-    return chatbotId === 'bevco' || chatbotId === 'bevcose';
+    this.llmProviders = createLlmProviderService(pool);
+    this.cacheTTL = 600; // 10 minutes cache TTL (in seconds)
   }
 
   /**
@@ -52,7 +69,7 @@ export class OrderTrackingService {
       }
 
       // Get apiVarFlow prompt
-      const apiVarFlowPrompt = await buildPrompt(this.pool, configuration.chatbot_id, 'apivarflow');
+      const apiVarFlowPrompt = await buildPrompt(this.pool, configuration.chatbot_id, 'apivarflow', configuration.candidatePrompts?.apivarflow);
       
       const bodyObjectVarFlow = { 
         question: messageText, 
@@ -69,26 +86,10 @@ export class OrderTrackingService {
       
       console.log("🚨 FLOW ROUTING: Applied validated apivarflow prompt override");
       
-      const fetchOptionsVarFlow = {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: "Bearer YOUR_API_KEY",
-        },
-        body: JSON.stringify(bodyObjectVarFlow),
-      };
-      
-      // Use standard API for variable extraction
-      const standardApi = "https://den-utrolige-snebold.onrender.com/api/v1/prediction/52c2cdfa-581f-4a0f-b70e-4f617ed0029e";
-      console.log("🚨 FLOW ROUTING: Sending apivarflow request to:", standardApi);
-      
-      const response = await fetch(standardApi, fetchOptionsVarFlow);
-      
-      if (!response.ok) {
-        throw new Error(`ApiVarFlow API failed: ${response.status}`);
-      }
+      // Use the chatbot's apivarflow provider for variable extraction
+      console.log("🚨 FLOW ROUTING: Sending apivarflow request");
       
-      const result = await response.json();
+      const result = await this.llmProviders.predict(configuration.chatbot_id, 'apivarflow', bodyObjectVarFlow, configuration.llmProviderOverride);
       const apiResult = result.text;
       console.log("🚨 FLOW ROUTING: Template-based apiVarFlow result:", apiResult);
       
@@ -123,370 +124,143 @@ export class OrderTrackingService {
   }
 
   /**
-   * Handle order tracking based on extracted variables
-   * Migrated from frontend order tracking logic
+   * Get the chatbot's order tracking provider row (chatbot_order_providers), cached per chatbot
    */
-  async handleOrderTracking(orderVariables, configuration) {
-    try {
-      // Special handling for bevco/bevcose - needs any 2 of 4 fields
-      if (this.isBevCoChatbot(configuration.chatbot_id)) {
-        const bevcoFields = ['order_number', 'email', 'phone', 'order_date'];
-        const bevcoProvidedFields = bevcoFields.filter(field =>
-          orderVariables[field] && orderVariables[field].trim() !== ""
-        );
-
-        const trackingConditionMet = bevcoProvidedFields.length >= 2;
-
-        console.log("🚨 FLOW ROUTING: Bevco tracking check - providedFields:", bevcoProvidedFields.length);
-        console.log("🚨 FLOW ROUTING: Required fields: any 2 of", bevcoFields);
-        console.log("🚨 FLOW ROUTING: DEBUG - orderVariables:", orderVariables);
-
-        if (trackingConditionMet) {
-          console.log("🚨 FLOW ROUTING: ✅ Bevco tracking condition met, proceeding with API calls");
-          return await this.handleCustomTracking(orderVariables, configuration);
-        } else {
-          console.log("🚨 FLOW ROUTING: ❌ Bevco tracking condition NOT met");
-          return null;
-        }
-      }
+  async getOrderProviderConfig(chatbotId) {
+    const cacheKey = `order-provider:${chatbotId}`;
+    const cached = cacheService.get(cacheKey);
+    if (cached) {
+      return cached.row;
+    }
 
-      // Standard logic for other chatbots
-      const { trackingRequiredFields = ['order_number', 'email'] } = configuration;
-      
-      // Extract provided fields for tracking
-      const providedFields = trackingRequiredFields.filter(field => 
-        orderVariables[field] && orderVariables[field].trim() !== ""
+    let row = null;
+    try {
+      const result = await this.pool.query(
+        'SELECT provider_type, required_fields, options, enabled FROM chatbot_order_providers WHERE chatbot_id = $1',
+        [chatbotId]
       );
-      
-      console.log("🚨 FLOW ROUTING: Order tracking check - providedFields:", providedFields.length);
-      console.log("🚨 FLOW ROUTING: Required fields:", trackingRequiredFields);
-      console.log("🚨 FLOW ROUTING: DEBUG - orderVariables:", orderVariables);
-
-      // Check tracking conditions based on enabled systems
-      let trackingConditionMet = false;
-      
-      // Special check for DILLING chatbots using Commerce Tools
-      const dillingChatbots = ['dillingdk', 'dillingde', 'dillingnl', 'dillingfr', 'dillinguk', 'dillingus', 'dillingeu', 'dillingch', 'dillingno', 'dillingse', 'dillingfi'];
-      if (dillingChatbots.includes(configuration.chatbot_id)) {
-        // Commerce Tools: require order_number AND (email OR phone)
-        const hasOrderNumber = orderVariables.order_number && orderVariables.order_number.trim() !== "";
-        const hasEmail = orderVariables.email && orderVariables.email.trim() !== "";
-        const hasPhone = orderVariables.phone && orderVariables.phone.trim() !== "";
-        trackingConditionMet = hasOrderNumber && (hasEmail || hasPhone);
-        console.log("🚨 FLOW ROUTING: Commerce Tools condition - order_number:", hasOrderNumber, "email:", hasEmail, "phone:", hasPhone, "condition met:", trackingConditionMet);
-      } else if (configuration.shopifyEnabled) {
-        trackingConditionMet = await this.checkShopifyCondition(orderVariables);
-      } else if (configuration.magentoEnabled) {
-        trackingConditionMet = await this.checkMagentoCondition(orderVariables);
-      } else if (configuration.orderTrackingEnabled) {
-        // Custom tracking systems - just need any 2 fields
-        trackingConditionMet = providedFields.length >= 2;
-        console.log("🚨 FLOW ROUTING: Custom tracking condition check - needs any 2 from:", trackingRequiredFields, "provided:", providedFields.length);
-      }
-      
-      console.log("🚨 FLOW ROUTING: Tracking systems enabled - shopify:", configuration.shopifyEnabled, "magento:", configuration.magentoEnabled, "orderTracking:", configuration.orderTrackingEnabled);
-      console.log("🚨 FLOW ROUTING: Tracking condition met:", trackingConditionMet);
-
-      if (trackingConditionMet) {
-        console.log("🚨 FLOW ROUTING: ✅ Tracking condition met, proceeding with API calls");
-        
-        // Special routing for DILLING chatbots to Commerce Tools
-        const dillingChatbots = ['dillingdk', 'dillingde', 'dillingnl', 'dillingfr', 'dillinguk', 'dillingus', 'dillingeu', 'dillingch', 'dillingno', 'dillingse', 'dillingfi'];
-        if (dillingChatbots.includes(configuration.chatbot_id)) {
-          return await this.handleCustomTracking(orderVariables, configuration);
-        } else if (configuration.shopifyEnabled) {
-          return await this.handleShopifyTracking(orderVariables, configuration);
-        } else if (configuration.magentoEnabled) {
-          return await this.handleMagentoTracking(orderVariables, configuration);
-        } else if (configuration.orderTrackingEnabled) {
-          return await this.handleCustomTracking(orderVariables, configuration);
-        }
-      } else {
-        console.log("🚨 FLOW ROUTING: ❌ Order tracking condition NOT met");
-        return null;
-      }
+      row = result.rows[0] || null;
+      cacheService.set(cacheKey, { row }, this.cacheTTL);
     } catch (error) {
-      console.error("🚨 FLOW ROUTING: Error during order tracking:", error);
-      return null;
+      // Table missing or database hiccup - fall back to the integration flags for this lookup only
+      console.error('Error loading order tracking provider:', error.message);
     }
+
+    return row;
   }
 
   /**
-   * Check Shopify tracking condition
+   * Provider for chatbots without a registry row, chosen from the integration flags
    */
-  async checkShopifyCondition(orderVariables) {
-    const hasOrderNumber = orderVariables.order_number && orderVariables.order_number.trim() !== "";
-    const hasEmail = orderVariables.email && orderVariables.email.trim() !== "";
-    const hasPhone = orderVariables.phone && orderVariables.phone.trim() !== "";
-    
-    const conditionMet = hasOrderNumber && (hasEmail || hasPhone);
-    console.log("🚨 FLOW ROUTING: Shopify condition check - order_number:", hasOrderNumber, "email:", hasEmail, "phone:", hasPhone, "condition met:", conditionMet);
-    return conditionMet;
+  getFlagProviderConfig(configuration) {
+    if (configuration.shopifyEnabled) return { provider_type: ORDER_PROVIDER_TYPES.SHOPIFY };
+    if (configuration.magentoEnabled) return { provider_type: ORDER_PROVIDER_TYPES.MAGENTO };
+    if (configuration.woocommerceEnabled) return { provider_type: ORDER_PROVIDER_TYPES.WOOCOMMERCE };
+    if (configuration.orderTrackingEnabled) return { provider_type: ORDER_PROVIDER_TYPES.GENERIC };
+    return null;
   }
 
   /**
-   * Check Magento tracking condition
+   * Resolve the order backend of a chatbot: its registry row, otherwise the integration flags
+   * Returns null when the chatbot has no order tracking (or its row is disabled)
    */
-  async checkMagentoCondition(orderVariables) {
-    const hasOrderNumber = orderVariables.order_number && orderVariables.order_number.trim() !== "";
-    const hasEmail = orderVariables.email && orderVariables.email.trim() !== "";
-    const hasPhone = orderVariables.phone && orderVariables.phone.trim() !== "";
-    
-    const conditionMet = hasOrderNumber && (hasEmail || hasPhone);
-    console.log("🚨 FLOW ROUTING: Magento condition check - order_number:", hasOrderNumber, "email:", hasEmail, "phone:", hasPhone, "condition met:", conditionMet);
-    return conditionMet;
+  async resolveOrderProvider(configuration) {
+    const row = await this.getOrderProviderConfig(configuration.chatbot_id);
+    if (row) {
+      return row.enabled ? row : null;
+    }
+    return this.getFlagProviderConfig(configuration);
   }
 
   /**
-   * Handle Shopify order tracking
+   * Cache key of a lookup: chatbot, provider and a hash of the order variables it was made with
    */
-  async handleShopifyTracking(orderVariables, configuration) {
-    try {
-      console.log("🚨 FLOW ROUTING: Making Shopify tracking request");
-      
-      // Prepare request body for direct service call
-      const shopifyRequestBody = {
-          chatbot_id: configuration.chatbot_id,
-          shopifyApiVersion: '2024-10'
-        };
-    
-      // Add available order variables to Shopify request
-      if (orderVariables.email) shopifyRequestBody.email = orderVariables.email;
-      if (orderVariables.phone) shopifyRequestBody.phone = orderVariables.phone;
-      if (orderVariables.order_number) shopifyRequestBody.order_number = orderVariables.order_number;
-      if (orderVariables.name) shopifyRequestBody.name = orderVariables.name;
-      
-      console.log("🚨 FLOW ROUTING: Shopify request body:", JSON.stringify(shopifyRequestBody, null, 2));
-      
-      // Import and call Shopify service directly
-      const { getShopifyOrdersService } = await import('./shopifyService.js');
-      const shopifyData = await getShopifyOrdersService(shopifyRequestBody, this.pool);
-
-        console.log("🚨 FLOW ROUTING: Shopify API response received");
-        
-        // Log filtering results if available
-        if (shopifyData.filtered_from && shopifyData.filtered_from > shopifyData.total_count) {
-          console.log(`🔍 SHOPIFY FILTERING: ${shopifyData.filtered_from - shopifyData.total_count} orders were filtered out. ${shopifyData.total_count} orders matched all criteria.`);
-        }
-        
-        return shopifyData;
-    } catch (error) {
-      console.error("🔑 SHOPIFY: Error in Shopify tracking:", error);
-      return null;
-    }
+  getOrderLookupCacheKey(chatbotId, providerType, orderVariables) {
+    const identifiers = Object.keys(orderVariables)
+      .filter(key => orderVariables[key] !== undefined && orderVariables[key] !== null && String(orderVariables[key]).trim() !== '')
+      .sort()
+      .map(key => {
+        const value = String(orderVariables[key]).trim();
+        return `${key}=${key === 'email' ? value.toLowerCase() : value}`;
+      });
+    const hash = crypto.createHash('sha256').update(identifiers.join('&')).digest('hex');
+    return `order-lookup:${chatbotId}:${providerType}:${hash}`;
   }
 
   /**
-   * Handle Magento order tracking
+   * Provider lookup behind a short-lived cache and the provider's circuit breaker (see circuitBreakerUtils.js)
+   * The visitor checks still run on cached results, as they run after this lookup
    */
-  async handleMagentoTracking(orderVariables, configuration) {
-    try {
-      console.log("🚨 FLOW ROUTING: Making Magento tracking request");
-      
-      // Prepare request body for direct service call
-      const magentoRequestBody = {
-          chatbot_id: configuration.chatbot_id
-        };
-
-      // Add available order variables to Magento request
-      if (orderVariables.email) magentoRequestBody.email = orderVariables.email;
-      if (orderVariables.phone) magentoRequestBody.phone = orderVariables.phone;
-      if (orderVariables.order_number) magentoRequestBody.order_number = orderVariables.order_number;
-      if (orderVariables.name) magentoRequestBody.name = orderVariables.name;
-
-      console.log("🚨 FLOW ROUTING: Magento request body:", JSON.stringify(magentoRequestBody, null, 2));
-
-      // Import and call Magento service directly
-      const { searchMagentoOrdersService } = await import('./magentoService.js');
-      const magentoData = await searchMagentoOrdersService(magentoRequestBody, this.pool);
-
-        console.log("🚨 FLOW ROUTING: ✅ Magento API response received");
-        
-        // Log filtering results if available
-        if (magentoData.filtered_from && magentoData.filtered_from > magentoData.total_count) {
-          console.log(`🔍 MAGENTO FILTERING: ${magentoData.filtered_from - magentoData.total_count} orders were filtered out. ${magentoData.total_count} orders matched all criteria.`);
-        }
-
-        return magentoData;
-    } catch (error) {
-      console.error("🔑 MAGENTO: Error in Magento tracking:", error);
-      return null;
+  async lookupOrder(provider, orderVariables, configuration) {
+    const cacheKey = this.getOrderLookupCacheKey(configuration.chatbot_id, provider.type, orderVariables);
+    const cached = cacheService.get(cacheKey);
+    if (cached) {
+      console.log(`🚨 FLOW ROUTING: Using cached ${provider.type} lookup (${cached.orderDetails ? 'found' : 'not found'})`);
+      return cached.orderDetails;
     }
+
+    const breaker = getCircuitBreaker(`order-provider:${configuration.chatbot_id}:${provider.type}`, ORDER_PROVIDER_BREAKER_OPTIONS);
+    const orderDetails = await breaker.execute(() => provider.lookup(orderVariables, configuration));
+    cacheService.set(cacheKey, { orderDetails }, orderDetails ? ORDER_LOOKUP_CACHE_TTL : ORDER_NOT_FOUND_CACHE_TTL);
+    return orderDetails;
   }
 
   /**
-   * Handle Commerce Tools order tracking
+   * Handle order tracking based on extracted variables
+   * Looks the order up in the chatbot's provider once its required fields rule is met; only orders matching
+   * the visitor's details are returned (see orderLookupSecurityService.js)
+   * Throws an ORDER_SYSTEM_UNAVAILABLE error when the provider fails, times out or has its circuit open
    */
-  async handleCommerceToolsTracking(orderVariables, configuration) {
+  async handleOrderTracking(orderVariables, configuration) {
     try {
-      // Get commerce tools credentials for this chatbot
-      const credentialsResult = await this.pool.query(
-        `SELECT * FROM commercetools_credentials
-         WHERE chatbot_id = $1 AND commercetools_enabled = true`,
-        [configuration.chatbot_id]
-      );
-
-      if (credentialsResult.rows.length === 0) {
-        console.error("🚨 FLOW ROUTING: Commerce Tools not configured for chatbot:", configuration.chatbot_id);
+      const providerConfig = await this.resolveOrderProvider(configuration);
+      if (!providerConfig) {
+        console.log("🚨 FLOW ROUTING: No order tracking provider configured for chatbot:", configuration.chatbot_id);
         return null;
       }
 
-      const credentials = credentialsResult.rows[0];
+      const provider = createOrderTrackingProvider(this.pool, providerConfig);
+      const requiredFields = providerConfig.required_fields || provider.defaultRequiredFields(configuration);
+      const { met, provided } = evaluateRequiredFields(requiredFields, orderVariables);
 
-      // Import the Commerce Tools functions
-      const { fetchCommerceToolsOrder, extractRelevantCommerceToolsOrderDetails } = await import('../utils/commerceToolsUtils.js');
-
-      // Fetch order from Commerce Tools
-      const order = await fetchCommerceToolsOrder(credentials, orderVariables.order_number, orderVariables.email);
+      console.log(`🚨 FLOW ROUTING: Order tracking check - provider: ${provider.type}, required: ${describeRequiredFields(requiredFields)}, provided:`, provided);
+      console.log("🚨 FLOW ROUTING: DEBUG - orderVariables:", orderVariables);
 
-      if (!order) {
-        console.log("🚨 FLOW ROUTING: Order not found in Commerce Tools");
+      if (!met) {
+        console.log("🚨 FLOW ROUTING: ❌ Order tracking condition NOT met");
         return null;
       }
 
-      // Extract relevant order details using the same logic as frontend
-      const relevantOrderDetails = extractRelevantCommerceToolsOrderDetails(order);
-
-      console.log("🚨 FLOW ROUTING: ✅ Commerce Tools order found and processed");
-
-      // Return simplified order information in the format expected by the chatbot
-      return {
-        success: true,
-        results: [order], // Keep original format for compatibility
-        relevantOrderDetails: relevantOrderDetails, // Add simplified format
-        count: 1,
-        total: 1
-      };
-
-    } catch (error) {
-      console.error("🚨 FLOW ROUTING: Commerce Tools tracking error:", error);
-      return null;
-    }
-  }
-
-  /**
-   * Handle custom order tracking (BevCo, Commerce Tools, etc.)
-   */
-  async handleCustomTracking(orderVariables, configuration) {
-    try {
-      console.log("🚨 FLOW ROUTING: Making custom tracking request for chatbot:", configuration.chatbot_id);
-      
-      // Check if this is Commerce Tools (direct service call)
-      const dillingChatbots = ['dillingdk', 'dillingde', 'dillingnl', 'dillingfr', 'dillinguk', 'dillingus', 'dillingeu', 'dillingch', 'dillingno', 'dillingse', 'dillingfi'];
-      if (dillingChatbots.includes(configuration.chatbot_id)) {
-        console.log("🚨 FLOW ROUTING: Using Commerce Tools backend for DILLING");
-        return await this.handleCommerceToolsTracking(orderVariables, configuration);
-  } else if (this.isBevCoChatbot(configuration.chatbot_id)) {
-    // Handle BevCo-specific order tracking
-    console.log("🚨 FLOW ROUTING: Using BevCo backend for bevco/bevcose");
-
-        const { proxyBevcoOrderService } = await import('./bevcoService.js');
-        
-        // Only send non-empty fields to BevCo API
-        const bevcoRequestData = {};
-        if (orderVariables.order_number && orderVariables.order_number.trim() !== '') {
-          bevcoRequestData.order_number = orderVariables.order_number;
-        }
-        if (orderVariables.email && orderVariables.email.trim() !== '') {
-          bevcoRequestData.email = orderVariables.email;
-        }
-        if (orderVariables.phone && orderVariables.phone.trim() !== '') {
-          bevcoRequestData.phone = orderVariables.phone;
-        }
-        if (orderVariables.order_date && orderVariables.order_date.trim() !== '') {
-          bevcoRequestData.order_date = orderVariables.order_date;
-        }
-
-        console.log("🚨 FLOW ROUTING: BevCo request data (filtered):", bevcoRequestData);
-        
-        const bevcoData = await proxyBevcoOrderService(bevcoRequestData);
-
-        console.log("🚨 FLOW ROUTING: ✅ BevCo response received");
-        return bevcoData;
-      } else if (configuration.orderTrackingUrl) {
-        // Handle other custom tracking systems
-        return await this.handleGenericTracking(orderVariables, configuration);
+      console.log("🚨 FLOW ROUTING: ✅ Tracking condition met, proceeding with API calls");
+      let result;
+      try {
+        result = await runSecuredOrderLookup({
+          source: 'chat',
+          providerType: provider.type,
+          identity: {
+            chatbotId: configuration.chatbot_id,
+            ip: configuration.visitor?.ip || null,
+            userId: configuration.visitor?.userId || null
+          },
+          orderVariables,
+          lookup: () => this.lookupOrder(provider, orderVariables, configuration)
+        }, this.pool);
+      } catch (error) {
+        console.error(`🚨 FLOW ROUTING: ${provider.type} order lookup failed:`, error.message);
+        const err = new Error(`Order system unavailable: ${error.message}`);
+        err.code = ORDER_SYSTEM_UNAVAILABLE;
+        err.provider = provider.type;
+        throw err;
       }
-      
-      return null;
-    } catch (error) {
-      console.error("🚨 FLOW ROUTING: Error during custom tracking:", error);
-      return null;
-    }
-  }
 
-  /**
-   * Handle generic tracking systems
-   */
-  async handleGenericTracking(orderVariables, configuration) {
-    try {
-      console.log("🚨 FLOW ROUTING: Making standard tracking request with orderTrackingUrl:", configuration.orderTrackingUrl);
-    
-      let getUrl = configuration.orderTrackingUrl;
-      let requestBody = null;
-      
-      // Determine if we should use the proxy
-      const useProxy = configuration.trackingUseProxy && configuration.trackingProxyUrl;
-      const targetUrl = useProxy ? configuration.trackingProxyUrl : getUrl;
-      
-      if (configuration.trackingRequestMethod === 'GET') {
-        // For GET requests, replace placeholders in the URL
-        configuration.trackingRequiredFields.forEach(field => {
-          const placeholder = `${field.toUpperCase()}_PLACEHOLDER`;
-          let value = orderVariables[field] || '';
-          getUrl = getUrl.replace(placeholder, encodeURIComponent(value));
-        });
-      } else if (configuration.trackingRequestMethod === 'POST' && configuration.trackingRequestBody) {
-        // For POST requests, prepare the request body with actual values
-        try {
-          requestBody = JSON.parse(configuration.trackingRequestBody);
-        } catch (e) {
-          requestBody = {};
-          console.error("Error parsing tracking request body template:", e);
-        }
-        
-        // Fill in the values from our order variables
-        Object.keys(orderVariables).forEach(key => {
-          if (orderVariables[key]) {
-            requestBody[key] = orderVariables[key];
-          }
-        });
-      }
-      
-      // Prepare headers
-      let headers = {
-        "Content-Type": "application/json",
-        Accept: "application/json"
-      };
-      
-      if (!useProxy) {
-        // Only add custom headers if we're not using the proxy
-        headers = {
-          ...headers,
-          ...configuration.trackingCustomHeaders
-        };
-      }
-      
-      console.log(`Making ${configuration.trackingRequestMethod} request to ${useProxy ? targetUrl : getUrl}`);
-      
-      const getResponse = await fetch(useProxy ? targetUrl : getUrl, {
-        method: configuration.trackingRequestMethod,
-        headers: headers,
-        ...(requestBody && { body: JSON.stringify(requestBody) })
-      });
-      
-      if (!getResponse.ok) {
-        const errorBody = await getResponse.text();
-        console.error(`Order tracking request failed: ${getResponse.status}`, errorBody);
-        throw new Error(`Order tracking request failed: ${getResponse.status}`);
+      if (result.outcome !== ORDER_LOOKUP_OUTCOMES.FOUND) {
+        console.log(`🚨 FLOW ROUTING: ❌ Order lookup ended as ${result.outcome}`);
+        return null;
       }
-      
-      let responseData = await getResponse.json();
-      console.log("Tracking API response:", JSON.stringify(responseData, null, 2));
-      return responseData;
-      
-    } catch (trackingError) {
-      console.error("🚨 FLOW ROUTING: Error during generic tracking:", trackingError);
+      return result.orderDetails;
+    } catch (error) {
+      if (error.code === ORDER_SYSTEM_UNAVAILABLE) throw error;
+      console.error("🚨 FLOW ROUTING: Error during order tracking:", error);
       return null;
     }
   }
@@ -498,11 +272,21 @@ export class OrderTrackingService {
   extractRelevantOrderDetails(orderDetails) {
     console.log("🔍 extractRelevantOrderDetails - Raw input:", orderDetails);
     
+    // Responses mapped with the chatbot's response mapping are normalized already
+    if (orderDetails?.schema_version) {
+      console.log("🔍 Detected normalized format (response mapping)");
+      return orderDetails.orders;
+    }
     // Handle CommerceTools format
-    if (orderDetails?.results?.[0]) {
+    else if (orderDetails?.results?.[0]) {
       console.log("🔍 Detected CommerceTools format");
       return this.extractCommerceToolsDetails(orderDetails.results[0]);
     }
+    // Handle WooCommerce format (orders carry the store URL)
+    else if (orderDetails?.orders?.length > 0 && orderDetails.orders[0]?.woocommerceStoreUrl) {
+      console.log("🔍 Detected WooCommerce format with", orderDetails.orders.length, "orders");
+      return this.extractWooCommerceDetails(orderDetails.orders);
+    }
     // Handle Shopify format (check for success flag first)
     else if (orderDetails?.orders?.length > 0 && orderDetails.success) {
       console.log("🔍 Detected Shopify format with", orderDetails.orders.length, "orders");
@@ -523,6 +307,24 @@ export class OrderTrackingService {
     return null;
   }
 
+  /**
+   * Normalize an order lookup response into the versioned order schema given to the AI
+   * Schema violations are logged (they point at a mapper bug) but do not drop the order
+   */
+  normalizeOrderDetails(orderDetails) {
+    const normalized = normalizeOrderDetails(orderDetails);
+    if (!normalized) {
+      console.log("🔍 normalizeOrderDetails - No order found in response");
+      return null;
+    }
+
+    const errors = validateNormalizedOrderDetails(normalized);
+    if (errors.length > 0) {
+      console.warn(`⚠️ Normalized ${normalized.provider} order does not match schema ${normalized.schema_version}:`, errors.slice(0, 10));
+    }
+    return normalized;
+  }
+
   /**
    * Extract Commerce Tools order details
    */
@@ -790,6 +592,86 @@ export class OrderTrackingService {
     return simplifiedOrders.length === 1 ? simplifiedOrders[0] : simplifiedOrders;
   }
 
+  /**
+   * Extract WooCommerce order details
+   */
+  extractWooCommerceDetails(orders) {
+    const simplifiedOrders = orders.map(order => {
+      const simplifiedLineItems = order.line_items?.map(item => ({
+        id: item.id,
+        productName: item.name,
+        quantity: item.quantity,
+        unitPrice: parseFloat(item.price),
+        totalPrice: parseFloat(item.total),
+        sku: item.sku,
+        productId: item.product_id,
+        variantId: item.variant_id,
+      })) || [];
+
+      const primaryTracking = order.trackings?.[0];
+      const formatAddress = (address) => (address ? {
+        name: `${address.first_name || ''} ${address.last_name || ''}`.trim(),
+        company: address.company,
+        address1: address.address1,
+        address2: address.address2,
+        city: address.city,
+        province: address.province,
+        zip: address.zip,
+        country: address.country,
+        phone: address.phone,
+      } : null);
+
+      return {
+        orderId: order.id,
+        orderNumber: order.order_number,
+        orderDate: order.created_at,
+        lastUpdated: order.updated_at,
+        financialStatus: order.financial_status,
+        fulfillmentStatus: order.fulfillment_status,
+        orderStatus: order.status,
+        customer: {
+          name: order.customer_name,
+          email: order.email,
+          phone: order.phone,
+        },
+        shipping: {
+          address: formatAddress(order.shipping_address),
+          methods: (order.shipping_lines || []).map(line => line.title),
+        },
+        billing: {
+          address: formatAddress(order.billing_address),
+        },
+        payment: {
+          totalPrice: parseFloat(order.total_price),
+          currency: order.currency,
+          financialStatus: order.financial_status,
+          paymentMethod: order.payment_method,
+        },
+        items: simplifiedLineItems,
+        itemCount: simplifiedLineItems.length,
+        totalQuantity: simplifiedLineItems.reduce((sum, item) => sum + item.quantity, 0),
+        tracking: {
+          hasTracking: !!(primaryTracking?.trackingNumber || primaryTracking?.trackingUrl),
+          trackingNumber: primaryTracking?.trackingNumber,
+          trackingUrl: primaryTracking?.trackingUrl,
+          trackingCompany: primaryTracking?.trackingCompany,
+        },
+        shipments: order.trackings || [],
+        shippingStatus: {
+          isShipped: order.fulfillment_status === 'fulfilled',
+          canTrack: !!(primaryTracking?.trackingNumber || primaryTracking?.trackingUrl),
+          statusText: order.status,
+        },
+        orderUrl: order.woocommerceStoreUrl
+          ? `${order.woocommerceStoreUrl}/wp-admin/post.php?post=${order.id}&action=edit`
+          : null,
+        notes: order.notes || '',
+      };
+    });
+
+    return simplifiedOrders.length === 1 ? simplifiedOrders[0] : simplifiedOrders;
+  }
+
   /**
    * Extract BevCo order details
    */
@@ -1,14 +1,21 @@
 import {
-  generateEmbedding,
-  getPineconeApiKeyForIndex,
-  initializePineconeClient,
   createVectorId,
-  prepareVectorMetadata,
   extractUserNamespaces,
   prepareDatabaseMetadata,
   parseExistingMetadata,
   formatPineconeDataResponse
 } from '../utils/pineconeUtils.js';
+import {
+  resolveChunkingOptions,
+  upsertKnowledgeVectors,
+  deleteKnowledgeVectors
+} from '../utils/knowledgeChunkingUtils.js';
+import { getVectorStore } from '../utils/vectorStoreUtils.js';
+import {
+  KNOWLEDGE_HISTORY_ACTIONS,
+  ensureKnowledgeHistoryBaseline,
+  recordKnowledgeHistory
+} from '../utils/knowledgeHistoryUtils.js';
 
 /**
  * Create Pinecone data entry
@@ -25,6 +32,9 @@ export async function createPineconeDataService(body, user, pool) {
     throw new Error('Title, text, indexName, and namespace are required');
   }
 
+  // Long texts are stored as chunk vectors (see knowledgeChunkingUtils)
+  const chunking = resolveChunkingOptions(body.chunking);
+
   // If admin is creating data for another user, verify the user exists
   if (isAdmin && targetUserId !== authenticatedUserId) {
     const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [targetUserId]);
@@ -44,32 +54,24 @@ export async function createPineconeDataService(body, user, pool) {
   
   // Only generate embedding and store in Pinecone if not scheduled
   let vectorId = null;
+  let chunkCount = 0;
   if (!isScheduled) {
-    // Fetch Pinecone API key for this user/index/namespace
-    const pineconeApiKey = await getPineconeApiKeyForIndex(pool, targetUserId, indexName, namespace);
-
-    // Generate embedding using the utility function
-    const embedding = await generateEmbedding(text);
-
-    // Initialize Pinecone using the utility function
-    const pineconeClient = initializePineconeClient(pineconeApiKey);
-    const index = pineconeClient.index(namespace);
+    // Pinecone or pgvector, as configured for this index/namespace
+    const index = await getVectorStore(pool, { userId: targetUserId, indexName, namespace });
 
     // Create unique vector ID using the utility function
     vectorId = createVectorId();
 
-    // Prepare vector metadata using the utility function
-    const vectorMetadata = prepareVectorMetadata(targetUserId, text, title, group);
-
-    // Prepare vector
-    const vector = {
-      id: vectorId,
-      values: embedding,
-      metadata: vectorMetadata
-    };
-
-    // Upsert into Pinecone
-    await index.upsert([vector], { namespace });
+    // Embed and upsert the text, as one vector or as chunk vectors
+    chunkCount = await upsertKnowledgeVectors(index, {
+      namespace,
+      vectorId,
+      ownerId: targetUserId,
+      title,
+      text,
+      group,
+      chunking
+    });
   }
 
   // Convert expirationTime to a Date if provided
@@ -82,15 +84,18 @@ export async function createPineconeDataService(body, user, pool) {
   }
 
   const metadata = prepareDatabaseMetadata(group);
+  if (body.chunking !== undefined && body.chunking !== null) {
+    metadata.chunking = chunking;
+  }
 
   try {
     // Try with metadata column
     const result = await pool.query(
       `INSERT INTO pinecone_data
-        (user_id, title, text, pinecone_vector_id, pinecone_index_name, namespace, expiration_time, scheduled_time, is_scheduled, metadata)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        (user_id, title, text, pinecone_vector_id, pinecone_index_name, namespace, expiration_time, scheduled_time, is_scheduled, metadata, chunk_count)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
        RETURNING *`,
-      [targetUserId, title, text, vectorId, indexName, namespace, expirationDateTime, scheduledDateTime, isScheduled, JSON.stringify(metadata)]
+      [targetUserId, title, text, vectorId, indexName, namespace, expirationDateTime, scheduledDateTime, isScheduled, JSON.stringify(metadata), chunkCount]
     );
     
     // Mark as viewed by the uploader
@@ -101,6 +106,7 @@ export async function createPineconeDataService(body, user, pool) {
        ON CONFLICT (user_id, pinecone_data_id) DO NOTHING`,
       [targetUserId, newPineconeDataId]
     );
+    await recordKnowledgeHistory(pool, result.rows[0], { action: KNOWLEDGE_HISTORY_ACTIONS.CREATED, changedBy: authenticatedUserId });
     
     return result.rows[0];
   } catch (dbError) {
@@ -108,10 +114,10 @@ export async function createPineconeDataService(body, user, pool) {
     console.error('Error with metadata column, trying without it:', dbError);
     const fallbackResult = await pool.query(
       `INSERT INTO pinecone_data
-        (user_id, title, text, pinecone_vector_id, pinecone_index_name, namespace, expiration_time, scheduled_time, is_scheduled)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        (user_id, title, text, pinecone_vector_id, pinecone_index_name, namespace, expiration_time, scheduled_time, is_scheduled, chunk_count)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
        RETURNING *`,
-      [targetUserId, title, text, vectorId, indexName, namespace, expirationDateTime, scheduledDateTime, isScheduled]
+      [targetUserId, title, text, vectorId, indexName, namespace, expirationDateTime, scheduledDateTime, isScheduled, chunkCount]
     );
     
     // Mark as viewed by the uploader (fallback)
@@ -122,6 +128,7 @@ export async function createPineconeDataService(body, user, pool) {
        ON CONFLICT (user_id, pinecone_data_id) DO NOTHING`,
       [targetUserId, newPineconeDataIdFallback]
     );
+    await recordKnowledgeHistory(pool, fallbackResult.rows[0], { action: KNOWLEDGE_HISTORY_ACTIONS.CREATED, changedBy: authenticatedUserId });
     
     return fallbackResult.rows[0];
   }
@@ -129,8 +136,9 @@ export async function createPineconeDataService(body, user, pool) {
 
 /**
  * Update Pinecone data entry
+ * options.restoredFromVersion records the change as a restore of that history version
  */
-export async function updatePineconeDataService(id, body, user, pool) {
+export async function updatePineconeDataService(id, body, user, pool, options = {}) {
   const { title, text, group, scheduleTime, isScheduled } = body;
   const userId = user.userId;
   const isAdmin = user.isAdmin === true;
@@ -169,9 +177,16 @@ export async function updatePineconeDataService(id, body, user, pool) {
     user_id: dataOwnerId, 
     metadata: existingMetadata, 
     is_scheduled: currentlyScheduled,
-    scheduled_time: existingScheduledTime 
+    scheduled_time: existingScheduledTime,
+    chunk_count: existingChunkCount
   } = dataResult.rows[0];
 
+  // Entries from before the history keep their current text as version 1
+  await ensureKnowledgeHistoryBaseline(pool, dataResult.rows[0]);
+  const historyOptions = options.restoredFromVersion
+    ? { action: KNOWLEDGE_HISTORY_ACTIONS.RESTORED, changedBy: userId, restoredFromVersion: options.restoredFromVersion }
+    : { action: KNOWLEDGE_HISTORY_ACTIONS.UPDATED, changedBy: userId };
+
   // Determine scheduling behavior:
   // If isScheduled is provided (explicitly true or false), use it
   // Otherwise, preserve the existing value
@@ -202,42 +217,42 @@ export async function updatePineconeDataService(id, body, user, pool) {
     metadata.group = group;
   }
 
+  // Chunking given with the update is kept for later re-embeds; otherwise the entry's stored chunking applies
+  const chunking = resolveChunkingOptions(body.chunking ?? metadata.chunking);
+  if (body.chunking !== undefined && body.chunking !== null) {
+    metadata.chunking = chunking;
+  }
+  let finalChunkCount = existingChunkCount || 0;
+
   // Handle Pinecone operations based on scheduling status changes
   if (!finalIsScheduled && isScheduled !== undefined) {
     // User wants immediate upload (explicitly changed to non-scheduled)
-    if (pinecone_vector_id) {
-      // Update existing vector in Pinecone
-      const pineconeApiKey = await getPineconeApiKeyForIndex(pool, dataOwnerId, pinecone_index_name, namespace);
-      const embedding = await generateEmbedding(text);
-      const vectorMetadata = prepareVectorMetadata(dataOwnerId, text, title, group !== undefined ? group : metadata.group);
+    const index = await getVectorStore(pool, { userId: dataOwnerId, indexName: pinecone_index_name, namespace });
 
-      const pineconeClient = initializePineconeClient(pineconeApiKey);
-      const index = pineconeClient.index(namespace);
-      
-      await index.upsert([
-        {
-          id: pinecone_vector_id,
-          values: embedding,
-          metadata: vectorMetadata
-        },
-      ], { namespace });
+    if (pinecone_vector_id) {
+      // Update existing vectors in Pinecone
+      finalChunkCount = await upsertKnowledgeVectors(index, {
+        namespace,
+        vectorId: pinecone_vector_id,
+        ownerId: dataOwnerId,
+        title,
+        text,
+        group: group !== undefined ? group : metadata.group,
+        chunking,
+        previousChunkCount: existingChunkCount || 0
+      });
     } else {
-      // This was a scheduled upload, now make it immediate - create new vector
-      const pineconeApiKey = await getPineconeApiKeyForIndex(pool, dataOwnerId, pinecone_index_name, namespace);
-      const embedding = await generateEmbedding(text);
-      const vectorMetadata = prepareVectorMetadata(dataOwnerId, text, title, group !== undefined ? group : metadata.group);
-      
-      const pineconeClient = initializePineconeClient(pineconeApiKey);
-      const index = pineconeClient.index(namespace);
+      // This was a scheduled upload, now make it immediate - create new vectors
       const vectorId = createVectorId();
-      
-      await index.upsert([
-        {
-          id: vectorId,
-          values: embedding,
-          metadata: vectorMetadata
-        },
-      ], { namespace });
+      finalChunkCount = await upsertKnowledgeVectors(index, {
+        namespace,
+        vectorId,
+        ownerId: dataOwnerId,
+        title,
+        text,
+        group: group !== undefined ? group : metadata.group,
+        chunking
+      });
       
       // Update with the new vector ID
       await pool.query(
@@ -248,11 +263,10 @@ export async function updatePineconeDataService(id, body, user, pool) {
   } else if (finalIsScheduled && !currentlyScheduled && isScheduled !== undefined) {
     // User wants to schedule an existing immediate upload - delete from Pinecone
     if (pinecone_vector_id) {
-      const pineconeApiKey = await getPineconeApiKeyForIndex(pool, dataOwnerId, pinecone_index_name, namespace);
-      const pineconeClient = initializePineconeClient(pineconeApiKey);
-      const index = pineconeClient.index(namespace);
+      const index = await getVectorStore(pool, { userId: dataOwnerId, indexName: pinecone_index_name, namespace });
       
-      await index.deleteOne(pinecone_vector_id, { namespace: namespace });
+      await deleteKnowledgeVectors(index, pinecone_vector_id, existingChunkCount);
+      finalChunkCount = 0;
       
       // Clear the vector ID since it's now scheduled
       await pool.query(
@@ -262,29 +276,27 @@ export async function updatePineconeDataService(id, body, user, pool) {
     }
   } else if (!finalIsScheduled && pinecone_vector_id && isScheduled === undefined) {
     // Content update for existing non-scheduled upload (e.g., from AIHelp)
-    // Update the vector in Pinecone with new content
-    const pineconeApiKey = await getPineconeApiKeyForIndex(pool, dataOwnerId, pinecone_index_name, namespace);
-    const embedding = await generateEmbedding(text);
-    const vectorMetadata = prepareVectorMetadata(dataOwnerId, text, title, group !== undefined ? group : metadata.group);
-
-    const pineconeClient = initializePineconeClient(pineconeApiKey);
-    const index = pineconeClient.index(namespace);
+    // Update the vectors in Pinecone with new content; a text that now needs more or fewer chunks is re-chunked
+    const index = await getVectorStore(pool, { userId: dataOwnerId, indexName: pinecone_index_name, namespace });
     
-    await index.upsert([
-      {
-        id: pinecone_vector_id,
-        values: embedding,
-        metadata: vectorMetadata
-      },
-    ], { namespace });
+    finalChunkCount = await upsertKnowledgeVectors(index, {
+      namespace,
+      vectorId: pinecone_vector_id,
+      ownerId: dataOwnerId,
+      title,
+      text,
+      group: group !== undefined ? group : metadata.group,
+      chunking,
+      previousChunkCount: existingChunkCount || 0
+    });
   }
   // If finalIsScheduled && !pinecone_vector_id, it's already/still scheduled - no Pinecone operation needed
 
   try {
     // Try to update with metadata and scheduling fields
     const result = await pool.query(
-      'UPDATE pinecone_data SET title = $1, text = $2, metadata = $3, scheduled_time = $4, is_scheduled = $5 WHERE id = $6 RETURNING *',
-      [title, text, JSON.stringify(metadata), finalScheduledTime, finalIsScheduled, id]
+      'UPDATE pinecone_data SET title = $1, text = $2, metadata = $3, scheduled_time = $4, is_scheduled = $5, chunk_count = $6 WHERE id = $7 RETURNING *',
+      [title, text, JSON.stringify(metadata), finalScheduledTime, finalIsScheduled, finalChunkCount, id]
     );
 
     // Reset viewed status for all users for this chunk, then mark as viewed for the updater
@@ -296,14 +308,15 @@ export async function updatePineconeDataService(id, body, user, pool) {
        ON CONFLICT (user_id, pinecone_data_id) DO NOTHING`,
       [userId, updatedPineconeDataId]
     );
+    await recordKnowledgeHistory(pool, result.rows[0], historyOptions);
 
     return result.rows[0];
   } catch (dbError) {
     // If metadata column doesn't exist, try without it
     console.error('Error with metadata column, trying without it:', dbError);
     const fallbackResult = await pool.query(
-      'UPDATE pinecone_data SET title = $1, text = $2, scheduled_time = $3, is_scheduled = $4 WHERE id = $5 RETURNING *',
-      [title, text, finalScheduledTime, finalIsScheduled, id]
+      'UPDATE pinecone_data SET title = $1, text = $2, scheduled_time = $3, is_scheduled = $4, chunk_count = $5 WHERE id = $6 RETURNING *',
+      [title, text, finalScheduledTime, finalIsScheduled, finalChunkCount, id]
     );
 
     // Reset viewed status for all users (fallback), then mark as viewed for the updater
@@ -315,6 +328,7 @@ export async function updatePineconeDataService(id, body, user, pool) {
        ON CONFLICT (user_id, pinecone_data_id) DO NOTHING`,
       [userId, updatedPineconeDataIdFallback]
     );
+    await recordKnowledgeHistory(pool, fallbackResult.rows[0], historyOptions);
 
     return fallbackResult.rows[0];
   }
@@ -378,20 +392,19 @@ export async function deletePineconeDataService(id, user, pool) {
     throw new Error('Data not found or you do not have permission to delete it. Ensure you have access to the namespace.');
   }
 
-  const { pinecone_vector_id, pinecone_index_name, namespace, user_id: dataOwnerId } = dataResult.rows[0];
+  const { pinecone_vector_id, pinecone_index_name, namespace, user_id: dataOwnerId, chunk_count } = dataResult.rows[0];
 
   if (pinecone_vector_id) {
-    // Get API key and initialize Pinecone
-    const pineconeApiKey = await getPineconeApiKeyForIndex(pool, dataOwnerId, pinecone_index_name, namespace);
-    const pineconeClient = initializePineconeClient(pineconeApiKey);
-    const index = pineconeClient.index(namespace);
+    const index = await getVectorStore(pool, { userId: dataOwnerId, indexName: pinecone_index_name, namespace });
 
-    // Delete from Pinecone
-    await index.deleteOne(pinecone_vector_id, { namespace: namespace });
+    // Delete from Pinecone, with all chunk vectors of a chunked entry
+    await deleteKnowledgeVectors(index, pinecone_vector_id, chunk_count);
   }
 
-  // Delete from database
+  // Delete from database; the history keeps the deleted text so it can be restored
+  await ensureKnowledgeHistoryBaseline(pool, dataResult.rows[0]);
   await pool.query('DELETE FROM pinecone_data WHERE id = $1', [id]);
+  await recordKnowledgeHistory(pool, dataResult.rows[0], { action: KNOWLEDGE_HISTORY_ACTIONS.DELETED, changedBy: userId });
 
   return { message: 'Data deleted successfully from database and Pinecone' };
 }
@@ -1,4 +1,5 @@
 import { validatePurchasePayload } from '../utils/purchasesUtils.js';
+import { WIDGET_PURCHASE_MATCH_HOURS } from '../utils/shopifyWebhookUtils.js';
 
 export async function createPurchaseService(body, pool) {
   const validationError = validatePurchasePayload(body);
@@ -7,6 +8,24 @@ export async function createPurchaseService(body, pool) {
   }
 
   const { user_id, chatbot_id, amount, currency = 'DKK' } = body;
+
+  // The Shopify webhook may have recorded this purchase already; the widget's report only confirms it
+  const recorded = await pool.query(
+    `UPDATE purchases SET widget_reported = true
+     WHERE id = (
+       SELECT id FROM purchases
+       WHERE chatbot_id = $1 AND user_id = $2 AND widget_reported = false
+         AND created_at > NOW() - make_interval(hours => $3)
+       ORDER BY created_at DESC
+       LIMIT 1
+     )
+     RETURNING *`,
+    [chatbot_id, user_id, WIDGET_PURCHASE_MATCH_HOURS]
+  );
+  if (recorded.rows.length > 0) {
+    return { statusCode: 200, payload: { message: 'Purchase already recorded', purchase: recorded.rows[0] } };
+  }
+
   const result = await pool.query(
     `INSERT INTO purchases (user_id, chatbot_id, amount, currency)
      VALUES ($1, $2, $3, $4)
@@ -0,0 +1,175 @@
+import cacheService from '../utils/cacheService.js';
+import {
+  ALL_ENDPOINTS,
+  DEFAULT_RATE_LIMITS,
+  validateRateLimitSettings,
+  resolveRateLimits,
+  getRateLimitIdentity,
+  buildRateLimitBuckets,
+  incrementRateLimitCounters,
+  recordRateLimitEvent
+} from '../utils/rateLimitUtils.js';
+
+// Kept short because other instances only see a settings change once their cache expires
+const SETTINGS_CACHE_TTL = 60;
+
+function badRequest(errors) {
+  const err = new Error(errors.join('; '));
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Rate limit settings rows of a chatbot, cached per chatbot
+ */
+export async function getRateLimitSettings(chatbotId, pool) {
+  const cacheKey = `rate-limits:${chatbotId}`;
+  const cached = cacheService.get(cacheKey);
+  if (cached) return cached;
+
+  const result = await pool.query('SELECT * FROM rate_limit_settings WHERE chatbot_id = $1', [chatbotId]);
+  cacheService.set(cacheKey, result.rows, SETTINGS_CACHE_TTL);
+  return result.rows;
+}
+
+/**
+ * Count a request against its buckets
+ * Returns { allowed: true } or { allowed: false, scope, limit, retryAfterSeconds }
+ */
+export async function checkRateLimit(endpoint, req, pool) {
+  const identity = getRateLimitIdentity(req);
+  const settings = identity.chatbotId ? await getRateLimitSettings(identity.chatbotId, pool) : [];
+  const limits = resolveRateLimits(settings, endpoint);
+  if (!limits) return { allowed: true };
+
+  const buckets = buildRateLimitBuckets(endpoint, identity, limits);
+  if (buckets.length === 0) return { allowed: true };
+
+  // The chatbot-wide bucket only counts requests the visitor limits let through,
+  // so one blocked abuser cannot use up the limit shared by all other visitors
+  const visitorBuckets = buckets.filter(bucket => bucket.scope !== 'chatbot');
+  const chatbotBuckets = buckets.filter(bucket => bucket.scope === 'chatbot');
+
+  let exceeded = null;
+  let windowStart;
+  let retryAfterSeconds;
+  for (const stage of [visitorBuckets, chatbotBuckets]) {
+    if (stage.length === 0) continue;
+    const counted = await incrementRateLimitCounters(pool, stage, limits.window_seconds);
+    ({ windowStart, retryAfterSeconds } = counted);
+    exceeded = counted.buckets.find(bucket => bucket.count > bucket.limit);
+    if (exceeded) break;
+  }
+  if (!exceeded) return { allowed: true };
+
+  recordRateLimitEvent(pool, { endpoint, identity, bucket: exceeded, windowStart, windowSeconds: limits.window_seconds })
+    .catch(err => console.error('Rate limit: error recording block event:', err.message));
+
+  if (exceeded.count === exceeded.limit + 1) {
+    console.warn(`🚫 Rate limit: ${endpoint} blocked for ${exceeded.scope} (chatbot ${identity.chatbotId || '-'}, ip ${identity.ip}, user ${identity.userId || '-'}): over ${exceeded.limit} per ${limits.window_seconds}s`);
+  }
+
+  return { allowed: false, scope: exceeded.scope, limit: exceeded.limit, retryAfterSeconds };
+}
+
+/**
+ * Express middleware limiting a public endpoint
+ * Requests are let through if the counters cannot be reached, so a database hiccup does not take the chat down
+ */
+export function createRateLimitMiddleware(pool, endpoint) {
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await checkRateLimit(endpoint, req, pool);
+    } catch (err) {
+      console.error(`Rate limit: check failed for ${endpoint}, allowing request:`, err.message);
+      return next();
+    }
+
+    if (result.allowed) return next();
+
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    return res.status(429).json({
+      error: 'Too many requests',
+      details: `Rate limit exceeded, retry after ${result.retryAfterSeconds} seconds`,
+      retry_after: result.retryAfterSeconds
+    });
+  };
+}
+
+/**
+ * Stored settings of a chatbot plus the limits in effect for every endpoint
+ */
+export async function listRateLimitSettingsService(chatbotId, pool) {
+  const result = await pool.query(
+    'SELECT * FROM rate_limit_settings WHERE chatbot_id = $1 ORDER BY endpoint',
+    [chatbotId]
+  );
+  const effective = Object.fromEntries(
+    Object.keys(DEFAULT_RATE_LIMITS).map(endpoint => [endpoint, resolveRateLimits(result.rows, endpoint)])
+  );
+  return { settings: result.rows, effective_limits: effective };
+}
+
+export async function upsertRateLimitSettingsService(body, pool) {
+  const { chatbot_id, endpoint = ALL_ENDPOINTS, per_ip, per_user, per_chatbot, window_seconds, enabled = true } = body;
+  if (!chatbot_id) throw badRequest(['chatbot_id is required']);
+  const errors = validateRateLimitSettings({ endpoint, per_ip, per_user, per_chatbot, window_seconds });
+  if (errors.length > 0) throw badRequest(errors);
+
+  const toLimit = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+  const result = await pool.query(`
+    INSERT INTO rate_limit_settings (chatbot_id, endpoint, per_ip, per_user, per_chatbot, window_seconds, enabled)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (chatbot_id, endpoint) DO UPDATE SET
+      per_ip = EXCLUDED.per_ip,
+      per_user = EXCLUDED.per_user,
+      per_chatbot = EXCLUDED.per_chatbot,
+      window_seconds = EXCLUDED.window_seconds,
+      enabled = EXCLUDED.enabled,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [
+    chatbot_id, endpoint, toLimit(per_ip), toLimit(per_user), toLimit(per_chatbot),
+    toLimit(window_seconds) || 60, enabled !== false
+  ]);
+
+  cacheService.delete(`rate-limits:${chatbot_id}`);
+  return result.rows[0];
+}
+
+export async function deleteRateLimitSettingsService(chatbotId, endpoint, pool) {
+  const result = await pool.query(
+    'DELETE FROM rate_limit_settings WHERE chatbot_id = $1 AND endpoint = $2 RETURNING id',
+    [chatbotId, endpoint]
+  );
+  if (result.rows.length === 0) {
+    const err = new Error('Rate limit settings not found');
+    err.status = 404;
+    throw err;
+  }
+  cacheService.delete(`rate-limits:${chatbotId}`);
+  return { message: 'Rate limit settings deleted' };
+}
+
+/**
+ * Recent block events, newest first, optionally for one chatbot
+ */
+export async function listRateLimitEventsService(query, pool) {
+  const limit = Math.min(parseInt(query.limit, 10) || 100, 1000);
+  const offset = parseInt(query.offset, 10) || 0;
+  const params = [limit, offset];
+  let where = '';
+  if (query.chatbot_id) {
+    params.push(query.chatbot_id);
+    where = `WHERE chatbot_id = $${params.length}`;
+  }
+
+  const result = await pool.query(`
+    SELECT * FROM rate_limit_events
+    ${where}
+    ORDER BY last_blocked_at DESC
+    LIMIT $1 OFFSET $2
+  `, params);
+  return result.rows;
+}
@@ -0,0 +1,256 @@
+import cacheService from '../utils/cacheService.js';
+import {
+  RETURN_REQUEST_STATUSES,
+  validateReturnSettings,
+  resolveReturnSettings,
+  checkReturnEligibility,
+  validateReturnSubmission,
+  buildReturnFormData,
+  insertReturnOffer,
+  getReturnAdapters
+} from '../utils/returnRequestUtils.js';
+
+// Kept short because other instances only see a settings change once their cache expires
+const SETTINGS_CACHE_TTL = 60;
+
+function badRequest(errors) {
+  const err = new Error(errors.join('; '));
+  err.status = 400;
+  return err;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Return settings row of a chatbot (or null), cached per chatbot
+ */
+export async function getReturnSettings(chatbotId, pool) {
+  const cacheKey = `return-settings:${chatbotId}`;
+  const cached = cacheService.get(cacheKey);
+  if (cached) return cached.row;
+
+  let row = null;
+  try {
+    const result = await pool.query('SELECT * FROM return_settings WHERE chatbot_id = $1', [chatbotId]);
+    row = result.rows[0] || null;
+    cacheService.set(cacheKey, { row }, SETTINGS_CACHE_TTL);
+  } catch (error) {
+    // Table missing or database hiccup - returns stay off for this request only
+    console.error('↩️ RETURNS: Error loading return settings:', error.message);
+  }
+
+  return row;
+}
+
+/**
+ * Return eligibility of every order in normalized order details, or null when the chatbot has returns off
+ * or no adapter that could take a return for the order's provider
+ */
+export async function getReturnEligibility(normalizedOrderDetails, chatbotId, pool) {
+  const settings = resolveReturnSettings(await getReturnSettings(chatbotId, pool));
+  if (!settings || !normalizedOrderDetails?.orders?.length) return null;
+
+  if (getReturnAdapters(pool, settings, { provider: normalizedOrderDetails.provider }).length === 0) {
+    console.warn(`↩️ RETURNS: Returns are enabled for chatbot ${chatbotId} but no adapter is configured for ${normalizedOrderDetails.provider} orders`);
+    return null;
+  }
+
+  return normalizedOrderDetails.orders.map(order => checkReturnEligibility(order, settings));
+}
+
+/**
+ * Store an offer for every eligible order and return the return form payload (null when none is eligible)
+ */
+export async function createReturnOffers({ normalizedOrderDetails, eligibility, chatbotId, userId, sessionId }, pool) {
+  const offers = [];
+  for (const [index, orderEligibility] of eligibility.entries()) {
+    if (!orderEligibility.eligible) continue;
+    const order = normalizedOrderDetails.orders[index];
+    offers.push(await insertReturnOffer(pool, {
+      chatbotId,
+      userId,
+      sessionId,
+      provider: normalizedOrderDetails.provider,
+      eligibility: orderEligibility,
+      customer: order.customer || null
+    }));
+  }
+
+  if (offers.length === 0) return null;
+  console.log(`↩️ RETURNS: Offered a return form for ${offers.map(offer => offer.order_number).join(', ')}`);
+  return buildReturnFormData(offers);
+}
+
+/**
+ * Submit the return form of an offer
+ * The chosen lines are checked against the offer, then sent to the first adapter that accepts them
+ */
+export async function submitReturnRequestService(publicId, body, pool) {
+  const { user_id, lines, reason, comment } = body;
+  const result = await pool.query('SELECT * FROM return_requests WHERE public_id = $1', [publicId]);
+  const offer = result.rows[0];
+  // Offers of another visitor look the same as unknown ones
+  if (!offer || (offer.user_id && offer.user_id !== user_id)) {
+    throw httpError(404, 'Return request not found');
+  }
+  if (offer.status !== RETURN_REQUEST_STATUSES.OFFERED) {
+    throw httpError(409, 'Return request has already been submitted');
+  }
+  if (new Date(offer.expires_at) < new Date()) {
+    throw httpError(410, 'Return offer has expired, ask the chat again');
+  }
+
+  const submission = validateReturnSubmission(offer.eligibility, { lines, reason, comment });
+  if (submission.errors.length > 0) throw badRequest(submission.errors);
+
+  // Claim the offer so a double submit cannot create two returns
+  const claimed = await pool.query(
+    `UPDATE return_requests SET lines = $2, reason = $3, comment = $4, submitted_at = NOW(), updated_at = NOW(), status = $5
+     WHERE id = $1 AND status = $6
+     RETURNING id`,
+    [offer.id, JSON.stringify(submission.lines), reason || 'other', comment || null, RETURN_REQUEST_STATUSES.REQUESTED, RETURN_REQUEST_STATUSES.OFFERED]
+  );
+  if (claimed.rows.length === 0) {
+    throw httpError(409, 'Return request has already been submitted');
+  }
+
+  const settings = resolveReturnSettings(await getReturnSettings(offer.chatbot_id, pool));
+  const returnRequest = {
+    chatbotId: offer.chatbot_id,
+    publicId: offer.public_id,
+    orderNumber: offer.order_number,
+    provider: offer.provider,
+    customer: offer.customer,
+    lines: submission.lines,
+    reason: reason || 'other',
+    comment: comment || null,
+    conversationSessionId: offer.conversation_session_id
+  };
+
+  const errors = [];
+  for (const adapter of settings ? getReturnAdapters(pool, settings, returnRequest) : []) {
+    try {
+      const { external_id } = await adapter.submit(returnRequest);
+      await pool.query(
+        'UPDATE return_requests SET adapter = $2, external_id = $3, error = $4, updated_at = NOW() WHERE id = $1',
+        [offer.id, adapter.type, external_id, errors.length > 0 ? errors.join('; ') : null]
+      );
+      console.log(`↩️ RETURNS: Return for order ${offer.order_number} sent through ${adapter.type}`);
+      return { return_request_id: offer.public_id, order_number: offer.order_number, status: RETURN_REQUEST_STATUSES.REQUESTED };
+    } catch (error) {
+      console.error(`↩️ RETURNS: ${adapter.type} adapter failed for order ${offer.order_number}:`, error.message);
+      errors.push(`${adapter.type}: ${error.message}`);
+    }
+  }
+
+  await pool.query(
+    'UPDATE return_requests SET status = $2, error = $3, updated_at = NOW() WHERE id = $1',
+    [offer.id, RETURN_REQUEST_STATUSES.FAILED, errors.join('; ') || 'No return adapter configured']
+  );
+  throw httpError(502, 'The return could not be registered, please contact the shop');
+}
+
+export async function getReturnSettingsService(chatbotId, pool) {
+  const result = await pool.query('SELECT * FROM return_settings WHERE chatbot_id = $1', [chatbotId]);
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Return settings not found');
+  }
+  return result.rows[0];
+}
+
+export async function upsertReturnSettingsService(body, pool) {
+  const {
+    chatbot_id,
+    enabled = true,
+    return_window_days,
+    window_start = null,
+    excluded_skus = [],
+    adapters = null,
+    webhook_url = null,
+    webhook_secret = null,
+    notification_email = null
+  } = body;
+  if (!chatbot_id) throw badRequest(['chatbot_id is required']);
+  const errors = validateReturnSettings({ return_window_days, window_start, excluded_skus, adapters, webhook_url, notification_email });
+  if (errors.length > 0) throw badRequest(errors);
+
+  const result = await pool.query(`
+    INSERT INTO return_settings
+    (chatbot_id, enabled, return_window_days, window_start, excluded_skus, adapters, webhook_url, webhook_secret, notification_email)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (chatbot_id) DO UPDATE SET
+      enabled = EXCLUDED.enabled,
+      return_window_days = EXCLUDED.return_window_days,
+      window_start = EXCLUDED.window_start,
+      excluded_skus = EXCLUDED.excluded_skus,
+      adapters = EXCLUDED.adapters,
+      webhook_url = EXCLUDED.webhook_url,
+      webhook_secret = EXCLUDED.webhook_secret,
+      notification_email = EXCLUDED.notification_email,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [
+    chatbot_id,
+    enabled !== false,
+    return_window_days === undefined || return_window_days === null || return_window_days === '' ? null : Number(return_window_days),
+    window_start || null,
+    JSON.stringify(excluded_skus || []),
+    adapters ? JSON.stringify(adapters) : null,
+    webhook_url || null,
+    webhook_secret || null,
+    notification_email || null
+  ]);
+
+  cacheService.delete(`return-settings:${chatbot_id}`);
+  return result.rows[0];
+}
+
+export async function deleteReturnSettingsService(chatbotId, pool) {
+  const result = await pool.query('DELETE FROM return_settings WHERE chatbot_id = $1 RETURNING id', [chatbotId]);
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Return settings not found');
+  }
+  cacheService.delete(`return-settings:${chatbotId}`);
+  return { message: 'Return settings deleted' };
+}
+
+/**
+ * Return requests, newest first
+ * Filters: chatbot_id, status, order_number, user_id, conversation_session_id, from, to
+ */
+export async function listReturnRequestsService(query, pool) {
+  const limit = Math.min(parseInt(query.limit, 10) || 100, 1000);
+  const offset = parseInt(query.offset, 10) || 0;
+  const params = [limit, offset];
+  const conditions = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (query.status && !Object.values(RETURN_REQUEST_STATUSES).includes(query.status)) {
+    throw badRequest([`status must be one of: ${Object.values(RETURN_REQUEST_STATUSES).join(', ')}`]);
+  }
+
+  if (query.chatbot_id) addCondition('chatbot_id = ?', query.chatbot_id);
+  if (query.status) addCondition('status = ?', query.status);
+  if (query.order_number) addCondition("regexp_replace(order_number, '^#', '') = ?", String(query.order_number).replace(/^#/, ''));
+  if (query.user_id) addCondition('user_id = ?', query.user_id);
+  if (query.conversation_session_id) addCondition('conversation_session_id = ?', query.conversation_session_id);
+  if (query.from) addCondition('created_at >= ?', query.from);
+  if (query.to) addCondition('created_at <= ?', query.to);
+
+  const result = await pool.query(`
+    SELECT id, public_id, chatbot_id, user_id, conversation_session_id, order_number, provider, status, eligibility,
+           customer, lines, reason, comment, adapter, external_id, error, expires_at, submitted_at, created_at, updated_at
+    FROM return_requests
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY created_at DESC
+    LIMIT $1 OFFSET $2
+  `, params);
+  return result.rows;
+}
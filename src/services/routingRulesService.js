@@ -0,0 +1,152 @@
+import cacheService from '../utils/cacheService.js';
+import {
+  validateRoutingRule,
+  evaluateRoutingRule,
+  resolveRuleQuestionType
+} from '../utils/routingRulesUtils.js';
+
+const RULES_CACHE_TTL = 600; // 10 minutes (in seconds)
+
+function badRequest(errors) {
+  const err = new Error(errors.join('; '));
+  err.status = 400;
+  return err;
+}
+
+function notFound() {
+  const err = new Error('Routing rule not found');
+  err.status = 404;
+  return err;
+}
+
+function invalidateRulesCache(chatbotId) {
+  cacheService.delete(`routing-rules:${chatbotId}`);
+}
+
+export async function listRoutingRulesService(chatbotId, pool) {
+  const result = await pool.query(
+    'SELECT * FROM flow_routing_rules WHERE chatbot_id = $1 ORDER BY priority ASC, id ASC',
+    [chatbotId]
+  );
+  return result.rows;
+}
+
+/**
+ * Enabled rules for a chatbot in evaluation order, cached per chatbot
+ */
+export async function getActiveRoutingRules(chatbotId, pool) {
+  const cacheKey = `routing-rules:${chatbotId}`;
+  const cached = cacheService.get(cacheKey);
+  if (cached) return cached;
+
+  const result = await pool.query(
+    'SELECT * FROM flow_routing_rules WHERE chatbot_id = $1 AND enabled = true ORDER BY priority ASC, id ASC',
+    [chatbotId]
+  );
+  cacheService.set(cacheKey, result.rows, RULES_CACHE_TTL);
+  return result.rows;
+}
+
+export async function createRoutingRuleService(body, pool) {
+  const { chatbot_id, name, priority = 100, enabled = true, conditions, target_flow_key, metadata_filter = {} } = body;
+  if (!chatbot_id) throw badRequest(['chatbot_id is required']);
+  const errors = validateRoutingRule({ name, target_flow_key, conditions, metadata_filter, priority });
+  if (errors.length > 0) throw badRequest(errors);
+
+  const result = await pool.query(
+    `INSERT INTO flow_routing_rules (chatbot_id, name, priority, enabled, conditions, target_flow_key, metadata_filter)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+    [chatbot_id, name, priority, enabled !== false, conditions, target_flow_key, metadata_filter]
+  );
+  invalidateRulesCache(chatbot_id);
+  return result.rows[0];
+}
+
+export async function updateRoutingRuleService(ruleId, body, pool) {
+  const existing = await pool.query('SELECT * FROM flow_routing_rules WHERE id = $1', [ruleId]);
+  if (existing.rows.length === 0) throw notFound();
+
+  // Partial update: unspecified fields keep their stored value
+  const rule = { ...existing.rows[0], ...body, chatbot_id: existing.rows[0].chatbot_id };
+  const errors = validateRoutingRule(rule);
+  if (errors.length > 0) throw badRequest(errors);
+
+  const result = await pool.query(
+    `UPDATE flow_routing_rules
+     SET name = $1, priority = $2, enabled = $3, conditions = $4, target_flow_key = $5, metadata_filter = $6, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $7 RETURNING *`,
+    [rule.name, rule.priority, rule.enabled !== false, rule.conditions, rule.target_flow_key, rule.metadata_filter || {}, ruleId]
+  );
+  invalidateRulesCache(rule.chatbot_id);
+  return result.rows[0];
+}
+
+export async function deleteRoutingRuleService(ruleId, pool) {
+  const result = await pool.query('DELETE FROM flow_routing_rules WHERE id = $1 RETURNING *', [ruleId]);
+  if (result.rows.length === 0) throw notFound();
+  invalidateRulesCache(result.rows[0].chatbot_id);
+  return { message: 'Routing rule deleted successfully', deleted: result.rows[0] };
+}
+
+/**
+ * Find the first rule (by priority) that matches the message
+ * Returns { match, evaluated } where match is null when the classifier should run
+ */
+export function findMatchingRoutingRule(rules, { messageText, conversationHistory, imageDescription }, configuration) {
+  const context = {
+    messageText,
+    conversationHistory: conversationHistory || [],
+    language: configuration.languageOverride || configuration.language,
+    hasImage: !!imageDescription
+  };
+  const evaluated = [];
+
+  for (const rule of rules) {
+    const { matched, reasons } = evaluateRoutingRule(rule, context);
+    const questionType = matched ? resolveRuleQuestionType(rule.target_flow_key, configuration) : null;
+    if (matched && !questionType) {
+      reasons.push(`skipped: no question type configured for ${rule.target_flow_key}`);
+    }
+    evaluated.push({ id: rule.id, name: rule.name, priority: rule.priority, matched: !!questionType, reasons });
+
+    if (questionType) {
+      return {
+        match: {
+          rule,
+          questionType,
+          selectedMetaData: rule.metadata_filter || {}
+        },
+        evaluated
+      };
+    }
+  }
+
+  return { match: null, evaluated };
+}
+
+/**
+ * Show which rule would fire for a message without touching the conversation
+ */
+export async function dryRunRoutingRulesService(chatbotId, { message, conversation_history, image_description, language }, pool) {
+  if (typeof message !== 'string') throw badRequest(['message is required']);
+
+  const { createConfigurationService } = await import('./configurationService.js');
+  const configuration = await createConfigurationService(pool).getFrontendConfiguration(chatbotId);
+  const rules = await getActiveRoutingRules(chatbotId, pool);
+
+  const { match, evaluated } = findMatchingRoutingRule(
+    rules,
+    { messageText: message, conversationHistory: conversation_history, imageDescription: image_description },
+    language ? { ...configuration, languageOverride: language } : configuration
+  );
+
+  return {
+    matched: !!match,
+    rule: match ? { id: match.rule.id, name: match.rule.name, priority: match.rule.priority } : null,
+    target_flow_key: match?.rule.target_flow_key || null,
+    question_type: match?.questionType || null,
+    metadata_filter: match?.selectedMetaData || null,
+    fallback: match ? null : 'classifier',
+    evaluated
+  };
+}
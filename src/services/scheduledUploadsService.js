@@ -1,10 +1,9 @@
 import { 
-  getPineconeApiKeyForIndex, 
-  initializePineconeClient, 
   createVectorId, 
-  prepareVectorMetadata, 
-  generateEmbedding 
+  parseExistingMetadata
 } from '../utils/pineconeUtils.js';
+import { upsertKnowledgeVectors } from '../utils/knowledgeChunkingUtils.js';
+import { getVectorStore } from '../utils/vectorStoreUtils.js';
 
 /**
  * Process scheduled uploads that are due
@@ -14,7 +13,7 @@ export async function processScheduledUploads(pool) {
     // Use ISO string for proper timezone handling
     const now = new Date().toISOString();
     const scheduledUploads = await pool.query(
-      `SELECT id, title, text, pinecone_index_name, namespace, user_id
+      `SELECT id, title, text, pinecone_index_name, namespace, user_id, metadata
        FROM pinecone_data
        WHERE scheduled_time IS NOT NULL
        AND scheduled_time <= $1::timestamptz
@@ -27,43 +26,32 @@ export async function processScheduledUploads(pool) {
 
     for (const upload of scheduledUploads.rows) {
       try {
-        // Get Pinecone API key using the proper utility function
-        const pineconeApiKey = await getPineconeApiKeyForIndex(
-          pool, 
-          upload.user_id, 
-          upload.pinecone_index_name, 
-          upload.namespace
-        );
-
-        // Generate embedding using the utility function
-        const embedding = await generateEmbedding(upload.text);
-
-        // Initialize Pinecone using the utility function
-        const pineconeClient = initializePineconeClient(pineconeApiKey);
-        const index = pineconeClient.index(upload.namespace);
+        // Pinecone or pgvector, as configured for the entry's index/namespace
+        const index = await getVectorStore(pool, {
+          userId: upload.user_id,
+          indexName: upload.pinecone_index_name,
+          namespace: upload.namespace
+        });
 
         // Create unique vector ID using the utility function
         const vectorId = createVectorId();
 
-        // Prepare vector metadata using the utility function
-        const vectorMetadata = prepareVectorMetadata(upload.user_id, upload.text, upload.title);
-
-        // Prepare vector
-        const vector = {
-          id: vectorId,
-          values: embedding,
-          metadata: vectorMetadata
-        };
-
-        // Upsert into Pinecone
-        await index.upsert([vector], { namespace: upload.namespace });
+        // Embed and upsert the text with the chunking stored on the entry
+        const chunkCount = await upsertKnowledgeVectors(index, {
+          namespace: upload.namespace,
+          vectorId,
+          ownerId: upload.user_id,
+          title: upload.title,
+          text: upload.text,
+          chunking: parseExistingMetadata(upload.metadata).chunking
+        });
 
         // Update database record
         await pool.query(
           `UPDATE pinecone_data
-           SET pinecone_vector_id = $1, is_scheduled = false, scheduled_time = NULL
-           WHERE id = $2`,
-          [vectorId, upload.id]
+           SET pinecone_vector_id = $1, chunk_count = $2, is_scheduled = false, scheduled_time = NULL
+           WHERE id = $3`,
+          [vectorId, chunkCount, upload.id]
         );
 
         processedUploads.push({
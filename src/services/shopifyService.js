@@ -1,14 +1,162 @@
-import { buildShopifyTrackingFromFulfillments } from '../utils/shopifyUtils.js';
+import {
+  SHOPIFY_GRAPHQL_PAGE_SIZE,
+  SHOPIFY_ORDER_SEARCH_QUERY,
+  buildShopifyOrderSearchQuery,
+  mapShopifyGraphQLOrder,
+  matchesShopifyOrder,
+  transformShopifyOrder,
+  getShopifyThrottleWaitMs,
+  SHOPIFY_RETURN_ORDER_QUERY,
+  SHOPIFY_RETURNABLE_FULFILLMENTS_QUERY,
+  SHOPIFY_RETURN_REQUEST_MUTATION,
+  buildShopifyReturnLineItems
+} from '../utils/shopifyUtils.js';
+
+// Pages of SHOPIFY_GRAPHQL_PAGE_SIZE orders read per search (same 50 orders the REST search looked at)
+const SHOPIFY_GRAPHQL_MAX_PAGES = 5;
+
+// Retries of a throttled GraphQL query, and the longest wait for the cost bucket to refill
+const SHOPIFY_THROTTLE_RETRIES = 3;
+const SHOPIFY_MAX_THROTTLE_WAIT_MS = 10000;
+
+function shopifyHeaders(accessToken) {
+  return {
+    'X-Shopify-Access-Token': accessToken,
+    'Content-Type': 'application/json',
+    'User-Agent': 'DialogIntelligens-Chatbot/1.0'
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * GraphQL Admin API request with Shopify's cost based throttling
+ * A THROTTLED response is retried once the bucket holds the points the query asked for
+ */
+async function shopifyGraphQLRequest(credentials, query, variables) {
+  const url = `https://${credentials.store}.myshopify.com/admin/api/${credentials.apiVersion}/graphql.json`;
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: shopifyHeaders(credentials.accessToken),
+      body: JSON.stringify({ query, variables })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Shopify GraphQL error: ${response.status} ${errorText}`);
+    }
+
+    const result = await response.json();
+    const cost = result.extensions?.cost;
+    const throttled = result.errors?.some(error => error.extensions?.code === 'THROTTLED');
+
+    if (throttled && attempt < SHOPIFY_THROTTLE_RETRIES) {
+      const waitMs = Math.min(getShopifyThrottleWaitMs(cost, cost?.requestedQueryCost || 0) || 1000, SHOPIFY_MAX_THROTTLE_WAIT_MS);
+      console.warn(`🛍️ SHOPIFY: GraphQL throttled, retrying in ${waitMs}ms`);
+      await sleep(waitMs);
+      continue;
+    }
+    if (!result.data) {
+      throw new Error(`Shopify GraphQL error: ${JSON.stringify(result.errors || result).slice(0, 500)}`);
+    }
+    if (result.errors?.length) {
+      // Partial data, e.g. customer fields the app may not read
+      console.warn('🛍️ SHOPIFY: GraphQL returned errors with data:', result.errors.map(error => error.message).join('; '));
+    }
+    return { data: result.data, cost };
+  }
+}
+
+/**
+ * Order search through the GraphQL Admin API: search query, cursor pagination, fulfillments in the same query
+ */
+async function searchShopifyOrdersGraphQL(credentials, criteria) {
+  const searchQuery = buildShopifyOrderSearchQuery(criteria);
+  const orders = [];
+  let after = null;
+
+  for (let page = 0; page < SHOPIFY_GRAPHQL_MAX_PAGES; page++) {
+    const { data, cost } = await shopifyGraphQLRequest(credentials, SHOPIFY_ORDER_SEARCH_QUERY, {
+      query: searchQuery,
+      first: SHOPIFY_GRAPHQL_PAGE_SIZE,
+      after
+    });
+
+    orders.push(...data.orders.nodes.map(mapShopifyGraphQLOrder));
+    const { hasNextPage, endCursor } = data.orders.pageInfo;
+    if (!hasNextPage) break;
+
+    // Wait for the bucket before the next page instead of running into THROTTLED
+    const waitMs = getShopifyThrottleWaitMs(cost, cost?.actualQueryCost || cost?.requestedQueryCost || 0);
+    if (waitMs > 0) await sleep(Math.min(waitMs, SHOPIFY_MAX_THROTTLE_WAIT_MS));
+    after = endCursor;
+  }
+
+  console.log(`🛍️ SHOPIFY: GraphQL search "${searchQuery}" returned ${orders.length} orders`);
+  return orders;
+}
 
+/**
+ * Order search through REST orders.json (fulfillments are fetched afterwards for the matching orders)
+ */
+async function searchShopifyOrdersRest(credentials, { email, phone, order_number }) {
+  const baseUrl = `https://${credentials.store}.myshopify.com/admin/api/${credentials.apiVersion}/orders.json`;
+  const queryParams = new URLSearchParams();
+  queryParams.append('status', 'any');
+  queryParams.append('limit', '50');
+  queryParams.append('fulfillment_status', 'any');
+  if (email) queryParams.append('email', email);
+  if (phone) queryParams.append('phone', phone);
+  if (order_number) queryParams.append('name', order_number);
+
+  const shopifyUrl = `${baseUrl}?${queryParams.toString()}`;
+
+  const response = await fetch(shopifyUrl, {
+    method: 'GET',
+    headers: shopifyHeaders(credentials.accessToken)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Shopify API error: ${response.status} ${errorText}`);
+  }
+
+  const data = await response.json();
+  return (data.orders || []).map(order => ({ order, fulfillments: null }));
+}
+
+async function fetchShopifyFulfillments(credentials, orderId) {
+  try {
+    const fulfillmentUrl = `https://${credentials.store}.myshopify.com/admin/api/${credentials.apiVersion}/orders/${orderId}/fulfillments.json`;
+    const fulfillmentResponse = await fetch(fulfillmentUrl, {
+      method: 'GET',
+      headers: shopifyHeaders(credentials.accessToken)
+    });
+    if (fulfillmentResponse.ok) {
+      const fulfillmentData = await fulfillmentResponse.json();
+      return fulfillmentData.fulfillments || [];
+    }
+  } catch (e) {
+    console.warn('Shopify fulfillment fetch failed:', e.message);
+  }
+  return [];
+}
+
+/**
+ * Search Shopify orders
+ * Uses the GraphQL Admin API and falls back to REST when it fails; shopifySearchApi: 'rest' skips GraphQL
+ */
 export async function getShopifyOrdersService(body, pool) {
   const {
     shopifyStore,
     shopifyAccessToken,
     shopifyApiVersion = '2024-10',
+    shopifySearchApi = 'graphql',
     email,
     phone,
     order_number,
-    name,
     chatbot_id
   } = body;
 
@@ -34,123 +182,74 @@ export async function getShopifyOrdersService(body, pool) {
     throw new Error('Shopify credentials not available. Provide credentials or ensure chatbot_id has configured credentials.');
   }
 
-  const baseUrl = `https://${finalShopifyStore}.myshopify.com/admin/api/${shopifyApiVersion}/orders.json`;
-  const queryParams = new URLSearchParams();
-  queryParams.append('status', 'any');
-  queryParams.append('limit', '50');
-  queryParams.append('fulfillment_status', 'any');
-  if (email) queryParams.append('email', email);
-  if (phone) queryParams.append('phone', phone);
-  if (order_number) queryParams.append('name', order_number);
+  const credentials = { store: finalShopifyStore, accessToken: finalShopifyAccessToken, apiVersion: shopifyApiVersion };
+  const criteria = { email, phone, order_number };
 
-  const shopifyUrl = `${baseUrl}?${queryParams.toString()}`;
-
-  const response = await fetch(shopifyUrl, {
-    method: 'GET',
-    headers: {
-      'X-Shopify-Access-Token': finalShopifyAccessToken,
-      'Content-Type': 'application/json',
-      'User-Agent': 'DialogIntelligens-Chatbot/1.0'
+  let candidates = null;
+  if (shopifySearchApi !== 'rest' && buildShopifyOrderSearchQuery(criteria)) {
+    try {
+      candidates = await searchShopifyOrdersGraphQL(credentials, criteria);
+    } catch (error) {
+      console.warn('🛍️ SHOPIFY: GraphQL search failed, falling back to REST:', error.message);
     }
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Shopify API error: ${response.status} ${errorText}`);
   }
-
-  const data = await response.json();
-  let filteredOrders = data.orders || [];
-
-  if (email || phone || order_number) {
-    filteredOrders = filteredOrders.filter(order => {
-      const emailMatches = !email || (order.email && order.email.toLowerCase() === email.toLowerCase());
-      const phoneMatches = !phone || (() => {
-        const phoneLocations = [
-          order.phone,
-          order.billing_address?.phone,
-          order.shipping_address?.phone,
-          order.customer?.phone
-        ].filter(p => typeof p === 'string');
-        if (phoneLocations.length === 0) return false;
-        const inputLast8 = String(phone).replace(/\D/g, '').slice(-8);
-        return phoneLocations.some(p => String(p).replace(/\D/g, '').slice(-8) === inputLast8 && inputLast8.length === 8);
-      })();
-      const orderNumberMatches = !order_number || (() => {
-        const normalizedInput = String(order_number).replace(/^#/, '').trim();
-        const normalizedOrderName = order.name ? String(order.name).replace(/^#/, '').trim() : '';
-        const normalizedOrderNumber = order.order_number ? String(order.order_number).replace(/^#/, '').trim() : '';
-        return normalizedOrderName === normalizedInput || normalizedOrderNumber === normalizedInput;
-      })();
-      return emailMatches && phoneMatches && orderNumberMatches;
-    });
+  if (!candidates) {
+    candidates = await searchShopifyOrdersRest(credentials, criteria);
   }
 
-  const transformedOrders = await Promise.all(filteredOrders.map(async (order) => {
-    let fulfillments = [];
-    try {
-      const fulfillmentUrl = `https://${finalShopifyStore}.myshopify.com/admin/api/${shopifyApiVersion}/orders/${order.id}/fulfillments.json`;
-      const fulfillmentResponse = await fetch(fulfillmentUrl, {
-        method: 'GET',
-        headers: {
-          'X-Shopify-Access-Token': finalShopifyAccessToken,
-          'Content-Type': 'application/json',
-          'User-Agent': 'DialogIntelligens-Chatbot/1.0'
-        }
-      });
-      if (fulfillmentResponse.ok) {
-        const fulfillmentData = await fulfillmentResponse.json();
-        fulfillments = fulfillmentData.fulfillments || [];
-      }
-    } catch (e) {
-      console.warn('Shopify fulfillment fetch failed:', e.message);
-    }
-
-    const tracking = buildShopifyTrackingFromFulfillments(fulfillments);
-
-    return {
-      id: order.id,
-      order_number: order.name || order.order_number,
-      email: order.email,
-      phone: order.phone || (order.billing_address && order.billing_address.phone),
-      total_price: order.total_price,
-      currency: order.currency,
-      financial_status: order.financial_status,
-      fulfillment_status: order.fulfillment_status,
-      created_at: order.created_at,
-      updated_at: order.updated_at,
-      customer_name: order.customer && `${order.customer.first_name} ${order.customer.last_name}`.trim(),
-      tags: order.tags ? order.tags.split(',').map(t => t.trim()).filter(Boolean) : [],
-      line_items: (order.line_items || []).map(item => ({
-        id: item.id,
-        name: item.name,
-        quantity: item.quantity,
-        price: item.price,
-        fulfillment_status: item.fulfillment_status,
-        sku: item.sku,
-        product_id: item.product_id,
-        variant_id: item.variant_id
-      })),
-      shipping_address: order.shipping_address,
-      billing_address: order.billing_address,
-      shipping_lines: (order.shipping_lines || []).map(line => ({
-        title: line.title,
-        price: line.price,
-        code: line.code
-      })),
-      fulfillments: tracking.fulfillments,
-      primary_tracking: tracking.primary
-    };
-  }));
+  const matchingOrders = (email || phone || order_number)
+    ? candidates.filter(({ order }) => matchesShopifyOrder(order, criteria))
+    : candidates;
+  const transformedOrders = await Promise.all(matchingOrders.map(async ({ order, fulfillments }) =>
+    transformShopifyOrder(order, fulfillments ?? await fetchShopifyFulfillments(credentials, order.id))
+  ));
 
   return {
     success: true,
     orders: transformedOrders,
     total_count: transformedOrders.length,
-    filtered_from: (data.orders || []).length
+    filtered_from: candidates.length
   };
 }
 
+/**
+ * Request a return of order lines through the GraphQL returns API
+ * lines: [{ name, sku, quantity }], reason: one of RETURN_REASONS. Returns Shopify's { id, name, status }
+ */
+export async function createShopifyReturnRequestService({ chatbot_id, order_number, lines, reason, comment, shopifyApiVersion = '2024-10' }, pool) {
+  const credentialsResult = await pool.query(
+    'SELECT shopify_store, shopify_access_token FROM shopify_credentials WHERE chatbot_id = $1',
+    [chatbot_id]
+  );
+  const row = credentialsResult.rows[0];
+  if (!row?.shopify_store || !row?.shopify_access_token) {
+    throw new Error('Shopify credentials not available for chatbot');
+  }
+  const credentials = { store: row.shopify_store, accessToken: row.shopify_access_token, apiVersion: shopifyApiVersion };
+
+  const { data: orderData } = await shopifyGraphQLRequest(credentials, SHOPIFY_RETURN_ORDER_QUERY, {
+    query: buildShopifyOrderSearchQuery({ order_number })
+  });
+  const order = orderData.orders.nodes.find(node => matchesShopifyOrder({ name: node.name }, { order_number }));
+  if (!order) {
+    throw new Error(`Shopify order ${order_number} not found`);
+  }
+
+  const { data: returnableData } = await shopifyGraphQLRequest(credentials, SHOPIFY_RETURNABLE_FULFILLMENTS_QUERY, { orderId: order.id });
+  const returnLineItems = buildShopifyReturnLineItems(returnableData.returnableFulfillments.nodes, lines, reason, comment);
+
+  const { data } = await shopifyGraphQLRequest(credentials, SHOPIFY_RETURN_REQUEST_MUTATION, {
+    input: { orderId: order.id, returnLineItems }
+  });
+  const { userErrors, return: shopifyReturn } = data.returnRequest;
+  if (userErrors?.length) {
+    throw new Error(`Shopify return request rejected: ${userErrors.map(error => error.message).join('; ')}`);
+  }
+
+  console.log(`🛍️ SHOPIFY: Return ${shopifyReturn.name} requested for order ${order.name}`);
+  return shopifyReturn;
+}
+
 export async function getShopifyOrderByIdService(params, query) {
   const { order_id } = params;
   const { shopifyStore, shopifyAccessToken, shopifyApiVersion = '2024-10' } = query;
@@ -0,0 +1,229 @@
+import cacheService from '../utils/cacheService.js';
+import {
+  SHOPIFY_WEBHOOK_TOPICS,
+  PURCHASE_ATTRIBUTIONS,
+  WIDGET_PURCHASE_MATCH_HOURS,
+  verifyShopifyWebhookSignature,
+  validateShopifyWebhookSettings,
+  resolveShopifyWebhookSettings,
+  extractShopifyWebhookOrder,
+  maskShopifyWebhookSettings
+} from '../utils/shopifyWebhookUtils.js';
+
+// Kept short because other instances only see a settings change once their cache expires
+const SETTINGS_CACHE_TTL = 60;
+
+function badRequest(errors) {
+  const err = new Error(errors.join('; '));
+  err.status = 400;
+  return err;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Webhook settings row of a chatbot (or null), cached per chatbot
+ */
+export async function getShopifyWebhookSettings(chatbotId, pool) {
+  const cacheKey = `shopify-webhook-settings:${chatbotId}`;
+  const cached = cacheService.get(cacheKey);
+  if (cached) return cached.row;
+
+  const result = await pool.query('SELECT * FROM shopify_webhook_settings WHERE chatbot_id = $1', [chatbotId]);
+  const row = result.rows[0] || null;
+  cacheService.set(cacheKey, { row }, SETTINGS_CACHE_TTL);
+  return row;
+}
+
+/**
+ * Visitor of the chatbot an order belongs to, or null
+ * The cart attribute wins; it only counts when that visitor talked to the chatbot within the attribution window.
+ * Otherwise the newest conversation in the window where the order email was written (livechat email,
+ * contact form or a message) is used.
+ */
+async function findOrderVisitor(chatbotId, order, settings, pool) {
+  const windowStart = new Date(order.createdAt.getTime() - settings.attribution_window_days * 24 * 60 * 60 * 1000);
+
+  if (order.visitorId) {
+    const result = await pool.query(
+      `SELECT 1 FROM conversations
+       WHERE chatbot_id = $1 AND user_id = $2 AND created_at >= $3
+       LIMIT 1`,
+      [chatbotId, order.visitorId, windowStart]
+    );
+    if (result.rows.length > 0) {
+      return { userId: order.visitorId, attribution: PURCHASE_ATTRIBUTIONS.CART_ATTRIBUTE };
+    }
+    console.log(`🛒 SHOPIFY WEBHOOK: Cart attribute visitor ${order.visitorId} has no conversation with ${chatbotId} in the window`);
+  }
+
+  if (settings.match_email && order.email) {
+    const result = await pool.query(
+      `SELECT user_id FROM conversations
+       WHERE chatbot_id = $1 AND user_id IS NOT NULL AND created_at BETWEEN $3 AND $4
+         AND (lower(livechat_email) = $2
+              OR lower(form_data->>'email') = $2
+              OR position($2 IN lower(conversation_data::text)) > 0)
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [chatbotId, order.email, windowStart, order.createdAt]
+    );
+    if (result.rows.length > 0) {
+      return { userId: result.rows[0].user_id, attribution: PURCHASE_ATTRIBUTIONS.EMAIL };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Record the purchase of an order
+ * A purchase the widget already reported for the visitor around the order time is completed with the order
+ * (real amount, currency and order id) instead of counted twice; a webhook Shopify sends again is ignored.
+ */
+async function recordOrderPurchase(chatbotId, visitor, order, pool) {
+  const existing = await pool.query(
+    'SELECT * FROM purchases WHERE chatbot_id = $1 AND external_order_id = $2',
+    [chatbotId, order.id]
+  );
+  if (existing.rows.length > 0) {
+    return { recorded: false, reason: 'duplicate', purchase: existing.rows[0] };
+  }
+
+  try {
+    const merged = await pool.query(
+      `UPDATE purchases
+       SET amount = $3, currency = COALESCE($4, currency), external_order_id = $5, order_number = $6, attribution = $7
+       WHERE id = (
+         SELECT id FROM purchases
+         WHERE chatbot_id = $1 AND user_id = $2 AND external_order_id IS NULL
+           AND created_at BETWEEN $8::timestamptz - make_interval(hours => $9) AND $8::timestamptz + make_interval(hours => $9)
+         ORDER BY abs(extract(epoch FROM created_at - $8::timestamptz))
+         LIMIT 1
+       )
+       RETURNING *`,
+      [chatbotId, visitor.userId, order.amount, order.currency, order.id, order.orderNumber, visitor.attribution, order.createdAt, WIDGET_PURCHASE_MATCH_HOURS]
+    );
+    if (merged.rows.length > 0) {
+      return { recorded: true, merged: true, purchase: merged.rows[0] };
+    }
+
+    const inserted = await pool.query(
+      `INSERT INTO purchases (user_id, chatbot_id, amount, currency, external_order_id, order_number, attribution, widget_reported, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, false, $8)
+       ON CONFLICT (chatbot_id, external_order_id) WHERE external_order_id IS NOT NULL DO NOTHING
+       RETURNING *`,
+      [visitor.userId, chatbotId, order.amount, order.currency || 'DKK', order.id, order.orderNumber, visitor.attribution, order.createdAt]
+    );
+    if (inserted.rows.length > 0) {
+      return { recorded: true, merged: false, purchase: inserted.rows[0] };
+    }
+  } catch (error) {
+    // A retry of the same webhook that got here first
+    if (error.code !== '23505') throw error;
+  }
+  return { recorded: false, reason: 'duplicate' };
+}
+
+/**
+ * Handle a Shopify webhook for a chatbot
+ * Throws 401 for a missing or wrong signature (or unknown chatbot, which looks the same); everything else answers
+ * 200, so Shopify does not retry orders that cannot be attributed.
+ */
+export async function handleShopifyWebhookService(chatbotId, { rawBody, headers, body }, pool) {
+  const settings = resolveShopifyWebhookSettings(await getShopifyWebhookSettings(chatbotId, pool));
+  if (!settings || !verifyShopifyWebhookSignature(rawBody, headers['x-shopify-hmac-sha256'], settings.webhook_secret)) {
+    throw httpError(401, 'Invalid webhook signature');
+  }
+
+  const topic = headers['x-shopify-topic'];
+  const shopDomain = headers['x-shopify-shop-domain'];
+  if (settings.shop_domain && shopDomain && shopDomain.toLowerCase() !== settings.shop_domain.toLowerCase()) {
+    console.warn(`🛒 SHOPIFY WEBHOOK: ${chatbotId} got a webhook from ${shopDomain}, expected ${settings.shop_domain}`);
+    return { recorded: false, reason: 'wrong_shop' };
+  }
+  if (topic !== SHOPIFY_WEBHOOK_TOPICS.ORDERS_CREATE) {
+    return { recorded: false, reason: 'ignored_topic' };
+  }
+
+  const order = extractShopifyWebhookOrder(body || {}, settings.cart_attribute);
+  if (!order.id || Number.isNaN(order.amount)) {
+    return { recorded: false, reason: 'invalid_order' };
+  }
+  if (order.test) {
+    return { recorded: false, reason: 'test_order' };
+  }
+
+  const visitor = await findOrderVisitor(chatbotId, order, settings, pool);
+  if (!visitor) {
+    console.log(`🛒 SHOPIFY WEBHOOK: Order ${order.orderNumber} of ${chatbotId} has no chatbot visitor`);
+    return { recorded: false, reason: 'no_visitor' };
+  }
+
+  const result = await recordOrderPurchase(chatbotId, visitor, order, pool);
+  console.log(`🛒 SHOPIFY WEBHOOK: Order ${order.orderNumber} of ${chatbotId} → ${result.recorded ? (result.merged ? 'merged with widget purchase' : 'recorded') : result.reason} (${visitor.attribution})`);
+  return {
+    recorded: result.recorded,
+    ...(result.reason && { reason: result.reason }),
+    ...(result.recorded && { merged: result.merged, attribution: visitor.attribution, purchase_id: result.purchase.id })
+  };
+}
+
+export async function getShopifyWebhookSettingsService(chatbotId, pool) {
+  const result = await pool.query('SELECT * FROM shopify_webhook_settings WHERE chatbot_id = $1', [chatbotId]);
+  if (result.rows.length === 0) throw httpError(404, 'Shopify webhook settings not found');
+  return maskShopifyWebhookSettings(result.rows[0]);
+}
+
+/**
+ * An omitted (or masked) webhook_secret keeps the stored one
+ */
+export async function upsertShopifyWebhookSettingsService(body, pool) {
+  const { chatbot_id, shop_domain = null, cart_attribute = null, match_email = null, attribution_window_days = null, enabled = true } = body;
+  if (!chatbot_id) throw badRequest(['chatbot_id is required']);
+
+  let { webhook_secret } = body;
+  if (!webhook_secret || webhook_secret === '********') {
+    const stored = await pool.query('SELECT webhook_secret FROM shopify_webhook_settings WHERE chatbot_id = $1', [chatbot_id]);
+    webhook_secret = stored.rows[0]?.webhook_secret;
+  }
+  const errors = validateShopifyWebhookSettings({ webhook_secret, shop_domain, cart_attribute, attribution_window_days });
+  if (errors.length > 0) throw badRequest(errors);
+
+  const result = await pool.query(`
+    INSERT INTO shopify_webhook_settings
+    (chatbot_id, webhook_secret, shop_domain, cart_attribute, match_email, attribution_window_days, enabled)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (chatbot_id) DO UPDATE SET
+      webhook_secret = EXCLUDED.webhook_secret,
+      shop_domain = EXCLUDED.shop_domain,
+      cart_attribute = EXCLUDED.cart_attribute,
+      match_email = EXCLUDED.match_email,
+      attribution_window_days = EXCLUDED.attribution_window_days,
+      enabled = EXCLUDED.enabled,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [
+    chatbot_id,
+    webhook_secret,
+    shop_domain || null,
+    cart_attribute || null,
+    match_email === null || match_email === undefined ? null : match_email !== false,
+    attribution_window_days === null || attribution_window_days === '' ? null : Number(attribution_window_days),
+    enabled !== false
+  ]);
+
+  cacheService.delete(`shopify-webhook-settings:${chatbot_id}`);
+  return maskShopifyWebhookSettings(result.rows[0]);
+}
+
+export async function deleteShopifyWebhookSettingsService(chatbotId, pool) {
+  const result = await pool.query('DELETE FROM shopify_webhook_settings WHERE chatbot_id = $1 RETURNING id', [chatbotId]);
+  if (result.rows.length === 0) throw httpError(404, 'Shopify webhook settings not found');
+  cacheService.delete(`shopify-webhook-settings:${chatbotId}`);
+  return { message: 'Shopify webhook settings deleted' };
+}
@@ -0,0 +1,83 @@
+import {
+  VECTOR_STORE_BACKENDS,
+  ensurePgvectorStore,
+  getDefaultVectorStoreBackend,
+  getVectorStoreBackend,
+  invalidateVectorStoreSettings
+} from '../utils/vectorStoreUtils.js';
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound() {
+  const err = new Error('Vector store setting not found');
+  err.status = 404;
+  return err;
+}
+
+export async function listVectorStoreSettingsService(pool) {
+  const result = await pool.query('SELECT * FROM vector_store_settings ORDER BY index_name ASC, namespace ASC');
+  return {
+    default_backend: getDefaultVectorStoreBackend(),
+    settings: result.rows
+  };
+}
+
+/**
+ * Set the backend of an index, a namespace, or a namespace of one index
+ * The vectors already stored are not moved; entries written before the switch must be saved again.
+ */
+export async function saveVectorStoreSettingService(body, pool) {
+  const indexName = (body.index_name || '').trim();
+  const namespace = (body.namespace || '').trim();
+  const { backend } = body;
+  if (!indexName && !namespace) throw badRequest('index_name or namespace is required');
+  if (!Object.values(VECTOR_STORE_BACKENDS).includes(backend)) {
+    throw badRequest(`backend must be one of: ${Object.values(VECTOR_STORE_BACKENDS).join(', ')}`);
+  }
+  if (backend === VECTOR_STORE_BACKENDS.PGVECTOR) {
+    try {
+      await ensurePgvectorStore(pool);
+    } catch (error) {
+      throw badRequest(error.message);
+    }
+  }
+
+  const result = await pool.query(`
+    INSERT INTO vector_store_settings (index_name, namespace, backend)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (index_name, namespace) DO UPDATE SET backend = EXCLUDED.backend, updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [indexName, namespace, backend]);
+  invalidateVectorStoreSettings();
+  return result.rows[0];
+}
+
+export async function deleteVectorStoreSettingService(settingId, pool) {
+  const result = await pool.query('DELETE FROM vector_store_settings WHERE id = $1 RETURNING *', [settingId]);
+  if (result.rows.length === 0) throw notFound();
+  invalidateVectorStoreSettings();
+  return { message: 'Vector store setting deleted successfully', deleted: result.rows[0] };
+}
+
+/**
+ * Backend used for an index/namespace, with the pgvector vector count
+ */
+export async function resolveVectorStoreService({ index_name, namespace }, pool) {
+  if (!index_name || !namespace) throw badRequest('index_name and namespace are required');
+  const backend = await getVectorStoreBackend(pool, index_name, namespace);
+
+  let vectorCount = null;
+  if (backend === VECTOR_STORE_BACKENDS.PGVECTOR) {
+    await ensurePgvectorStore(pool);
+    const result = await pool.query(
+      'SELECT COUNT(*)::int AS count FROM knowledge_vectors WHERE index_name = $1 AND namespace = $2',
+      [index_name, namespace]
+    );
+    vectorCount = result.rows[0].count;
+  }
+  return { index_name, namespace, backend, vector_count: vectorCount };
+}
@@ -0,0 +1,304 @@
+import dns from 'dns';
+import net from 'net';
+import {
+  buildWooCommerceRequest,
+  matchesWooCommerceOrder,
+  transformWooCommerceOrder
+} from '../utils/woocommerceUtils.js';
+import { isBlockedAddress } from '../utils/knowledgeCrawlerUtils.js';
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * Fetch WooCommerce credentials from database
+ */
+async function getWooCommerceCredentials(chatbot_id, pool) {
+  if (!chatbot_id) return null;
+
+  try {
+    const result = await pool.query(
+      `SELECT woocommerce_store_url, woocommerce_consumer_key, woocommerce_consumer_secret, query_string_auth
+       FROM woocommerce_credentials WHERE chatbot_id = $1`,
+      [chatbot_id]
+    );
+
+    if (result.rows.length === 0) {
+      console.log('🔑 WOOCOMMERCE: No credentials found in database for chatbot:', chatbot_id);
+      return null;
+    }
+
+    const credentials = result.rows[0];
+    return {
+      storeUrl: credentials.woocommerce_store_url,
+      consumerKey: credentials.woocommerce_consumer_key,
+      consumerSecret: credentials.woocommerce_consumer_secret,
+      queryStringAuth: credentials.query_string_auth === true
+    };
+  } catch (error) {
+    console.error('🔑 WOOCOMMERCE: Error fetching credentials from database:', error);
+    return null;
+  }
+}
+
+/**
+ * Make authenticated GET request to the WooCommerce REST API
+ * Returns null for 404 so a missing order is not an error
+ */
+async function makeWooCommerceRequest(credentials, path, params) {
+  // Checked on every request too: the stored URL may predate the check, or its DNS may have changed since
+  const urlError = await validateStoreUrl(credentials.storeUrl);
+  if (urlError) throw new Error(`WooCommerce store not allowed: ${urlError}`);
+
+  const { url, headers } = buildWooCommerceRequest(credentials, path, params);
+  console.log('🛒 WOOCOMMERCE: Request to:', url.replace(/consumer_(key|secret)=[^&]+/g, 'consumer_$1=[HIDDEN]'));
+
+  let response;
+  try {
+    // Redirects are not followed: they could lead to an internal address, and the keys would not go along anyway
+    response = await fetch(url, { method: 'GET', headers, redirect: 'error', signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  } catch (error) {
+    const reason = error.name === 'TimeoutError' ? `no answer within ${REQUEST_TIMEOUT_MS / 1000} seconds` : error.message;
+    throw new Error(`WooCommerce API error: ${reason}`);
+  }
+
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('WooCommerce API error:', response.status, errorText);
+    throw new Error(`WooCommerce API error: ${response.status} - ${errorText}`);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Search for WooCommerce orders
+ * The order number must be given together with the customer's email or phone.
+ * The store is always the chatbot's stored one - this runs for public requests, so the body cannot point it elsewhere
+ */
+export async function searchWooCommerceOrdersService(body, pool) {
+  const { email, phone, order_number, chatbot_id } = body;
+
+  const credentials = await getWooCommerceCredentials(chatbot_id, pool);
+  if (!credentials || !credentials.storeUrl || !credentials.consumerKey || !credentials.consumerSecret) {
+    throw new Error('WooCommerce credentials not available. Ensure chatbot_id has credentials configured in database.');
+  }
+
+  const orderNumber = order_number ? String(order_number).replace(/^#/, '').trim() : '';
+  if (!orderNumber || (!email && !phone)) {
+    throw new Error('WooCommerce tracking requires order_number along with email or phone');
+  }
+
+  const criteria = { email, phone, order_number: orderNumber };
+
+  // search covers the order number (also custom numbers from sequential order number plugins)
+  const searchResults = await makeWooCommerceRequest(credentials, '/orders', {
+    search: orderNumber,
+    per_page: 20
+  }) || [];
+  let candidates = searchResults;
+
+  // Stores without a custom numbering use the order id as number; fetch it directly if search missed it
+  if (!candidates.some(order => matchesWooCommerceOrder(order, { order_number: orderNumber })) && /^\d+$/.test(orderNumber)) {
+    const order = await makeWooCommerceRequest(credentials, `/orders/${orderNumber}`);
+    if (order) candidates = [...candidates, order];
+  }
+
+  const matchingOrders = candidates
+    .filter(order => matchesWooCommerceOrder(order, criteria))
+    .map(order => transformWooCommerceOrder(order, credentials.storeUrl.replace(/\/+$/, '')));
+
+  console.log(`✅ WOOCOMMERCE: Found ${matchingOrders.length} orders matching criteria`);
+
+  return {
+    orders: matchingOrders,
+    total_count: matchingOrders.length,
+    filtered_from: candidates.length
+  };
+}
+
+/**
+ * Error message for a store URL the backend may not call, or null
+ * Hosts resolving to internal addresses are refused; WOOCOMMERCE_ALLOW_PRIVATE_STORE=true allows them
+ * for local testing (scripts/mock-woocommerce-server.js)
+ */
+async function validateStoreUrl(value) {
+  let storeUrl;
+  try {
+    storeUrl = new URL(value);
+  } catch (e) {
+    return 'woocommerce_store_url must be a valid URL';
+  }
+  if (!['http:', 'https:'].includes(storeUrl.protocol)) {
+    return 'woocommerce_store_url must be an http(s) URL';
+  }
+  if (process.env.WOOCOMMERCE_ALLOW_PRIVATE_STORE === 'true') return null;
+
+  const host = storeUrl.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (e) {
+    return `woocommerce_store_url host ${host} could not be resolved`;
+  }
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) return `woocommerce_store_url host ${host} resolves to an internal address (${blocked.address})`;
+  return null;
+}
+
+export async function getWooCommerceCredentialsService(params, pool) {
+  const { chatbot_id } = params;
+  if (!chatbot_id) throw new Error('Chatbot ID is required');
+
+  const result = await pool.query(
+    `SELECT chatbot_id, woocommerce_store_url, woocommerce_consumer_key, woocommerce_consumer_secret,
+            woocommerce_enabled, query_string_auth, created_at, updated_at
+     FROM woocommerce_credentials WHERE chatbot_id = $1`,
+    [chatbot_id]
+  );
+
+  if (result.rows.length === 0) {
+    return { statusCode: 404, payload: { error: 'WooCommerce credentials not found for this chatbot' } };
+  }
+
+  const credentials = result.rows[0];
+  return { statusCode: 200, payload: {
+    success: true,
+    credentials: {
+      woocommerceStoreUrl: credentials.woocommerce_store_url,
+      woocommerceConsumerKey: credentials.woocommerce_consumer_key,
+      // The secret is never sent back; saving without it keeps the stored one
+      woocommerceConsumerSecret: credentials.woocommerce_consumer_secret ? '********' : '',
+      woocommerceEnabled: credentials.woocommerce_enabled,
+      queryStringAuth: credentials.query_string_auth,
+      createdAt: credentials.created_at,
+      updatedAt: credentials.updated_at
+    }
+  }};
+}
+
+export async function upsertWooCommerceCredentialsService(body, pool) {
+  const {
+    chatbot_id,
+    woocommerce_store_url,
+    woocommerce_consumer_key,
+    woocommerce_consumer_secret,
+    woocommerce_enabled = true,
+    query_string_auth = false
+  } = body;
+
+  if (!chatbot_id || !woocommerce_store_url || !woocommerce_consumer_key) {
+    return { statusCode: 400, payload: { error: 'chatbot_id, woocommerce_store_url, and woocommerce_consumer_key are required' } };
+  }
+
+  const urlError = await validateStoreUrl(woocommerce_store_url);
+  if (urlError) {
+    return { statusCode: 400, payload: { error: urlError } };
+  }
+
+  const secretProvided = woocommerce_consumer_secret && woocommerce_consumer_secret !== '********';
+  if (!secretProvided) {
+    const existing = await pool.query('SELECT id FROM woocommerce_credentials WHERE chatbot_id = $1', [chatbot_id]);
+    if (existing.rows.length === 0) {
+      return { statusCode: 400, payload: { error: 'woocommerce_consumer_secret is required' } };
+    }
+  }
+
+  console.log('🔑 WOOCOMMERCE: Saving credentials for chatbot:', chatbot_id, 'store:', woocommerce_store_url);
+
+  const result = await pool.query(`
+    INSERT INTO woocommerce_credentials
+    (chatbot_id, woocommerce_store_url, woocommerce_consumer_key, woocommerce_consumer_secret,
+     woocommerce_enabled, query_string_auth, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+    ON CONFLICT (chatbot_id)
+    DO UPDATE SET
+      woocommerce_store_url = EXCLUDED.woocommerce_store_url,
+      woocommerce_consumer_key = EXCLUDED.woocommerce_consumer_key,
+      woocommerce_consumer_secret = COALESCE($7, woocommerce_credentials.woocommerce_consumer_secret),
+      woocommerce_enabled = EXCLUDED.woocommerce_enabled,
+      query_string_auth = EXCLUDED.query_string_auth,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING id, chatbot_id
+  `, [
+    chatbot_id,
+    woocommerce_store_url.replace(/\/+$/, ''),
+    woocommerce_consumer_key,
+    secretProvided ? woocommerce_consumer_secret : '',
+    woocommerce_enabled !== false,
+    query_string_auth === true,
+    secretProvided ? woocommerce_consumer_secret : null
+  ]);
+
+  return { statusCode: 200, payload: {
+    success: true,
+    message: 'WooCommerce credentials saved successfully',
+    id: result.rows[0].id
+  }};
+}
+
+/**
+ * Check credentials against the store before saving them (admin only)
+ * An omitted or masked secret is taken from the chatbot's stored credentials
+ */
+export async function testWooCommerceCredentialsService(body, pool) {
+  const {
+    chatbot_id,
+    woocommerce_store_url,
+    woocommerce_consumer_key,
+    woocommerce_consumer_secret,
+    query_string_auth = false
+  } = body;
+
+  if (!woocommerce_store_url || !woocommerce_consumer_key) {
+    return { statusCode: 400, payload: { error: 'woocommerce_store_url and woocommerce_consumer_key are required' } };
+  }
+  const urlError = await validateStoreUrl(woocommerce_store_url);
+  if (urlError) {
+    return { statusCode: 400, payload: { error: urlError } };
+  }
+
+  let consumerSecret = woocommerce_consumer_secret;
+  if (!consumerSecret || consumerSecret === '********') {
+    const stored = await getWooCommerceCredentials(chatbot_id, pool);
+    if (!stored?.consumerSecret) {
+      return { statusCode: 400, payload: { error: 'woocommerce_consumer_secret is required' } };
+    }
+    consumerSecret = stored.consumerSecret;
+  }
+
+  const credentials = {
+    storeUrl: woocommerce_store_url.replace(/\/+$/, ''),
+    consumerKey: woocommerce_consumer_key,
+    consumerSecret,
+    queryStringAuth: query_string_auth === true
+  };
+
+  try {
+    await makeWooCommerceRequest(credentials, '/orders', { per_page: 1 });
+  } catch (error) {
+    return { statusCode: 502, payload: { success: false, error: 'WooCommerce store rejected the request', details: error.message } };
+  }
+  return { statusCode: 200, payload: { success: true, message: 'WooCommerce credentials work' } };
+}
+
+export async function deleteWooCommerceCredentialsService(params, pool) {
+  const { chatbot_id } = params;
+  if (!chatbot_id) throw new Error('Chatbot ID is required');
+
+  console.log('🔑 WOOCOMMERCE: Deleting credentials for chatbot:', chatbot_id);
+
+  const result = await pool.query(
+    'DELETE FROM woocommerce_credentials WHERE chatbot_id = $1 RETURNING id',
+    [chatbot_id]
+  );
+
+  if (result.rows.length === 0) {
+    return { statusCode: 404, payload: { error: 'WooCommerce credentials not found for this chatbot' } };
+  }
+
+  return { statusCode: 200, payload: {
+    success: true,
+    message: 'WooCommerce credentials deleted successfully'
+  }};
+}
@@ -135,13 +135,13 @@ class CacheService {
 // Create singleton instance
 const cacheService = new CacheService();
 
-// Run cleanup every 5 minutes
+// Run cleanup every 5 minutes (unref'd so the timer alone does not keep scripts and tests running)
 setInterval(() => {
   const cleaned = cacheService.cleanup();
   if (cleaned > 0) {
     console.log(`🧹 Cache cleanup: Removed ${cleaned} expired entries`);
   }
-}, 5 * 60 * 1000);
+}, 5 * 60 * 1000).unref();
 
 export default cacheService;
 
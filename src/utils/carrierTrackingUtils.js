@@ -0,0 +1,436 @@
+/**
+ * Carrier Tracking Utilities
+ * Adapters that look a tracking number up at the carrier and normalize it into a shipment
+ *
+ * Every adapter exposes:
+ *   - carrier
+ *   - isConfigured() → false when the carrier's API credentials are missing (the adapter is skipped)
+ *   - track(trackingNumber) → normalized shipment, or null when the carrier does not know the number
+ *
+ * Adapters are created with { baseUrl, fetch, ...credentials }, so tests can point them at a local server
+ * or pass a fake fetch and run without network access
+ *
+ * Normalized shipment:
+ *   { carrier, trackingNumber, status, statusText, lastEvent: { time, location, description } | null,
+ *     estimatedDelivery, pickupPoint: { name, address } | null, events: [{ time, location, description }] }
+ */
+
+export const SHIPMENT_STATUSES = {
+  PRE_TRANSIT: 'pre_transit',
+  IN_TRANSIT: 'in_transit',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  READY_FOR_PICKUP: 'ready_for_pickup',
+  DELIVERED: 'delivered',
+  RETURNED: 'returned',
+  EXCEPTION: 'exception',
+  UNKNOWN: 'unknown'
+};
+
+export const CARRIERS = {
+  POSTNORD: 'postnord',
+  GLS: 'gls',
+  DAO: 'dao',
+  BRING: 'bring'
+};
+
+// Carrier calls run while the customer waits for an answer
+const CARRIER_REQUEST_TIMEOUT_MS = 4000;
+
+// Events passed on per shipment; the newest ones are the interesting ones
+const MAX_SHIPMENT_EVENTS = 5;
+
+const STATUS_TEXT = {
+  [SHIPMENT_STATUSES.PRE_TRANSIT]: 'label created, not yet handed to the carrier',
+  [SHIPMENT_STATUSES.IN_TRANSIT]: 'on its way',
+  [SHIPMENT_STATUSES.OUT_FOR_DELIVERY]: 'out for delivery',
+  [SHIPMENT_STATUSES.READY_FOR_PICKUP]: 'ready for pickup',
+  [SHIPMENT_STATUSES.DELIVERED]: 'delivered',
+  [SHIPMENT_STATUSES.RETURNED]: 'returned to sender',
+  [SHIPMENT_STATUSES.EXCEPTION]: 'delayed or delivery problem',
+  [SHIPMENT_STATUSES.UNKNOWN]: 'status unknown'
+};
+
+function toIsoTime(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function joinAddress(...parts) {
+  return parts.filter(part => part && String(part).trim()).join(', ') || null;
+}
+
+/**
+ * Build the normalized shipment from carrier specific values
+ * events may come in any order; they are sorted newest first
+ */
+export function buildShipment({ carrier, trackingNumber, status, statusText, events = [], estimatedDelivery, pickupPoint }) {
+  const sortedEvents = events
+    .map(event => ({
+      time: toIsoTime(event.time),
+      location: event.location || null,
+      description: event.description || null
+    }))
+    .sort((a, b) => (b.time || '').localeCompare(a.time || ''))
+    .slice(0, MAX_SHIPMENT_EVENTS);
+
+  const normalizedStatus = status || SHIPMENT_STATUSES.UNKNOWN;
+  return {
+    carrier,
+    trackingNumber,
+    status: normalizedStatus,
+    statusText: statusText || STATUS_TEXT[normalizedStatus],
+    lastEvent: sortedEvents[0] || null,
+    estimatedDelivery: toIsoTime(estimatedDelivery),
+    pickupPoint: pickupPoint?.name || pickupPoint?.address ? pickupPoint : null,
+    events: sortedEvents
+  };
+}
+
+/**
+ * One-line description of a shipment of normalized order details, for the order summary given to the AI
+ */
+export function describeShipment(shipment) {
+  const statusText = STATUS_TEXT[shipment.status] || shipment.status;
+  let text = [shipment.carrier?.toUpperCase(), shipment.tracking_number].filter(Boolean).join(' ') || 'Shipment';
+  if (statusText) text += `: ${statusText}`;
+  if (shipment.status_text && shipment.status_text !== statusText) {
+    text += ` (${shipment.status_text})`;
+  }
+  if (shipment.pickup_point) {
+    text += `, pickup point ${joinAddress(shipment.pickup_point.name, shipment.pickup_point.address)}`;
+  }
+  if (shipment.last_event) {
+    const { time, location, description } = shipment.last_event;
+    text += `, last scan ${time || ''}${location ? ` in ${location}` : ''}${description ? `: ${description}` : ''}`;
+  }
+  if (shipment.estimated_delivery && shipment.status !== SHIPMENT_STATUSES.DELIVERED) {
+    text += `, expected delivery ${shipment.estimated_delivery}`;
+  }
+  if (!shipment.status && shipment.tracking_url) {
+    text += ` ${shipment.tracking_url}`;
+  }
+  return text;
+}
+
+/**
+ * GET a carrier API with a timeout; returns null for 404
+ */
+async function fetchCarrierJson(fetchImpl, url, headers = {}) {
+  const response = await fetchImpl(url, {
+    method: 'GET',
+    headers: { Accept: 'application/json', ...headers },
+    signal: AbortSignal.timeout(CARRIER_REQUEST_TIMEOUT_MS)
+  });
+
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Carrier API error: ${response.status} - ${errorText.slice(0, 200)}`);
+  }
+  return await response.json();
+}
+
+/**
+ * PostNord Track & Trace API (POSTNORD_API_KEY)
+ */
+export class PostNordCarrierAdapter {
+  constructor({ apiKey = process.env.POSTNORD_API_KEY, baseUrl = process.env.POSTNORD_API_URL || 'https://api2.postnord.com', locale = 'en', fetch: fetchImpl = fetch } = {}) {
+    this.carrier = CARRIERS.POSTNORD;
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.locale = locale;
+    this.fetch = fetchImpl;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  static mapStatus(status) {
+    switch (status) {
+      case 'DELIVERED': return SHIPMENT_STATUSES.DELIVERED;
+      case 'AVAILABLE_FOR_DELIVERY': return SHIPMENT_STATUSES.READY_FOR_PICKUP;
+      case 'EN_ROUTE':
+      case 'IN_TRANSIT': return SHIPMENT_STATUSES.IN_TRANSIT;
+      case 'INFORMED':
+      case 'CREATED': return SHIPMENT_STATUSES.PRE_TRANSIT;
+      case 'RETURNED': return SHIPMENT_STATUSES.RETURNED;
+      case 'DELIVERY_IMPOSSIBLE':
+      case 'DELIVERY_REFUSED':
+      case 'EXPECTED_DELAY':
+      case 'STOPPED': return SHIPMENT_STATUSES.EXCEPTION;
+      default: return SHIPMENT_STATUSES.UNKNOWN;
+    }
+  }
+
+  async track(trackingNumber) {
+    const url = `${this.baseUrl}/rest/shipment/v5/trackandtrace/findByIdentifier.json?apikey=${encodeURIComponent(this.apiKey)}&id=${encodeURIComponent(trackingNumber)}&locale=${this.locale}`;
+    const data = await fetchCarrierJson(this.fetch, url);
+    const shipment = data?.TrackingInformationResponse?.shipments?.[0];
+    if (!shipment) return null;
+
+    const events = (shipment.items || []).flatMap(item => item.events || []).map(event => ({
+      time: event.eventTime,
+      location: event.location?.displayName || event.location?.city,
+      description: event.eventDescription
+    }));
+    const deliveryPoint = shipment.deliveryPoint;
+
+    return buildShipment({
+      carrier: this.carrier,
+      trackingNumber,
+      status: PostNordCarrierAdapter.mapStatus(shipment.status),
+      statusText: shipment.statusText?.header,
+      events,
+      estimatedDelivery: shipment.estimatedTimeOfArrival,
+      pickupPoint: deliveryPoint && {
+        name: deliveryPoint.displayName || deliveryPoint.name,
+        address: joinAddress(deliveryPoint.address?.street1, deliveryPoint.address?.postCode, deliveryPoint.address?.city)
+      }
+    });
+  }
+}
+
+/**
+ * GLS public track & trace (no credentials needed; GLS_COUNTRY picks the GLS site, default DK)
+ */
+export class GlsCarrierAdapter {
+  constructor({ baseUrl = process.env.GLS_API_URL || 'https://gls-group.eu', country = process.env.GLS_COUNTRY || 'DK', fetch: fetchImpl = fetch } = {}) {
+    this.carrier = CARRIERS.GLS;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.country = country;
+    this.fetch = fetchImpl;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  static mapStatus(status) {
+    switch (status) {
+      case 'DELIVERED': return SHIPMENT_STATUSES.DELIVERED;
+      case 'DELIVEREDPS': return SHIPMENT_STATUSES.READY_FOR_PICKUP;
+      case 'INDELIVERY': return SHIPMENT_STATUSES.OUT_FOR_DELIVERY;
+      case 'INTRANSIT':
+      case 'INWAREHOUSE': return SHIPMENT_STATUSES.IN_TRANSIT;
+      case 'PREADVICE': return SHIPMENT_STATUSES.PRE_TRANSIT;
+      case 'NOTDELIVERED': return SHIPMENT_STATUSES.EXCEPTION;
+      default: return SHIPMENT_STATUSES.UNKNOWN;
+    }
+  }
+
+  async track(trackingNumber) {
+    const url = `${this.baseUrl}/app/service/open/rest/${this.country}/en/rstt001?match=${encodeURIComponent(trackingNumber)}`;
+    const data = await fetchCarrierJson(this.fetch, url);
+    const parcel = data?.tuStatus?.[0];
+    if (!parcel) return null;
+
+    const events = (parcel.history || []).map(event => ({
+      time: event.date && event.time ? `${event.date}T${event.time}` : event.date,
+      location: joinAddress(event.address?.city, event.address?.countryName),
+      description: event.evtDscr
+    }));
+    const parcelShop = parcel.parcelShop;
+
+    return buildShipment({
+      carrier: this.carrier,
+      trackingNumber,
+      status: GlsCarrierAdapter.mapStatus(parcel.progressBar?.statusInfo),
+      statusText: parcel.progressBar?.statusText,
+      events,
+      estimatedDelivery: parcel.deliveryDate,
+      pickupPoint: parcelShop && {
+        name: parcelShop.name,
+        address: joinAddress(parcelShop.street, parcelShop.postalCode, parcelShop.city)
+      }
+    });
+  }
+}
+
+/**
+ * DAO Track & Trace (DAO_CUSTOMER_ID and DAO_API_KEY)
+ */
+export class DaoCarrierAdapter {
+  constructor({ customerId = process.env.DAO_CUSTOMER_ID, apiKey = process.env.DAO_API_KEY, baseUrl = process.env.DAO_API_URL || 'https://api.dao.as', fetch: fetchImpl = fetch } = {}) {
+    this.carrier = CARRIERS.DAO;
+    this.customerId = customerId;
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.fetch = fetchImpl;
+  }
+
+  isConfigured() {
+    return !!(this.customerId && this.apiKey);
+  }
+
+  static mapStatus(status) {
+    switch (String(status || '').toLowerCase()) {
+      case 'leveret': return SHIPMENT_STATUSES.DELIVERED;
+      case 'klar_til_afhentning':
+      case 'i_pakkeshop': return SHIPMENT_STATUSES.READY_FOR_PICKUP;
+      case 'udbringning': return SHIPMENT_STATUSES.OUT_FOR_DELIVERY;
+      case 'undervejs':
+      case 'modtaget': return SHIPMENT_STATUSES.IN_TRANSIT;
+      case 'oprettet': return SHIPMENT_STATUSES.PRE_TRANSIT;
+      case 'retur': return SHIPMENT_STATUSES.RETURNED;
+      case 'fejl':
+      case 'forsinket': return SHIPMENT_STATUSES.EXCEPTION;
+      default: return SHIPMENT_STATUSES.UNKNOWN;
+    }
+  }
+
+  async track(trackingNumber) {
+    const url = `${this.baseUrl}/TrackNTrace_v2.php?kundeid=${encodeURIComponent(this.customerId)}&kode=${encodeURIComponent(this.apiKey)}&stregkode=${encodeURIComponent(trackingNumber)}&format=json`;
+    const data = await fetchCarrierJson(this.fetch, url);
+    if (!data || data.status !== 'OK' || !data.resultat) return null;
+
+    const result = data.resultat;
+    const events = (result.haendelser || []).map(event => ({
+      time: event.tidspunkt,
+      location: event.sted,
+      description: event.tekst
+    }));
+    const shop = result.pakkeshop;
+
+    return buildShipment({
+      carrier: this.carrier,
+      trackingNumber,
+      status: DaoCarrierAdapter.mapStatus(result.status),
+      statusText: result.statustekst,
+      events,
+      estimatedDelivery: result.forventet_levering,
+      pickupPoint: shop && {
+        name: shop.navn,
+        address: joinAddress(shop.adresse, shop.postnr, shop.by)
+      }
+    });
+  }
+}
+
+/**
+ * Bring / Posten Tracking API (BRING_API_UID and BRING_API_KEY)
+ */
+export class BringCarrierAdapter {
+  constructor({ apiUid = process.env.BRING_API_UID, apiKey = process.env.BRING_API_KEY, baseUrl = process.env.BRING_API_URL || 'https://api.bring.com', fetch: fetchImpl = fetch } = {}) {
+    this.carrier = CARRIERS.BRING;
+    this.apiUid = apiUid;
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.fetch = fetchImpl;
+  }
+
+  isConfigured() {
+    return !!(this.apiUid && this.apiKey);
+  }
+
+  static mapStatus(status) {
+    switch (status) {
+      case 'DELIVERED':
+      case 'DELIVERED_SENDER': return SHIPMENT_STATUSES.DELIVERED;
+      case 'READY_FOR_PICKUP': return SHIPMENT_STATUSES.READY_FOR_PICKUP;
+      case 'TRANSPORT_TO_RECIPIENT': return SHIPMENT_STATUSES.OUT_FOR_DELIVERY;
+      case 'IN_TRANSIT':
+      case 'HANDED_IN': return SHIPMENT_STATUSES.IN_TRANSIT;
+      case 'PRE_NOTIFIED': return SHIPMENT_STATUSES.PRE_TRANSIT;
+      case 'RETURN': return SHIPMENT_STATUSES.RETURNED;
+      case 'DEVIATION':
+      case 'ATTEMPTED_DELIVERY': return SHIPMENT_STATUSES.EXCEPTION;
+      default: return SHIPMENT_STATUSES.UNKNOWN;
+    }
+  }
+
+  async track(trackingNumber) {
+    const url = `${this.baseUrl}/tracking/api/v2/tracking.json?q=${encodeURIComponent(trackingNumber)}`;
+    const data = await fetchCarrierJson(this.fetch, url, {
+      'X-Mybring-API-Uid': this.apiUid,
+      'X-Mybring-API-Key': this.apiKey,
+      'X-Bring-Client-URL': 'https://dialogintelligens.dk'
+    });
+    const parcel = data?.consignmentSet?.[0]?.packageSet?.[0];
+    if (!parcel) return null;
+
+    const eventSet = parcel.eventSet || [];
+    const events = eventSet.map(event => ({
+      time: event.dateIso,
+      location: joinAddress(event.city, event.countryCode),
+      description: event.description
+    }));
+    // The newest event tells the status; a pickup point is named on its READY_FOR_PICKUP event
+    const latest = eventSet[0];
+    const pickupEvent = eventSet.find(event => event.status === 'READY_FOR_PICKUP');
+
+    return buildShipment({
+      carrier: this.carrier,
+      trackingNumber,
+      status: BringCarrierAdapter.mapStatus(latest?.status),
+      statusText: parcel.statusDescription,
+      events,
+      estimatedDelivery: parcel.dateOfEstimatedDelivery,
+      pickupPoint: pickupEvent?.unitInformation && {
+        name: pickupEvent.unitInformation.name,
+        address: joinAddress(pickupEvent.unitInformation.address, pickupEvent.unitInformation.postalCode, pickupEvent.unitInformation.city)
+      }
+    });
+  }
+}
+
+// Carrier names and tracking link hosts as the shop platforms write them
+const CARRIER_NAME_PATTERNS = [
+  { carrier: CARRIERS.POSTNORD, pattern: /post\s*nord|postdanmark|posten\s*ab/i },
+  { carrier: CARRIERS.GLS, pattern: /\bgls\b|gls-group/i },
+  { carrier: CARRIERS.DAO, pattern: /\bdao\b|dao\.as|dao365/i },
+  { carrier: CARRIERS.BRING, pattern: /\bbring\b|posten\.no|bring\.(no|dk|se|com)/i }
+];
+
+// Query parameters carrying the tracking number in the carriers' tracking links
+const TRACKING_URL_PARAMS = ['id', 'shipmentId', 'match', 'q', 'stregkode', 'trackingNumber', 'tracking_number', 'trackingnumber'];
+
+/**
+ * Carrier of a shipment from the platform's carrier name or tracking link, or null
+ */
+export function detectCarrier(trackingCompany, trackingUrl) {
+  for (const text of [trackingCompany, trackingUrl]) {
+    if (!text) continue;
+    const match = CARRIER_NAME_PATTERNS.find(({ pattern }) => pattern.test(text));
+    if (match) return match.carrier;
+  }
+  return null;
+}
+
+/**
+ * Tracking number in a carrier tracking link, or null
+ */
+export function extractTrackingNumberFromUrl(trackingUrl) {
+  if (!trackingUrl) return null;
+  try {
+    const url = new URL(trackingUrl);
+    for (const param of TRACKING_URL_PARAMS) {
+      const value = url.searchParams.get(param);
+      if (value && /^[A-Z0-9-]{6,40}$/i.test(value.trim())) return value.trim();
+    }
+    // Links like https://sporing.bring.no/sporing/370123456789
+    const lastSegment = url.pathname.split('/').filter(Boolean).pop();
+    return lastSegment && /^[A-Z0-9]{8,40}$/i.test(lastSegment) && /\d{6,}/.test(lastSegment) ? lastSegment : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+const carrierAdapters = new Map();
+
+/**
+ * Register (or replace, e.g. with a fake in tests) the adapter of a carrier
+ */
+export function registerCarrierAdapter(carrier, adapter) {
+  carrierAdapters.set(carrier, adapter);
+}
+
+export function getCarrierAdapter(carrier) {
+  return carrierAdapters.get(carrier) || null;
+}
+
+registerCarrierAdapter(CARRIERS.POSTNORD, new PostNordCarrierAdapter());
+registerCarrierAdapter(CARRIERS.GLS, new GlsCarrierAdapter());
+registerCarrierAdapter(CARRIERS.DAO, new DaoCarrierAdapter());
+registerCarrierAdapter(CARRIERS.BRING, new BringCarrierAdapter());
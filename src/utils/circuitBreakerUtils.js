@@ -0,0 +1,150 @@
+/**
+ * Circuit Breaker Utilities
+ * Stops calling an upstream system that keeps failing, and tries it again after a pause
+ *
+ * closed: calls go through; `failureThreshold` failures in a row (errors or timeouts) open the circuit.
+ * open: calls are refused with a CIRCUIT_OPEN error until `openSeconds` have passed.
+ * half_open: one trial call goes through; success closes the circuit, failure opens it again.
+ *
+ * Breakers live in memory, so every instance keeps its own count.
+ */
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const DEFAULT_BREAKER_OPTIONS = {
+  failureThreshold: 3,
+  openSeconds: 60,
+  timeoutMs: 15000
+};
+
+export const CIRCUIT_ERROR_CODES = {
+  OPEN: 'CIRCUIT_OPEN',
+  TIMEOUT: 'CIRCUIT_TIMEOUT'
+};
+
+function circuitOpenError(name, retryAfterSeconds) {
+  const err = new Error(`${name} is unavailable (circuit open, retry in ${retryAfterSeconds}s)`);
+  err.code = CIRCUIT_ERROR_CODES.OPEN;
+  err.retryAfterSeconds = retryAfterSeconds;
+  return err;
+}
+
+function circuitTimeoutError(name, timeoutMs) {
+  const err = new Error(`${name} did not answer within ${timeoutMs}ms`);
+  err.code = CIRCUIT_ERROR_CODES.TIMEOUT;
+  return err;
+}
+
+export class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = { ...DEFAULT_BREAKER_OPTIONS, ...options };
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialRunning = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Seconds until an open circuit lets a trial call through (0 when it would now)
+   */
+  retryAfterSeconds(now = Date.now()) {
+    if (this.state !== CIRCUIT_STATES.OPEN) return 0;
+    return Math.max(0, Math.ceil((this.openedAt + this.options.openSeconds * 1000 - now) / 1000));
+  }
+
+  /**
+   * Run fn through the breaker
+   * Throws a CIRCUIT_OPEN error without calling fn while the circuit is open, and a CIRCUIT_TIMEOUT error when fn
+   * does not settle within timeoutMs (fn keeps running, its result is dropped)
+   */
+  async execute(fn) {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      if (this.retryAfterSeconds() > 0) {
+        throw circuitOpenError(this.name, this.retryAfterSeconds());
+      }
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+    }
+    const isTrial = this.state === CIRCUIT_STATES.HALF_OPEN;
+    if (isTrial) {
+      // Only one trial call at a time; the others wait for its verdict
+      if (this.trialRunning) throw circuitOpenError(this.name, 1);
+      this.trialRunning = true;
+    }
+
+    let timer;
+    try {
+      const result = await Promise.race([
+        fn(),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(circuitTimeoutError(this.name, this.options.timeoutMs)), this.options.timeoutMs);
+        })
+      ]);
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      this.recordFailure(error);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (isTrial) this.trialRunning = false;
+    }
+  }
+
+  recordSuccess() {
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      console.log(`🔌 CIRCUIT BREAKER: ${this.name} is answering again, circuit closed`);
+    }
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error.message;
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.options.failureThreshold) {
+      if (this.state !== CIRCUIT_STATES.OPEN) {
+        console.warn(`🔌 CIRCUIT BREAKER: ${this.name} failed ${this.failures} times in a row, circuit open for ${this.options.openSeconds}s:`, error.message);
+      }
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      last_error: this.lastError,
+      retry_after_seconds: this.retryAfterSeconds()
+    };
+  }
+}
+
+const circuitBreakers = new Map();
+
+/**
+ * Breaker for a key, created with the given options on first use
+ */
+export function getCircuitBreaker(key, options = {}) {
+  if (!circuitBreakers.has(key)) {
+    circuitBreakers.set(key, new CircuitBreaker(key, options));
+  }
+  return circuitBreakers.get(key);
+}
+
+/**
+ * Status of the breakers that are open or have recent failures (or of all of them)
+ */
+export function getCircuitBreakerStatuses({ all = false } = {}) {
+  return [...circuitBreakers.values()]
+    .filter(breaker => all || breaker.state !== CIRCUIT_STATES.CLOSED || breaker.failures > 0)
+    .map(breaker => breaker.getStatus());
+}
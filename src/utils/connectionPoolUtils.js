@@ -40,16 +40,17 @@ class ConnectionPool {
           attempt: attempt + 1
         });
 
-        // Create timeout controller
+        // Create timeout controller (options.timeout overrides the pool default per request)
+        const { timeout, ...fetchOptions } = options;
         const controller = new AbortController();
         const timeoutId = setTimeout(() => {
           controller.abort();
           this.stats.timeouts++;
-        }, this.timeout);
+        }, timeout || this.timeout);
 
         // Make the request
         const response = await fetch(url, {
-          ...options,
+          ...fetchOptions,
           signal: controller.signal
         });
 
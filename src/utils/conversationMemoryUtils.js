@@ -0,0 +1,169 @@
+/**
+ * Conversation Memory Utilities
+ * Token-budgeted AI history: stored messages are cleaned, the latest turns are kept verbatim
+ * and older turns are replaced by a rolling summary once the history no longer fits the budget
+ */
+
+export const DEFAULT_HISTORY_TOKEN_BUDGET = 3000;
+export const DEFAULT_RECENT_TURNS = 4;
+
+// Chatbot-wide history settings are stored under this flow key
+export const DEFAULT_HISTORY_FLOW_KEY = '*';
+
+// The summary is sent as the first history message, marked by this prefix
+export const HISTORY_SUMMARY_PREFIX = 'Summary of the earlier conversation: ';
+
+export const DEFAULT_SUMMARY_PROMPT = `You maintain a running summary of a customer service chat between a customer and a chatbot or human agent.
+You receive the current summary (may be empty) and the next part of the conversation.
+Return an updated summary in the language of the conversation, at most 150 words.
+Keep what later answers may depend on: the customer's questions and goals, products, order numbers, names and email addresses the customer gave, promises made and what is still unresolved.
+Leave out greetings, product listings and order details that were looked up. Reply with the summary only.`;
+
+// Product blocks the bot renders as cards; the text is not needed to answer follow-up questions
+const PRODUCT_BLOCK_PATTERN = /XXX[\s\S]*?YYY/g;
+// Order lookups appended to the question by the apiflow (and by older widgets)
+const ORDER_DETAILS_PATTERN = /\s*Orderdetails \(the user has not seen these details\):[\s\S]*$/i;
+const ORDER_DATA_PATTERN = /\s*COMPLETE_DATA:\s*[[{][\s\S]*$/;
+
+/**
+ * flow_history_settings: token budget per chatbot and flow (flow_key '*' is the chatbot default; recent_turns is only read there)
+ * conversation_history_summaries: rolling summary of the first summarized_messages history messages of a conversation
+ */
+export async function ensureConversationMemoryTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS flow_history_settings (
+      id SERIAL PRIMARY KEY,
+      chatbot_id VARCHAR(255) NOT NULL,
+      flow_key VARCHAR(50) NOT NULL,
+      token_budget INTEGER NOT NULL,
+      recent_turns INTEGER,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      UNIQUE (chatbot_id, flow_key)
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_flow_history_settings_chatbot ON flow_history_settings(chatbot_id)');
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS conversation_history_summaries (
+      conversation_id BIGINT PRIMARY KEY REFERENCES conversations(id) ON DELETE CASCADE,
+      chatbot_id VARCHAR(255) NOT NULL,
+      summary TEXT NOT NULL,
+      summarized_messages INTEGER NOT NULL,
+      summary_tokens INTEGER,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+}
+
+/**
+ * Rough token count (about 4 characters per token for Danish and English text)
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text ?? '').length / 4);
+}
+
+export function estimateHistoryTokens(history) {
+  return history.reduce((sum, msg) => sum + estimateTokens(msg.content) + 4, 0);
+}
+
+/**
+ * Strip product blocks and order payloads from a history message
+ */
+export function sanitizeHistoryText(text) {
+  return (text || '')
+    .replace(PRODUCT_BLOCK_PATTERN, '[Product Info]')
+    .replace(ORDER_DETAILS_PATTERN, '')
+    .replace(ORDER_DATA_PATTERN, '')
+    .trim();
+}
+
+/**
+ * Convert stored conversation messages to AI history messages
+ * Livechat system notices (agent joined, chat closed) are left out
+ */
+export function toHistoryMessages(storedMessages) {
+  return storedMessages
+    .filter(msg => msg && !msg.isSystem && msg.text && msg.text.trim() !== '')
+    .map(msg => ({
+      content: sanitizeHistoryText(msg.text),
+      role: msg.isUser ? 'userMessage' : 'apiMessage'
+    }))
+    .filter(msg => msg.content !== '');
+}
+
+/**
+ * History settings for a flow: the flow's own row, then the chatbot default (*), then the built-in defaults
+ * recentTurns always comes from the chatbot default because it decides what the shared summary covers
+ */
+export function getHistorySettingsForFlow(configuration, flowKey) {
+  const settings = configuration?.historySettings || {};
+  const chatbotDefault = settings[DEFAULT_HISTORY_FLOW_KEY] || {};
+  const flowSettings = (flowKey && settings[flowKey]) || chatbotDefault;
+
+  return {
+    tokenBudget: flowSettings.tokenBudget || chatbotDefault.tokenBudget || DEFAULT_HISTORY_TOKEN_BUDGET,
+    recentTurns: chatbotDefault.recentTurns || DEFAULT_RECENT_TURNS
+  };
+}
+
+/**
+ * Largest budget any flow of the chatbot may use - the shared history is built for this one
+ */
+export function getMaxHistoryBudget(configuration) {
+  const budgets = Object.values(configuration?.historySettings || {}).map(s => s.tokenBudget).filter(Boolean);
+  return Math.max(getHistorySettingsForFlow(configuration, DEFAULT_HISTORY_FLOW_KEY).tokenBudget, ...budgets);
+}
+
+export function isSummaryMessage(msg) {
+  return msg?.role === 'apiMessage' && typeof msg.content === 'string' && msg.content.startsWith(HISTORY_SUMMARY_PREFIX);
+}
+
+export function createSummaryMessage(summary) {
+  return { content: HISTORY_SUMMARY_PREFIX + summary, role: 'apiMessage' };
+}
+
+/**
+ * Drop the oldest verbatim messages until the history fits the budget
+ * A leading summary message and the latest message are always kept
+ */
+export function fitHistoryToBudget(history, tokenBudget) {
+  if (!Array.isArray(history) || history.length === 0) return history || [];
+
+  const summary = isSummaryMessage(history[0]) ? history[0] : null;
+  const messages = summary ? history.slice(1) : [...history];
+  let used = summary ? estimateHistoryTokens([summary]) : 0;
+
+  const kept = [];
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const cost = estimateHistoryTokens([messages[i]]);
+    if (kept.length > 0 && used + cost > tokenBudget) break;
+    kept.unshift(messages[i]);
+    used += cost;
+  }
+
+  return summary ? [summary, ...kept] : kept;
+}
+
+/**
+ * Index of the first message of the latest N turns (a turn starts with a user message)
+ */
+export function recentTurnsStartIndex(history, recentTurns) {
+  let turns = 0;
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].role === 'userMessage') {
+      turns++;
+      if (turns === recentTurns) return i;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Text of a slice of history for the summarizer
+ */
+export function formatMessagesForSummary(messages) {
+  return messages
+    .map(msg => `${msg.role === 'userMessage' ? 'Customer' : 'Assistant'}: ${msg.content}`)
+    .join('\n');
+}
@@ -0,0 +1,246 @@
+import { createConversationProcessingService } from '../services/conversationProcessingService.js';
+import { createLlmProvider } from './llmProviderUtils.js';
+
+/**
+ * Conversation Replay Utilities
+ * Re-runs stored conversations with a candidate prompt and compares the result with the current prompt
+ */
+
+// Markers the frontend reacts to, as emitted by the streaming pipeline
+export const ANSWER_MARKERS = {
+  contactForm: '%%',
+  freshdesk: '$$',
+  humanAgent: '&&',
+  image: '§'
+};
+
+const JUDGE_PROMPT = `You compare two chatbot answers to the same customer question.
+The reference answer was produced with the current prompt, the candidate answer with a new prompt.
+Rate the candidate against the reference from 1 to 10: 5 means equally good, 10 means clearly better, 1 means clearly worse.
+Judge correctness, helpfulness and tone. Reply with the number only.`;
+
+export async function ensureConversationReplayTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS conversation_replay_jobs (
+      id SERIAL PRIMARY KEY,
+      chatbot_id TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      sample_size INTEGER,
+      total_turns INTEGER DEFAULT 0,
+      processed_turns INTEGER DEFAULT 0,
+      failed_turns INTEGER DEFAULT 0,
+      changed_turns INTEGER DEFAULT 0,
+      candidate_prompts JSONB NOT NULL,
+      provider JSONB,
+      judge_enabled BOOLEAN DEFAULT false,
+      summary JSONB,
+      error_message TEXT,
+      created_by TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      started_at TIMESTAMP,
+      completed_at TIMESTAMP,
+      last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS conversation_replay_results (
+      id SERIAL PRIMARY KEY,
+      job_id INTEGER NOT NULL REFERENCES conversation_replay_jobs(id) ON DELETE CASCADE,
+      conversation_id BIGINT,
+      turn_index INTEGER,
+      user_message TEXT,
+      stored_answer TEXT,
+      baseline JSONB,
+      candidate JSONB,
+      diff JSONB,
+      changed BOOLEAN DEFAULT false,
+      judge_score NUMERIC,
+      error_message TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_conversation_replay_results_job ON conversation_replay_results(job_id, id)');
+}
+
+/**
+ * Markers present in an answer, by name
+ */
+export function detectAnswerMarkers(text) {
+  if (!text) return [];
+  return Object.entries(ANSWER_MARKERS)
+    .filter(([, marker]) => text.includes(marker))
+    .map(([name]) => name);
+}
+
+/**
+ * Split stored conversation messages into replayable user turns
+ * Each turn carries the history before it and the answer that was stored for it
+ */
+export function extractReplayTurns(conversationData, maxTurns) {
+  let messages = conversationData;
+  if (typeof messages === 'string') {
+    try {
+      messages = JSON.parse(messages);
+    } catch (e) {
+      return [];
+    }
+  }
+  if (!Array.isArray(messages)) return [];
+
+  const turns = [];
+  const history = [];
+  messages.forEach((msg, index) => {
+    if (!msg?.text || msg.text.trim() === '') return;
+
+    if (msg.isUser && turns.length < maxTurns) {
+      const reply = messages.slice(index + 1).find(next => next && !next.isUser && next.text);
+      turns.push({
+        turnIndex: index,
+        messageText: msg.text,
+        conversationHistory: [...history],
+        storedAnswer: reply ? (reply.textWithMarkers || reply.text) : null
+      });
+    }
+    history.push({ content: msg.text, role: msg.isUser ? 'userMessage' : 'apiMessage' });
+  });
+
+  return turns;
+}
+
+/**
+ * Compare a baseline run with a candidate run of the same turn
+ */
+export function diffReplayRuns(baseline, candidate) {
+  const markersAdded = candidate.markers.filter(m => !baseline.markers.includes(m));
+  const markersRemoved = baseline.markers.filter(m => !candidate.markers.includes(m));
+
+  return {
+    routing_changed: baseline.question_type !== candidate.question_type,
+    flow_key_changed: baseline.flow_key !== candidate.flow_key,
+    markers_added: markersAdded,
+    markers_removed: markersRemoved,
+    answer_changed: baseline.answer !== candidate.answer,
+    answer_length_delta: candidate.answer_length - baseline.answer_length
+  };
+}
+
+/**
+ * Ask the judge provider how the candidate answer compares to the baseline (1-10)
+ */
+export async function judgeReplayAnswers(judgeProvider, messageText, baselineAnswer, candidateAnswer) {
+  const { text } = await judgeProvider.predict('judge', {
+    question: `Customer question:\n${messageText}\n\nReference answer:\n${baselineAnswer}\n\nCandidate answer:\n${candidateAnswer}`,
+    history: [],
+    overrideConfig: { vars: { masterPrompt: JUDGE_PROMPT } }
+  });
+
+  const match = (text || '').match(/\d+(\.\d+)?/);
+  if (!match) return null;
+  const score = parseFloat(match[0]);
+  return score >= 1 && score <= 10 ? score : null;
+}
+
+function summarizeReplayResults(results) {
+  const scored = results.filter(r => r.judgeScore !== null);
+  const compared = results.filter(r => r.diff);
+  const average = (values) => values.length
+    ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 100) / 100
+    : null;
+
+  return {
+    compared_turns: compared.length,
+    routing_changed: compared.filter(r => r.diff.routing_changed).length,
+    markers_changed: compared.filter(r => r.diff.markers_added.length || r.diff.markers_removed.length).length,
+    answers_changed: compared.filter(r => r.diff.answer_changed).length,
+    average_answer_length_delta: average(compared.map(r => r.diff.answer_length_delta)),
+    average_judge_score: average(scored.map(r => r.judgeScore))
+  };
+}
+
+/**
+ * Background processing of a replay job
+ * Turns are replayed one at a time: baseline with the stored prompts, then candidate with the candidate prompts
+ */
+export async function processConversationReplayJob(pool, jobId, { chatbotId, turns, candidatePrompts, providerConfig, judgeProviderConfig }) {
+  const processing = createConversationProcessingService(pool);
+  const judgeProvider = judgeProviderConfig ? createLlmProvider(judgeProviderConfig) : null;
+  const results = [];
+  let failedCount = 0;
+  let changedCount = 0;
+
+  try {
+    await pool.query(`
+      UPDATE conversation_replay_jobs
+      SET status = 'running', started_at = CURRENT_TIMESTAMP, last_updated = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [jobId]);
+
+    console.log(`🔁 Replay job ${jobId}: replaying ${turns.length} turns for chatbot ${chatbotId}`);
+
+    const configuration = await processing.getConversationConfiguration(chatbotId);
+    const baseConfiguration = { ...configuration, llmProviderOverride: providerConfig || null };
+    const candidateConfiguration = { ...baseConfiguration, candidatePrompts };
+
+    for (const turn of turns) {
+      const result = { diff: null, judgeScore: null };
+      let baseline = null;
+      let candidate = null;
+      let errorMessage = null;
+
+      try {
+        baseline = await processing.replayMessage(turn.messageText, turn.conversationHistory, baseConfiguration);
+        candidate = await processing.replayMessage(turn.messageText, turn.conversationHistory, candidateConfiguration);
+        baseline.markers = detectAnswerMarkers(baseline.answer);
+        candidate.markers = detectAnswerMarkers(candidate.answer);
+        result.diff = diffReplayRuns(baseline, candidate);
+
+        if (judgeProvider) {
+          try {
+            result.judgeScore = await judgeReplayAnswers(judgeProvider, turn.messageText, baseline.answer, candidate.answer);
+          } catch (judgeError) {
+            console.error(`Replay job ${jobId}: judge failed:`, judgeError.message);
+          }
+        }
+      } catch (error) {
+        console.error(`Replay job ${jobId}: error replaying conversation ${turn.conversationId}:`, error);
+        errorMessage = error.message;
+        failedCount++;
+      }
+
+      const changed = !!result.diff && (result.diff.routing_changed || result.diff.flow_key_changed ||
+        result.diff.markers_added.length > 0 || result.diff.markers_removed.length > 0);
+      if (changed) changedCount++;
+      results.push(result);
+
+      await pool.query(`
+        INSERT INTO conversation_replay_results
+        (job_id, conversation_id, turn_index, user_message, stored_answer, baseline, candidate, diff, changed, judge_score, error_message)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      `, [
+        jobId, turn.conversationId, turn.turnIndex, turn.messageText, turn.storedAnswer,
+        baseline, candidate, result.diff, changed, result.judgeScore, errorMessage
+      ]);
+
+      await pool.query(`
+        UPDATE conversation_replay_jobs
+        SET processed_turns = $1, failed_turns = $2, changed_turns = $3, last_updated = CURRENT_TIMESTAMP
+        WHERE id = $4
+      `, [results.length, failedCount, changedCount, jobId]);
+    }
+
+    await pool.query(`
+      UPDATE conversation_replay_jobs
+      SET status = 'completed', summary = $1, completed_at = CURRENT_TIMESTAMP, last_updated = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [summarizeReplayResults(results), jobId]);
+
+    console.log(`🔁 Replay job ${jobId}: completed - ${changedCount} changed, ${failedCount} failed`);
+  } catch (error) {
+    console.error(`Replay job ${jobId} failed:`, error);
+    await pool.query(`
+      UPDATE conversation_replay_jobs
+      SET status = 'failed', error_message = $1, completed_at = CURRENT_TIMESTAMP, last_updated = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [error.message, jobId]).catch(err => console.error('Error marking replay job failed:', err));
+  }
+}
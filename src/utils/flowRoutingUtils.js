@@ -3,6 +3,8 @@
  * Helper functions for flow configuration and API endpoint mapping
  */
 
+import { getFlowisePredictionUrl } from './llmProviderUtils.js';
+
 /**
  * Map flow keys to their corresponding configuration keys
  */
@@ -17,28 +19,31 @@ export const FLOW_KEY_MAPPING = {
   flow2: 'flow2Prompt',
   flow3: 'flow3Prompt',
   flow4: 'flow4Prompt',
-  image: 'imagePrompt'
+  image: 'imagePrompt',
+  summary: 'summaryPrompt'
 };
 
 /**
  * Standard API endpoints for different flow types
+ * Flowise host is configurable through FLOWISE_BASE_URL
  */
 export const API_ENDPOINTS = {
-  main: "https://den-utrolige-snebold.onrender.com/api/v1/prediction/c88bd6dd-a846-4862-b234-59c8b459b816",
-  fordelingsflow: "https://den-utrolige-snebold.onrender.com/api/v1/prediction/52c2cdfa-581f-4a0f-b70e-4f617ed0029e",
-  metadata: "https://den-utrolige-snebold.onrender.com/api/v1/prediction/c1b6c8d2-dd76-443d-ae5f-42efaf8c3668",
-  metadata2: "https://den-utrolige-snebold.onrender.com/api/v1/prediction/c1b6c8d2-dd76-443d-ae5f-42efaf8c3668",
-  statistics: "https://den-utrolige-snebold.onrender.com/api/v1/prediction/53e9c446-b2a3-41ca-8a01-8d48c05fcc7a",
-  image: "https://den-utrolige-snebold.onrender.com/api/v1/prediction/eed6c6d2-16ee-40ae-be9f-3cc39f91dc2c",
+  main: getFlowisePredictionUrl('main'),
+  fordelingsflow: getFlowisePredictionUrl('fordelingsflow'),
+  metadata: getFlowisePredictionUrl('metadata'),
+  metadata2: getFlowisePredictionUrl('metadata2'),
+  statistics: getFlowisePredictionUrl('statistics'),
+  image: getFlowisePredictionUrl('image'),
   // All other flows use the main endpoint
-  apiflow: "https://den-utrolige-snebold.onrender.com/api/v1/prediction/c88bd6dd-a846-4862-b234-59c8b459b816",
-  flow2: "https://den-utrolige-snebold.onrender.com/api/v1/prediction/c88bd6dd-a846-4862-b234-59c8b459b816",
-  flow3: "https://den-utrolige-snebold.onrender.com/api/v1/prediction/c88bd6dd-a846-4862-b234-59c8b459b816",
-  flow4: "https://den-utrolige-snebold.onrender.com/api/v1/prediction/c88bd6dd-a846-4862-b234-59c8b459b816"
+  apiflow: getFlowisePredictionUrl('apiflow'),
+  flow2: getFlowisePredictionUrl('flow2'),
+  flow3: getFlowisePredictionUrl('flow3'),
+  flow4: getFlowisePredictionUrl('flow4')
 };
 
 /**
  * Get API endpoint for a specific flow type
+ * The chatbot's flow endpoint registry (configuration.flowEndpoints) wins over the defaults
  */
 export function getApiEndpointForFlow(flowType, questionType, configuration) {
   const { apiFlowKey, metaDataKey, metaData2Key, flow2Key, flow3Key, flow4Key } = configuration;
@@ -52,7 +57,7 @@ export function getApiEndpointForFlow(flowType, questionType, configuration) {
   else if (questionType === flow3Key) flowKey = 'flow3';
   else if (questionType === flow4Key) flowKey = 'flow4';
 
-  return API_ENDPOINTS[flowKey] || API_ENDPOINTS.main;
+  return configuration.flowEndpoints?.[flowKey]?.endpoint_url || API_ENDPOINTS[flowKey] || API_ENDPOINTS.main;
 }
 
 /**
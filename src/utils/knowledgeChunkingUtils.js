@@ -0,0 +1,224 @@
+import { generateEmbedding, prepareVectorMetadata } from './pineconeUtils.js';
+import { estimateTokens } from './conversationMemoryUtils.js';
+
+/**
+ * Knowledge Chunking Utilities
+ * Long knowledge entries are embedded as several chunk vectors instead of one vector for the whole text
+ *
+ * The pinecone_data row stays the parent: pinecone_vector_id is the base id and chunk_count the number of chunk
+ * vectors, which are stored as `${pinecone_vector_id}_chunk_${n}`. chunk_count 0 means the base id is the vector
+ * itself, as for entries that fit in one chunk and for rows from before chunking.
+ */
+
+export const CHUNKING_STRATEGIES = {
+  TOKENS: 'tokens',
+  HEADINGS: 'headings',
+  NONE: 'none'
+};
+
+export const DEFAULT_CHUNKING = {
+  strategy: CHUNKING_STRATEGIES.TOKENS,
+  max_tokens: 800,
+  overlap_tokens: 100,
+  heading_level: 2
+};
+
+const UPSERT_BATCH_SIZE = 100;
+
+export async function ensureKnowledgeChunkColumns(pool) {
+  await pool.query('ALTER TABLE pinecone_data ADD COLUMN IF NOT EXISTS chunk_count INTEGER NOT NULL DEFAULT 0');
+}
+
+/**
+ * Chunking options of an entry; undefined/null gives the defaults and false turns chunking off
+ * Throws 'Invalid chunking: ...' for options out of range
+ */
+export function resolveChunkingOptions(chunking) {
+  if (chunking === false) return { ...DEFAULT_CHUNKING, strategy: CHUNKING_STRATEGIES.NONE };
+  if (chunking === undefined || chunking === null || chunking === true) return { ...DEFAULT_CHUNKING };
+  if (typeof chunking !== 'object' || Array.isArray(chunking)) {
+    throw new Error('Invalid chunking: must be an object like { "strategy": "tokens", "max_tokens": 800, "overlap_tokens": 100 }');
+  }
+
+  const options = { ...DEFAULT_CHUNKING, ...chunking };
+  const errors = [];
+  if (!Object.values(CHUNKING_STRATEGIES).includes(options.strategy)) {
+    errors.push(`strategy must be one of: ${Object.values(CHUNKING_STRATEGIES).join(', ')}`);
+  }
+  options.max_tokens = Number(options.max_tokens);
+  options.overlap_tokens = Number(options.overlap_tokens);
+  options.heading_level = Number(options.heading_level);
+  if (!Number.isInteger(options.max_tokens) || options.max_tokens < 100 || options.max_tokens > 8000) {
+    errors.push('max_tokens must be an integer between 100 and 8000');
+  }
+  if (!Number.isInteger(options.overlap_tokens) || options.overlap_tokens < 0 || options.overlap_tokens > options.max_tokens / 2) {
+    errors.push('overlap_tokens must be an integer between 0 and half of max_tokens');
+  }
+  if (!Number.isInteger(options.heading_level) || options.heading_level < 1 || options.heading_level > 6) {
+    errors.push('heading_level must be an integer between 1 and 6');
+  }
+  if (errors.length > 0) throw new Error(`Invalid chunking: ${errors.join('; ')}`);
+
+  return {
+    strategy: options.strategy,
+    max_tokens: options.max_tokens,
+    overlap_tokens: options.overlap_tokens,
+    heading_level: options.heading_level
+  };
+}
+
+/**
+ * Split text into pieces of at most maxTokens, cut at a paragraph, line, sentence or word boundary where possible;
+ * each piece repeats the last overlapTokens of the previous one
+ */
+function splitByTokens(text, maxTokens, overlapTokens) {
+  // Same 4 characters per token estimate as estimateTokens
+  const maxChars = maxTokens * 4;
+  const overlapChars = overlapTokens * 4;
+  const pieces = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + maxChars, text.length);
+    if (end < text.length) {
+      const searchFrom = start + Math.floor(maxChars / 2);
+      const window = text.slice(searchFrom, end);
+      for (const separator of ['\n\n', '\n', '. ', ' ']) {
+        const index = window.lastIndexOf(separator);
+        if (index >= 0) {
+          end = searchFrom + index + separator.length;
+          break;
+        }
+      }
+    }
+
+    const piece = text.slice(start, end).trim();
+    if (piece) pieces.push(piece);
+    if (end >= text.length) break;
+
+    // Start the overlap at a word boundary
+    let next = Math.max(end - overlapChars, start + 1);
+    const space = text.slice(next, end).search(/\s/);
+    if (overlapChars > 0 && space >= 0) next += space + 1;
+    start = next;
+  }
+  return pieces;
+}
+
+/**
+ * Split Markdown text at headings up to headingLevel; text before the first heading is its own section
+ */
+function splitByHeadings(text, headingLevel) {
+  const sections = [];
+  let current = { heading: null, lines: [] };
+  let inFence = false;
+
+  for (const line of text.split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading && heading[1].length <= headingLevel) {
+      sections.push(current);
+      current = { heading: heading[2].trim(), lines: [] };
+    }
+    current.lines.push(line);
+  }
+  sections.push(current);
+
+  return sections
+    .map(section => ({ heading: section.heading, text: section.lines.join('\n').trim() }))
+    .filter(section => section.text);
+}
+
+/**
+ * Chunks of an entry's text: [{ text, section }]
+ * Text within max_tokens is one chunk, whatever the strategy. With the headings strategy a section longer than
+ * max_tokens is split by tokens; without headings the text is split by tokens.
+ */
+export function chunkKnowledgeText(text, options = DEFAULT_CHUNKING) {
+  const source = String(text ?? '').trim();
+  if (options.strategy === CHUNKING_STRATEGIES.NONE || estimateTokens(source) <= options.max_tokens) {
+    return [{ text: source, section: null }];
+  }
+
+  const sections = options.strategy === CHUNKING_STRATEGIES.HEADINGS
+    ? splitByHeadings(source, options.heading_level)
+    : [{ heading: null, text: source }];
+
+  return sections.flatMap(section => (estimateTokens(section.text) <= options.max_tokens
+    ? [{ text: section.text, section: section.heading }]
+    : splitByTokens(section.text, options.max_tokens, options.overlap_tokens).map(piece => ({ text: piece, section: section.heading }))
+  ));
+}
+
+export function getChunkVectorId(vectorId, chunkIndex) {
+  return `${vectorId}_chunk_${chunkIndex}`;
+}
+
+/**
+ * Ids of the Pinecone vectors of a pinecone_data row
+ */
+export function getKnowledgeVectorIds(vectorId, chunkCount = 0) {
+  if (!vectorId) return [];
+  if (!chunkCount) return [vectorId];
+  return Array.from({ length: chunkCount }, (_, i) => getChunkVectorId(vectorId, i));
+}
+
+/**
+ * Embed and upsert the vectors of an entry into a vector store (see vectorStoreUtils), returning its chunk_count
+ * previousChunkCount is the stored chunk_count when the entry already has vectors under vectorId (null when not);
+ * vectors of the old layout that the new one does not overwrite are deleted.
+ */
+export async function upsertKnowledgeVectors(index, { namespace, vectorId, ownerId, title, text, group, chunking, previousChunkCount = null }) {
+  const options = resolveChunkingOptions(chunking);
+  const chunks = chunkKnowledgeText(text, options);
+  const chunkCount = chunks.length > 1 ? chunks.length : 0;
+
+  const vectors = [];
+  if (chunkCount === 0) {
+    vectors.push({
+      id: vectorId,
+      values: await generateEmbedding(text),
+      metadata: prepareVectorMetadata(ownerId, text, title, group)
+    });
+  } else {
+    for (const [chunkIndex, chunk] of chunks.entries()) {
+      const metadata = prepareVectorMetadata(ownerId, chunk.text, title, group);
+      metadata.parent_vector_id = vectorId;
+      metadata.chunk_index = chunkIndex;
+      metadata.chunk_count = chunkCount;
+      if (chunk.section) metadata.section = chunk.section;
+      vectors.push({
+        id: getChunkVectorId(vectorId, chunkIndex),
+        values: await generateEmbedding(chunk.text),
+        metadata
+      });
+    }
+  }
+
+  for (let i = 0; i < vectors.length; i += UPSERT_BATCH_SIZE) {
+    await index.upsert(vectors.slice(i, i + UPSERT_BATCH_SIZE), { namespace });
+  }
+
+  if (previousChunkCount !== null) {
+    const currentIds = new Set(vectors.map(vector => vector.id));
+    const staleIds = getKnowledgeVectorIds(vectorId, previousChunkCount).filter(id => !currentIds.has(id));
+    if (staleIds.length > 0) await index.deleteMany(staleIds);
+  }
+
+  if (chunkCount > 0) {
+    console.log(`🧩 CHUNKING: ${vectorId} stored as ${chunkCount} chunks (${options.strategy}, max ${options.max_tokens} tokens)`);
+  }
+  return chunkCount;
+}
+
+/**
+ * Delete all Pinecone vectors of a pinecone_data row
+ */
+export async function deleteKnowledgeVectors(index, vectorId, chunkCount = 0) {
+  const ids = getKnowledgeVectorIds(vectorId, chunkCount);
+  if (ids.length === 1) {
+    await index.deleteOne(ids[0]);
+  } else if (ids.length > 1) {
+    await index.deleteMany(ids);
+  }
+}
@@ -0,0 +1,639 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import {
+  createPineconeDataService,
+  updatePineconeDataService,
+  deletePineconeDataService
+} from '../services/pineconeService.js';
+import { resolveChunkingOptions } from './knowledgeChunkingUtils.js';
+import { diffLines } from './textDiffUtils.js';
+
+/**
+ * Knowledge Crawler Utilities
+ * Keeps knowledge entries (pinecone_data) in sync with a customer's website
+ *
+ * A crawl source belongs to a chatbot and lists start URLs and/or a sitemap (sitemap indexes are followed).
+ * Every page is fetched, reduced to text (headings kept as Markdown headings, so the headings chunking works)
+ * and hashed. Compared with the last crawl, a new page creates an entry, a changed page updates its entry and
+ * a page that left the sitemap or answers 404/410 deletes its entry. Each change is logged with a line diff.
+ *
+ * A dry run logs the changes without touching pinecone_data or the stored pages, so a source can be tried
+ * against a site (e.g. scripts/mock-knowledge-site.js) without OpenAI or Pinecone.
+ */
+
+export const CRAWL_TRIGGERS = {
+  MANUAL: 'manual',
+  SCHEDULED: 'scheduled'
+};
+
+export const CRAWL_RUN_STATUSES = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+export const CRAWL_CHANGE_ACTIONS = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  DELETED: 'deleted',
+  FAILED: 'failed'
+};
+
+export const DEFAULT_MAX_PAGES = 200;
+export const MAX_PAGES_LIMIT = 1000;
+export const DEFAULT_CRAWL_INTERVAL_HOURS = 24;
+
+const CRAWLER_USER_AGENT = 'DialogIntelligens-KnowledgeCrawler/1.0';
+const REQUEST_TIMEOUT_MS = 15000;
+const REQUEST_DELAY_MS = 250;
+const MAX_RESPONSE_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const MAX_SITEMAP_DEPTH = 2;
+// Pages with less text than this (e.g. a login wall) are reported as failed instead of stored
+const MIN_TEXT_LENGTH = 50;
+// A run still 'running' after this long was cut off (e.g. by a restart) and no longer blocks new crawls
+const STALE_RUN_HOURS = 2;
+const MAX_SCHEDULED_CRAWLS_PER_TICK = 3;
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', shy: '',
+  aelig: 'æ', oslash: 'ø', aring: 'å', AElig: 'Æ', Oslash: 'Ø', Aring: 'Å',
+  auml: 'ä', ouml: 'ö', uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', eacute: 'é', egrave: 'è', szlig: 'ß',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  euro: '€', pound: '£', copy: '©', reg: '®', trade: '™', deg: '°', times: '×', middot: '·', bull: '•'
+};
+
+export async function ensureKnowledgeCrawlerTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS knowledge_crawl_sources (
+      id SERIAL PRIMARY KEY,
+      chatbot_id VARCHAR(255) NOT NULL,
+      name VARCHAR(255),
+      user_id INTEGER NOT NULL,
+      index_name TEXT NOT NULL,
+      namespace TEXT NOT NULL,
+      sitemap_url TEXT,
+      urls JSONB NOT NULL DEFAULT '[]'::jsonb,
+      include_patterns JSONB NOT NULL DEFAULT '[]'::jsonb,
+      exclude_patterns JSONB NOT NULL DEFAULT '[]'::jsonb,
+      entry_group VARCHAR(255),
+      chunking JSONB,
+      max_pages INTEGER NOT NULL DEFAULT ${DEFAULT_MAX_PAGES},
+      crawl_interval_hours INTEGER NOT NULL DEFAULT ${DEFAULT_CRAWL_INTERVAL_HOURS},
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      next_crawl_at TIMESTAMP,
+      last_crawled_at TIMESTAMP,
+      created_by INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_knowledge_crawl_sources_chatbot ON knowledge_crawl_sources(chatbot_id)');
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS knowledge_crawl_pages (
+      id SERIAL PRIMARY KEY,
+      source_id INTEGER NOT NULL REFERENCES knowledge_crawl_sources(id) ON DELETE CASCADE,
+      url TEXT NOT NULL,
+      title TEXT,
+      content TEXT,
+      content_hash VARCHAR(64),
+      pinecone_data_id INTEGER,
+      last_error TEXT,
+      first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_crawled_at TIMESTAMP,
+      last_changed_at TIMESTAMP,
+      UNIQUE (source_id, url)
+    )
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS knowledge_crawl_runs (
+      id SERIAL PRIMARY KEY,
+      source_id INTEGER NOT NULL REFERENCES knowledge_crawl_sources(id) ON DELETE CASCADE,
+      chatbot_id VARCHAR(255) NOT NULL,
+      trigger VARCHAR(20) NOT NULL,
+      dry_run BOOLEAN NOT NULL DEFAULT false,
+      status VARCHAR(20) NOT NULL DEFAULT 'running',
+      pages_found INTEGER NOT NULL DEFAULT 0,
+      pages_crawled INTEGER NOT NULL DEFAULT 0,
+      pages_created INTEGER NOT NULL DEFAULT 0,
+      pages_updated INTEGER NOT NULL DEFAULT 0,
+      pages_deleted INTEGER NOT NULL DEFAULT 0,
+      pages_unchanged INTEGER NOT NULL DEFAULT 0,
+      pages_failed INTEGER NOT NULL DEFAULT 0,
+      error_message TEXT,
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP,
+      last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_knowledge_crawl_runs_source ON knowledge_crawl_runs(source_id, started_at DESC)');
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS knowledge_crawl_changes (
+      id SERIAL PRIMARY KEY,
+      run_id INTEGER NOT NULL REFERENCES knowledge_crawl_runs(id) ON DELETE CASCADE,
+      url TEXT NOT NULL,
+      title TEXT,
+      action VARCHAR(20) NOT NULL,
+      pinecone_data_id INTEGER,
+      lines_added INTEGER NOT NULL DEFAULT 0,
+      lines_removed INTEGER NOT NULL DEFAULT 0,
+      diff TEXT,
+      error TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_knowledge_crawl_changes_run ON knowledge_crawl_changes(run_id, id)');
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+export function validateCrawlSource({ sitemap_url, urls, include_patterns, exclude_patterns, max_pages, crawl_interval_hours, chunking, index_name, namespace }) {
+  const errors = [];
+  if (!index_name || !namespace) errors.push('index_name and namespace are required');
+  if (sitemap_url && !isHttpUrl(sitemap_url)) errors.push('sitemap_url must be an http(s) URL');
+  if (urls !== undefined && urls !== null && (!Array.isArray(urls) || urls.some(url => !isHttpUrl(url)))) {
+    errors.push('urls must be an array of http(s) URLs');
+  }
+  if (!sitemap_url && !(Array.isArray(urls) && urls.length > 0)) errors.push('sitemap_url or urls is required');
+  for (const [field, patterns] of [['include_patterns', include_patterns], ['exclude_patterns', exclude_patterns]]) {
+    if (patterns === undefined || patterns === null) continue;
+    if (!Array.isArray(patterns)) {
+      errors.push(`${field} must be an array of regular expressions`);
+      continue;
+    }
+    for (const pattern of patterns) {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (e) {
+        errors.push(`${field} has an invalid regular expression: ${pattern}`);
+      }
+    }
+  }
+  if (max_pages !== undefined && max_pages !== null) {
+    const pages = Number(max_pages);
+    if (!Number.isInteger(pages) || pages < 1 || pages > MAX_PAGES_LIMIT) {
+      errors.push(`max_pages must be an integer between 1 and ${MAX_PAGES_LIMIT}`);
+    }
+  }
+  if (crawl_interval_hours !== undefined && crawl_interval_hours !== null) {
+    const hours = Number(crawl_interval_hours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > 720) {
+      errors.push('crawl_interval_hours must be an integer between 1 and 720');
+    }
+  }
+  if (chunking !== undefined && chunking !== null) {
+    try {
+      resolveChunkingOptions(chunking);
+    } catch (e) {
+      errors.push(e.message);
+    }
+  }
+  return errors;
+}
+
+export function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity] ?? match;
+  });
+}
+
+function stripTags(html) {
+  return html.replace(/<[^>]+>/g, '');
+}
+
+/**
+ * Page title and readable text of an HTML document
+ * The <main> (or else <article>) element is used when there is one; otherwise navigation, header, footer, aside
+ * and forms are dropped. Headings become Markdown headings and list items "- " lines.
+ */
+export function htmlToText(html) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const h1Match = html.match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i);
+  const rawTitle = titleMatch?.[1] || h1Match?.[1] || '';
+
+  let body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|iframe|head)\b[\s\S]*?<\/\1>/gi, '');
+  const main = body.match(/<main\b[^>]*>([\s\S]*?)<\/main>/i) || body.match(/<article\b[^>]*>([\s\S]*?)<\/article>/i);
+  body = main
+    ? main[1]
+    : body.replace(/<(nav|header|footer|aside|form)\b[\s\S]*?<\/\1>/gi, '');
+
+  body = body
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, inner) => `\n\n${'#'.repeat(Number(level))} ${stripTags(inner).replace(/\s+/g, ' ').trim()}\n\n`)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' | ')
+    .replace(/<\/?(p|div|section|article|main|ul|ol|table|tr|blockquote|pre|dl|dt|dd|figure|figcaption|hr|details|summary)\b[^>]*>/gi, '\n\n');
+
+  const text = decodeHtmlEntities(stripTags(body))
+    .split('\n')
+    .map(line => line.replace(/[ \t ]+/g, ' ').replace(/\s*\|\s*$/, '').trim())
+    .join('\n')
+    .replace(/(^|\n)-\n+/g, '$1- ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return {
+    title: decodeHtmlEntities(stripTags(rawTitle)).replace(/\s+/g, ' ').trim(),
+    text
+  };
+}
+
+/**
+ * <loc> entries of a sitemap; a sitemap index lists further sitemaps
+ */
+export function parseSitemap(xml) {
+  const locations = [...xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/loc>/gi)]
+    .map(match => decodeHtmlEntities(match[1].trim()))
+    .filter(Boolean);
+  return /<sitemapindex\b/i.test(xml)
+    ? { urls: [], sitemaps: locations }
+    : { urls: locations, sitemaps: [] };
+}
+
+/**
+ * URL without fragment, as pages are stored
+ */
+function normalizeUrl(value) {
+  const url = new URL(value);
+  url.hash = '';
+  return url.toString();
+}
+
+export function hashContent(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges are never crawled
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+export function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Refuse hosts that resolve to an internal address
+ * KNOWLEDGE_CRAWLER_ALLOW_PRIVATE=true turns the check off for local testing (scripts/mock-knowledge-site.js)
+ */
+async function assertPublicHost(hostname) {
+  if (process.env.KNOWLEDGE_CRAWLER_ALLOW_PRIVATE === 'true') return;
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) throw new Error(`${hostname} resolves to an internal address (${blocked.address})`);
+}
+
+/**
+ * Read a response body, giving up as soon as it passes MAX_RESPONSE_BYTES (content-length may be missing or wrong)
+ */
+async function readLimitedBody(response) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > MAX_RESPONSE_BYTES) {
+      await reader.cancel();
+      throw new Error(`Response too large (over ${MAX_RESPONSE_BYTES} bytes)`);
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * GET a page or sitemap of a source
+ * Redirects are followed by hand so every hop is checked against the source's hosts and for internal addresses
+ */
+async function fetchText(url, allowedHosts) {
+  let currentUrl = url;
+  for (let redirects = 0; ; redirects++) {
+    const target = new URL(currentUrl);
+    if (!['http:', 'https:'].includes(target.protocol)) throw new Error(`Not an http(s) URL: ${currentUrl}`);
+    if (!allowedHosts.has(target.host)) throw new Error(`${target.host} is not a host of this source`);
+    await assertPublicHost(target.hostname);
+
+    const response = await fetch(currentUrl, {
+      headers: { 'User-Agent': CRAWLER_USER_AGENT, Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8' },
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      await response.body?.cancel();
+      if (redirects >= MAX_REDIRECTS) throw new Error(`Too many redirects (${url})`);
+      currentUrl = new URL(location, currentUrl).toString();
+      continue;
+    }
+
+    const length = parseInt(response.headers.get('content-length'), 10);
+    if (length > MAX_RESPONSE_BYTES) {
+      await response.body?.cancel();
+      throw new Error(`Response too large (${length} bytes)`);
+    }
+    if (!response.ok) await response.body?.cancel();
+    return {
+      status: response.status,
+      ok: response.ok,
+      contentType: response.headers.get('content-type') || '',
+      body: response.ok ? await readLimitedBody(response) : ''
+    };
+  }
+}
+
+/**
+ * URLs of a source: the listed urls plus the pages of its sitemap, on the same hosts and filtered by the
+ * include/exclude patterns. A sitemap that cannot be read fails the crawl, so pages are never deleted because
+ * of a partial list.
+ * Returns { discovered, toCrawl, allowedHosts } - all matching URLs, the first max_pages of them and the hosts
+ * pages may be fetched from
+ */
+export async function collectCrawlUrls(source) {
+  const listed = (source.urls || []).map(normalizeUrl);
+  const allowedHosts = new Set([...listed, ...(source.sitemap_url ? [source.sitemap_url] : [])].map(url => new URL(url).host));
+  const found = [...listed];
+
+  const readSitemap = async (sitemapUrl, depth) => {
+    const response = await fetchText(sitemapUrl, allowedHosts);
+    if (!response.ok) throw new Error(`Sitemap ${sitemapUrl} answered ${response.status}`);
+    const { urls, sitemaps } = parseSitemap(response.body);
+    found.push(...urls.filter(isHttpUrl).map(normalizeUrl));
+    if (depth < MAX_SITEMAP_DEPTH) {
+      for (const nested of sitemaps.filter(url => isHttpUrl(url) && allowedHosts.has(new URL(url).host))) {
+        await readSitemap(nested, depth + 1);
+      }
+    }
+  };
+  if (source.sitemap_url) await readSitemap(source.sitemap_url, 0);
+
+  const include = (source.include_patterns || []).map(pattern => new RegExp(pattern, 'i'));
+  const exclude = (source.exclude_patterns || []).map(pattern => new RegExp(pattern, 'i'));
+  const discovered = [...new Set(found)].filter(url =>
+    allowedHosts.has(new URL(url).host) &&
+    (include.length === 0 || include.some(pattern => pattern.test(url))) &&
+    !exclude.some(pattern => pattern.test(url))
+  );
+
+  return { discovered, toCrawl: discovered.slice(0, source.max_pages || DEFAULT_MAX_PAGES), allowedHosts };
+}
+
+/**
+ * Start a run for a source unless one is already running; returns the run id or null
+ */
+export async function startKnowledgeCrawlRun(pool, source, { trigger, dryRun = false }) {
+  await pool.query(`
+    UPDATE knowledge_crawl_runs
+    SET status = 'failed', error_message = 'The crawl did not finish', completed_at = CURRENT_TIMESTAMP, last_updated = CURRENT_TIMESTAMP
+    WHERE source_id = $1 AND status = 'running' AND last_updated < NOW() - make_interval(hours => $2)
+  `, [source.id, STALE_RUN_HOURS]);
+
+  const result = await pool.query(`
+    INSERT INTO knowledge_crawl_runs (source_id, chatbot_id, trigger, dry_run, status)
+    SELECT $1, $2, $3, $4, 'running'
+    WHERE NOT EXISTS (SELECT 1 FROM knowledge_crawl_runs WHERE source_id = $1 AND status = 'running')
+    RETURNING id
+  `, [source.id, source.chatbot_id, trigger, dryRun]);
+  return result.rows[0]?.id ?? null;
+}
+
+async function recordCrawlChange(pool, runId, change) {
+  await pool.query(`
+    INSERT INTO knowledge_crawl_changes (run_id, url, title, action, pinecone_data_id, lines_added, lines_removed, diff, error)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  `, [
+    runId,
+    change.url,
+    change.title || null,
+    change.action,
+    change.pineconeDataId || null,
+    change.linesAdded || 0,
+    change.linesRemoved || 0,
+    change.diff || null,
+    change.error || null
+  ]);
+}
+
+function isDataNotFound(error) {
+  return error.message.includes('Data not found');
+}
+
+/**
+ * Crawl a source and apply the changes to its pinecone_data entries
+ * Runs in the background; counters are written to the run after every page
+ */
+export async function processKnowledgeCrawl(pool, source, { runId, dryRun = false }) {
+  const counters = { found: 0, crawled: 0, created: 0, updated: 0, deleted: 0, unchanged: 0, failed: 0 };
+  // Entries are written as the source's owner; the admin flag skips the namespace check of the services
+  const owner = { userId: source.user_id, isAdmin: true };
+  const entryFields = {
+    indexName: source.index_name,
+    namespace: source.namespace,
+    group: source.entry_group || null,
+    ...(source.chunking && { chunking: source.chunking })
+  };
+
+  const saveCounters = () => pool.query(`
+    UPDATE knowledge_crawl_runs
+    SET pages_found = $1, pages_crawled = $2, pages_created = $3, pages_updated = $4, pages_deleted = $5,
+        pages_unchanged = $6, pages_failed = $7, last_updated = CURRENT_TIMESTAMP
+    WHERE id = $8
+  `, [counters.found, counters.crawled, counters.created, counters.updated, counters.deleted, counters.unchanged, counters.failed, runId]);
+
+  const deletePage = async (page, reason) => {
+    const { linesRemoved, diff } = diffLines(page.content, '');
+    if (!dryRun) {
+      if (page.pinecone_data_id) {
+        try {
+          await deletePineconeDataService(page.pinecone_data_id, owner, pool);
+        } catch (error) {
+          if (!isDataNotFound(error)) throw error;
+        }
+      }
+      await pool.query('DELETE FROM knowledge_crawl_pages WHERE id = $1', [page.id]);
+    }
+    counters.deleted++;
+    await recordCrawlChange(pool, runId, {
+      url: page.url, title: page.title, action: CRAWL_CHANGE_ACTIONS.DELETED, pineconeDataId: page.pinecone_data_id,
+      linesRemoved, diff, error: reason
+    });
+  };
+
+  try {
+    console.log(`🕷️ KNOWLEDGE CRAWLER: ${dryRun ? 'Dry run' : 'Crawl'} ${runId} of source ${source.id} (${source.chatbot_id}) started`);
+    const { discovered, toCrawl, allowedHosts } = await collectCrawlUrls(source);
+    counters.found = toCrawl.length;
+    await saveCounters();
+
+    const existingResult = await pool.query('SELECT * FROM knowledge_crawl_pages WHERE source_id = $1', [source.id]);
+    const existingByUrl = new Map(existingResult.rows.map(page => [page.url, page]));
+
+    for (const url of toCrawl) {
+      const previous = existingByUrl.get(url);
+      counters.crawled++;
+      try {
+        await delay(REQUEST_DELAY_MS);
+        const response = await fetchText(url, allowedHosts);
+
+        if (response.status === 404 || response.status === 410) {
+          if (previous) await deletePage(previous, `Page answered ${response.status}`);
+          existingByUrl.delete(url);
+          continue;
+        }
+        if (!response.ok) throw new Error(`Page answered ${response.status}`);
+        if (!/html/i.test(response.contentType)) throw new Error(`Not an HTML page (${response.contentType || 'no content type'})`);
+
+        const page = htmlToText(response.body);
+        if (page.text.length < MIN_TEXT_LENGTH) throw new Error('No text found on the page');
+
+        const contentHash = hashContent(page.text);
+        const title = page.title || url;
+        const entryText = `${page.text}\n\nURL: ${url}`;
+
+        if (previous && previous.content_hash === contentHash && previous.pinecone_data_id) {
+          counters.unchanged++;
+          if (!dryRun) {
+            await pool.query('UPDATE knowledge_crawl_pages SET last_crawled_at = CURRENT_TIMESTAMP, last_error = NULL WHERE id = $1', [previous.id]);
+          }
+          continue;
+        }
+
+        const { linesAdded, linesRemoved, diff } = diffLines(previous?.content, page.text);
+        let pineconeDataId = previous?.pinecone_data_id || null;
+        let action = previous && pineconeDataId ? CRAWL_CHANGE_ACTIONS.UPDATED : CRAWL_CHANGE_ACTIONS.CREATED;
+
+        if (!dryRun) {
+          if (action === CRAWL_CHANGE_ACTIONS.UPDATED) {
+            try {
+              await updatePineconeDataService(pineconeDataId, { title, text: entryText, group: entryFields.group, chunking: entryFields.chunking }, owner, pool);
+            } catch (error) {
+              // The entry was deleted by hand; create it again
+              if (!isDataNotFound(error)) throw error;
+              action = CRAWL_CHANGE_ACTIONS.CREATED;
+            }
+          }
+          if (action === CRAWL_CHANGE_ACTIONS.CREATED) {
+            const row = await createPineconeDataService({ ...entryFields, title, text: entryText, userId: source.user_id }, owner, pool);
+            pineconeDataId = row.id;
+          }
+
+          await pool.query(`
+            INSERT INTO knowledge_crawl_pages
+            (source_id, url, title, content, content_hash, pinecone_data_id, last_error, last_crawled_at, last_changed_at)
+            VALUES ($1, $2, $3, $4, $5, $6, NULL, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            ON CONFLICT (source_id, url) DO UPDATE SET
+              title = EXCLUDED.title,
+              content = EXCLUDED.content,
+              content_hash = EXCLUDED.content_hash,
+              pinecone_data_id = EXCLUDED.pinecone_data_id,
+              last_error = NULL,
+              last_crawled_at = CURRENT_TIMESTAMP,
+              last_changed_at = CURRENT_TIMESTAMP
+          `, [source.id, url, title, page.text, contentHash, pineconeDataId]);
+        }
+
+        counters[action === CRAWL_CHANGE_ACTIONS.CREATED ? 'created' : 'updated']++;
+        await recordCrawlChange(pool, runId, { url, title, action, pineconeDataId, linesAdded, linesRemoved, diff });
+      } catch (error) {
+        // The page's entry is kept as it was
+        console.error(`Knowledge crawler: ${url} failed:`, error.message);
+        counters.failed++;
+        if (!dryRun && previous) {
+          await pool.query('UPDATE knowledge_crawl_pages SET last_error = $1, last_crawled_at = CURRENT_TIMESTAMP WHERE id = $2', [error.message, previous.id]);
+        }
+        await recordCrawlChange(pool, runId, { url, title: previous?.title, action: CRAWL_CHANGE_ACTIONS.FAILED, pineconeDataId: previous?.pinecone_data_id, error: error.message });
+      } finally {
+        await saveCounters();
+      }
+    }
+
+    // Pages that are no longer linked from the sitemap or listed; pages beyond max_pages are left alone
+    const discoveredUrls = new Set(discovered);
+    for (const page of existingByUrl.values()) {
+      if (discoveredUrls.has(page.url)) continue;
+      try {
+        await deletePage(page, 'No longer in the sitemap or urls');
+      } catch (error) {
+        console.error(`Knowledge crawler: deleting ${page.url} failed:`, error.message);
+        counters.failed++;
+        await recordCrawlChange(pool, runId, { url: page.url, title: page.title, action: CRAWL_CHANGE_ACTIONS.FAILED, pineconeDataId: page.pinecone_data_id, error: error.message });
+      }
+      await saveCounters();
+    }
+
+    await pool.query(`
+      UPDATE knowledge_crawl_runs
+      SET status = 'completed', completed_at = CURRENT_TIMESTAMP, last_updated = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [runId]);
+    if (!dryRun) {
+      await pool.query('UPDATE knowledge_crawl_sources SET last_crawled_at = CURRENT_TIMESTAMP WHERE id = $1', [source.id]);
+    }
+
+    console.log(`🕷️ KNOWLEDGE CRAWLER: Run ${runId} completed - ${counters.created} created, ${counters.updated} updated, ${counters.deleted} deleted, ${counters.unchanged} unchanged, ${counters.failed} failed`);
+  } catch (error) {
+    console.error(`Knowledge crawl ${runId} failed:`, error);
+    await pool.query(`
+      UPDATE knowledge_crawl_runs
+      SET status = 'failed', error_message = $1, completed_at = CURRENT_TIMESTAMP, last_updated = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [error.message, runId]).catch(err => console.error('Error marking knowledge crawl failed:', err));
+  }
+}
+
+/**
+ * Crawl the enabled sources whose next_crawl_at has passed
+ * Sources are claimed by moving next_crawl_at forward first, so several instances never crawl the same source.
+ */
+export async function runDueKnowledgeCrawls(pool) {
+  const claimed = await pool.query(`
+    UPDATE knowledge_crawl_sources
+    SET next_crawl_at = NOW() + make_interval(hours => crawl_interval_hours)
+    WHERE id IN (
+      SELECT id FROM knowledge_crawl_sources
+      WHERE enabled = true AND next_crawl_at IS NOT NULL AND next_crawl_at <= NOW()
+      ORDER BY next_crawl_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [MAX_SCHEDULED_CRAWLS_PER_TICK]);
+
+  let crawled = 0;
+  for (const source of claimed.rows) {
+    const runId = await startKnowledgeCrawlRun(pool, source, { trigger: CRAWL_TRIGGERS.SCHEDULED });
+    if (!runId) continue;
+    await processKnowledgeCrawl(pool, source, { runId });
+    crawled++;
+  }
+  return crawled;
+}
@@ -0,0 +1,108 @@
+/**
+ * Knowledge History Utilities
+ * Every create, update and delete of a knowledge entry (pinecone_data) is stored as a numbered version in
+ * pinecone_data_history, with the entry as it was after the change, who made it and when.
+ *
+ * Entries from before the history get their current state as version 1 (changed_by NULL) on their first change,
+ * so the text before that change can still be restored. History rows are kept after the entry is deleted.
+ */
+
+export const KNOWLEDGE_HISTORY_ACTIONS = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  DELETED: 'deleted',
+  RESTORED: 'restored'
+};
+
+// Postgres unique_violation: two changes of one entry picked the same version number
+const UNIQUE_VIOLATION = '23505';
+const MAX_VERSION_ATTEMPTS = 3;
+
+export async function ensureKnowledgeHistoryTable(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS pinecone_data_history (
+      id SERIAL PRIMARY KEY,
+      pinecone_data_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      action VARCHAR(20) NOT NULL,
+      title TEXT,
+      text TEXT,
+      metadata JSONB,
+      user_id INTEGER,
+      pinecone_index_name TEXT,
+      namespace TEXT,
+      expiration_time TIMESTAMP,
+      scheduled_time TIMESTAMP,
+      is_scheduled BOOLEAN,
+      changed_by INTEGER,
+      restored_from_version INTEGER,
+      changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (pinecone_data_id, version)
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_pinecone_data_history_namespace ON pinecone_data_history(namespace, action)');
+}
+
+async function insertVersion(pool, row, { action, changedBy = null, restoredFromVersion = null, changedAt = null }) {
+  const metadata = typeof row.metadata === 'string' ? row.metadata : JSON.stringify(row.metadata || {});
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await pool.query(`
+        INSERT INTO pinecone_data_history
+        (pinecone_data_id, version, action, title, text, metadata, user_id, pinecone_index_name, namespace,
+         expiration_time, scheduled_time, is_scheduled, changed_by, restored_from_version, changed_at)
+        SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, COALESCE($14, CURRENT_TIMESTAMP)
+        FROM pinecone_data_history
+        WHERE pinecone_data_id = $1
+        RETURNING *
+      `, [
+        row.id,
+        action,
+        row.title,
+        row.text,
+        metadata,
+        row.user_id,
+        row.pinecone_index_name,
+        row.namespace,
+        row.expiration_time || null,
+        row.scheduled_time || null,
+        row.is_scheduled ?? false,
+        changedBy,
+        restoredFromVersion,
+        changedAt
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      if (error.code !== UNIQUE_VIOLATION || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+    }
+  }
+}
+
+/**
+ * Store the current state of an entry without history as version 1, before it is changed
+ */
+export async function ensureKnowledgeHistoryBaseline(pool, row) {
+  try {
+    const existing = await pool.query('SELECT 1 FROM pinecone_data_history WHERE pinecone_data_id = $1 LIMIT 1', [row.id]);
+    if (existing.rows.length > 0) return;
+    await insertVersion(pool, row, {
+      action: KNOWLEDGE_HISTORY_ACTIONS.CREATED,
+      changedAt: row.created_at || null
+    });
+  } catch (error) {
+    console.error(`Knowledge history: baseline of entry ${row.id} failed:`, error);
+  }
+}
+
+/**
+ * Store a version of an entry; row is the pinecone_data row after the change (before it, for deletes)
+ * A failing history write is logged and does not fail the change itself.
+ */
+export async function recordKnowledgeHistory(pool, row, { action, changedBy = null, restoredFromVersion = null }) {
+  try {
+    return await insertVersion(pool, row, { action, changedBy, restoredFromVersion });
+  } catch (error) {
+    console.error(`Knowledge history: recording ${action} of entry ${row.id} failed:`, error);
+    return null;
+  }
+}
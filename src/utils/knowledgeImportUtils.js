@@ -0,0 +1,394 @@
+import { createPineconeDataService } from '../services/pineconeService.js';
+
+/**
+ * Knowledge Import Utilities
+ * Turns an uploaded file into knowledge entries ({ title, text, group, expirationTime, scheduleTime }) and
+ * stores them one at a time through createPineconeDataService, like the single entry upload
+ *
+ * - csv: one entry per row; the delimiter (, ; or tab) is detected from the header row
+ * - json: one entry per object of the top-level array (or of the first array property, e.g. { "faq": [...] })
+ * - markdown: one entry per heading up to heading_level (default 2), with the text below it
+ * - pdf: one entry per page
+ *
+ * CSV columns and JSON keys are picked with mapping ({ title, text, group, expiration_time, schedule_time });
+ * text may list several columns, which are joined with blank lines. Without a mapping common names are tried.
+ */
+
+export const KNOWLEDGE_IMPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+  MARKDOWN: 'markdown',
+  PDF: 'pdf'
+};
+
+export const KNOWLEDGE_IMPORT_STATUSES = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+export const MAX_IMPORT_ENTRIES = 2000;
+
+const FORMAT_EXTENSIONS = {
+  csv: KNOWLEDGE_IMPORT_FORMATS.CSV,
+  tsv: KNOWLEDGE_IMPORT_FORMATS.CSV,
+  json: KNOWLEDGE_IMPORT_FORMATS.JSON,
+  md: KNOWLEDGE_IMPORT_FORMATS.MARKDOWN,
+  markdown: KNOWLEDGE_IMPORT_FORMATS.MARKDOWN,
+  pdf: KNOWLEDGE_IMPORT_FORMATS.PDF
+};
+
+// Column / key names tried when no mapping is given (lower case)
+const DEFAULT_FIELD_NAMES = {
+  title: ['title', 'titel', 'question', 'spørgsmål', 'sporgsmal', 'overskrift', 'name', 'navn'],
+  text: ['text', 'tekst', 'answer', 'svar', 'content', 'indhold', 'body', 'description', 'beskrivelse'],
+  group: ['group', 'gruppe', 'category', 'kategori'],
+  expiration_time: ['expiration_time', 'expirationtime', 'expires', 'udløb'],
+  schedule_time: ['schedule_time', 'scheduletime', 'scheduled', 'planlagt']
+};
+
+export async function ensureKnowledgeImportTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS knowledge_import_jobs (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      created_by INTEGER,
+      file_name TEXT,
+      format VARCHAR(20) NOT NULL,
+      index_name TEXT NOT NULL,
+      namespace TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      total_entries INTEGER NOT NULL DEFAULT 0,
+      processed_entries INTEGER NOT NULL DEFAULT 0,
+      created_entries INTEGER NOT NULL DEFAULT 0,
+      failed_entries INTEGER NOT NULL DEFAULT 0,
+      skipped_entries INTEGER NOT NULL DEFAULT 0,
+      errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+      pinecone_data_ids INTEGER[] NOT NULL DEFAULT '{}',
+      error_message TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      started_at TIMESTAMP,
+      completed_at TIMESTAMP,
+      last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_knowledge_import_jobs_user ON knowledge_import_jobs(user_id, created_at DESC)');
+}
+
+/**
+ * Format of a file from the given format or the file name's extension (null when unknown)
+ */
+export function detectImportFormat(fileName, format) {
+  if (format) {
+    const normalized = String(format).toLowerCase();
+    return Object.values(KNOWLEDGE_IMPORT_FORMATS).includes(normalized) ? normalized : FORMAT_EXTENSIONS[normalized] || null;
+  }
+  const extension = String(fileName || '').split('.').pop().toLowerCase();
+  return FORMAT_EXTENSIONS[extension] || null;
+}
+
+/**
+ * File name without its extension, used as title (prefix) for Markdown and PDF entries
+ */
+function baseTitle(fileName) {
+  const name = String(fileName || '').split(/[\\/]/).pop().replace(/\.[^.]+$/, '').trim();
+  return name || 'Import';
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180 quoting, "" inside quotes is a quote)
+ */
+export function parseCsv(text, delimiter) {
+  const source = text.replace(/^﻿/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0] || '';
+  const separator = delimiter || [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Value of a key in an object; dotted keys reach into nested objects
+ */
+function readField(record, key) {
+  if (Object.prototype.hasOwnProperty.call(record, key)) return record[key];
+  return String(key).split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), record);
+}
+
+/**
+ * The keys of a record to read each entry field from: the mapping, else the first default name present
+ */
+function resolveFieldKeys(keys, mapping = {}) {
+  const lowerKeys = new Map(keys.map(key => [String(key).trim().toLowerCase(), key]));
+  const resolved = {};
+  for (const [field, names] of Object.entries(DEFAULT_FIELD_NAMES)) {
+    if (mapping[field] !== undefined && mapping[field] !== null && mapping[field] !== '') {
+      resolved[field] = Array.isArray(mapping[field]) ? mapping[field] : [mapping[field]];
+    } else {
+      const found = names.find(name => lowerKeys.has(name));
+      resolved[field] = found ? [lowerKeys.get(found)] : [];
+    }
+  }
+  return resolved;
+}
+
+function recordsToEntries(records, mapping) {
+  const keys = [...new Set(records.flatMap(record => (record && typeof record === 'object' ? Object.keys(record) : [])))];
+  const fieldKeys = resolveFieldKeys(keys, mapping);
+  const errors = [];
+  if (fieldKeys.text.length === 0) {
+    errors.push({ row: null, error: `No text column found; set mapping.text to one of: ${keys.join(', ')}` });
+    return { entries: [], errors, columns: keys };
+  }
+
+  const read = (record, field) => fieldKeys[field]
+    .map(key => readField(record, key))
+    .filter(value => value !== undefined && value !== null && String(value).trim() !== '')
+    .map(value => (typeof value === 'object' ? JSON.stringify(value) : String(value).trim()));
+
+  const entries = records.map((record, index) => {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) return { row: index + 1, error: 'not an object' };
+    return {
+      row: index + 1,
+      title: read(record, 'title').join(' - '),
+      text: read(record, 'text').join('\n\n'),
+      group: read(record, 'group')[0] || null,
+      expirationTime: read(record, 'expiration_time')[0] || null,
+      scheduleTime: read(record, 'schedule_time')[0] || null
+    };
+  });
+  return { entries, errors, columns: keys };
+}
+
+function parseCsvEntries(text, options) {
+  const rows = parseCsv(text, options.delimiter);
+  if (rows.length < 2) {
+    return { entries: [], errors: [{ row: null, error: 'The CSV needs a header row and at least one row' }], columns: rows[0] || [] };
+  }
+  const [header, ...dataRows] = rows;
+  const columns = header.map(name => name.trim());
+  const records = dataRows.map(cells => Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ''])));
+  const result = recordsToEntries(records, options.mapping);
+  // Row numbers as in the file, counting the header
+  result.entries.forEach(entry => { entry.row += 1; });
+  return result;
+}
+
+function parseJsonEntries(text, options) {
+  let data;
+  try {
+    data = JSON.parse(text.replace(/^﻿/, ''));
+  } catch (error) {
+    return { entries: [], errors: [{ row: null, error: `Invalid JSON: ${error.message}` }], columns: [] };
+  }
+  const records = Array.isArray(data)
+    ? data
+    : Object.values(data || {}).find(value => Array.isArray(value));
+  if (!records) {
+    return { entries: [], errors: [{ row: null, error: 'The JSON needs an array of entries' }], columns: [] };
+  }
+  return recordsToEntries(records, options.mapping);
+}
+
+function parseMarkdownEntries(text, options) {
+  const headingLevel = Math.min(Math.max(parseInt(options.heading_level, 10) || 2, 1), 6);
+  const entries = [];
+  let current = { title: null, lines: [], row: 1 };
+  let inFence = false;
+
+  const flush = () => {
+    const body = current.lines.join('\n').trim();
+    if (body) {
+      entries.push({ row: current.row, title: current.title || baseTitle(options.fileName), text: body, group: null, expirationTime: null, scheduleTime: null });
+    }
+  };
+
+  text.replace(/^﻿/, '').split(/\r?\n/).forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading && heading[1].length <= headingLevel) {
+      flush();
+      current = { title: heading[2].trim(), lines: [], row: index + 1 };
+    } else {
+      current.lines.push(line);
+    }
+  });
+  flush();
+  return { entries, errors: [], columns: [] };
+}
+
+/**
+ * One entry per PDF page with text
+ * pdfjs-dist is kept on 4.7: later versions need Node 20, and this backend still runs on Node 18
+ */
+async function parsePdfEntries(buffer, options) {
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const loadingTask = getDocument({ data: new Uint8Array(buffer), isEvalSupported: false, disableFontFace: true, verbosity: 0 });
+  try {
+    const pdf = await loadingTask.promise;
+    const title = baseTitle(options.fileName);
+    const entries = [];
+    for (let num = 1; num <= pdf.numPages; num++) {
+      const page = await pdf.getPage(num);
+      const content = await page.getTextContent();
+      const text = content.items.map(item => (item.str ?? '') + (item.hasEOL ? '\n' : '')).join('').trim();
+      if (text) entries.push({ row: num, title: `${title} (page ${num})`, text, group: null, expirationTime: null, scheduleTime: null });
+    }
+    return { entries, errors: [], columns: [] };
+  } catch (error) {
+    return { entries: [], errors: [{ row: null, error: `Could not read the PDF: ${error.message}` }], columns: [] };
+  } finally {
+    await loadingTask.destroy();
+  }
+}
+
+/**
+ * Check an entry before import; returns an error message or null
+ */
+export function validateImportEntry(entry) {
+  if (!entry || typeof entry !== 'object') return 'not an object';
+  if (!entry.title || !String(entry.title).trim()) return 'title is empty';
+  if (!entry.text || !String(entry.text).trim()) return 'text is empty';
+  for (const field of ['expirationTime', 'scheduleTime']) {
+    if (entry[field] && isNaN(new Date(entry[field]).getTime())) return `${field} is not a valid date`;
+  }
+  return null;
+}
+
+/**
+ * Parse an uploaded file into entries
+ * Returns { format, entries, errors, columns }; entries that fail validation are moved to errors with their row
+ */
+export async function parseImportFile({ fileName, format, buffer, mapping, delimiter, heading_level }) {
+  const options = { fileName, mapping: mapping || {}, delimiter, heading_level };
+  let result;
+  if (format === KNOWLEDGE_IMPORT_FORMATS.PDF) {
+    result = await parsePdfEntries(buffer, options);
+  } else {
+    const text = buffer.toString('utf8');
+    if (format === KNOWLEDGE_IMPORT_FORMATS.CSV) result = parseCsvEntries(text, options);
+    else if (format === KNOWLEDGE_IMPORT_FORMATS.JSON) result = parseJsonEntries(text, options);
+    else result = parseMarkdownEntries(text, options);
+  }
+
+  const entries = [];
+  const errors = [...result.errors];
+  result.entries.forEach(entry => {
+    const error = entry.error || validateImportEntry(entry);
+    if (error) errors.push({ row: entry.row, title: entry.title || null, error });
+    else entries.push(entry);
+  });
+  return { format, entries, errors, columns: result.columns };
+}
+
+/**
+ * Background processing of an import job
+ * Entries are stored one at a time; a failing entry is recorded and the next one is tried
+ */
+export async function processKnowledgeImportJob(pool, jobId, { entries, defaults, user }) {
+  let created = 0;
+  let failed = 0;
+
+  try {
+    await pool.query(`
+      UPDATE knowledge_import_jobs
+      SET status = 'running', started_at = CURRENT_TIMESTAMP, last_updated = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'pending'
+    `, [jobId]);
+
+    console.log(`📥 Knowledge import ${jobId}: importing ${entries.length} entries into ${defaults.indexName}/${defaults.namespace}`);
+
+    for (const [position, entry] of entries.entries()) {
+      const statusResult = await pool.query('SELECT status FROM knowledge_import_jobs WHERE id = $1', [jobId]);
+      if (statusResult.rows[0]?.status === KNOWLEDGE_IMPORT_STATUSES.CANCELLED) {
+        console.log(`📥 Knowledge import ${jobId}: cancelled after ${position} entries`);
+        return;
+      }
+
+      let createdId = null;
+      let rowError = null;
+      try {
+        const scheduleTime = entry.scheduleTime || defaults.scheduleTime;
+        const row = await createPineconeDataService({
+          title: String(entry.title).trim(),
+          text: String(entry.text).trim(),
+          indexName: defaults.indexName,
+          namespace: defaults.namespace,
+          group: entry.group || defaults.group || null,
+          expirationTime: entry.expirationTime || defaults.expirationTime || null,
+          scheduleTime,
+          isScheduled: !!(entry.scheduleTime || defaults.isScheduled) && !!scheduleTime,
+          chunking: entry.chunking ?? defaults.chunking,
+          userId: defaults.userId
+        }, user, pool);
+        createdId = row.id;
+        created++;
+      } catch (error) {
+        console.error(`Knowledge import ${jobId}: row ${entry.row} failed:`, error.message);
+        rowError = { row: entry.row, title: entry.title, error: error.message };
+        failed++;
+      }
+
+      await pool.query(`
+        UPDATE knowledge_import_jobs
+        SET processed_entries = $1, created_entries = $2, failed_entries = $3,
+            errors = CASE WHEN $4::jsonb IS NULL THEN errors ELSE errors || $4::jsonb END,
+            pinecone_data_ids = CASE WHEN $5::integer IS NULL THEN pinecone_data_ids ELSE array_append(pinecone_data_ids, $5::integer) END,
+            last_updated = CURRENT_TIMESTAMP
+        WHERE id = $6
+      `, [position + 1, created, failed, rowError ? JSON.stringify([rowError]) : null, createdId, jobId]);
+    }
+
+    await pool.query(`
+      UPDATE knowledge_import_jobs
+      SET status = 'completed', completed_at = CURRENT_TIMESTAMP, last_updated = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'running'
+    `, [jobId]);
+
+    console.log(`📥 Knowledge import ${jobId}: completed - ${created} created, ${failed} failed`);
+  } catch (error) {
+    console.error(`Knowledge import ${jobId} failed:`, error);
+    await pool.query(`
+      UPDATE knowledge_import_jobs
+      SET status = 'failed', error_message = $1, completed_at = CURRENT_TIMESTAMP, last_updated = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [error.message, jobId]).catch(err => console.error('Error marking knowledge import failed:', err));
+  }
+}
@@ -0,0 +1,433 @@
+/**
+ * LLM Provider Utilities
+ * Adapters that turn a Flowise-style prediction request into a call against a concrete LLM backend
+ *
+ * Every adapter accepts the same request body the services already build
+ * ({ question, history, uploads, overrideConfig }) and exposes:
+ *   - getEndpoint(flowKey)                      → string recorded on streaming sessions and in logs
+ *   - predict(flowKey, requestBody)             → { text }
+ *   - stream(flowKey, requestBody, { signal })  → async iterable of { event, data } stream events
+ */
+
+import { makeAiApiRequest } from './connectionPoolUtils.js';
+
+/**
+ * Supported provider types
+ */
+export const LLM_PROVIDER_TYPES = {
+  FLOWISE: 'flowise',
+  OPENAI: 'openai',
+  MOCK: 'mock'
+};
+
+export const DEFAULT_FLOWISE_BASE_URL = 'https://den-utrolige-snebold.onrender.com';
+const DEFAULT_FLOWISE_API_KEY = 'wEfLmtcJ4Mj2DODkFDWq2ggjjJ6gJ125sJJpfMR/Aeg=';
+
+/**
+ * Flowise chatflow IDs per flow key
+ * Flows not listed here use the main chatflow
+ */
+export const FLOWISE_CHATFLOW_IDS = {
+  main: 'c88bd6dd-a846-4862-b234-59c8b459b816',
+  fordelingsflow: '52c2cdfa-581f-4a0f-b70e-4f617ed0029e',
+  apivarflow: '52c2cdfa-581f-4a0f-b70e-4f617ed0029e',
+  metadata: 'c1b6c8d2-dd76-443d-ae5f-42efaf8c3668',
+  metadata2: 'c1b6c8d2-dd76-443d-ae5f-42efaf8c3668',
+  statistics: '53e9c446-b2a3-41ca-8a01-8d48c05fcc7a',
+  summary: 'c1b6c8d2-dd76-443d-ae5f-42efaf8c3668',
+  image: 'eed6c6d2-16ee-40ae-be9f-3cc39f91dc2c'
+};
+
+/**
+ * Build the Flowise prediction URL for a flow key
+ */
+export function getFlowisePredictionUrl(flowKey, baseUrl = process.env.FLOWISE_BASE_URL || DEFAULT_FLOWISE_BASE_URL) {
+  const chatflowId = FLOWISE_CHATFLOW_IDS[flowKey] || FLOWISE_CHATFLOW_IDS.main;
+  return `${baseUrl.replace(/\/+$/, '')}/api/v1/prediction/${chatflowId}`;
+}
+
+/**
+ * Default provider configuration used when a chatbot has nothing stored
+ * LLM_PROVIDER=mock runs every flow offline
+ */
+export function getDefaultProviderConfig() {
+  return {
+    provider_type: process.env.LLM_PROVIDER || LLM_PROVIDER_TYPES.FLOWISE,
+    model: null,
+    base_url: null,
+    api_key: null,
+    options: {}
+  };
+}
+
+/**
+ * Per-chatbot provider configuration; flow_key '*' applies to every flow without a flow-specific row
+ * options holds e.g. temperature, max_tokens, endpoints (Flowise per-flow URL overrides), responses (mock)
+ */
+export async function ensureLlmProvidersTable(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS chatbot_llm_providers (
+      id SERIAL PRIMARY KEY,
+      chatbot_id VARCHAR(255) NOT NULL,
+      flow_key VARCHAR(50) NOT NULL DEFAULT '*',
+      provider_type VARCHAR(50) NOT NULL DEFAULT 'flowise',
+      model VARCHAR(255),
+      base_url TEXT,
+      api_key TEXT,
+      options JSONB DEFAULT '{}'::jsonb,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      UNIQUE (chatbot_id, flow_key)
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_chatbot_llm_providers_chatbot ON chatbot_llm_providers(chatbot_id)');
+}
+
+/**
+ * Per-chatbot flow endpoint registry: a dedicated Flowise chatflow per flow without a code deploy
+ * auth_header and timeout_ms are optional; streaming false fetches the answer in one request and replays it
+ */
+export async function ensureFlowEndpointsTable(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS chatbot_flow_endpoints (
+      id SERIAL PRIMARY KEY,
+      chatbot_id VARCHAR(255) NOT NULL,
+      flow_key VARCHAR(50) NOT NULL,
+      endpoint_url TEXT NOT NULL,
+      auth_header TEXT,
+      timeout_ms INTEGER,
+      streaming BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      UNIQUE (chatbot_id, flow_key)
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_chatbot_flow_endpoints_chatbot ON chatbot_flow_endpoints(chatbot_id)');
+}
+
+/**
+ * Read "data:" lines from a server-sent event response body
+ * Yields the raw payload string of every data line
+ */
+async function* readSSEData(response, signal) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let chunkBuffer = '';
+
+  try {
+    while (true) {
+      if (signal?.aborted) return;
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      chunkBuffer += decoder.decode(value, { stream: true });
+      const lines = chunkBuffer.split(/\r?\n/);
+      chunkBuffer = lines.pop() || '';
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed || !trimmed.startsWith('data:')) continue;
+        yield trimmed.replace('data:', '').trim();
+      }
+    }
+  } finally {
+    // Closes the upstream connection when the consumer stops early
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Flowise prediction API adapter
+ * options.endpoints overrides the URL per flow key; options.authHeader, options.timeoutMs
+ * and options.streaming come from the chatbot flow endpoint registry
+ */
+export class FlowiseProvider {
+  constructor(config = {}) {
+    this.type = LLM_PROVIDER_TYPES.FLOWISE;
+    this.baseUrl = config.base_url || process.env.FLOWISE_BASE_URL || DEFAULT_FLOWISE_BASE_URL;
+    this.apiKey = config.api_key || process.env.FLOWISE_API_KEY || DEFAULT_FLOWISE_API_KEY;
+    this.options = config.options || {};
+  }
+
+  getEndpoint(flowKey) {
+    return this.options.endpoints?.[flowKey] || getFlowisePredictionUrl(flowKey, this.baseUrl);
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.options.authHeader) headers.Authorization = this.options.authHeader;
+    else if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  async predict(flowKey, requestBody) {
+    const response = await makeAiApiRequest(this.getEndpoint(flowKey), {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(requestBody),
+      timeout: this.options.timeoutMs
+    });
+    const result = await response.json();
+    return { text: result.text || '', raw: result };
+  }
+
+  async *stream(flowKey, requestBody, { signal } = {}) {
+    // Endpoints registered without streaming support answer in one request, replayed as a stream
+    if (this.options.streaming === false) {
+      yield { event: 'start', data: '' };
+      const { text, raw } = await this.predict(flowKey, requestBody);
+      if (Array.isArray(raw?.sourceDocuments)) yield { event: 'sourceDocuments', data: raw.sourceDocuments };
+      if (text) yield { event: 'token', data: text };
+      yield { event: 'end', data: '[DONE]' };
+      return;
+    }
+
+    // The timeout covers connecting and receiving response headers, not the whole answer.
+    // The caller's signal is forwarded by hand (AbortSignal.any needs Node 20.3) until the body is read to the end,
+    // so a cancel also stops a request that is silent while Flowise runs retrieval or tools
+    const requestController = new AbortController();
+    const timeoutId = this.options.timeoutMs
+      ? setTimeout(() => requestController.abort(), this.options.timeoutMs)
+      : null;
+    const forwardAbort = () => requestController.abort(signal.reason);
+    if (signal?.aborted) forwardAbort();
+    else signal?.addEventListener('abort', forwardAbort, { once: true });
+
+    try {
+      let response;
+      try {
+        response = await fetch(this.getEndpoint(flowKey), {
+          method: 'POST',
+          headers: this.getHeaders(),
+          body: JSON.stringify({ ...requestBody, streaming: true }),
+          signal: requestController.signal
+        });
+      } finally {
+        if (timeoutId) clearTimeout(timeoutId);
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Primary SSE call failed: ${errorText}`);
+      }
+      if (!response.body) {
+        throw new Error('ReadableStream not supported in this environment.');
+      }
+
+      // Flowise already sends { event, data } objects; a JSON object may be split across lines
+      let partial = '';
+      for await (const dataStr of readSSEData(response, signal)) {
+        if (dataStr === '[DONE]') return;
+
+        const candidate = partial ? `${partial}\n${dataStr}` : dataStr;
+        let json;
+        try {
+          json = JSON.parse(candidate);
+        } catch (err) {
+          partial = candidate;
+          continue;
+        }
+        partial = '';
+        yield json;
+      }
+    } finally {
+      signal?.removeEventListener('abort', forwardAbort);
+    }
+  }
+}
+
+/**
+ * Convert a Flowise-style request body into chat completion messages
+ * The flow prompt travels in overrideConfig.vars under different names per flow
+ */
+export function buildChatMessages(requestBody) {
+  const vars = requestBody.overrideConfig?.vars || {};
+  const systemPrompt = vars.masterPrompt || vars.fordelingsprompt || vars.statestik_prompt || null;
+  const messages = [];
+
+  if (systemPrompt) {
+    messages.push({ role: 'system', content: systemPrompt });
+  }
+
+  for (const entry of requestBody.history || []) {
+    if (!entry?.content) continue;
+    messages.push({
+      role: entry.role === 'userMessage' ? 'user' : 'assistant',
+      content: entry.content
+    });
+  }
+
+  const images = (requestBody.uploads || []).filter(upload => upload?.data);
+  if (images.length > 0) {
+    messages.push({
+      role: 'user',
+      content: [
+        { type: 'text', text: requestBody.question || '' },
+        ...images.map(upload => ({
+          type: 'image_url',
+          image_url: {
+            url: upload.data.startsWith('data:') ? upload.data : `data:${upload.mime};base64,${upload.data}`
+          }
+        }))
+      ]
+    });
+  } else {
+    messages.push({ role: 'user', content: requestBody.question || '' });
+  }
+
+  return messages;
+}
+
+/**
+ * OpenAI-compatible chat completions adapter
+ * Works against OpenAI and any server exposing /chat/completions (vLLM, Ollama, Azure proxies)
+ * Retrieval is not performed here - flows that rely on Flowise's Pinecone retriever should stay on Flowise
+ */
+export class OpenAiCompatibleProvider {
+  constructor(config = {}) {
+    this.type = LLM_PROVIDER_TYPES.OPENAI;
+    this.baseUrl = (config.base_url || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = config.api_key || process.env.OPENAI_API_KEY;
+    this.model = config.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.options = config.options || {};
+  }
+
+  getEndpoint() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  buildBody(requestBody, stream) {
+    const body = {
+      model: this.model,
+      messages: buildChatMessages(requestBody),
+      stream
+    };
+    if (this.options.temperature !== undefined) body.temperature = this.options.temperature;
+    if (this.options.max_tokens !== undefined) body.max_tokens = this.options.max_tokens;
+    return body;
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  async predict(flowKey, requestBody) {
+    const response = await makeAiApiRequest(this.getEndpoint(flowKey), {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(this.buildBody(requestBody, false))
+    });
+    const result = await response.json();
+    return { text: result.choices?.[0]?.message?.content || '', raw: result };
+  }
+
+  async *stream(flowKey, requestBody, { signal } = {}) {
+    const response = await fetch(this.getEndpoint(flowKey), {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(this.buildBody(requestBody, true)),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Primary SSE call failed: ${errorText}`);
+    }
+    if (!response.body) {
+      throw new Error('ReadableStream not supported in this environment.');
+    }
+
+    yield { event: 'start', data: '' };
+
+    for await (const dataStr of readSSEData(response, signal)) {
+      if (dataStr === '[DONE]') break;
+
+      let json;
+      try {
+        json = JSON.parse(dataStr);
+      } catch (err) {
+        continue;
+      }
+
+      if (json.error) {
+        yield { event: 'error', data: json.error.message || 'Provider error' };
+        return;
+      }
+
+      const token = json.choices?.[0]?.delta?.content;
+      if (token) yield { event: 'token', data: token };
+    }
+
+    yield { event: 'end', data: '[DONE]' };
+  }
+}
+
+/**
+ * Default answers of the mock provider per flow key
+ * Chosen so the conversation pipeline takes its plain main-flow path
+ */
+const MOCK_DEFAULT_RESPONSES = {
+  fordelingsflow: 'main',
+  metadata: '{}',
+  metadata2: '{}',
+  apivarflow: '',
+  statistics: 'Emne(Mock) Happy(3) info(no) fallback(no) ligegyldig(no) tags(mock)',
+  image: 'Mock image description'
+};
+
+/**
+ * Local deterministic provider for tests and offline development
+ * options.responses overrides the text per flow key; options.tokenDelayMs slows streaming down
+ */
+export class MockProvider {
+  constructor(config = {}) {
+    this.type = LLM_PROVIDER_TYPES.MOCK;
+    this.options = config.options || {};
+  }
+
+  getEndpoint(flowKey) {
+    return `mock://${flowKey}`;
+  }
+
+  getResponseText(flowKey, requestBody) {
+    const configured = this.options.responses?.[flowKey];
+    if (configured !== undefined) return configured;
+    if (MOCK_DEFAULT_RESPONSES[flowKey] !== undefined) return MOCK_DEFAULT_RESPONSES[flowKey];
+    return `Mock answer (${flowKey}): ${requestBody.question || ''}`;
+  }
+
+  async predict(flowKey, requestBody) {
+    const text = this.getResponseText(flowKey, requestBody);
+    return { text, raw: { text } };
+  }
+
+  async *stream(flowKey, requestBody, { signal } = {}) {
+    const delay = this.options.tokenDelayMs || 0;
+    const tokens = this.getResponseText(flowKey, requestBody).split(/(\s+)/).filter(Boolean);
+
+    yield { event: 'start', data: '' };
+    for (const token of tokens) {
+      if (signal?.aborted) return;
+      if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+      yield { event: 'token', data: token };
+    }
+    yield { event: 'end', data: '[DONE]' };
+  }
+}
+
+/**
+ * Create an adapter from a stored provider configuration
+ */
+export function createLlmProvider(config = getDefaultProviderConfig()) {
+  switch (config.provider_type) {
+    case LLM_PROVIDER_TYPES.OPENAI:
+      return new OpenAiCompatibleProvider(config);
+    case LLM_PROVIDER_TYPES.MOCK:
+      return new MockProvider(config);
+    case LLM_PROVIDER_TYPES.FLOWISE:
+    default:
+      return new FlowiseProvider(config);
+  }
+}
@@ -1,4 +1,5 @@
 import { analyzeConversations } from '../../textAnalysis.js';
+import { createLlmProviderService } from '../services/llmProviderService.js';
 
 /**
  * Get emne and score analysis for conversation text
@@ -10,9 +11,6 @@ import { analyzeConversations } from '../../textAnalysis.js';
  */
 export const getEmneAndScore = async (conversationText, userId, chatbotId, pool) => {
   try {
-    // Use the standard statistics API endpoint
-    const statisticsAPI = "https://den-utrolige-snebold.onrender.com/api/v1/prediction/53e9c446-b2a3-41ca-8a01-8d48c05fcc7a";
-
     const bodyObject = { question: conversationText };
 
     // Get statistics prompt from prompt templates (same as chatbot)
@@ -66,19 +64,8 @@ export const getEmneAndScore = async (conversationText, userId, chatbotId, pool)
       // Continue without settings - use defaults
     }
 
-    const response = await fetch(statisticsAPI, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(bodyObject),
-    });
-
-    if (!response.ok) {
-      throw new Error(`Statistics API responded with status: ${response.status}`);
-    }
-
-    const result = await response.json();
+    // Run the statistics flow through the chatbot's configured provider
+    const result = await createLlmProviderService(pool).predict(chatbotId, 'statistics', bodyObject);
     const text = result.text;
 
     const emneMatch = text.match(/Emne\(([^)]+)\)/);
@@ -0,0 +1,310 @@
+import crypto from 'crypto';
+import { ORDER_PROVIDER_TYPES, evaluateRequiredFields } from './orderTrackingProviderUtils.js';
+
+/**
+ * Order Lookup Security Utilities
+ * Verification of who may see an order, throttling of failed lookups and the audit trail of order lookups
+ *
+ * A lookup only returns orders whose own details match what the visitor gave. The verification rule uses the
+ * same format as the required fields rule of the order providers ({ all, any, min + fields }), but a field only
+ * counts when it matches the order, not when it is merely present.
+ */
+
+export const VERIFICATION_FIELDS = ['order_number', 'email', 'phone', 'zip'];
+
+export const ORDER_LOOKUP_SOURCES = ['chat', 'track_order', 'shopify_api', 'magento_api', 'woocommerce_api'];
+
+export const ORDER_LOOKUP_OUTCOMES = {
+  FOUND: 'found',
+  NOT_FOUND: 'not_found',
+  VERIFICATION_FAILED: 'verification_failed',
+  MISSING_FIELDS: 'missing_fields',
+  THROTTLED: 'throttled',
+  ERROR: 'error'
+};
+
+// Outcomes counted as failed attempts for throttling
+const FAILED_OUTCOMES = [ORDER_LOOKUP_OUTCOMES.NOT_FOUND, ORDER_LOOKUP_OUTCOMES.VERIFICATION_FAILED];
+
+const ORDER_NUMBER_AND_CONTACT = { all: ['order_number'], any: ['email', 'phone', 'zip'] };
+
+// BevCo and generic order APIs match the visitor's details themselves and may not return them with the order
+const DEFAULT_VERIFICATION_RULES = {
+  [ORDER_PROVIDER_TYPES.COMMERCETOOLS]: ORDER_NUMBER_AND_CONTACT,
+  [ORDER_PROVIDER_TYPES.SHOPIFY]: ORDER_NUMBER_AND_CONTACT,
+  [ORDER_PROVIDER_TYPES.MAGENTO]: ORDER_NUMBER_AND_CONTACT,
+  [ORDER_PROVIDER_TYPES.WOOCOMMERCE]: ORDER_NUMBER_AND_CONTACT
+};
+
+export const DEFAULT_ORDER_LOOKUP_SECURITY = {
+  max_failed_attempts: 5,
+  failure_window_seconds: 900
+};
+
+// Audit rows are kept this long
+const ORDER_LOOKUP_AUDIT_RETENTION_DAYS = 180;
+
+// Same body for every lookup that does not return an order, so callers cannot tell why
+export const ORDER_NOT_FOUND_RESPONSE = {
+  error: 'Order not found',
+  message: 'No order matches the details provided'
+};
+
+export async function ensureOrderLookupSecurityTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS order_lookup_security_settings (
+      id SERIAL PRIMARY KEY,
+      chatbot_id VARCHAR(255) NOT NULL UNIQUE,
+      verification_rule JSONB,
+      max_failed_attempts INTEGER,
+      failure_window_seconds INTEGER,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS order_lookup_audit (
+      id BIGSERIAL PRIMARY KEY,
+      chatbot_id VARCHAR(255),
+      source VARCHAR(50) NOT NULL,
+      provider VARCHAR(50),
+      outcome VARCHAR(30) NOT NULL,
+      order_number VARCHAR(255),
+      provided_fields JSONB NOT NULL DEFAULT '[]'::jsonb,
+      verified_fields JSONB NOT NULL DEFAULT '[]'::jsonb,
+      contact_hash VARCHAR(64),
+      orders_returned INTEGER NOT NULL DEFAULT 0,
+      ip_address VARCHAR(100),
+      user_id VARCHAR(255),
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_order_lookup_audit_chatbot ON order_lookup_audit(chatbot_id, created_at DESC)');
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_order_lookup_audit_order ON order_lookup_audit(order_number)');
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_order_lookup_audit_contact ON order_lookup_audit(contact_hash)');
+}
+
+/**
+ * Validate a settings row from the admin API
+ * verification_rule null means the provider default; max_failed_attempts 0 turns throttling off
+ */
+export function validateOrderLookupSecuritySettings({ verification_rule, max_failed_attempts, failure_window_seconds }) {
+  const errors = [];
+  if (verification_rule !== undefined && verification_rule !== null) {
+    if (typeof verification_rule !== 'object' || Array.isArray(verification_rule)) {
+      errors.push('verification_rule must be an object with all, any and/or min + fields');
+    } else {
+      for (const key of ['all', 'any', 'fields']) {
+        if (verification_rule[key] === undefined) continue;
+        if (!Array.isArray(verification_rule[key]) || verification_rule[key].some(field => !VERIFICATION_FIELDS.includes(field))) {
+          errors.push(`verification_rule.${key} must be a list of: ${VERIFICATION_FIELDS.join(', ')}`);
+        }
+      }
+      if (verification_rule.min !== undefined && (!Number.isInteger(verification_rule.min) || verification_rule.min < 1 ||
+        !Array.isArray(verification_rule.fields) || verification_rule.fields.length < verification_rule.min)) {
+        errors.push('verification_rule.min must be a positive integer with at least that many verification_rule.fields');
+      }
+      if (!verification_rule.all?.length && !verification_rule.any?.length && !verification_rule.min) {
+        errors.push('verification_rule needs all, any or min');
+      }
+    }
+  }
+  if (max_failed_attempts !== undefined && max_failed_attempts !== null && max_failed_attempts !== '' &&
+    (!Number.isInteger(Number(max_failed_attempts)) || Number(max_failed_attempts) < 0)) {
+    errors.push('max_failed_attempts must be a non-negative integer');
+  }
+  if (failure_window_seconds !== undefined && failure_window_seconds !== null && failure_window_seconds !== '') {
+    const seconds = Number(failure_window_seconds);
+    if (!Number.isInteger(seconds) || seconds < 60 || seconds > 86400) {
+      errors.push('failure_window_seconds must be an integer between 60 and 86400');
+    }
+  }
+  return errors;
+}
+
+/**
+ * Security settings in effect for a lookup: the chatbot's row, otherwise the defaults of its provider
+ * A disabled row turns verification and throttling off (lookups are still audited)
+ */
+export function resolveOrderLookupSecurity(row, providerType) {
+  const defaultRule = DEFAULT_VERIFICATION_RULES[providerType] || null;
+  if (!row) {
+    return { verification_rule: defaultRule, ...DEFAULT_ORDER_LOOKUP_SECURITY };
+  }
+  if (!row.enabled) {
+    return { verification_rule: null, max_failed_attempts: 0, failure_window_seconds: DEFAULT_ORDER_LOOKUP_SECURITY.failure_window_seconds };
+  }
+
+  const pick = (value, fallback) => (value === null || value === undefined ? fallback : value);
+  return {
+    verification_rule: row.verification_rule || defaultRule,
+    max_failed_attempts: pick(row.max_failed_attempts, DEFAULT_ORDER_LOOKUP_SECURITY.max_failed_attempts),
+    failure_window_seconds: row.failure_window_seconds || DEFAULT_ORDER_LOOKUP_SECURITY.failure_window_seconds
+  };
+}
+
+/**
+ * Verification values in comparable form (order numbers without #, lowercase emails,
+ * last 8 digits of phone numbers as in the Shopify filter, zip codes without spaces)
+ */
+const VERIFICATION_NORMALIZERS = {
+  order_number: (value) => String(value).replace(/^#/, '').trim().toLowerCase(),
+  email: (value) => String(value).trim().toLowerCase(),
+  phone: (value) => {
+    const digits = String(value).replace(/\D/g, '').slice(-8);
+    return digits.length === 8 ? digits : '';
+  },
+  zip: (value) => String(value).replace(/\s+/g, '').toUpperCase()
+};
+
+function normalizeVerificationValue(field, value) {
+  if (value === undefined || value === null) return '';
+  return VERIFICATION_NORMALIZERS[field](value);
+}
+
+function orderNumbersMatch(provided, actual) {
+  if (!provided || !actual) return false;
+  // Magento pads increment ids with zeros (000123)
+  return provided === actual || provided.replace(/^0+/, '') === actual.replace(/^0+/, '');
+}
+
+/**
+ * Visitor's verification values from order variables or a request body (zip also as postal_code/postcode)
+ */
+export function pickVerificationValues(source = {}) {
+  return {
+    order_number: source.order_number,
+    email: source.email,
+    phone: source.phone,
+    zip: source.zip ?? source.postal_code ?? source.postcode
+  };
+}
+
+/**
+ * Fields of a normalized order (see orderSchemaUtils.js) that match the visitor's values
+ */
+export function getVerifiedFields(order, provided) {
+  const actual = {
+    order_number: order.order_number,
+    email: order.customer?.email,
+    phone: order.customer?.phone,
+    zip: order.shipping_address?.zip
+  };
+
+  return VERIFICATION_FIELDS.filter(field => {
+    const given = normalizeVerificationValue(field, provided[field]);
+    const stored = normalizeVerificationValue(field, actual[field]);
+    if (!given || !stored) return false;
+    return field === 'order_number' ? orderNumbersMatch(given, stored) : given === stored;
+  });
+}
+
+/**
+ * Split the orders of a normalized lookup response into the ones the visitor may see and the rest
+ * Returns the indexes of the verified orders and the fields they were verified with
+ */
+export function verifyNormalizedOrders(normalizedOrderDetails, provided, rule) {
+  const verifiedIndexes = [];
+  const verifiedFields = new Set();
+
+  normalizedOrderDetails.orders.forEach((order, index) => {
+    const fields = getVerifiedFields(order, provided);
+    const matched = Object.fromEntries(fields.map(field => [field, true]));
+    if (!rule || evaluateRequiredFields(rule, matched).met) {
+      verifiedIndexes.push(index);
+      fields.forEach(field => verifiedFields.add(field));
+    }
+  });
+
+  return { verifiedIndexes, verifiedFields: [...verifiedFields] };
+}
+
+/**
+ * Keep only the verified orders in a raw provider response
+ * Search statistics (filtered_from) are dropped because they tell how many other orders matched
+ */
+export function filterOrderResponse(orderDetails, verifiedIndexes) {
+  const keep = (list) => list.filter((_, index) => verifiedIndexes.includes(index));
+
+  if (Array.isArray(orderDetails)) return keep(orderDetails);
+  if (Array.isArray(orderDetails.results)) {
+    const results = keep(orderDetails.results.slice(0, 1));
+    return { ...orderDetails, results, count: results.length, total: results.length };
+  }
+  if (Array.isArray(orderDetails.orders)) {
+    const { filtered_from, ...rest } = orderDetails;
+    const orders = keep(orderDetails.orders);
+    return { ...rest, orders, total_count: orders.length };
+  }
+  return verifiedIndexes.length > 0 ? orderDetails : null;
+}
+
+export function isFailedOrderLookup(outcome) {
+  return FAILED_OUTCOMES.includes(outcome);
+}
+
+/**
+ * Throttling buckets of a failed lookup, in the shared rate limit counters
+ * The IP and visitor buckets stop one client. The order number bucket does not depend on who asks, so guessing
+ * the contact details of one order from rotating IPs and user_ids is stopped too. There is no chatbot-wide bucket:
+ * anyone could fill it with junk order numbers and turn order tracking off for every customer of the shop.
+ */
+export function buildFailedLookupBuckets(identity, provided, maxFailedAttempts) {
+  const chatbotPart = identity.chatbotId || '-';
+  const orderNumber = normalizeVerificationValue('order_number', provided.order_number).replace(/^0+/, '');
+  return [
+    { scope: 'ip', id: identity.ip, key: `ip:${chatbotPart}:${identity.ip}`, limit: maxFailedAttempts },
+    { scope: 'user', id: identity.userId, key: `user:${chatbotPart}:${identity.ip || '-'}:${identity.userId}`, limit: maxFailedAttempts },
+    { scope: 'order', id: orderNumber, key: `order:${chatbotPart}:${orderNumber}`, limit: maxFailedAttempts }
+  ]
+    .filter(bucket => bucket.id)
+    .map(bucket => ({
+      scope: bucket.scope,
+      limit: bucket.limit,
+      key: `order_lookup_failed:${bucket.key}`
+    }));
+}
+
+/**
+ * Hash of the contact details a lookup was made with, so the audit trail can be searched by
+ * email or phone without storing them
+ */
+export function hashOrderLookupContact({ email, phone } = {}) {
+  const contact = normalizeVerificationValue('email', email) || normalizeVerificationValue('phone', phone);
+  if (!contact) return null;
+  const salt = process.env.ORDER_LOOKUP_AUDIT_SALT || '';
+  return crypto.createHash('sha256').update(`${salt}${contact}`).digest('hex');
+}
+
+export async function insertOrderLookupAudit(pool, entry) {
+  await pool.query(`
+    INSERT INTO order_lookup_audit
+    (chatbot_id, source, provider, outcome, order_number, provided_fields, verified_fields,
+     contact_hash, orders_returned, ip_address, user_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+  `, [
+    entry.chatbotId || null,
+    entry.source,
+    entry.provider || null,
+    entry.outcome,
+    entry.orderNumber ? String(entry.orderNumber).replace(/^#/, '').trim().slice(0, 255) : null,
+    JSON.stringify(entry.providedFields || []),
+    JSON.stringify(entry.verifiedFields || []),
+    entry.contactHash || null,
+    entry.ordersReturned || 0,
+    entry.ip || null,
+    entry.userId || null
+  ]);
+}
+
+/**
+ * Remove audit rows past the retention period (hourly cron)
+ */
+export async function cleanupOrderLookupAudit(pool) {
+  const result = await pool.query(
+    `DELETE FROM order_lookup_audit WHERE created_at < NOW() - ($1 * INTERVAL '1 day')`,
+    [ORDER_LOOKUP_AUDIT_RETENTION_DAYS]
+  );
+  return result.rowCount;
+}
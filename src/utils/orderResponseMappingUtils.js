@@ -0,0 +1,249 @@
+import {
+  ORDER_SCHEMA_VERSION,
+  ORDER_FORMATS,
+  MAPPABLE_ORDER_FIELDS,
+  MAPPABLE_LINE_FIELDS,
+  MAPPABLE_SHIPMENT_FIELDS,
+  buildMappedOrder,
+  validateNormalizedOrderDetails
+} from './orderSchemaUtils.js';
+
+/**
+ * Order Response Mapping Utilities
+ * Per chatbot mapping of a custom order tracking API's response onto the normalized order schema
+ *
+ * A mapping names where the orders are in the response and where each field is in an order:
+ * {
+ *   "orders": "$.data.orders[*]",
+ *   "fields": { "order_number": "$.id", "customer.email": "$.buyer.mail", "fulfillment.status": "$.delivery.state" },
+ *   "lines": { "path": "$.items[*]", "fields": { "name": "$.title", "quantity": "$.qty" } },
+ *   "shipments": { "path": "$.parcels[*]", "fields": { "tracking_number": "$.barcode" } },
+ *   "attributes": { "loyalty_points": "$.points" }
+ * }
+ * "orders" is optional: without it the response is the order (or, when it is an array, the list of orders).
+ * Field paths are relative to the order, line and shipment paths to the order, and line / shipment fields to the
+ * line or shipment; `$` is the current object in each case.
+ *
+ * Paths are a JSONPath subset: `$`, `.key`, `['key']`, `[0]`, `[-1]` and `[*]` / `.*` for every element.
+ */
+
+const MAX_MAPPED_ORDERS = 20;
+const MAX_MAPPED_ATTRIBUTES = 20;
+
+/**
+ * Parse a path into steps: { key } | { index } | { wildcard: true }
+ * Throws on syntax errors
+ */
+export function parseJsonPath(path) {
+  if (typeof path !== 'string' || !path.startsWith('$')) {
+    throw new Error(`"${path}" must start with $`);
+  }
+
+  const steps = [];
+  let rest = path.slice(1);
+  while (rest) {
+    let match;
+    if ((match = rest.match(/^\.([A-Za-z_$][\w$-]*)/))) {
+      steps.push({ key: match[1] });
+    } else if ((match = rest.match(/^\.\*|^\[\*\]/))) {
+      steps.push({ wildcard: true });
+    } else if ((match = rest.match(/^\[(-?\d+)\]/))) {
+      steps.push({ index: parseInt(match[1], 10) });
+    } else if ((match = rest.match(/^\['((?:[^'\\]|\\.)*)'\]|^\["((?:[^"\\]|\\.)*)"\]/))) {
+      steps.push({ key: (match[1] ?? match[2]).replace(/\\(.)/g, '$1') });
+    } else {
+      throw new Error(`"${path}" has invalid syntax at "${rest}"`);
+    }
+    rest = rest.slice(match[0].length);
+  }
+  return steps;
+}
+
+/**
+ * All values a path matches in data (a path without wildcards matches at most one)
+ */
+export function queryJsonPath(data, path) {
+  let current = [data];
+  for (const step of parseJsonPath(path)) {
+    const next = [];
+    current.forEach(value => {
+      if (value === null || typeof value !== 'object') return;
+      if (step.wildcard) {
+        next.push(...(Array.isArray(value) ? value : Object.values(value)));
+      } else if (step.index !== undefined) {
+        if (!Array.isArray(value)) return;
+        const item = value[step.index < 0 ? value.length + step.index : step.index];
+        if (item !== undefined) next.push(item);
+      } else if (Object.prototype.hasOwnProperty.call(value, step.key)) {
+        next.push(value[step.key]);
+      }
+    });
+    current = next;
+  }
+  return current.filter(value => value !== undefined);
+}
+
+function validatePaths(paths, allowedFields, label, errors) {
+  if (!paths || typeof paths !== 'object' || Array.isArray(paths)) {
+    errors.push(`${label} must be an object of field → path`);
+    return;
+  }
+  Object.entries(paths).forEach(([field, path]) => {
+    if (allowedFields && !allowedFields.includes(field)) {
+      errors.push(`${label}.${field} is not a mappable field (allowed: ${allowedFields.join(', ')})`);
+    }
+    try {
+      parseJsonPath(path);
+    } catch (error) {
+      errors.push(`${label}.${field}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Validate a mapping from the admin API; returns a list of errors (empty when valid)
+ */
+export function validateResponseMapping(mapping) {
+  const errors = [];
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['response_mapping must be an object with fields (and optionally orders, lines, shipments, attributes)'];
+  }
+
+  const known = ['orders', 'fields', 'lines', 'shipments', 'attributes'];
+  Object.keys(mapping).filter(key => !known.includes(key)).forEach(key => {
+    errors.push(`response_mapping.${key} is not supported (allowed: ${known.join(', ')})`);
+  });
+
+  if (mapping.orders !== undefined) {
+    try {
+      parseJsonPath(mapping.orders);
+    } catch (error) {
+      errors.push(`response_mapping.orders: ${error.message}`);
+    }
+  }
+
+  validatePaths(mapping.fields, MAPPABLE_ORDER_FIELDS, 'response_mapping.fields', errors);
+  if (mapping.fields && typeof mapping.fields === 'object' && !mapping.fields.order_number) {
+    errors.push('response_mapping.fields.order_number is required');
+  }
+
+  for (const [key, allowedFields] of [['lines', MAPPABLE_LINE_FIELDS], ['shipments', MAPPABLE_SHIPMENT_FIELDS]]) {
+    const list = mapping[key];
+    if (list === undefined) continue;
+    if (!list || typeof list !== 'object' || typeof list.path !== 'string') {
+      errors.push(`response_mapping.${key} must be { path, fields }`);
+      continue;
+    }
+    try {
+      parseJsonPath(list.path);
+    } catch (error) {
+      errors.push(`response_mapping.${key}.path: ${error.message}`);
+    }
+    validatePaths(list.fields, allowedFields, `response_mapping.${key}.fields`, errors);
+  }
+
+  if (mapping.attributes !== undefined) {
+    validatePaths(mapping.attributes, null, 'response_mapping.attributes', errors);
+    if (Object.keys(mapping.attributes || {}).length > MAX_MAPPED_ATTRIBUTES) {
+      errors.push(`response_mapping.attributes can have at most ${MAX_MAPPED_ATTRIBUTES} fields`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Values of a group of field paths in one object
+ * Paths that match nothing are reported in unmatched; objects where a value belongs are reported in errors
+ */
+function pickValues(source, paths, label, unmatched, errors, { allowObjects = false } = {}) {
+  const values = {};
+  Object.entries(paths || {}).forEach(([field, path]) => {
+    const [value] = queryJsonPath(source, path);
+    if (value === undefined || value === null) {
+      unmatched.push(`${label}.${field} (${path})`);
+    } else if (typeof value === 'object' && !allowObjects) {
+      errors.push(`${label}.${field} (${path}) is an ${Array.isArray(value) ? 'array' : 'object'}, not a value`);
+    } else {
+      values[field] = value;
+    }
+  });
+  return values;
+}
+
+/**
+ * Map a raw response with a mapping
+ * Returns { normalized, errors, unmatched }: normalized is null when no order was found; errors are wrong types
+ * and schema violations, unmatched are paths that matched nothing (normal for optional fields)
+ */
+export function applyResponseMapping(response, mapping) {
+  const errors = [];
+  const unmatched = [];
+
+  let orders;
+  if (mapping.orders) {
+    orders = queryJsonPath(response, mapping.orders);
+    if (orders.length === 0) unmatched.push(`orders (${mapping.orders})`);
+  } else {
+    orders = Array.isArray(response) ? response : [response];
+  }
+  orders = orders.filter(order => order && typeof order === 'object').slice(0, MAX_MAPPED_ORDERS);
+
+  const mapped = [];
+  orders.forEach((order, index) => {
+    const label = `orders[${index}]`;
+    const values = pickValues(order, mapping.fields, label, unmatched, errors);
+    if (values.order_number === undefined) {
+      errors.push(`${label} has no order_number, skipped`);
+      return;
+    }
+
+    const pickList = (key) => {
+      if (!mapping[key]) return [];
+      return queryJsonPath(order, mapping[key].path)
+        .filter(item => item && typeof item === 'object')
+        .map((item, itemIndex) => pickValues(item, mapping[key].fields, `${label}.${key}[${itemIndex}]`, unmatched, errors));
+    };
+
+    mapped.push(buildMappedOrder({
+      values,
+      lines: pickList('lines'),
+      shipments: pickList('shipments'),
+      attributes: pickValues(order, mapping.attributes, `${label}.attributes`, unmatched, errors)
+    }));
+  });
+
+  if (mapped.length === 0) {
+    return { normalized: null, errors, unmatched };
+  }
+
+  const normalized = { schema_version: ORDER_SCHEMA_VERSION, provider: ORDER_FORMATS.GENERIC, orders: mapped };
+  errors.push(...validateNormalizedOrderDetails(normalized));
+  return { normalized, errors, unmatched };
+}
+
+export async function ensureOrderResponseMappingsTable(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS order_response_mappings (
+      id SERIAL PRIMARY KEY,
+      chatbot_id VARCHAR(255) NOT NULL UNIQUE,
+      mapping JSONB NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Request as shown by the test console, with the values of custom headers hidden
+ */
+export function describeTestRequest(request) {
+  const knownHeaders = ['Content-Type', 'Accept'];
+  return {
+    method: request.method,
+    url: request.url,
+    headers: Object.fromEntries(Object.entries(request.headers).map(([name, value]) => [name, knownHeaders.includes(name) ? value : '***'])),
+    body: request.body
+  };
+}
@@ -0,0 +1,800 @@
+/**
+ * Normalized Order Schema
+ * One versioned order shape for every commerce backend, so the prompt never sees provider specific JSON
+ *
+ * normalizeOrderDetails(orderDetails) detects the backend from the lookup response and maps it:
+ *   { schema_version, provider, orders: [normalized order] }
+ * validateNormalizedOrderDetails(payload) checks the result against NORMALIZED_ORDER_SCHEMA
+ */
+
+export const ORDER_SCHEMA_VERSION = '1.0';
+
+export const ORDER_FORMATS = {
+  COMMERCETOOLS: 'commercetools',
+  WOOCOMMERCE: 'woocommerce',
+  SHOPIFY: 'shopify',
+  MAGENTO: 'magento',
+  BEVCO: 'bevco',
+  GENERIC: 'generic'
+};
+
+export const PAYMENT_STATUSES = ['paid', 'pending', 'authorized', 'partially_paid', 'partially_refunded', 'refunded', 'voided', 'failed', 'unknown'];
+
+export const FULFILLMENT_STATUSES = ['unfulfilled', 'partial', 'fulfilled', 'delivered', 'cancelled', 'unknown'];
+
+export const RETURN_STATUSES = ['requested', 'in_transit', 'received', 'refunded', 'rejected', 'unknown'];
+
+// Unmapped fields of generic responses passed on as attributes
+const MAX_GENERIC_ATTRIBUTES = 20;
+
+const nullableString = { type: ['string', 'null'] };
+const nullableNumber = { type: ['number', 'null'] };
+
+const ADDRESS_SCHEMA = {
+  type: ['object', 'null'],
+  additionalProperties: false,
+  properties: {
+    name: nullableString,
+    company: nullableString,
+    address1: nullableString,
+    address2: nullableString,
+    city: nullableString,
+    zip: nullableString,
+    country: nullableString
+  }
+};
+
+const LINE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name', 'quantity'],
+  properties: {
+    name: { type: 'string' },
+    sku: nullableString,
+    quantity: { type: 'number' },
+    unit_price: nullableNumber,
+    total: nullableNumber,
+    status: nullableString
+  }
+};
+
+const EVENT_SCHEMA = {
+  type: ['object', 'null'],
+  additionalProperties: false,
+  properties: {
+    time: nullableString,
+    location: nullableString,
+    description: nullableString
+  }
+};
+
+export const NORMALIZED_ORDER_SCHEMA = {
+  $id: `normalized-order-details/${ORDER_SCHEMA_VERSION}`,
+  type: 'object',
+  additionalProperties: false,
+  required: ['schema_version', 'provider', 'orders'],
+  properties: {
+    schema_version: { type: 'string', enum: [ORDER_SCHEMA_VERSION] },
+    provider: { type: 'string', enum: Object.values(ORDER_FORMATS) },
+    orders: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['order_number', 'currency', 'payment', 'fulfillment', 'lines', 'fulfillments', 'shipments', 'returns'],
+        properties: {
+          order_number: { type: 'string' },
+          status: nullableString,
+          created_at: nullableString,
+          updated_at: nullableString,
+          currency: nullableString,
+          totals: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              total: nullableNumber,
+              shipping: nullableNumber,
+              discount: nullableNumber
+            }
+          },
+          payment: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['status'],
+            properties: {
+              status: { type: 'string', enum: PAYMENT_STATUSES },
+              method: nullableString
+            }
+          },
+          fulfillment: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['status'],
+            properties: {
+              status: { type: 'string', enum: FULFILLMENT_STATUSES },
+              method: nullableString,
+              delivered_at: nullableString
+            }
+          },
+          customer: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              name: nullableString,
+              email: nullableString,
+              phone: nullableString
+            }
+          },
+          shipping_address: ADDRESS_SCHEMA,
+          lines: { type: 'array', items: LINE_SCHEMA },
+          fulfillments: {
+            type: 'array',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                status: nullableString,
+                created_at: nullableString,
+                tracking_numbers: { type: 'array', items: { type: 'string' } }
+              }
+            }
+          },
+          shipments: {
+            type: 'array',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                carrier: nullableString,
+                tracking_number: nullableString,
+                tracking_url: nullableString,
+                status: nullableString,
+                status_text: nullableString,
+                last_event: EVENT_SCHEMA,
+                estimated_delivery: nullableString,
+                pickup_point: {
+                  type: ['object', 'null'],
+                  additionalProperties: false,
+                  properties: { name: nullableString, address: nullableString }
+                }
+              }
+            }
+          },
+          returns: {
+            type: 'array',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['status'],
+              properties: {
+                status: { type: 'string', enum: RETURN_STATUSES },
+                created_at: nullableString,
+                tracking_number: nullableString,
+                lines: { type: 'array', items: LINE_SCHEMA }
+              }
+            }
+          },
+          notes: nullableString,
+          attributes: { type: 'object' }
+        }
+      }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isFinite(value)) return 'number';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a JSON schema
+ * Supports the keywords NORMALIZED_ORDER_SCHEMA uses: type, enum, required, properties, additionalProperties, items
+ * Returns a list of errors (empty when valid)
+ */
+export function validateJsonSchema(schema, value, path = '$') {
+  const errors = [];
+  const actualType = typeOf(value);
+  const allowedTypes = schema.type ? [].concat(schema.type) : null;
+
+  if (allowedTypes && !allowedTypes.includes(actualType)) {
+    return [`${path} must be ${allowedTypes.join(' or ')}, got ${actualType}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (actualType === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        if (child !== undefined) errors.push(...validateJsonSchema(childSchema, child, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+
+  if (actualType === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateJsonSchema(schema.items, item, `${path}[${i}]`)));
+  }
+
+  return errors;
+}
+
+export function validateNormalizedOrderDetails(payload) {
+  return validateJsonSchema(NORMALIZED_ORDER_SCHEMA, payload);
+}
+
+function toAmount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const amount = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+  return Number.isFinite(amount) ? Math.round(amount * 100) / 100 : null;
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+function toQuantity(value) {
+  const quantity = Number(value);
+  return Number.isFinite(quantity) ? quantity : 0;
+}
+
+function fullName(...parts) {
+  return toText(parts.filter(Boolean).join(' '));
+}
+
+function mapAddress(address) {
+  if (!address) return null;
+  const mapped = {
+    name: toText(address.name) || fullName(address.first_name, address.last_name),
+    company: toText(address.company),
+    address1: toText(address.address1),
+    address2: toText(address.address2),
+    city: toText(address.city),
+    zip: toText(address.zip),
+    country: toText(address.country)
+  };
+  return Object.values(mapped).some(Boolean) ? mapped : null;
+}
+
+function mapPaymentStatus(status) {
+  const value = String(status || '').toLowerCase().replace(/[\s-]+/g, '_');
+  if (!value) return 'unknown';
+  if (PAYMENT_STATUSES.includes(value)) return value;
+  if (['complete', 'completed', 'processing', 'shipped', 'captured', 'invoiced', 'betalt'].includes(value)) return 'paid';
+  if (['pending_payment', 'on_hold', 'balancedue', 'balance_due', 'awaiting_payment', 'initial'].includes(value)) return 'pending';
+  if (['cancelled', 'canceled', 'void'].includes(value)) return 'voided';
+  if (['creditowed', 'credit_owed', 'closed'].includes(value)) return 'refunded';
+  return 'unknown';
+}
+
+function mapFulfillmentStatus(status) {
+  const value = String(status || '').toLowerCase().replace(/[\s-]+/g, '_');
+  if (!value) return 'unfulfilled';
+  if (FULFILLMENT_STATUSES.includes(value)) return value;
+  if (['shipped', 'complete', 'completed', 'sendt', 'afsendt'].includes(value)) return 'fulfilled';
+  if (['partially_fulfilled', 'partially_shipped'].includes(value)) return 'partial';
+  if (['canceled', 'annulleret'].includes(value)) return 'cancelled';
+  if (['leveret'].includes(value)) return 'delivered';
+  if (['pending', 'ready', 'processing', 'backorder', 'delayed', 'null'].includes(value)) return 'unfulfilled';
+  return 'unknown';
+}
+
+function emptyShipment(fields) {
+  return {
+    carrier: toText(fields.carrier),
+    tracking_number: toText(fields.tracking_number),
+    tracking_url: toText(fields.tracking_url),
+    status: null,
+    status_text: null,
+    last_event: null,
+    estimated_delivery: null,
+    pickup_point: fields.pickup_point || null
+  };
+}
+
+/**
+ * Shopify (getShopifyOrdersService response)
+ */
+export function mapShopifyOrder(order) {
+  const fulfillments = order.fulfillments || [];
+  return {
+    order_number: String(order.order_number ?? order.id),
+    status: null,
+    created_at: toText(order.created_at),
+    updated_at: toText(order.updated_at),
+    currency: toText(order.currency),
+    totals: { total: toAmount(order.total_price), shipping: toAmount(order.shipping_lines?.[0]?.price), discount: null },
+    payment: { status: mapPaymentStatus(order.financial_status), method: null },
+    fulfillment: {
+      status: mapFulfillmentStatus(order.fulfillment_status),
+      method: toText(order.shipping_lines?.[0]?.title),
+      delivered_at: null
+    },
+    customer: { name: toText(order.customer_name), email: toText(order.email), phone: toText(order.phone) },
+    shipping_address: mapAddress(order.shipping_address),
+    lines: (order.line_items || []).map(item => ({
+      name: String(item.name ?? ''),
+      sku: toText(item.sku),
+      quantity: toQuantity(item.quantity),
+      unit_price: toAmount(item.price),
+      total: toAmount(item.price) === null ? null : toAmount(toAmount(item.price) * toQuantity(item.quantity)),
+      status: toText(item.fulfillment_status)
+    })),
+    fulfillments: fulfillments.map(fulfillment => ({
+      status: toText(fulfillment.status),
+      created_at: toText(fulfillment.created_at),
+      tracking_numbers: [fulfillment.tracking_number].filter(Boolean).map(String)
+    })),
+    shipments: fulfillments
+      .filter(fulfillment => fulfillment.tracking_number || fulfillment.tracking_url)
+      .map(fulfillment => ({
+        ...emptyShipment({
+          carrier: fulfillment.tracking_company,
+          tracking_number: fulfillment.tracking_number,
+          tracking_url: fulfillment.tracking_url
+        }),
+        status: toText(fulfillment.shipment_status)
+      })),
+    returns: [],
+    notes: toText(order.note),
+    attributes: order.tags?.length ? { tags: order.tags } : {}
+  };
+}
+
+/**
+ * Magento (searchMagentoOrdersService response)
+ */
+export function mapMagentoOrder(order) {
+  return {
+    order_number: String(order.order_number ?? order.id),
+    status: toText(order.financial_status),
+    created_at: toText(order.created_at),
+    updated_at: toText(order.updated_at),
+    currency: toText(order.currency),
+    totals: { total: toAmount(order.total_price), shipping: null, discount: null },
+    payment: { status: mapPaymentStatus(order.financial_status), method: null },
+    fulfillment: { status: mapFulfillmentStatus(order.fulfillment_status), method: null, delivered_at: null },
+    customer: { name: toText(order.customer_name), email: toText(order.email), phone: toText(order.phone) },
+    shipping_address: mapAddress(order.shipping_address),
+    lines: (order.line_items || []).map(item => ({
+      name: String(item.name ?? ''),
+      sku: toText(item.sku),
+      quantity: toQuantity(item.quantity),
+      unit_price: toAmount(item.price),
+      total: toAmount(item.price) === null ? null : toAmount(toAmount(item.price) * toQuantity(item.quantity)),
+      status: toText(item.fulfillment_status)
+    })),
+    fulfillments: [],
+    // The store's guest tracking page, not a carrier link
+    shipments: order.trackingUrl ? [emptyShipment({ tracking_url: order.trackingUrl })] : [],
+    returns: [],
+    notes: toText(order.notes),
+    attributes: {}
+  };
+}
+
+/**
+ * WooCommerce (searchWooCommerceOrdersService response)
+ */
+export function mapWooCommerceOrder(order) {
+  const refundedTotal = (order.refunds || []).reduce((sum, refund) => sum + Math.abs(toAmount(refund.total) || 0), 0);
+  let paymentStatus = mapPaymentStatus(order.financial_status);
+  if (order.status === 'refunded') paymentStatus = 'refunded';
+  else if (refundedTotal > 0) paymentStatus = 'partially_refunded';
+
+  return {
+    order_number: String(order.order_number ?? order.id),
+    status: toText(order.status),
+    created_at: toText(order.created_at),
+    updated_at: toText(order.updated_at),
+    currency: toText(order.currency),
+    totals: {
+      total: toAmount(order.total_price),
+      shipping: toAmount(order.shipping_lines?.[0]?.price),
+      discount: toAmount(order.discount_total)
+    },
+    payment: { status: paymentStatus, method: toText(order.payment_method) },
+    fulfillment: {
+      status: order.status === 'cancelled' ? 'cancelled' : mapFulfillmentStatus(order.fulfillment_status),
+      method: toText(order.shipping_lines?.[0]?.title),
+      delivered_at: null
+    },
+    customer: { name: toText(order.customer_name), email: toText(order.email), phone: toText(order.phone) },
+    shipping_address: mapAddress(order.shipping_address),
+    lines: (order.line_items || []).map(item => ({
+      name: String(item.name ?? ''),
+      sku: toText(item.sku),
+      quantity: toQuantity(item.quantity),
+      unit_price: toAmount(item.price),
+      total: toAmount(item.total),
+      status: null
+    })),
+    fulfillments: [],
+    shipments: (order.trackings || []).map(tracking => emptyShipment({
+      carrier: tracking.trackingCompany,
+      tracking_number: tracking.trackingNumber,
+      tracking_url: tracking.trackingUrl
+    })),
+    returns: (order.refunds || []).map(() => ({
+      status: 'refunded',
+      created_at: null,
+      tracking_number: null,
+      lines: []
+    })),
+    notes: toText(order.notes),
+    attributes: {}
+  };
+}
+
+function mapCommerceToolsReturnStatus(item) {
+  if (item.paymentState === 'Refunded') return 'refunded';
+  switch (item.shipmentState) {
+    case 'Advised': return 'requested';
+    case 'Returned':
+    case 'BackInStock': return 'received';
+    case 'Unusable': return 'rejected';
+    default: return 'unknown';
+  }
+}
+
+/**
+ * Commerce Tools (raw order from fetchCommerceToolsOrder)
+ */
+export function mapCommerceToolsOrder(order) {
+  const locale = order.locale || 'da-DK';
+  const centsToAmount = (money) => (money?.centAmount === undefined
+    ? null
+    : toAmount(money.centAmount / Math.pow(10, money.fractionDigits ?? 2)));
+  const lineName = (item) => item.name?.[locale] || Object.values(item.name || {})[0] || '';
+  const linesById = Object.fromEntries((order.lineItems || []).map(item => [item.id, item]));
+  const custom = order.custom?.fields || {};
+  const deliveries = order.shippingInfo?.deliveries || [];
+
+  const shipments = deliveries.flatMap(delivery => (delivery.parcels || [])
+    .filter(parcel => parcel.trackingData?.trackingId)
+    .map(parcel => emptyShipment({
+      carrier: parcel.trackingData.carrier,
+      tracking_number: parcel.trackingData.trackingId
+    })));
+  if (shipments.length === 0 && custom['order-field-ShipmentUrl']) {
+    shipments.push(emptyShipment({
+      tracking_url: custom['order-field-ShipmentUrl'],
+      pickup_point: custom['order-field-DeliveryDropPointName'] ? { name: custom['order-field-DeliveryDropPointName'], address: null } : null
+    }));
+  }
+
+  return {
+    order_number: String(order.orderNumber ?? order.id),
+    status: toText(order.orderStateInfo?.name || order.localizedStateName || order.orderState),
+    created_at: toText(order.createdAt),
+    updated_at: toText(order.lastModifiedAt),
+    currency: toText(order.totalPrice?.currencyCode),
+    totals: {
+      total: centsToAmount(order.totalPrice),
+      shipping: centsToAmount(order.shippingInfo?.price),
+      discount: null
+    },
+    payment: { status: mapPaymentStatus(order.paymentState), method: null },
+    fulfillment: {
+      status: custom['order-field-DeliveredSetDate'] ? 'delivered' : mapFulfillmentStatus(order.shipmentState),
+      method: toText(order.shippingInfo?.shippingMethodName),
+      delivered_at: toText(custom['order-field-DeliveredSetDate'])
+    },
+    customer: {
+      name: fullName(order.shippingAddress?.firstName, order.shippingAddress?.lastName),
+      email: toText(order.shippingAddress?.email || order.customerEmail),
+      phone: toText(order.shippingAddress?.phone || order.shippingAddress?.mobile)
+    },
+    shipping_address: mapAddress(order.shippingAddress && {
+      name: fullName(order.shippingAddress.firstName, order.shippingAddress.lastName),
+      company: order.shippingAddress.company,
+      address1: [order.shippingAddress.streetName, order.shippingAddress.streetNumber].filter(Boolean).join(' '),
+      city: order.shippingAddress.city,
+      zip: order.shippingAddress.postalCode,
+      country: order.shippingAddress.country
+    }),
+    lines: (order.lineItems || []).map(item => {
+      const total = centsToAmount(item.totalPrice);
+      return {
+        name: String(lineName(item)),
+        sku: toText(item.variant?.sku),
+        quantity: toQuantity(item.quantity),
+        unit_price: total !== null && item.quantity ? toAmount(total / item.quantity) : centsToAmount(item.price?.value),
+        total,
+        status: toText(item.stateInfo?.name)
+      };
+    }),
+    fulfillments: deliveries.map(delivery => ({
+      status: null,
+      created_at: toText(delivery.createdAt),
+      tracking_numbers: (delivery.parcels || []).map(parcel => parcel.trackingData?.trackingId).filter(Boolean).map(String)
+    })),
+    shipments,
+    returns: (order.returnInfo || []).map(info => ({
+      status: mapCommerceToolsReturnStatus(info.items?.[0] || {}),
+      created_at: toText(info.returnDate),
+      tracking_number: toText(info.returnTrackingId),
+      lines: (info.items || []).map(item => ({
+        name: String(lineName(linesById[item.lineItemId] || {})),
+        sku: toText(linesById[item.lineItemId]?.variant?.sku),
+        quantity: toQuantity(item.quantity),
+        unit_price: null,
+        total: null,
+        status: toText(item.shipmentState)
+      }))
+    })),
+    notes: null,
+    attributes: custom['order-field-PdfUrl'] ? { invoice_url: custom['order-field-PdfUrl'] } : {}
+  };
+}
+
+/**
+ * BevCo order API (proxyBevcoOrderService response)
+ */
+export function mapBevCoOrder(order) {
+  return {
+    order_number: String(order.order_number ?? order.id ?? ''),
+    status: toText(order.order_status),
+    created_at: toText(order.order_date),
+    updated_at: null,
+    currency: toText(order.currency),
+    totals: { total: toAmount(order.total_price), shipping: toAmount(order.shipping_cost), discount: null },
+    payment: { status: mapPaymentStatus(order.payment_status), method: null },
+    fulfillment: {
+      status: mapFulfillmentStatus(order.shipping_status || order.order_status),
+      method: toText(order.shipping_method),
+      delivered_at: null
+    },
+    customer: {
+      name: fullName(order.shipping_address?.firstname, order.shipping_address?.lastname),
+      email: toText(order.email),
+      phone: toText(order.phone)
+    },
+    shipping_address: mapAddress(order.shipping_address && {
+      name: fullName(order.shipping_address.firstname, order.shipping_address.lastname),
+      address1: order.shipping_address.address,
+      city: order.shipping_address.city,
+      zip: order.shipping_address.zip,
+      country: order.shipping_address.country
+    }),
+    lines: (order.line_items || []).map(item => ({
+      name: String(item.product_name ?? ''),
+      sku: toText(item.product_number),
+      quantity: toQuantity(item.quantity),
+      unit_price: toAmount(item.unit_price),
+      total: toAmount(item.total_price),
+      status: null
+    })),
+    fulfillments: [],
+    shipments: order.tracking_url || order.tracking_number
+      ? [emptyShipment({ tracking_url: order.tracking_url, tracking_number: order.tracking_number })]
+      : [],
+    returns: [],
+    notes: null,
+    attributes: {}
+  };
+}
+
+const GENERIC_FIELD_ALIASES = {
+  order_number: ['order_number', 'orderNumber', 'order_id', 'orderId', 'number', 'id'],
+  status: ['status', 'order_status', 'orderStatus', 'state'],
+  created_at: ['created_at', 'createdAt', 'order_date', 'orderDate', 'date'],
+  currency: ['currency', 'currency_code', 'currencyCode'],
+  total: ['total', 'total_price', 'totalPrice', 'amount', 'grand_total'],
+  payment_status: ['payment_status', 'paymentStatus', 'financial_status'],
+  fulfillment_status: ['fulfillment_status', 'fulfillmentStatus', 'shipping_status', 'shipmentStatus'],
+  tracking_number: ['tracking_number', 'trackingNumber', 'tracking_id', 'trackingId'],
+  tracking_url: ['tracking_url', 'trackingUrl', 'tracking_link', 'trackingLink'],
+  carrier: ['carrier', 'tracking_company', 'trackingCompany', 'shipping_carrier'],
+  email: ['email', 'customer_email', 'customerEmail'],
+  lines: ['line_items', 'lineItems', 'items', 'lines', 'products']
+};
+
+function pickAlias(source, field) {
+  const key = GENERIC_FIELD_ALIASES[field].find(alias => source[alias] !== undefined && source[alias] !== null);
+  return key ? source[key] : undefined;
+}
+
+/**
+ * Orders in a generic response: an array of orders, { order } or the order itself
+ */
+function genericOrderCandidates(orderDetails) {
+  return (Array.isArray(orderDetails) ? orderDetails : [orderDetails.order || orderDetails])
+    .filter(order => order && typeof order === 'object');
+}
+
+function hasOrderIdentifier(order) {
+  const value = pickAlias(order, 'order_number');
+  return ['string', 'number'].includes(typeof value) && String(value).trim() !== '';
+}
+
+/**
+ * Any other order API (generic provider); common field names are mapped, other scalar fields kept as attributes
+ */
+export function mapGenericOrder(order) {
+  const usedKeys = new Set(Object.values(GENERIC_FIELD_ALIASES).flat());
+  const attributes = Object.fromEntries(
+    Object.entries(order)
+      .filter(([key, value]) => !usedKeys.has(key) && ['string', 'number', 'boolean'].includes(typeof value))
+      .slice(0, MAX_GENERIC_ATTRIBUTES)
+  );
+  const lines = pickAlias(order, 'lines');
+  const trackingNumber = pickAlias(order, 'tracking_number');
+  const trackingUrl = pickAlias(order, 'tracking_url');
+  const total = pickAlias(order, 'total');
+
+  return {
+    order_number: String(pickAlias(order, 'order_number') ?? ''),
+    status: toText(pickAlias(order, 'status')),
+    created_at: toText(pickAlias(order, 'created_at')),
+    updated_at: null,
+    currency: toText(pickAlias(order, 'currency')),
+    totals: { total: toAmount(typeof total === 'object' ? total?.amount : total), shipping: null, discount: null },
+    payment: { status: mapPaymentStatus(pickAlias(order, 'payment_status')), method: null },
+    fulfillment: { status: mapFulfillmentStatus(pickAlias(order, 'fulfillment_status')), method: null, delivered_at: null },
+    customer: { name: toText(order.customer_name || order.name), email: toText(pickAlias(order, 'email')), phone: toText(order.phone) },
+    shipping_address: null,
+    lines: Array.isArray(lines)
+      ? lines.filter(item => item && typeof item === 'object').map(item => ({
+        name: String(item.name ?? item.product_name ?? item.title ?? item.sku ?? ''),
+        sku: toText(item.sku),
+        quantity: toQuantity(item.quantity ?? item.qty ?? 1),
+        unit_price: toAmount(item.price ?? item.unit_price),
+        total: toAmount(item.total ?? item.total_price),
+        status: toText(item.status)
+      }))
+      : [],
+    fulfillments: [],
+    shipments: trackingNumber || trackingUrl
+      ? [emptyShipment({ carrier: pickAlias(order, 'carrier'), tracking_number: trackingNumber, tracking_url: trackingUrl })]
+      : [],
+    returns: [],
+    notes: null,
+    attributes
+  };
+}
+
+// Order fields a response mapping can fill (see orderResponseMappingUtils.js); shipment.* is a single parcel on the order
+export const MAPPABLE_ORDER_FIELDS = [
+  'order_number', 'status', 'created_at', 'updated_at', 'currency', 'notes',
+  'totals.total', 'totals.shipping', 'totals.discount',
+  'payment.status', 'payment.method',
+  'fulfillment.status', 'fulfillment.method', 'fulfillment.delivered_at',
+  'customer.name', 'customer.email', 'customer.phone',
+  'shipping_address.name', 'shipping_address.company', 'shipping_address.address1', 'shipping_address.address2',
+  'shipping_address.city', 'shipping_address.zip', 'shipping_address.country',
+  'shipment.carrier', 'shipment.tracking_number', 'shipment.tracking_url', 'shipment.status'
+];
+
+export const MAPPABLE_LINE_FIELDS = ['name', 'sku', 'quantity', 'unit_price', 'total', 'status'];
+
+export const MAPPABLE_SHIPMENT_FIELDS = ['carrier', 'tracking_number', 'tracking_url', 'status', 'status_text', 'estimated_delivery'];
+
+/**
+ * Normalized order from the values a response mapping picked out of an order
+ * values: { 'order_number': ..., 'customer.email': ..., ... }; lines and shipments: lists of { field: value }
+ */
+export function buildMappedOrder({ values = {}, lines = [], shipments = [], attributes = {} }) {
+  const shipmentList = shipments.map(shipment => ({
+    ...emptyShipment(shipment),
+    status: toText(shipment.status),
+    status_text: toText(shipment.status_text),
+    estimated_delivery: toText(shipment.estimated_delivery)
+  }));
+  if (values['shipment.tracking_number'] || values['shipment.tracking_url']) {
+    shipmentList.unshift({
+      ...emptyShipment({
+        carrier: values['shipment.carrier'],
+        tracking_number: values['shipment.tracking_number'],
+        tracking_url: values['shipment.tracking_url']
+      }),
+      status: toText(values['shipment.status'])
+    });
+  }
+
+  const address = {
+    name: toText(values['shipping_address.name']),
+    company: toText(values['shipping_address.company']),
+    address1: toText(values['shipping_address.address1']),
+    address2: toText(values['shipping_address.address2']),
+    city: toText(values['shipping_address.city']),
+    zip: toText(values['shipping_address.zip']),
+    country: toText(values['shipping_address.country'])
+  };
+
+  return {
+    order_number: String(values.order_number ?? ''),
+    status: toText(values.status),
+    created_at: toText(values.created_at),
+    updated_at: toText(values.updated_at),
+    currency: toText(values.currency),
+    totals: {
+      total: toAmount(values['totals.total']),
+      shipping: toAmount(values['totals.shipping']),
+      discount: toAmount(values['totals.discount'])
+    },
+    payment: { status: mapPaymentStatus(values['payment.status']), method: toText(values['payment.method']) },
+    fulfillment: {
+      status: mapFulfillmentStatus(values['fulfillment.status']),
+      method: toText(values['fulfillment.method']),
+      delivered_at: toText(values['fulfillment.delivered_at'])
+    },
+    customer: {
+      name: toText(values['customer.name']),
+      email: toText(values['customer.email']),
+      phone: toText(values['customer.phone'])
+    },
+    shipping_address: Object.values(address).some(Boolean) ? address : null,
+    lines: lines.map(line => ({
+      name: String(line.name ?? line.sku ?? ''),
+      sku: toText(line.sku),
+      quantity: toQuantity(line.quantity ?? 1),
+      unit_price: toAmount(line.unit_price),
+      total: toAmount(line.total),
+      status: toText(line.status)
+    })),
+    fulfillments: [],
+    shipments: shipmentList,
+    returns: [],
+    notes: toText(values.notes),
+    attributes
+  };
+}
+
+/**
+ * Backend format of an order lookup response (same detection order as extractRelevantOrderDetails)
+ */
+export function detectOrderFormat(orderDetails) {
+  if (!orderDetails || typeof orderDetails !== 'object') return null;
+  if (orderDetails.results?.[0]) return ORDER_FORMATS.COMMERCETOOLS;
+  // Empty search results of the list based providers
+  if (Array.isArray(orderDetails.results) || orderDetails.orders?.length === 0) return null;
+  if (orderDetails.orders?.length > 0) {
+    if (orderDetails.orders[0]?.woocommerceStoreUrl) return ORDER_FORMATS.WOOCOMMERCE;
+    if (orderDetails.success) return ORDER_FORMATS.SHOPIFY;
+    if (orderDetails.orders[0]?.magentoBaseUrl) return ORDER_FORMATS.MAGENTO;
+    return ORDER_FORMATS.BEVCO;
+  }
+  // Error bodies ({ error }, { message: 'Not found' }) have no order number or id and are not an order
+  return genericOrderCandidates(orderDetails).some(hasOrderIdentifier) ? ORDER_FORMATS.GENERIC : null;
+}
+
+const ORDER_MAPPERS = {
+  [ORDER_FORMATS.COMMERCETOOLS]: (orderDetails) => [mapCommerceToolsOrder(orderDetails.results[0])],
+  [ORDER_FORMATS.WOOCOMMERCE]: (orderDetails) => orderDetails.orders.map(mapWooCommerceOrder),
+  [ORDER_FORMATS.SHOPIFY]: (orderDetails) => orderDetails.orders.map(mapShopifyOrder),
+  [ORDER_FORMATS.MAGENTO]: (orderDetails) => orderDetails.orders.map(mapMagentoOrder),
+  [ORDER_FORMATS.BEVCO]: (orderDetails) => orderDetails.orders.map(mapBevCoOrder),
+  [ORDER_FORMATS.GENERIC]: (orderDetails) => genericOrderCandidates(orderDetails)
+    .filter(hasOrderIdentifier)
+    .map(mapGenericOrder)
+};
+
+/**
+ * Normalize an order lookup response; returns null when there is no order in it
+ */
+export function normalizeOrderDetails(orderDetails) {
+  // Responses of a chatbot with a response mapping are normalized by the provider already
+  if (orderDetails?.schema_version === ORDER_SCHEMA_VERSION && Array.isArray(orderDetails.orders)) {
+    if (orderDetails.orders.length === 0) return null;
+    return { schema_version: ORDER_SCHEMA_VERSION, provider: orderDetails.provider, orders: orderDetails.orders };
+  }
+
+  const format = detectOrderFormat(orderDetails);
+  if (!format) return null;
+
+  const orders = ORDER_MAPPERS[format](orderDetails);
+  if (orders.length === 0) return null;
+
+  return { schema_version: ORDER_SCHEMA_VERSION, provider: format, orders };
+}
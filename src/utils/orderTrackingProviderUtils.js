@@ -0,0 +1,467 @@
+import { applyResponseMapping } from './orderResponseMappingUtils.js';
+
+/**
+ * Order Tracking Provider Utilities
+ * Registry of order backends a chatbot can look orders up in, and the rules for when a lookup may run
+ *
+ * Every provider is created with { pool, options } and exposes:
+ *   - type
+ *   - defaultRequiredFields(configuration) → required fields rule used when the chatbot stores none
+ *   - lookup(orderVariables, configuration) → raw backend response, or null when nothing was found
+ *
+ * A required fields rule is an object with any of:
+ *   all  - fields that must all be present
+ *   any  - at least one of these fields must be present
+ *   min  - with fields: at least min of these fields must be present
+ * e.g. { all: ['order_number'], any: ['email', 'phone'] } or { min: 2, fields: ['order_number', 'email', 'phone', 'order_date'] }
+ */
+
+export const ORDER_PROVIDER_TYPES = {
+  COMMERCETOOLS: 'commercetools',
+  BEVCO: 'bevco',
+  SHOPIFY: 'shopify',
+  MAGENTO: 'magento',
+  WOOCOMMERCE: 'woocommerce',
+  GENERIC: 'generic'
+};
+
+export const ORDER_FIELDS = ['order_number', 'email', 'phone', 'order_date', 'name', 'zip'];
+
+const ORDER_NUMBER_AND_CONTACT = { all: ['order_number'], any: ['email', 'phone'] };
+
+// Chatbots that were hardcoded before the registry existed; seeded when the table is created
+const LEGACY_PROVIDER_ROWS = [
+  ...['dillingdk', 'dillingde', 'dillingnl', 'dillingfr', 'dillinguk', 'dillingus', 'dillingeu', 'dillingch', 'dillingno', 'dillingse', 'dillingfi']
+    .map(chatbotId => [chatbotId, ORDER_PROVIDER_TYPES.COMMERCETOOLS]),
+  ['bevco', ORDER_PROVIDER_TYPES.BEVCO],
+  ['bevcose', ORDER_PROVIDER_TYPES.BEVCO]
+];
+
+export async function ensureOrderTrackingProvidersTable(pool) {
+  const existing = await pool.query(`SELECT to_regclass('chatbot_order_providers') AS name`);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS chatbot_order_providers (
+      id SERIAL PRIMARY KEY,
+      chatbot_id VARCHAR(255) NOT NULL UNIQUE,
+      provider_type VARCHAR(50) NOT NULL,
+      required_fields JSONB,
+      options JSONB NOT NULL DEFAULT '{}'::jsonb,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  if (!existing.rows[0].name) {
+    for (const [chatbotId, providerType] of LEGACY_PROVIDER_ROWS) {
+      await pool.query(
+        'INSERT INTO chatbot_order_providers (chatbot_id, provider_type) VALUES ($1, $2) ON CONFLICT (chatbot_id) DO NOTHING',
+        [chatbotId, providerType]
+      );
+    }
+    console.log(`Order tracking providers: seeded ${LEGACY_PROVIDER_ROWS.length} existing chatbots`);
+  }
+}
+
+function hasValue(orderVariables, field) {
+  const value = orderVariables?.[field];
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+/**
+ * Check a required fields rule against the extracted order variables
+ */
+export function evaluateRequiredFields(rule, orderVariables) {
+  const allFields = rule.all || [];
+  const anyFields = rule.any || [];
+  const minFields = rule.fields || [];
+
+  const allMet = allFields.every(field => hasValue(orderVariables, field));
+  const anyMet = anyFields.length === 0 || anyFields.some(field => hasValue(orderVariables, field));
+  const minProvided = minFields.filter(field => hasValue(orderVariables, field)).length;
+  const minMet = !rule.min || minProvided >= rule.min;
+
+  return {
+    met: allMet && anyMet && minMet,
+    provided: ORDER_FIELDS.filter(field => hasValue(orderVariables, field))
+  };
+}
+
+/**
+ * Human readable form of a rule for logs and the admin API
+ */
+export function describeRequiredFields(rule) {
+  const parts = [];
+  if (rule.all?.length) parts.push(rule.all.join(' AND '));
+  if (rule.any?.length) parts.push(`(${rule.any.join(' OR ')})`);
+  if (rule.min) parts.push(`any ${rule.min} of (${(rule.fields || []).join(', ')})`);
+  return parts.join(' AND ') || 'no fields required';
+}
+
+export function validateRequiredFieldsRule(rule) {
+  const errors = [];
+  if (rule === null || rule === undefined) return errors;
+  if (typeof rule !== 'object' || Array.isArray(rule)) {
+    return ['required_fields must be an object with all, any and/or min + fields'];
+  }
+
+  for (const key of ['all', 'any', 'fields']) {
+    if (rule[key] === undefined) continue;
+    if (!Array.isArray(rule[key]) || rule[key].some(field => !ORDER_FIELDS.includes(field))) {
+      errors.push(`required_fields.${key} must be a list of: ${ORDER_FIELDS.join(', ')}`);
+    }
+  }
+  if (rule.min !== undefined) {
+    if (!Number.isInteger(rule.min) || rule.min < 1) {
+      errors.push('required_fields.min must be a positive integer');
+    } else if (!Array.isArray(rule.fields) || rule.fields.length < rule.min) {
+      errors.push('required_fields.min needs at least that many fields in required_fields.fields');
+    }
+  }
+  if (!rule.all?.length && !rule.any?.length && !rule.min) {
+    errors.push('required_fields needs all, any or min');
+  }
+  return errors;
+}
+
+/**
+ * Order variables that are set, limited to the given fields
+ */
+function pickOrderFields(orderVariables, fields) {
+  const picked = {};
+  fields.forEach(field => {
+    if (hasValue(orderVariables, field)) picked[field] = orderVariables[field];
+  });
+  return picked;
+}
+
+/**
+ * Commerce Tools (credentials in commercetools_credentials)
+ */
+export class CommerceToolsOrderProvider {
+  constructor({ pool, options = {} }) {
+    this.type = ORDER_PROVIDER_TYPES.COMMERCETOOLS;
+    this.pool = pool;
+    this.options = options;
+  }
+
+  defaultRequiredFields() {
+    return ORDER_NUMBER_AND_CONTACT;
+  }
+
+  async lookup(orderVariables, configuration) {
+    const credentialsResult = await this.pool.query(
+      `SELECT * FROM commercetools_credentials
+       WHERE chatbot_id = $1 AND commercetools_enabled = true`,
+      [configuration.chatbot_id]
+    );
+
+    if (credentialsResult.rows.length === 0) {
+      console.error("🚨 FLOW ROUTING: Commerce Tools not configured for chatbot:", configuration.chatbot_id);
+      return null;
+    }
+
+    const { fetchCommerceToolsOrder, extractRelevantCommerceToolsOrderDetails } = await import('./commerceToolsUtils.js');
+    const order = await fetchCommerceToolsOrder(credentialsResult.rows[0], orderVariables.order_number, orderVariables.email);
+
+    if (!order) {
+      console.log("🚨 FLOW ROUTING: Order not found in Commerce Tools");
+      return null;
+    }
+
+    console.log("🚨 FLOW ROUTING: ✅ Commerce Tools order found and processed");
+
+    // Same shape as the /track-order endpoint
+    return {
+      success: true,
+      results: [order],
+      relevantOrderDetails: extractRelevantCommerceToolsOrderDetails(order),
+      count: 1,
+      total: 1
+    };
+  }
+}
+
+/**
+ * BevCo order API (bevcoService proxy)
+ */
+export class BevCoOrderProvider {
+  constructor({ pool, options = {} }) {
+    this.type = ORDER_PROVIDER_TYPES.BEVCO;
+    this.pool = pool;
+    this.options = options;
+  }
+
+  defaultRequiredFields() {
+    return { min: 2, fields: ['order_number', 'email', 'phone', 'order_date'] };
+  }
+
+  async lookup(orderVariables) {
+    const { proxyBevcoOrderService } = await import('../services/bevcoService.js');
+
+    // Only send non-empty fields to BevCo API
+    const bevcoRequestData = pickOrderFields(orderVariables, ['order_number', 'email', 'phone', 'order_date']);
+    console.log("🚨 FLOW ROUTING: BevCo request data (filtered):", bevcoRequestData);
+
+    const bevcoData = await proxyBevcoOrderService(bevcoRequestData);
+    console.log("🚨 FLOW ROUTING: ✅ BevCo response received");
+    return bevcoData;
+  }
+}
+
+/**
+ * Shopify Admin API (credentials in shopify_credentials)
+ * options.api_version overrides the Admin API version, options.search_api 'rest' skips the GraphQL search
+ */
+export class ShopifyOrderProvider {
+  constructor({ pool, options = {} }) {
+    this.type = ORDER_PROVIDER_TYPES.SHOPIFY;
+    this.pool = pool;
+    this.options = options;
+  }
+
+  defaultRequiredFields() {
+    return ORDER_NUMBER_AND_CONTACT;
+  }
+
+  async lookup(orderVariables, configuration) {
+    const shopifyRequestBody = {
+      chatbot_id: configuration.chatbot_id,
+      shopifyApiVersion: this.options.api_version || '2024-10',
+      shopifySearchApi: this.options.search_api || 'graphql',
+      ...pickOrderFields(orderVariables, ['email', 'phone', 'order_number', 'name'])
+    };
+    console.log("🚨 FLOW ROUTING: Shopify request body:", JSON.stringify(shopifyRequestBody, null, 2));
+
+    const { getShopifyOrdersService } = await import('../services/shopifyService.js');
+    const shopifyData = await getShopifyOrdersService(shopifyRequestBody, this.pool);
+
+    console.log("🚨 FLOW ROUTING: Shopify API response received");
+    if (shopifyData.filtered_from && shopifyData.filtered_from > shopifyData.total_count) {
+      console.log(`🔍 SHOPIFY FILTERING: ${shopifyData.filtered_from - shopifyData.total_count} orders were filtered out. ${shopifyData.total_count} orders matched all criteria.`);
+    }
+    return shopifyData;
+  }
+}
+
+/**
+ * Magento REST API (credentials in magento_credentials)
+ */
+export class MagentoOrderProvider {
+  constructor({ pool, options = {} }) {
+    this.type = ORDER_PROVIDER_TYPES.MAGENTO;
+    this.pool = pool;
+    this.options = options;
+  }
+
+  defaultRequiredFields() {
+    return ORDER_NUMBER_AND_CONTACT;
+  }
+
+  async lookup(orderVariables, configuration) {
+    const magentoRequestBody = {
+      chatbot_id: configuration.chatbot_id,
+      ...pickOrderFields(orderVariables, ['email', 'phone', 'order_number', 'name'])
+    };
+    console.log("🚨 FLOW ROUTING: Magento request body:", JSON.stringify(magentoRequestBody, null, 2));
+
+    const { searchMagentoOrdersService } = await import('../services/magentoService.js');
+    const magentoData = await searchMagentoOrdersService(magentoRequestBody, this.pool);
+
+    console.log("🚨 FLOW ROUTING: ✅ Magento API response received");
+    if (magentoData.filtered_from && magentoData.filtered_from > magentoData.total_count) {
+      console.log(`🔍 MAGENTO FILTERING: ${magentoData.filtered_from - magentoData.total_count} orders were filtered out. ${magentoData.total_count} orders matched all criteria.`);
+    }
+    return magentoData;
+  }
+}
+
+/**
+ * WooCommerce REST API (credentials in woocommerce_credentials)
+ */
+export class WooCommerceOrderProvider {
+  constructor({ pool, options = {} }) {
+    this.type = ORDER_PROVIDER_TYPES.WOOCOMMERCE;
+    this.pool = pool;
+    this.options = options;
+  }
+
+  defaultRequiredFields() {
+    return ORDER_NUMBER_AND_CONTACT;
+  }
+
+  async lookup(orderVariables, configuration) {
+    const woocommerceRequestBody = {
+      chatbot_id: configuration.chatbot_id,
+      ...pickOrderFields(orderVariables, ['email', 'phone', 'order_number'])
+    };
+    console.log("🚨 FLOW ROUTING: WooCommerce request body:", JSON.stringify(woocommerceRequestBody, null, 2));
+
+    const { searchWooCommerceOrdersService } = await import('../services/woocommerceService.js');
+    const woocommerceData = await searchWooCommerceOrdersService(woocommerceRequestBody, this.pool);
+
+    console.log("🚨 FLOW ROUTING: ✅ WooCommerce API response received");
+    if (woocommerceData.total_count === 0) {
+      console.log("🚨 FLOW ROUTING: No WooCommerce order matched");
+      return null;
+    }
+    return woocommerceData;
+  }
+}
+
+/**
+ * Any HTTP order API
+ * options (url, method, request_body, custom_headers, use_proxy, proxy_url) win over the widget's
+ * orderTrackingUrl / trackingRequestMethod / trackingRequestBody / trackingCustomHeaders / trackingUseProxy / trackingProxyUrl
+ * With a response mapping (order_response_mappings) the response is returned as normalized order details
+ */
+export class GenericOrderProvider {
+  constructor({ pool, options = {} }) {
+    this.type = ORDER_PROVIDER_TYPES.GENERIC;
+    this.pool = pool;
+    this.options = options;
+  }
+
+  defaultRequiredFields(configuration) {
+    return { min: 2, fields: configuration.trackingRequiredFields || ['order_number', 'email'] };
+  }
+
+  getRequestSettings(configuration) {
+    const requestBody = this.options.request_body ?? configuration.trackingRequestBody;
+    return {
+      url: this.options.url || configuration.orderTrackingUrl,
+      method: this.options.method || configuration.trackingRequestMethod || 'GET',
+      requestBody: requestBody && typeof requestBody === 'object' ? JSON.stringify(requestBody) : requestBody,
+      customHeaders: this.options.custom_headers || configuration.trackingCustomHeaders || {},
+      useProxy: this.options.use_proxy ?? configuration.trackingUseProxy,
+      proxyUrl: this.options.proxy_url || configuration.trackingProxyUrl,
+      requiredFields: configuration.trackingRequiredFields || ORDER_FIELDS
+    };
+  }
+
+  /**
+   * Request of a lookup: placeholders in the URL are filled in for GET, the order variables are merged into the
+   * body template for POST. Returns null without a URL; templateError is set when the body template is not JSON
+   */
+  buildRequest(orderVariables, configuration) {
+    const settings = this.getRequestSettings(configuration);
+    if (!settings.url) return null;
+
+    let getUrl = settings.url;
+    let requestBody = null;
+    let templateError = null;
+
+    // Determine if we should use the proxy
+    const useProxy = settings.useProxy && settings.proxyUrl;
+
+    if (settings.method === 'GET') {
+      // For GET requests, replace placeholders in the URL
+      settings.requiredFields.forEach(field => {
+        const placeholder = `${field.toUpperCase()}_PLACEHOLDER`;
+        getUrl = getUrl.replace(placeholder, encodeURIComponent(orderVariables[field] || ''));
+      });
+    } else if (settings.method === 'POST' && settings.requestBody) {
+      // For POST requests, prepare the request body with actual values
+      try {
+        requestBody = JSON.parse(settings.requestBody);
+      } catch (e) {
+        requestBody = {};
+        templateError = `Request body template is not valid JSON: ${e.message}`;
+        console.error("Error parsing tracking request body template:", e);
+      }
+
+      Object.keys(orderVariables).forEach(key => {
+        if (orderVariables[key]) {
+          requestBody[key] = orderVariables[key];
+        }
+      });
+    }
+
+    // Only add custom headers if we're not using the proxy
+    const headers = {
+      "Content-Type": "application/json",
+      Accept: "application/json",
+      ...(useProxy ? {} : settings.customHeaders)
+    };
+
+    return {
+      url: useProxy ? settings.proxyUrl : getUrl,
+      method: settings.method,
+      headers,
+      body: requestBody,
+      templateError
+    };
+  }
+
+  async sendRequest(request, { signal } = {}) {
+    return fetch(request.url, {
+      method: request.method,
+      headers: request.headers,
+      ...(request.body && { body: JSON.stringify(request.body) }),
+      ...(signal && { signal })
+    });
+  }
+
+  async lookup(orderVariables, configuration) {
+    const request = this.buildRequest(orderVariables, configuration);
+    if (!request) {
+      console.log("🚨 FLOW ROUTING: No order tracking URL configured for chatbot:", configuration.chatbot_id);
+      return null;
+    }
+    console.log(`🚨 FLOW ROUTING: Making standard tracking request: ${request.method} ${request.url}`);
+
+    const response = await this.sendRequest(request);
+
+    if (!response.ok) {
+      const errorBody = await response.text();
+      console.error(`Order tracking request failed: ${response.status}`, errorBody);
+      throw new Error(`Order tracking request failed: ${response.status}`);
+    }
+
+    const responseData = await response.json();
+    console.log("Tracking API response:", JSON.stringify(responseData, null, 2));
+
+    // Chatbots with a response mapping get the order fields picked out of the response
+    const { getOrderResponseMapping } = await import('../services/orderResponseMappingService.js');
+    const mapping = await getOrderResponseMapping(configuration.chatbot_id, this.pool);
+    if (!mapping) return responseData;
+
+    const { normalized, errors } = applyResponseMapping(responseData, mapping);
+    if (errors.length > 0) {
+      console.warn("🚨 FLOW ROUTING: Response mapping errors:", errors.slice(0, 10));
+    }
+    return normalized;
+  }
+}
+
+const orderTrackingProviders = new Map();
+
+/**
+ * Register a provider class (or factory) under a provider type
+ */
+export function registerOrderTrackingProvider(type, ProviderClass) {
+  orderTrackingProviders.set(type, ProviderClass);
+}
+
+export function getOrderTrackingProviderTypes() {
+  return [...orderTrackingProviders.keys()];
+}
+
+/**
+ * Create the provider for a stored registry row ({ provider_type, options })
+ */
+export function createOrderTrackingProvider(pool, { provider_type, options = {} }) {
+  const ProviderClass = orderTrackingProviders.get(provider_type);
+  if (!ProviderClass) {
+    throw new Error(`Unknown order tracking provider: ${provider_type}`);
+  }
+  return new ProviderClass({ pool, options: options || {} });
+}
+
+registerOrderTrackingProvider(ORDER_PROVIDER_TYPES.COMMERCETOOLS, CommerceToolsOrderProvider);
+registerOrderTrackingProvider(ORDER_PROVIDER_TYPES.BEVCO, BevCoOrderProvider);
+registerOrderTrackingProvider(ORDER_PROVIDER_TYPES.SHOPIFY, ShopifyOrderProvider);
+registerOrderTrackingProvider(ORDER_PROVIDER_TYPES.MAGENTO, MagentoOrderProvider);
+registerOrderTrackingProvider(ORDER_PROVIDER_TYPES.WOOCOMMERCE, WooCommerceOrderProvider);
+registerOrderTrackingProvider(ORDER_PROVIDER_TYPES.GENERIC, GenericOrderProvider);
@@ -173,6 +173,7 @@ export function formatPineconeDataResponse(rows) {
       scheduled_time: row.scheduled_time, // Include scheduled time
       is_scheduled: row.is_scheduled, // Include scheduling status
       group: group, // Include group information
+      chunk_count: row.chunk_count || 0, // Number of chunk vectors (0 = stored as one vector)
       has_viewed: row.has_viewed // Include the has_viewed status
     };
   });
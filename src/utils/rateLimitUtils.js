@@ -0,0 +1,239 @@
+/**
+ * Rate Limiting Utilities
+ * Fixed-window request counters for the public chat endpoints, shared by all instances through Postgres
+ *
+ * Each request is counted in up to three buckets - the client IP, the visitor (user_id) and the chatbot as
+ * a whole - and is blocked when any of them is over its limit for the current window
+ */
+
+export const RATE_LIMITED_ENDPOINTS = ['process_message', 'upload_image', 'stream_cancel', 'track_order', 'freshdesk_ticket', 'log_error', 'return_request'];
+
+export const RATE_LIMIT_SCOPES = ['ip', 'user', 'chatbot'];
+
+// Settings rows with this endpoint apply to every endpoint of the chatbot without its own row
+export const ALL_ENDPOINTS = '*';
+
+// Requests per window when a chatbot has no settings of its own
+export const DEFAULT_RATE_LIMITS = {
+  process_message: { per_ip: 30, per_user: 20, per_chatbot: 600, window_seconds: 60 },
+  upload_image: { per_ip: 10, per_user: 10, per_chatbot: 100, window_seconds: 60 },
+  stream_cancel: { per_ip: 30, per_user: 20, per_chatbot: 600, window_seconds: 60 },
+  track_order: { per_ip: 10, per_user: 10, per_chatbot: 200, window_seconds: 60 },
+  freshdesk_ticket: { per_ip: 5, per_user: 5, per_chatbot: 60, window_seconds: 60 },
+  log_error: { per_ip: 30, per_user: 30, per_chatbot: 300, window_seconds: 60 },
+  return_request: { per_ip: 5, per_user: 5, per_chatbot: 100, window_seconds: 60 }
+};
+
+// Block events are kept this long for the admin overview
+const RATE_LIMIT_EVENT_RETENTION_DAYS = 30;
+
+export async function ensureRateLimitTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS rate_limit_settings (
+      id SERIAL PRIMARY KEY,
+      chatbot_id VARCHAR(255) NOT NULL,
+      endpoint VARCHAR(50) NOT NULL,
+      per_ip INTEGER,
+      per_user INTEGER,
+      per_chatbot INTEGER,
+      window_seconds INTEGER NOT NULL DEFAULT 60,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (chatbot_id, endpoint)
+    )
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS rate_limit_counters (
+      bucket_key TEXT NOT NULL,
+      window_start TIMESTAMPTZ NOT NULL,
+      request_count INTEGER NOT NULL DEFAULT 0,
+      expires_at TIMESTAMPTZ NOT NULL,
+      PRIMARY KEY (bucket_key, window_start)
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_expires ON rate_limit_counters(expires_at)');
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS rate_limit_events (
+      id SERIAL PRIMARY KEY,
+      chatbot_id VARCHAR(255),
+      endpoint VARCHAR(50) NOT NULL,
+      scope VARCHAR(20) NOT NULL,
+      ip_address VARCHAR(100),
+      user_id VARCHAR(255),
+      bucket_key TEXT NOT NULL,
+      window_start TIMESTAMPTZ NOT NULL,
+      request_limit INTEGER NOT NULL,
+      window_seconds INTEGER NOT NULL,
+      blocked_requests INTEGER NOT NULL DEFAULT 1,
+      first_blocked_at TIMESTAMPTZ DEFAULT NOW(),
+      last_blocked_at TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (bucket_key, window_start)
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_rate_limit_events_chatbot ON rate_limit_events(chatbot_id, last_blocked_at DESC)');
+}
+
+/**
+ * Validate a settings row from the admin API
+ * Limits are positive integers; null/empty means the built-in default, 0 means no limit for that scope
+ */
+export function validateRateLimitSettings({ endpoint, per_ip, per_user, per_chatbot, window_seconds }) {
+  const errors = [];
+  if (endpoint !== ALL_ENDPOINTS && !RATE_LIMITED_ENDPOINTS.includes(endpoint)) {
+    errors.push(`endpoint must be ${ALL_ENDPOINTS} or one of: ${RATE_LIMITED_ENDPOINTS.join(', ')}`);
+  }
+  for (const [field, value] of Object.entries({ per_ip, per_user, per_chatbot })) {
+    if (value === undefined || value === null || value === '') continue;
+    if (!Number.isInteger(Number(value)) || Number(value) < 0) {
+      errors.push(`${field} must be a non-negative integer`);
+    }
+  }
+  if (window_seconds !== undefined && window_seconds !== null && window_seconds !== '') {
+    const seconds = Number(window_seconds);
+    if (!Number.isInteger(seconds) || seconds < 1 || seconds > 86400) {
+      errors.push('window_seconds must be an integer between 1 and 86400');
+    }
+  }
+  return errors;
+}
+
+/**
+ * Limits for an endpoint: the chatbot's row for the endpoint, then its * row, then the defaults
+ * Returns null when limiting is disabled for the chatbot
+ */
+export function resolveRateLimits(settingsRows, endpoint) {
+  const row = settingsRows.find(r => r.endpoint === endpoint) || settingsRows.find(r => r.endpoint === ALL_ENDPOINTS);
+  const defaults = DEFAULT_RATE_LIMITS[endpoint];
+  if (!row) return defaults;
+  if (!row.enabled) return null;
+
+  const pick = (value, fallback) => (value === null || value === undefined ? fallback : value);
+  return {
+    per_ip: pick(row.per_ip, defaults.per_ip),
+    per_user: pick(row.per_user, defaults.per_user),
+    per_chatbot: pick(row.per_chatbot, defaults.per_chatbot),
+    window_seconds: row.window_seconds || defaults.window_seconds
+  };
+}
+
+/**
+ * Client identity of a request
+ * req.ip only takes X-Forwarded-For entries added by the TRUST_PROXY_HOPS proxies in front of the app,
+ * so a client cannot pick its own IP. user_id is client-chosen and only narrows the IP's budget.
+ */
+export function getRateLimitIdentity(req) {
+  return {
+    ip: req.ip || req.socket?.remoteAddress || 'unknown',
+    userId: req.body?.user_id || req.get('x-user-id') || null,
+    chatbotId: req.body?.chatbot_id || req.get('x-chatbot-id') || null
+  };
+}
+
+/**
+ * Buckets a request is counted in, with their limits (scopes with limit 0 or no identity are skipped)
+ * The visitor bucket is keyed under the IP: a new user_id never opens a budget the IP does not already have
+ */
+export function buildRateLimitBuckets(endpoint, identity, limits) {
+  const chatbotPart = identity.chatbotId || '-';
+  const candidates = [
+    { scope: 'ip', limit: limits.per_ip, id: identity.ip },
+    { scope: 'user', limit: limits.per_user, id: identity.userId },
+    { scope: 'chatbot', limit: limits.per_chatbot, id: identity.chatbotId }
+  ];
+
+  return candidates
+    .filter(bucket => bucket.id && bucket.limit > 0)
+    .map(bucket => ({
+      scope: bucket.scope,
+      limit: bucket.limit,
+      key: bucket.scope === 'chatbot'
+        ? `${endpoint}:chatbot:${chatbotPart}`
+        : bucket.scope === 'user'
+          ? `${endpoint}:user:${chatbotPart}:${identity.ip}:${bucket.id}`
+          : `${endpoint}:${bucket.scope}:${chatbotPart}:${bucket.id}`
+    }));
+}
+
+/**
+ * Start and end of the fixed window the current time falls in
+ */
+export function getRateLimitWindow(windowSeconds) {
+  const windowStartMs = Math.floor(Date.now() / (windowSeconds * 1000)) * windowSeconds * 1000;
+  return { windowStart: new Date(windowStartMs), expiresAt: new Date(windowStartMs + windowSeconds * 1000) };
+}
+
+/**
+ * Count one request in every bucket (single round trip) and return the buckets with their new counts
+ */
+export async function incrementRateLimitCounters(pool, buckets, windowSeconds) {
+  const { windowStart, expiresAt } = getRateLimitWindow(windowSeconds);
+
+  const values = [];
+  const params = [windowStart, expiresAt];
+  buckets.forEach((bucket, i) => {
+    params.push(bucket.key);
+    values.push(`($${i + 3}, $1, 1, $2)`);
+  });
+
+  const result = await pool.query(`
+    INSERT INTO rate_limit_counters (bucket_key, window_start, request_count, expires_at)
+    VALUES ${values.join(', ')}
+    ON CONFLICT (bucket_key, window_start) DO UPDATE SET request_count = rate_limit_counters.request_count + 1
+    RETURNING bucket_key, request_count
+  `, params);
+
+  const counts = Object.fromEntries(result.rows.map(row => [row.bucket_key, row.request_count]));
+  return {
+    windowStart,
+    retryAfterSeconds: Math.max(1, Math.ceil((expiresAt.getTime() - Date.now()) / 1000)),
+    buckets: buckets.map(bucket => ({ ...bucket, count: counts[bucket.key] || 0 }))
+  };
+}
+
+/**
+ * Current counts of buckets without counting a request (buckets never counted are 0)
+ */
+export async function getRateLimitCounts(pool, buckets, windowSeconds) {
+  const { windowStart, expiresAt } = getRateLimitWindow(windowSeconds);
+  const result = await pool.query(
+    'SELECT bucket_key, request_count FROM rate_limit_counters WHERE bucket_key = ANY($1) AND window_start = $2',
+    [buckets.map(bucket => bucket.key), windowStart]
+  );
+
+  const counts = Object.fromEntries(result.rows.map(row => [row.bucket_key, row.request_count]));
+  return {
+    windowStart,
+    retryAfterSeconds: Math.max(1, Math.ceil((expiresAt.getTime() - Date.now()) / 1000)),
+    buckets: buckets.map(bucket => ({ ...bucket, count: counts[bucket.key] || 0 }))
+  };
+}
+
+/**
+ * Record a blocked request; one event row per bucket and window, counting the blocked requests
+ */
+export async function recordRateLimitEvent(pool, { endpoint, identity, bucket, windowStart, windowSeconds }) {
+  await pool.query(`
+    INSERT INTO rate_limit_events
+    (chatbot_id, endpoint, scope, ip_address, user_id, bucket_key, window_start, request_limit, window_seconds)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (bucket_key, window_start) DO UPDATE SET
+      blocked_requests = rate_limit_events.blocked_requests + 1,
+      last_blocked_at = NOW()
+  `, [
+    identity.chatbotId, endpoint, bucket.scope, identity.ip, identity.userId,
+    bucket.key, windowStart, bucket.limit, windowSeconds
+  ]);
+}
+
+/**
+ * Remove finished counter windows and old block events (hourly cron)
+ */
+export async function cleanupRateLimitData(pool) {
+  const counters = await pool.query('DELETE FROM rate_limit_counters WHERE expires_at < NOW()');
+  const events = await pool.query(
+    `DELETE FROM rate_limit_events WHERE last_blocked_at < NOW() - ($1 * INTERVAL '1 day')`,
+    [RATE_LIMIT_EVENT_RETENTION_DAYS]
+  );
+  return { counters: counters.rowCount, events: events.rowCount };
+}
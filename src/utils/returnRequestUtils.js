@@ -0,0 +1,488 @@
+import crypto from 'crypto';
+
+/**
+ * Return Request Utilities
+ * Return eligibility of normalized orders (see orderSchemaUtils.js) and the adapters that create return requests
+ *
+ * When a visitor asks to return an order, the chat checks each found order against the chatbot's return settings
+ * and stores an offer (a return_requests row with status offered) for the eligible ones. The widget renders the
+ * return form from the offer and submits the chosen lines, which are sent to the first adapter that is configured:
+ * the Shopify returns API for Shopify stores, then a webhook and/or a notification email.
+ */
+
+export const RETURN_REQUEST_STATUSES = {
+  OFFERED: 'offered',
+  REQUESTED: 'requested',
+  FAILED: 'failed'
+};
+
+// Same reasons as Shopify's ReturnReason enum, lower case
+export const RETURN_REASONS = ['size_too_small', 'size_too_large', 'unwanted', 'not_as_described', 'wrong_item', 'defective', 'style', 'color', 'other'];
+
+export const RETURN_WINDOW_STARTS = ['delivered', 'created'];
+
+export const DEFAULT_RETURN_SETTINGS = {
+  return_window_days: 30,
+  window_start: 'delivered'
+};
+
+// Orders are only returnable once (part of) them has been shipped
+const RETURNABLE_FULFILLMENT_STATUSES = ['fulfilled', 'partial', 'delivered'];
+const NON_RETURNABLE_PAYMENT_STATUSES = ['refunded', 'voided'];
+const NON_RETURNABLE_LINE_STATUSES = ['unfulfilled', 'cancelled', 'canceled', 'refunded', 'restocked'];
+
+// An offer can be submitted for this long after the chat answer that showed it
+export const RETURN_OFFER_TTL_HOURS = 24;
+
+// Offers that were never submitted are removed after this many days
+const RETURN_OFFER_RETENTION_DAYS = 30;
+
+// Return questions in the languages the chatbots answer in
+const RETURN_INTENT_PATTERN = /\b(retur\w*|return\w*|refund\w*|refusion\w*|tilbagebetal\w*|fortryd\w*|ombyt\w*|bytte\w*|exchange\w*|reklamation\w*|rücksend\w*|rückgabe|zurückgeben|zurücksenden|återbetal\w*|ångra\w*|palautu\w*|palauta\w*)/i;
+
+export async function ensureReturnRequestTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS return_settings (
+      id SERIAL PRIMARY KEY,
+      chatbot_id VARCHAR(255) NOT NULL UNIQUE,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      return_window_days INTEGER,
+      window_start VARCHAR(20),
+      excluded_skus JSONB NOT NULL DEFAULT '[]'::jsonb,
+      adapters JSONB,
+      webhook_url TEXT,
+      webhook_secret TEXT,
+      notification_email VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS return_requests (
+      id SERIAL PRIMARY KEY,
+      public_id VARCHAR(64) NOT NULL UNIQUE,
+      chatbot_id VARCHAR(255) NOT NULL,
+      user_id VARCHAR(255),
+      conversation_session_id VARCHAR(255),
+      order_number VARCHAR(255) NOT NULL,
+      provider VARCHAR(50),
+      status VARCHAR(20) NOT NULL DEFAULT 'offered',
+      eligibility JSONB NOT NULL,
+      customer JSONB,
+      lines JSONB,
+      reason VARCHAR(50),
+      comment TEXT,
+      adapter VARCHAR(50),
+      external_id VARCHAR(255),
+      error TEXT,
+      expires_at TIMESTAMPTZ NOT NULL,
+      submitted_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_return_requests_chatbot ON return_requests(chatbot_id, created_at DESC)');
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_return_requests_order ON return_requests(order_number)');
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_return_requests_session ON return_requests(conversation_session_id)');
+}
+
+/**
+ * Whether a visitor message asks to return, exchange or refund something
+ */
+export function isReturnRequestMessage(text) {
+  return RETURN_INTENT_PATTERN.test(text || '');
+}
+
+/**
+ * Validate a settings row from the admin API
+ * Empty return_window_days / window_start mean the defaults; adapters null means the automatic order
+ */
+export function validateReturnSettings({ return_window_days, window_start, excluded_skus, adapters, webhook_url, notification_email }) {
+  const errors = [];
+  if (return_window_days !== undefined && return_window_days !== null && return_window_days !== '') {
+    const days = Number(return_window_days);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      errors.push('return_window_days must be an integer between 1 and 365');
+    }
+  }
+  if (window_start && !RETURN_WINDOW_STARTS.includes(window_start)) {
+    errors.push(`window_start must be one of: ${RETURN_WINDOW_STARTS.join(', ')}`);
+  }
+  if (excluded_skus !== undefined && excluded_skus !== null &&
+    (!Array.isArray(excluded_skus) || excluded_skus.some(sku => typeof sku !== 'string'))) {
+    errors.push('excluded_skus must be a list of SKUs');
+  }
+  if (adapters !== undefined && adapters !== null) {
+    const types = getReturnAdapterTypes();
+    if (!Array.isArray(adapters) || adapters.length === 0 || adapters.some(type => !types.includes(type))) {
+      errors.push(`adapters must be a non-empty list of: ${types.join(', ')}`);
+    }
+  }
+  if (webhook_url && !/^https:\/\//i.test(webhook_url)) {
+    errors.push('webhook_url must be an https URL');
+  }
+  if (notification_email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(notification_email)) {
+    errors.push('notification_email must be an email address');
+  }
+  return errors;
+}
+
+/**
+ * Return settings in effect for a chatbot; returns are off for chatbots without an enabled row
+ */
+export function resolveReturnSettings(row) {
+  if (!row || !row.enabled) return null;
+  return {
+    return_window_days: row.return_window_days || DEFAULT_RETURN_SETTINGS.return_window_days,
+    window_start: row.window_start || DEFAULT_RETURN_SETTINGS.window_start,
+    excluded_skus: row.excluded_skus || [],
+    adapters: row.adapters || null,
+    webhook_url: row.webhook_url || null,
+    webhook_secret: row.webhook_secret || null,
+    notification_email: row.notification_email || null
+  };
+}
+
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Start of an order's return window
+ * 'delivered' counts from the delivery date, or the latest fulfillment when the platform does not report delivery
+ */
+function getReturnWindowStart(order, windowStart) {
+  if (windowStart === 'delivered') {
+    const delivered = toDate(order.fulfillment.delivered_at);
+    if (delivered) return delivered;
+    const shipped = order.fulfillments.map(fulfillment => toDate(fulfillment.created_at)).filter(Boolean);
+    if (shipped.length > 0) return new Date(Math.max(...shipped.map(date => date.getTime())));
+  }
+  return toDate(order.created_at);
+}
+
+const lineKey = (line) => (line.sku ? `sku:${line.sku}` : `name:${String(line.name).toLowerCase()}`);
+
+/**
+ * Check whether a normalized order can be returned, and which of its lines
+ *
+ * Returns { order_number, eligible, reason, deadline, lines: [{ line_index, name, sku, quantity, returnable_quantity,
+ * eligible, reason }] }. Order reasons: order_cancelled, order_refunded, not_shipped, unknown_order_date,
+ * window_expired, no_returnable_lines. Line reasons: excluded, not_shipped, already_returned.
+ * Quantities already in a return that was not rejected are not returnable again.
+ */
+export function checkReturnEligibility(order, settings, now = new Date()) {
+  const returned = {};
+  order.returns.filter(ret => ret.status !== 'rejected').forEach(ret => {
+    (ret.lines || []).forEach(line => {
+      returned[lineKey(line)] = (returned[lineKey(line)] || 0) + (line.quantity || 0);
+    });
+  });
+
+  const excludedSkus = settings.excluded_skus.map(sku => sku.toLowerCase());
+  const lines = order.lines.map((line, index) => {
+    const key = lineKey(line);
+    const alreadyReturned = Math.min(returned[key] || 0, line.quantity);
+    returned[key] = (returned[key] || 0) - alreadyReturned;
+    const returnableQuantity = line.quantity - alreadyReturned;
+
+    let reason = null;
+    if (line.sku && excludedSkus.includes(line.sku.toLowerCase())) reason = 'excluded';
+    else if (line.status && NON_RETURNABLE_LINE_STATUSES.includes(line.status.toLowerCase())) reason = 'not_shipped';
+    else if (returnableQuantity <= 0) reason = 'already_returned';
+
+    return {
+      line_index: index,
+      name: line.name,
+      sku: line.sku || null,
+      quantity: line.quantity,
+      returnable_quantity: reason ? 0 : returnableQuantity,
+      eligible: !reason,
+      reason
+    };
+  });
+
+  const windowStart = getReturnWindowStart(order, settings.window_start);
+  const deadline = windowStart ? addDays(windowStart, settings.return_window_days) : null;
+
+  let reason = null;
+  if (order.fulfillment.status === 'cancelled') reason = 'order_cancelled';
+  else if (NON_RETURNABLE_PAYMENT_STATUSES.includes(order.payment.status)) reason = 'order_refunded';
+  else if (!RETURNABLE_FULFILLMENT_STATUSES.includes(order.fulfillment.status)) reason = 'not_shipped';
+  else if (!deadline) reason = 'unknown_order_date';
+  else if (now > deadline) reason = 'window_expired';
+  else if (!lines.some(line => line.eligible)) reason = 'no_returnable_lines';
+
+  return {
+    order_number: order.order_number,
+    eligible: !reason,
+    reason,
+    deadline: deadline ? deadline.toISOString() : null,
+    lines
+  };
+}
+
+/**
+ * One line per order for the AI context, e.g. "Order 1001 can be returned until 2026-05-01 (2 of 3 items)"
+ */
+export function describeReturnEligibility(eligibility) {
+  const deadline = eligibility.deadline ? eligibility.deadline.slice(0, 10) : null;
+  if (eligibility.eligible) {
+    const returnable = eligibility.lines.filter(line => line.eligible).length;
+    return `Order ${eligibility.order_number} can be returned until ${deadline} (${returnable} of ${eligibility.lines.length} items)`;
+  }
+  const reasons = {
+    order_cancelled: 'the order is cancelled',
+    order_refunded: 'the order is already refunded',
+    not_shipped: 'the order has not been shipped yet',
+    unknown_order_date: 'the order date is unknown',
+    window_expired: `the return window ended ${deadline}`,
+    no_returnable_lines: 'none of its items can be returned'
+  };
+  return `Order ${eligibility.order_number} cannot be returned: ${reasons[eligibility.reason] || eligibility.reason}`;
+}
+
+/**
+ * Check a submitted return against the stored offer
+ * lines: [{ line_index, quantity }]. Returns { errors, lines } with the chosen lines resolved to name, sku and quantity
+ */
+export function validateReturnSubmission(eligibility, { lines, reason, comment }) {
+  const errors = [];
+  const resolved = [];
+
+  if (!Array.isArray(lines) || lines.length === 0) {
+    errors.push('lines must be a non-empty list of { line_index, quantity }');
+  } else {
+    const seen = new Set();
+    lines.forEach((line, index) => {
+      const offered = eligibility.lines.find(candidate => candidate.line_index === Number(line?.line_index));
+      const quantity = Number(line?.quantity ?? 1);
+      if (!offered || !offered.eligible) {
+        errors.push(`lines[${index}].line_index is not a returnable line`);
+      } else if (seen.has(offered.line_index)) {
+        errors.push(`lines[${index}].line_index is listed twice`);
+      } else if (!Number.isInteger(quantity) || quantity < 1 || quantity > offered.returnable_quantity) {
+        errors.push(`lines[${index}].quantity must be an integer between 1 and ${offered.returnable_quantity}`);
+      } else {
+        seen.add(offered.line_index);
+        resolved.push({ line_index: offered.line_index, name: offered.name, sku: offered.sku, quantity });
+      }
+    });
+  }
+  if (reason && !RETURN_REASONS.includes(reason)) {
+    errors.push(`reason must be one of: ${RETURN_REASONS.join(', ')}`);
+  }
+  if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > 1000)) {
+    errors.push('comment must be a text of at most 1000 characters');
+  }
+
+  return { errors, lines: resolved };
+}
+
+export function generateReturnRequestId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Payload of the return_form stream event and the return_offer of the message response
+ */
+export function buildReturnFormData(offers) {
+  return {
+    orders: offers.map(offer => ({
+      return_request_id: offer.public_id,
+      order_number: offer.order_number,
+      deadline: offer.eligibility.deadline,
+      expires_at: new Date(offer.expires_at).toISOString(),
+      lines: offer.eligibility.lines
+        .filter(line => line.eligible)
+        .map(({ line_index, name, sku, returnable_quantity }) => ({ line_index, name, sku, returnable_quantity })),
+      submit_url: `/api/returns/${offer.public_id}`
+    })),
+    reasons: RETURN_REASONS
+  };
+}
+
+export async function insertReturnOffer(pool, { chatbotId, userId, sessionId, provider, eligibility, customer }) {
+  const result = await pool.query(`
+    INSERT INTO return_requests
+    (public_id, chatbot_id, user_id, conversation_session_id, order_number, provider, status, eligibility, customer, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW() + ($10 * INTERVAL '1 hour'))
+    RETURNING *
+  `, [
+    generateReturnRequestId(),
+    chatbotId,
+    userId || null,
+    sessionId || null,
+    eligibility.order_number,
+    provider || null,
+    RETURN_REQUEST_STATUSES.OFFERED,
+    JSON.stringify(eligibility),
+    customer ? JSON.stringify(customer) : null,
+    RETURN_OFFER_TTL_HOURS
+  ]);
+  return result.rows[0];
+}
+
+/**
+ * Delete offers that were never submitted
+ */
+export async function cleanupReturnOffers(pool) {
+  const result = await pool.query(
+    `DELETE FROM return_requests WHERE status = $1 AND created_at < NOW() - ($2 * INTERVAL '1 day')`,
+    [RETURN_REQUEST_STATUSES.OFFERED, RETURN_OFFER_RETENTION_DAYS]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Return adapters
+ * An adapter sends a submitted return to where the shop handles it:
+ *   { type, isConfigured(returnRequest), submit(returnRequest) -> { external_id } }
+ * returnRequest: { chatbotId, publicId, orderNumber, provider, customer, lines, reason, comment, conversationSessionId }
+ */
+
+/**
+ * Shopify returns API: the return is requested on the order and waits for the merchant's approval
+ */
+export class ShopifyReturnAdapter {
+  constructor({ pool }) {
+    this.type = 'shopify';
+    this.pool = pool;
+  }
+
+  isConfigured(returnRequest) {
+    return returnRequest.provider === 'shopify';
+  }
+
+  async submit(returnRequest) {
+    const { createShopifyReturnRequestService } = await import('../services/shopifyService.js');
+    const shopifyReturn = await createShopifyReturnRequestService({
+      chatbot_id: returnRequest.chatbotId,
+      order_number: returnRequest.orderNumber,
+      lines: returnRequest.lines,
+      reason: returnRequest.reason,
+      comment: returnRequest.comment
+    }, this.pool);
+    return { external_id: shopifyReturn.id };
+  }
+}
+
+/**
+ * Generic webhook: the return is POSTed as JSON, signed with X-Return-Signature (HMAC-SHA256) when a secret is set
+ */
+export class WebhookReturnAdapter {
+  constructor({ settings }) {
+    this.type = 'webhook';
+    this.settings = settings;
+  }
+
+  isConfigured() {
+    return !!this.settings.webhook_url;
+  }
+
+  async submit(returnRequest) {
+    const body = JSON.stringify({ event: 'return_request.created', return_request: buildReturnRequestPayload(returnRequest) });
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.settings.webhook_secret) {
+      headers['X-Return-Signature'] = crypto.createHmac('sha256', this.settings.webhook_secret).update(body).digest('hex');
+    }
+
+    const response = await fetch(this.settings.webhook_url, { method: 'POST', headers, body });
+    if (!response.ok) {
+      throw new Error(`Return webhook failed: ${response.status}`);
+    }
+
+    // The receiver may answer with its own id for the return
+    const data = await response.json().catch(() => null);
+    const externalId = data?.id ?? data?.return_id ?? null;
+    return { external_id: externalId !== null ? String(externalId) : null };
+  }
+}
+
+/**
+ * Notification email to the shop through the EmailJS template the activity notifications use
+ */
+export class EmailReturnAdapter {
+  constructor({ settings }) {
+    this.type = 'email';
+    this.settings = settings;
+  }
+
+  isConfigured() {
+    return !!this.settings.notification_email;
+  }
+
+  async submit(returnRequest) {
+    const { default: emailjs } = await import('@emailjs/nodejs');
+    const lines = returnRequest.lines.map(line => `• ${line.quantity} x ${line.name}${line.sku ? ` (${line.sku})` : ''}`).join('\n');
+    const message = `
+Ny returanmodning fra chatten
+
+• Ordre: ${returnRequest.orderNumber}
+• Kunde: ${[returnRequest.customer?.name, returnRequest.customer?.email, returnRequest.customer?.phone].filter(Boolean).join(', ') || 'ukendt'}
+• Årsag: ${returnRequest.reason || 'other'}
+${returnRequest.comment ? `• Kommentar: ${returnRequest.comment}\n` : ''}
+Varer:
+${lines}
+
+Reference: ${returnRequest.publicId}
+    `;
+
+    await emailjs.send('service_n5qoy4e', 'template_sbtj6jv', {
+      to_email: this.settings.notification_email,
+      message,
+      emne: `Returanmodning for ordre ${returnRequest.orderNumber}`
+    });
+    return { external_id: null };
+  }
+}
+
+/**
+ * Return as sent to webhooks
+ */
+export function buildReturnRequestPayload(returnRequest) {
+  return {
+    id: returnRequest.publicId,
+    chatbot_id: returnRequest.chatbotId,
+    order_number: returnRequest.orderNumber,
+    provider: returnRequest.provider,
+    customer: returnRequest.customer || null,
+    lines: returnRequest.lines.map(({ name, sku, quantity }) => ({ name, sku, quantity })),
+    reason: returnRequest.reason || 'other',
+    comment: returnRequest.comment || null,
+    conversation_session_id: returnRequest.conversationSessionId || null
+  };
+}
+
+const returnAdapters = new Map();
+
+/**
+ * Register an adapter class (or factory) under a type
+ */
+export function registerReturnAdapter(type, AdapterClass) {
+  returnAdapters.set(type, AdapterClass);
+}
+
+export function getReturnAdapterTypes() {
+  return [...returnAdapters.keys()];
+}
+
+/**
+ * Adapters to try for a return, in order, that are configured for it
+ * Without an adapters list Shopify stores use the returns API first; the webhook and email follow as fallbacks
+ */
+export function getReturnAdapters(pool, settings, returnRequest) {
+  const types = settings.adapters || ['shopify', 'webhook', 'email'];
+  return types
+    .filter(type => returnAdapters.has(type))
+    .map(type => new (returnAdapters.get(type))({ pool, settings }))
+    .filter(adapter => adapter.isConfigured(returnRequest));
+}
+
+registerReturnAdapter('shopify', ShopifyReturnAdapter);
+registerReturnAdapter('webhook', WebhookReturnAdapter);
+registerReturnAdapter('email', EmailReturnAdapter);
@@ -0,0 +1,174 @@
+/**
+ * Routing Rules Utilities
+ * Deterministic message routing evaluated before the fordelingsflow classifier
+ *
+ * A rule's conditions object may contain any of:
+ *   keywords      - array of phrases, matched case-insensitively as substrings
+ *   keyword_mode  - 'any' (default) or 'all'
+ *   regex         - pattern tested against the message (regex_flags default 'i')
+ *   languages     - chatbot languages the rule applies to (e.g. ['danish', 'english'])
+ *   conversation  - { first_message, has_image, min_messages, max_messages }
+ * Every condition present must match. Rules need at least one condition.
+ */
+
+export const ROUTABLE_FLOW_KEYS = ['main', 'apiflow', 'flow2', 'flow3', 'flow4', 'metadata', 'metadata2'];
+
+const FLOW_KEY_CONFIG_FIELDS = {
+  apiflow: 'apiFlowKey',
+  flow2: 'flow2Key',
+  flow3: 'flow3Key',
+  flow4: 'flow4Key',
+  metadata: 'metaDataKey',
+  metadata2: 'metaData2Key'
+};
+
+export async function ensureRoutingRulesTable(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS flow_routing_rules (
+      id SERIAL PRIMARY KEY,
+      chatbot_id VARCHAR(255) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      priority INTEGER NOT NULL DEFAULT 100,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      conditions JSONB NOT NULL DEFAULT '{}'::jsonb,
+      target_flow_key VARCHAR(50) NOT NULL,
+      metadata_filter JSONB NOT NULL DEFAULT '{}'::jsonb,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_flow_routing_rules_chatbot ON flow_routing_rules(chatbot_id, priority)');
+}
+
+/**
+ * Validate a rule payload, returning a list of error messages
+ */
+export function validateRoutingRule({ name, target_flow_key, conditions, metadata_filter, priority }) {
+  const errors = [];
+
+  if (!name || typeof name !== 'string') errors.push('name is required');
+  if (!ROUTABLE_FLOW_KEYS.includes(target_flow_key)) {
+    errors.push(`target_flow_key must be one of: ${ROUTABLE_FLOW_KEYS.join(', ')}`);
+  }
+  if (priority !== undefined && !Number.isInteger(priority)) errors.push('priority must be an integer');
+  if (metadata_filter !== undefined && (typeof metadata_filter !== 'object' || metadata_filter === null || Array.isArray(metadata_filter))) {
+    errors.push('metadata_filter must be an object');
+  }
+
+  if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+    errors.push('conditions must be an object');
+    return errors;
+  }
+
+  const { keywords, keyword_mode, regex, regex_flags, languages, conversation } = conditions;
+  let conditionCount = 0;
+
+  if (keywords !== undefined) {
+    conditionCount++;
+    if (!Array.isArray(keywords) || keywords.length === 0 || keywords.some(k => typeof k !== 'string' || !k.trim())) {
+      errors.push('conditions.keywords must be a non-empty array of strings');
+    }
+  }
+  if (keyword_mode !== undefined && !['any', 'all'].includes(keyword_mode)) {
+    errors.push("conditions.keyword_mode must be 'any' or 'all'");
+  }
+  if (regex !== undefined) {
+    conditionCount++;
+    try {
+      new RegExp(regex, regex_flags ?? 'i');
+    } catch (e) {
+      errors.push(`conditions.regex is invalid: ${e.message}`);
+    }
+  }
+  if (languages !== undefined) {
+    conditionCount++;
+    if (!Array.isArray(languages) || languages.length === 0 || languages.some(l => typeof l !== 'string')) {
+      errors.push('conditions.languages must be a non-empty array of strings');
+    }
+  }
+  if (conversation !== undefined) {
+    conditionCount++;
+    if (typeof conversation !== 'object' || conversation === null) {
+      errors.push('conditions.conversation must be an object');
+    } else {
+      ['first_message', 'has_image'].forEach(field => {
+        if (conversation[field] !== undefined && typeof conversation[field] !== 'boolean') {
+          errors.push(`conditions.conversation.${field} must be a boolean`);
+        }
+      });
+      ['min_messages', 'max_messages'].forEach(field => {
+        if (conversation[field] !== undefined && (!Number.isInteger(conversation[field]) || conversation[field] < 0)) {
+          errors.push(`conditions.conversation.${field} must be a non-negative integer`);
+        }
+      });
+    }
+  }
+
+  if (conditionCount === 0) errors.push('at least one condition is required');
+  return errors;
+}
+
+/**
+ * Evaluate one rule against a message context
+ * Returns { matched, reasons } where reasons explains every condition checked
+ */
+export function evaluateRoutingRule(rule, { messageText, conversationHistory = [], language, hasImage = false }) {
+  const { keywords, keyword_mode = 'any', regex, regex_flags, languages, conversation } = rule.conditions || {};
+  const text = (messageText || '').toLowerCase();
+  const reasons = [];
+  let matched = true;
+
+  const check = (ok, reason) => {
+    reasons.push(`${ok ? 'matched' : 'failed'}: ${reason}`);
+    if (!ok) matched = false;
+  };
+
+  if (Array.isArray(keywords) && keywords.length > 0) {
+    const hits = keywords.filter(keyword => text.includes(keyword.toLowerCase()));
+    const ok = keyword_mode === 'all' ? hits.length === keywords.length : hits.length > 0;
+    check(ok, `keywords (${keyword_mode}) ${hits.length}/${keywords.length}${hits.length ? ` [${hits.join(', ')}]` : ''}`);
+  }
+
+  if (regex) {
+    let ok = false;
+    try {
+      ok = new RegExp(regex, regex_flags ?? 'i').test(messageText || '');
+    } catch (e) {
+      // Invalid patterns are rejected on save; treat any that slip through as non-matching
+    }
+    check(ok, `regex /${regex}/`);
+  }
+
+  if (Array.isArray(languages) && languages.length > 0) {
+    const current = (language || '').toLowerCase();
+    check(languages.some(l => l.toLowerCase() === current), `language ${current || 'unknown'} in [${languages.join(', ')}]`);
+  }
+
+  if (conversation) {
+    const messageCount = conversationHistory.length;
+    if (conversation.first_message !== undefined) {
+      check((messageCount === 0) === conversation.first_message, `first_message is ${messageCount === 0}`);
+    }
+    if (conversation.has_image !== undefined) {
+      check(hasImage === conversation.has_image, `has_image is ${hasImage}`);
+    }
+    if (conversation.min_messages !== undefined) {
+      check(messageCount >= conversation.min_messages, `history length ${messageCount} >= ${conversation.min_messages}`);
+    }
+    if (conversation.max_messages !== undefined) {
+      check(messageCount <= conversation.max_messages, `history length ${messageCount} <= ${conversation.max_messages}`);
+    }
+  }
+
+  return { matched, reasons };
+}
+
+/**
+ * Translate a rule's target flow key into the question type the rest of the pipeline expects
+ * Returns null when the chatbot has no question type configured for that flow
+ */
+export function resolveRuleQuestionType(targetFlowKey, configuration) {
+  if (targetFlowKey === 'main') return 'main';
+  const questionType = configuration[FLOW_KEY_CONFIG_FIELDS[targetFlowKey]];
+  return questionType && questionType.trim() !== '' ? questionType : null;
+}
@@ -25,3 +25,329 @@ export function buildShopifyTrackingFromFulfillments(fulfillments = []) {
 }
 
 
+
+// Orders per GraphQL page; with the nested connections below one page stays under Shopify's 1000 point query limit
+export const SHOPIFY_GRAPHQL_PAGE_SIZE = 10;
+
+// Orders, fulfillments and tracking in one query (replaces orders.json plus one fulfillments.json call per order)
+export const SHOPIFY_ORDER_SEARCH_QUERY = `
+  query OrderSearch($query: String!, $first: Int!, $after: String) {
+    orders(first: $first, after: $after, query: $query, sortKey: CREATED_AT, reverse: true) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        legacyResourceId
+        name
+        email
+        phone
+        createdAt
+        updatedAt
+        currencyCode
+        displayFinancialStatus
+        displayFulfillmentStatus
+        tags
+        totalPriceSet { shopMoney { amount currencyCode } }
+        customer { firstName lastName phone }
+        shippingAddress { ...AddressFields }
+        billingAddress { ...AddressFields }
+        shippingLines(first: 3) { nodes { title code originalPriceSet { shopMoney { amount } } } }
+        lineItems(first: 25) {
+          nodes {
+            id
+            name
+            quantity
+            unfulfilledQuantity
+            sku
+            originalUnitPriceSet { shopMoney { amount } }
+            product { legacyResourceId }
+            variant { legacyResourceId }
+          }
+        }
+        fulfillments(first: 5) {
+          legacyResourceId
+          status
+          displayStatus
+          createdAt
+          updatedAt
+          location { legacyResourceId }
+          trackingInfo(first: 3) { company number url }
+          fulfillmentLineItems(first: 10) { nodes { quantity lineItem { id } } }
+        }
+      }
+    }
+  }
+
+  fragment AddressFields on MailingAddress {
+    name firstName lastName company address1 address2 city zip province country countryCodeV2 phone
+  }
+`;
+
+// Shipment statuses the REST API reports as fulfillment.shipment_status
+const SHOPIFY_SHIPMENT_STATUSES = [
+  'label_printed', 'label_purchased', 'attempted_delivery', 'ready_for_pickup', 'picked_up',
+  'confirmed', 'in_transit', 'out_for_delivery', 'delivered', 'failure'
+];
+
+function quoteSearchValue(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Shopify search query for an order lookup
+ * The most selective identifier is searched for; the exact match is done afterwards with matchesShopifyOrder
+ */
+export function buildShopifyOrderSearchQuery({ email, phone, order_number }) {
+  if (order_number) {
+    const number = String(order_number).replace(/^#/, '').trim();
+    return `name:${quoteSearchValue(number)} OR name:${quoteSearchValue(`#${number}`)}`;
+  }
+  if (email) return `email:${quoteSearchValue(String(email).trim())}`;
+  if (phone) return `phone:${quoteSearchValue(String(phone).trim())}`;
+  return '';
+}
+
+/**
+ * Numeric id of a Shopify GID (gid://shopify/LineItem/123 → 123)
+ */
+function legacyId(gidOrId) {
+  if (gidOrId === null || gidOrId === undefined) return null;
+  const match = String(gidOrId).match(/(\d+)$/);
+  return match ? Number(match[1]) : null;
+}
+
+function mapGraphQLAddress(address) {
+  if (!address) return null;
+  return {
+    name: address.name,
+    first_name: address.firstName,
+    last_name: address.lastName,
+    company: address.company,
+    address1: address.address1,
+    address2: address.address2,
+    city: address.city,
+    zip: address.zip,
+    province: address.province,
+    country: address.country,
+    country_code: address.countryCodeV2,
+    phone: address.phone
+  };
+}
+
+function mapGraphQLFulfillmentStatus(status) {
+  if (status === 'FULFILLED') return 'fulfilled';
+  if (status === 'PARTIALLY_FULFILLED') return 'partial';
+  if (!status || status === 'UNFULFILLED') return null;
+  return status.toLowerCase();
+}
+
+/**
+ * GraphQL order node in the shape of the REST API (orders.json plus fulfillments.json)
+ */
+export function mapShopifyGraphQLOrder(node) {
+  const order = {
+    id: legacyId(node.legacyResourceId),
+    name: node.name,
+    email: node.email,
+    phone: node.phone,
+    total_price: node.totalPriceSet?.shopMoney?.amount,
+    currency: node.currencyCode || node.totalPriceSet?.shopMoney?.currencyCode,
+    financial_status: node.displayFinancialStatus ? node.displayFinancialStatus.toLowerCase() : null,
+    fulfillment_status: mapGraphQLFulfillmentStatus(node.displayFulfillmentStatus),
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    customer: node.customer && {
+      first_name: node.customer.firstName || '',
+      last_name: node.customer.lastName || '',
+      phone: node.customer.phone
+    },
+    tags: (node.tags || []).join(', '),
+    line_items: (node.lineItems?.nodes || []).map(item => ({
+      id: legacyId(item.id),
+      name: item.name,
+      quantity: item.quantity,
+      price: item.originalUnitPriceSet?.shopMoney?.amount,
+      fulfillment_status: item.unfulfilledQuantity === 0 ? 'fulfilled' : (item.unfulfilledQuantity < item.quantity ? 'partial' : null),
+      sku: item.sku,
+      product_id: legacyId(item.product?.legacyResourceId),
+      variant_id: legacyId(item.variant?.legacyResourceId)
+    })),
+    shipping_address: mapGraphQLAddress(node.shippingAddress),
+    billing_address: mapGraphQLAddress(node.billingAddress),
+    shipping_lines: (node.shippingLines?.nodes || []).map(line => ({
+      title: line.title,
+      price: line.originalPriceSet?.shopMoney?.amount,
+      code: line.code
+    }))
+  };
+
+  const fulfillments = (node.fulfillments || []).map(fulfillment => {
+    const tracking = fulfillment.trackingInfo || [];
+    const shipmentStatus = fulfillment.displayStatus ? fulfillment.displayStatus.toLowerCase() : null;
+    return {
+      id: legacyId(fulfillment.legacyResourceId),
+      status: fulfillment.status ? fulfillment.status.toLowerCase() : null,
+      tracking_company: tracking[0]?.company || null,
+      tracking_number: tracking[0]?.number || null,
+      tracking_url: tracking[0]?.url || null,
+      tracking_urls: tracking.map(info => info.url).filter(Boolean),
+      created_at: fulfillment.createdAt,
+      updated_at: fulfillment.updatedAt,
+      shipment_status: SHOPIFY_SHIPMENT_STATUSES.includes(shipmentStatus) ? shipmentStatus : null,
+      location_id: legacyId(fulfillment.location?.legacyResourceId),
+      line_items: (fulfillment.fulfillmentLineItems?.nodes || []).map(li => ({ id: legacyId(li.lineItem?.id), quantity: li.quantity }))
+    };
+  });
+
+  return { order, fulfillments };
+}
+
+/**
+ * Exact match of a REST shaped order against the customer's details
+ * Phone numbers are compared on their last 8 digits, order numbers with or without #
+ */
+export function matchesShopifyOrder(order, { email, phone, order_number }) {
+  const emailMatches = !email || (order.email && order.email.toLowerCase() === email.toLowerCase());
+  const phoneMatches = !phone || (() => {
+    const phoneLocations = [
+      order.phone,
+      order.billing_address?.phone,
+      order.shipping_address?.phone,
+      order.customer?.phone
+    ].filter(p => typeof p === 'string');
+    if (phoneLocations.length === 0) return false;
+    const inputLast8 = String(phone).replace(/\D/g, '').slice(-8);
+    return phoneLocations.some(p => String(p).replace(/\D/g, '').slice(-8) === inputLast8 && inputLast8.length === 8);
+  })();
+  const orderNumberMatches = !order_number || (() => {
+    const normalizedInput = String(order_number).replace(/^#/, '').trim();
+    const normalizedOrderName = order.name ? String(order.name).replace(/^#/, '').trim() : '';
+    const normalizedOrderNumber = order.order_number ? String(order.order_number).replace(/^#/, '').trim() : '';
+    return normalizedOrderName === normalizedInput || normalizedOrderNumber === normalizedInput;
+  })();
+  return emailMatches && phoneMatches && orderNumberMatches;
+}
+
+/**
+ * Order as returned by /api/shopify/orders, from a REST shaped order and its fulfillments
+ */
+export function transformShopifyOrder(order, fulfillments = []) {
+  const tracking = buildShopifyTrackingFromFulfillments(fulfillments);
+
+  return {
+    id: order.id,
+    order_number: order.name || order.order_number,
+    email: order.email,
+    phone: order.phone || (order.billing_address && order.billing_address.phone),
+    total_price: order.total_price,
+    currency: order.currency,
+    financial_status: order.financial_status,
+    fulfillment_status: order.fulfillment_status,
+    created_at: order.created_at,
+    updated_at: order.updated_at,
+    customer_name: order.customer && `${order.customer.first_name} ${order.customer.last_name}`.trim(),
+    tags: order.tags ? order.tags.split(',').map(t => t.trim()).filter(Boolean) : [],
+    line_items: (order.line_items || []).map(item => ({
+      id: item.id,
+      name: item.name,
+      quantity: item.quantity,
+      price: item.price,
+      fulfillment_status: item.fulfillment_status,
+      sku: item.sku,
+      product_id: item.product_id,
+      variant_id: item.variant_id
+    })),
+    shipping_address: order.shipping_address,
+    billing_address: order.billing_address,
+    shipping_lines: (order.shipping_lines || []).map(line => ({
+      title: line.title,
+      price: line.price,
+      code: line.code
+    })),
+    fulfillments: tracking.fulfillments,
+    primary_tracking: tracking.primary
+  };
+}
+
+// Order id for a return (the order was already found and verified by the chat's order lookup)
+export const SHOPIFY_RETURN_ORDER_QUERY = `
+  query ReturnOrder($query: String!) {
+    orders(first: 5, query: $query) {
+      nodes { id name }
+    }
+  }
+`;
+
+// Fulfilled quantities of an order that can still be returned
+export const SHOPIFY_RETURNABLE_FULFILLMENTS_QUERY = `
+  query ReturnableFulfillments($orderId: ID!) {
+    returnableFulfillments(orderId: $orderId, first: 10) {
+      nodes {
+        returnableFulfillmentLineItems(first: 50) {
+          nodes {
+            quantity
+            fulfillmentLineItem { id lineItem { name sku } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Customer return request; Shopify keeps it as REQUESTED until the merchant approves or declines it
+export const SHOPIFY_RETURN_REQUEST_MUTATION = `
+  mutation ReturnRequest($input: ReturnRequestInput!) {
+    returnRequest(input: $input) {
+      return { id name status }
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * returnLineItems of a ReturnRequestInput for the chosen lines ({ name, sku, quantity })
+ * Lines are matched to returnable fulfillment line items by SKU, or by name for items without one; a line
+ * shipped in several fulfillments is spread over them. Throws when Shopify has fewer returnable items.
+ */
+export function buildShopifyReturnLineItems(returnableFulfillments, lines, reason, comment) {
+  const available = returnableFulfillments.flatMap(fulfillment =>
+    fulfillment.returnableFulfillmentLineItems.nodes.map(item => ({
+      id: item.fulfillmentLineItem.id,
+      name: item.fulfillmentLineItem.lineItem?.name || '',
+      sku: item.fulfillmentLineItem.lineItem?.sku || null,
+      quantity: item.quantity
+    }))
+  );
+
+  const returnLineItems = [];
+  lines.forEach(line => {
+    let remaining = line.quantity;
+    available
+      .filter(item => (line.sku ? item.sku === line.sku : item.name === line.name))
+      .forEach(item => {
+        const quantity = Math.min(remaining, item.quantity);
+        if (quantity <= 0) return;
+        item.quantity -= quantity;
+        remaining -= quantity;
+        returnLineItems.push({
+          fulfillmentLineItemId: item.id,
+          quantity,
+          returnReason: (reason || 'other').toUpperCase(),
+          ...(comment ? { customerNote: comment } : {})
+        });
+      });
+    if (remaining > 0) {
+      throw new Error(`Shopify has no returnable quantity left for ${line.name}`);
+    }
+  });
+  return returnLineItems;
+}
+
+/**
+ * Milliseconds to wait until the shop's GraphQL bucket holds the points a query needs
+ * (extensions.cost of the last response; 0 when there is enough)
+ */
+export function getShopifyThrottleWaitMs(cost, neededPoints) {
+  const status = cost?.throttleStatus;
+  if (!status || !status.restoreRate) return 0;
+  const missing = neededPoints - status.currentlyAvailable;
+  return missing > 0 ? Math.ceil(missing / status.restoreRate) * 1000 : 0;
+}
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+
+/**
+ * Shopify Webhook Utilities
+ * orders/create webhooks that record purchases of chatbot visitors, also when the widget never saw the checkout
+ *
+ * Shopify signs the raw request body with the webhook secret (X-Shopify-Hmac-Sha256, base64 HMAC-SHA256).
+ * An order is attributed to a visitor through the cart attribute the widget sets (di_user_id by default), or else
+ * through the order email, when the visitor wrote it in a conversation with the chatbot.
+ */
+
+export const SHOPIFY_WEBHOOK_TOPICS = {
+  ORDERS_CREATE: 'orders/create'
+};
+
+export const PURCHASE_ATTRIBUTIONS = {
+  CART_ATTRIBUTE: 'cart_attribute',
+  EMAIL: 'email'
+};
+
+export const DEFAULT_SHOPIFY_WEBHOOK_SETTINGS = {
+  cart_attribute: 'di_user_id',
+  match_email: true,
+  attribution_window_days: 30
+};
+
+// A widget-reported purchase this close to the order time is taken to be the same purchase
+export const WIDGET_PURCHASE_MATCH_HOURS = 6;
+
+export async function ensureShopifyWebhookTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS shopify_webhook_settings (
+      id SERIAL PRIMARY KEY,
+      chatbot_id VARCHAR(255) NOT NULL UNIQUE,
+      webhook_secret TEXT NOT NULL,
+      shop_domain VARCHAR(255),
+      cart_attribute VARCHAR(100),
+      match_email BOOLEAN,
+      attribution_window_days INTEGER,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Purchases from the webhook carry the shop's order; widget_reported tells the two sources apart for deduplication
+  await pool.query(`
+    ALTER TABLE purchases
+      ADD COLUMN IF NOT EXISTS external_order_id VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS order_number VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS attribution VARCHAR(50),
+      ADD COLUMN IF NOT EXISTS widget_reported BOOLEAN NOT NULL DEFAULT true
+  `);
+  await pool.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_purchases_external_order
+    ON purchases (chatbot_id, external_order_id) WHERE external_order_id IS NOT NULL
+  `);
+}
+
+/**
+ * Check X-Shopify-Hmac-Sha256 against the raw body
+ */
+export function verifyShopifyWebhookSignature(rawBody, signature, secret) {
+  if (!rawBody || !signature || !secret) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  let provided;
+  try {
+    provided = Buffer.from(String(signature), 'base64');
+  } catch (e) {
+    return false;
+  }
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+export function validateShopifyWebhookSettings({ webhook_secret, shop_domain, cart_attribute, attribution_window_days }) {
+  const errors = [];
+  if (!webhook_secret || typeof webhook_secret !== 'string') {
+    errors.push('webhook_secret is required');
+  }
+  if (shop_domain && !/^[a-z0-9][a-z0-9-]*\.myshopify\.com$/i.test(shop_domain)) {
+    errors.push('shop_domain must be a *.myshopify.com domain');
+  }
+  if (cart_attribute !== undefined && cart_attribute !== null && cart_attribute !== '' &&
+      (typeof cart_attribute !== 'string' || cart_attribute.length > 100)) {
+    errors.push('cart_attribute must be a name of at most 100 characters');
+  }
+  if (attribution_window_days !== undefined && attribution_window_days !== null && attribution_window_days !== '') {
+    const days = Number(attribution_window_days);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      errors.push('attribution_window_days must be an integer between 1 and 365');
+    }
+  }
+  return errors;
+}
+
+/**
+ * Settings in effect for a stored row (or null when there is none or it is disabled)
+ */
+export function resolveShopifyWebhookSettings(row) {
+  if (!row || !row.enabled) return null;
+  return {
+    webhook_secret: row.webhook_secret,
+    shop_domain: row.shop_domain || null,
+    cart_attribute: row.cart_attribute || DEFAULT_SHOPIFY_WEBHOOK_SETTINGS.cart_attribute,
+    match_email: row.match_email ?? DEFAULT_SHOPIFY_WEBHOOK_SETTINGS.match_email,
+    attribution_window_days: row.attribution_window_days || DEFAULT_SHOPIFY_WEBHOOK_SETTINGS.attribution_window_days
+  };
+}
+
+/**
+ * The parts of an orders/create payload that attribution needs
+ */
+export function extractShopifyWebhookOrder(order, cartAttribute) {
+  const attribute = (order.note_attributes || []).find(item => item?.name === cartAttribute);
+  const email = order.email || order.contact_email || order.customer?.email || null;
+  return {
+    id: order.id !== undefined && order.id !== null ? String(order.id) : null,
+    orderNumber: order.name || (order.order_number ? `#${order.order_number}` : null),
+    amount: parseFloat(order.current_total_price ?? order.total_price),
+    currency: order.currency || null,
+    email: email ? String(email).trim().toLowerCase() : null,
+    visitorId: attribute?.value ? String(attribute.value).trim() : null,
+    createdAt: order.created_at ? new Date(order.created_at) : new Date(),
+    test: order.test === true
+  };
+}
+
+export function maskShopifyWebhookSettings(row) {
+  return { ...row, webhook_secret: row.webhook_secret ? '********' : null };
+}
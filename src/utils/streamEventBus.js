@@ -0,0 +1,171 @@
+/**
+ * Stream Event Bus
+ * Fans streaming events out to SSE subscribers on every server instance
+ * using Postgres LISTEN/NOTIFY on a single dedicated connection per instance
+ * Cancellation requests reach the instance running a stream the same way
+ */
+
+import { EventEmitter } from 'events';
+import { STREAM_EVENTS_CHANNEL, STREAM_CANCEL_CHANNEL } from './streamingUtils.js';
+
+const RECONNECT_DELAY_MS = 2000;
+
+class StreamEventBus extends EventEmitter {
+  constructor(pool) {
+    super();
+    this.pool = pool;
+    this.client = null;
+    this.connecting = null;
+    this.reconnectTimer = null;
+    this.setMaxListeners(0); // One listener per open SSE connection
+  }
+
+  /**
+   * Make sure this instance is listening on the notification channel
+   */
+  async ensureListening() {
+    if (this.client) return;
+    if (this.connecting) return this.connecting;
+
+    this.connecting = (async () => {
+      const client = await this.pool.connect();
+      try {
+        client.on('notification', (msg) => this.handleNotification(msg));
+        client.on('error', (error) => this.handleConnectionError(client, error));
+        await client.query(`LISTEN ${STREAM_EVENTS_CHANNEL}`);
+        await client.query(`LISTEN ${STREAM_CANCEL_CHANNEL}`);
+        this.client = client;
+        console.log(`📡 Stream event bus listening on channels ${STREAM_EVENTS_CHANNEL}, ${STREAM_CANCEL_CHANNEL}`);
+      } catch (error) {
+        client.release(error);
+        throw error;
+      }
+    })();
+
+    try {
+      await this.connecting;
+    } finally {
+      this.connecting = null;
+    }
+  }
+
+  /**
+   * Drop a broken listener connection and reconnect while there are subscribers
+   */
+  handleConnectionError(client, error) {
+    console.error('Stream event bus connection error:', error.message);
+    if (client && this.client === client) {
+      this.client = null;
+      client.release(error);
+    }
+
+    if ((this.listenerCount('event') === 0 && this.listenerCount('cancel') === 0) || this.reconnectTimer) return;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.ensureListening().catch(err => {
+        console.error('Stream event bus reconnect failed:', err.message);
+        this.handleConnectionError(null, err);
+      });
+    }, RECONNECT_DELAY_MS);
+  }
+
+  /**
+   * Turn a NOTIFY payload into an event and hand it to subscribers
+   * Payloads over the NOTIFY size limit arrive without data and are loaded from the database
+   */
+  async handleNotification(msg) {
+    if (msg.channel === STREAM_CANCEL_CHANNEL && msg.payload) {
+      try {
+        const payload = JSON.parse(msg.payload);
+        this.emit('cancel', payload.streaming_session_id, payload.reason);
+      } catch (error) {
+        console.error('Error handling stream cancel notification:', error);
+      }
+      return;
+    }
+    if (msg.channel !== STREAM_EVENTS_CHANNEL || !msg.payload) return;
+
+    try {
+      const payload = JSON.parse(msg.payload);
+      let data = payload.data;
+
+      if (!payload.has_data) {
+        const result = await this.pool.query(
+          'SELECT event_data FROM streaming_events WHERE id = $1',
+          [payload.id]
+        );
+        if (result.rows.length === 0) return;
+        data = result.rows[0].event_data;
+      }
+
+      this.emit('event', payload.streaming_session_id, {
+        id: payload.id,
+        event: payload.event,
+        data: typeof data === 'string' ? JSON.parse(data) : (data || {}),
+        timestamp: payload.timestamp
+      });
+    } catch (error) {
+      console.error('Error handling stream event notification:', error);
+    }
+  }
+
+  /**
+   * Subscribe to events for one streaming session
+   * Returns an unsubscribe function
+   */
+  async subscribe(streamingSessionId, handler) {
+    const listener = (sessionId, event) => {
+      if (sessionId === streamingSessionId) handler(event);
+    };
+    this.on('event', listener);
+
+    try {
+      await this.ensureListening();
+    } catch (error) {
+      // Subscribers still get events through their periodic catch-up queries
+      console.error('Stream event bus could not start listening:', error.message);
+    }
+
+    return () => this.off('event', listener);
+  }
+
+  /**
+   * Get notified when another instance asks to cancel a streaming session
+   * Returns an unsubscribe function
+   */
+  async onCancel(streamingSessionId, handler) {
+    const listener = (sessionId, reason) => {
+      if (sessionId === streamingSessionId) handler(reason);
+    };
+    this.on('cancel', listener);
+
+    try {
+      await this.ensureListening();
+    } catch (error) {
+      // Cancellation still works when the request reaches the instance running the stream
+      console.error('Stream event bus could not start listening:', error.message);
+    }
+
+    return () => this.off('cancel', listener);
+  }
+
+  /**
+   * Whether notifications are currently being received
+   */
+  isListening() {
+    return this.client !== null;
+  }
+}
+
+let streamEventBus = null;
+
+/**
+ * Get the process-wide stream event bus
+ */
+export function getStreamEventBus(pool) {
+  if (!streamEventBus) {
+    streamEventBus = new StreamEventBus(pool);
+  }
+  return streamEventBus;
+}
@@ -0,0 +1,262 @@
+import { MARKERS } from './streamingUtils.js';
+
+/**
+ * Stream Event Protocol
+ * Typed streaming events that replace the in-band text markers of the legacy protocol
+ *
+ * Protocol 1 (legacy): `token` events carry answer text, marker flags and BUFFERING_START/END control tokens
+ * Protocol 2 (typed):  answer text arrives as `text_delta`, markers and product blocks as their own events
+ *
+ * Every protocol 2 event payload carries `v` so widgets can reject versions they do not know
+ */
+
+export const STREAM_PROTOCOLS = {
+  LEGACY: 1,
+  TYPED: 2
+};
+
+export const LATEST_STREAM_PROTOCOL = STREAM_PROTOCOLS.TYPED;
+
+// First widget release that renders typed events; older widgets stay on the legacy protocol
+export const TYPED_EVENTS_MIN_WIDGET_VERSION = '2.0.0';
+
+export const TYPED_STREAM_EVENTS = {
+  TEXT_DELTA: 'text_delta',
+  PRODUCT_CARD: 'product_card',
+  CONTACT_FORM: 'contact_form',
+  FRESHDESK_FORM: 'freshdesk_form',
+  HUMAN_HANDOFF: 'human_handoff',
+  IMAGE_UPLOAD_REQUEST: 'image_upload_request',
+  // Sent by the backend (not a marker) when the visitor asked to return an order that can be returned
+  RETURN_FORM: 'return_form'
+};
+
+const PRODUCT_BLOCK_START = 'XXX';
+const PRODUCT_BLOCK_END = 'YYY';
+
+// In-band marker -> typed event
+const MARKER_EVENTS = {
+  [MARKERS.CONTACT_FORM]: TYPED_STREAM_EVENTS.CONTACT_FORM,
+  [MARKERS.FRESHDESK]: TYPED_STREAM_EVENTS.FRESHDESK_FORM,
+  [MARKERS.HUMAN_AGENT]: TYPED_STREAM_EVENTS.HUMAN_HANDOFF,
+  [MARKERS.IMAGE_UPLOAD]: TYPED_STREAM_EVENTS.IMAGE_UPLOAD_REQUEST
+};
+
+const OPENING_TOKENS = [...Object.keys(MARKER_EVENTS), PRODUCT_BLOCK_START];
+
+// Product block field names as they appear in prompts (Danish and English)
+const PRODUCT_FIELD_ALIASES = {
+  name: ['name', 'title', 'navn', 'produktnavn', 'produkt', 'product', 'product name'],
+  price: ['price', 'pris'],
+  original_price: ['original price', 'før pris', 'førpris', 'normalpris', 'vejledende pris'],
+  url: ['url', 'link', 'produktlink', 'product url', 'product link'],
+  image_url: ['image', 'image url', 'billede', 'billede url', 'img'],
+  description: ['description', 'beskrivelse'],
+  sku: ['sku', 'varenummer', 'varenr', 'product number'],
+  stock: ['stock', 'lager', 'lagerstatus', 'availability']
+};
+
+/**
+ * Compare two dotted version strings, returning -1, 0 or 1
+ */
+function compareVersions(a, b) {
+  const left = String(a).replace(/^v/i, '').split('.').map(part => parseInt(part, 10) || 0);
+  const right = String(b).replace(/^v/i, '').split('.').map(part => parseInt(part, 10) || 0);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff > 0 ? 1 : -1;
+  }
+  return 0;
+}
+
+/**
+ * Pick the stream protocol for a request
+ * An explicit stream_protocol wins (capped at the latest version); otherwise the widget version decides
+ */
+export function resolveStreamProtocol({ stream_protocol, widget_version } = {}) {
+  const requested = parseInt(stream_protocol, 10);
+  if (Number.isInteger(requested) && requested >= STREAM_PROTOCOLS.LEGACY) {
+    return Math.min(requested, LATEST_STREAM_PROTOCOL);
+  }
+  if (widget_version && compareVersions(widget_version, TYPED_EVENTS_MIN_WIDGET_VERSION) >= 0) {
+    return STREAM_PROTOCOLS.TYPED;
+  }
+  return STREAM_PROTOCOLS.LEGACY;
+}
+
+/**
+ * Payload for a typed event
+ */
+export function createTypedEventData(data = {}) {
+  return { v: LATEST_STREAM_PROTOCOL, ...data };
+}
+
+/**
+ * Parse the content between XXX and YYY into product card fields
+ * Accepts a JSON object or "Field: value" pairs separated by new lines or pipes;
+ * markdown links and images are used for url / image_url when no field names them
+ */
+export function parseProductBlock(raw) {
+  const content = (raw || '').trim();
+  const product = {};
+
+  if (content.startsWith('{')) {
+    try {
+      const parsed = JSON.parse(content);
+      if (parsed && typeof parsed === 'object') {
+        for (const [key, value] of Object.entries(parsed)) {
+          product[normalizeProductField(key)] = value;
+        }
+        return product;
+      }
+    } catch (e) {
+      // Not JSON - fall through to field parsing
+    }
+  }
+
+  const extraText = [];
+  content.split(/\n|\|/).map(line => line.trim()).filter(Boolean).forEach(line => {
+    const match = line.match(/^[-*\s]*([^:[\]()]{1,40}):\s*(.+)$/);
+    if (match && !/^https?$/i.test(match[1].trim())) {
+      product[normalizeProductField(match[1])] = stripMarkdownLink(match[2].trim());
+    } else {
+      extraText.push(line);
+    }
+  });
+
+  const image = content.match(/!\[[^\]]*\]\((\S+?)\)/);
+  if (image && !product.image_url) product.image_url = image[1];
+
+  const link = content.match(/(?<!!)\[([^\]]*)\]\((\S+?)\)/);
+  if (link) {
+    if (!product.url) product.url = link[2];
+    if (!product.name && link[1]) product.name = link[1];
+  }
+
+  if (!product.name && extraText.length > 0) {
+    const firstLine = extraText.find(line => !/^!?\[/.test(line));
+    if (firstLine) product.name = firstLine;
+  }
+
+  return product;
+}
+
+function normalizeProductField(key) {
+  const normalized = String(key).trim().toLowerCase().replace(/[_-]+/g, ' ');
+  for (const [field, aliases] of Object.entries(PRODUCT_FIELD_ALIASES)) {
+    if (field === normalized.replace(/ /g, '_') || aliases.includes(normalized)) return field;
+  }
+  return normalized.replace(/ /g, '_');
+}
+
+function stripMarkdownLink(value) {
+  const match = value.match(/^!?\[[^\]]*\]\((\S+?)\)$/);
+  return match ? match[1] : value;
+}
+
+/**
+ * Length of the longest suffix of text that is a proper prefix of one of the tokens
+ * That part is held back until the next chunk shows whether it completes a marker
+ */
+function partialTokenLength(text, tokens) {
+  let longest = 0;
+  for (const token of tokens) {
+    for (let length = Math.min(token.length - 1, text.length); length > longest; length--) {
+      if (text.endsWith(token.slice(0, length))) {
+        longest = length;
+        break;
+      }
+    }
+  }
+  return longest;
+}
+
+/**
+ * Incremental parser turning provider tokens into text, marker and product segments
+ * Markers split across chunk boundaries are held back until complete, so they are never
+ * emitted as text or missed
+ *
+ * Segments: { type: 'text', text } | { type: 'marker', marker, event } | { type: 'product', raw }
+ */
+export class StreamMarkerParser {
+  constructor() {
+    this.pending = '';
+    this.inProduct = false;
+    this.productContent = '';
+  }
+
+  push(chunk) {
+    const segments = [];
+    let text = this.pending + (chunk || '');
+    this.pending = '';
+
+    while (text) {
+      if (this.inProduct) {
+        const end = text.indexOf(PRODUCT_BLOCK_END);
+        if (end === -1) {
+          const hold = partialTokenLength(text, [PRODUCT_BLOCK_END]);
+          this.productContent += text.slice(0, text.length - hold);
+          this.pending = text.slice(text.length - hold);
+          break;
+        }
+        this.productContent += text.slice(0, end);
+        segments.push({ type: 'product', raw: this.productContent });
+        this.inProduct = false;
+        this.productContent = '';
+        text = text.slice(end + PRODUCT_BLOCK_END.length);
+        continue;
+      }
+
+      let next = null;
+      for (const token of OPENING_TOKENS) {
+        const index = text.indexOf(token);
+        if (index !== -1 && (!next || index < next.index)) next = { index, token };
+      }
+
+      if (!next) {
+        const hold = partialTokenLength(text, OPENING_TOKENS);
+        pushText(segments, text.slice(0, text.length - hold));
+        this.pending = text.slice(text.length - hold);
+        break;
+      }
+
+      pushText(segments, text.slice(0, next.index));
+      if (next.token === PRODUCT_BLOCK_START) {
+        this.inProduct = true;
+      } else {
+        segments.push({ type: 'marker', marker: next.token, event: MARKER_EVENTS[next.token] });
+      }
+      text = text.slice(next.index + next.token.length);
+    }
+
+    return segments;
+  }
+
+  /**
+   * Release anything held back at the end of the stream
+   * An unterminated product block is returned as plain text, as the legacy protocol does
+   */
+  flush() {
+    const segments = [];
+    if (this.inProduct) {
+      pushText(segments, PRODUCT_BLOCK_START + this.productContent + this.pending);
+    } else {
+      pushText(segments, this.pending);
+    }
+    this.pending = '';
+    this.inProduct = false;
+    this.productContent = '';
+    return segments;
+  }
+}
+
+function pushText(segments, text) {
+  if (text) segments.push({ type: 'text', text });
+}
+
+/**
+ * Text of a product segment as it is stored with the conversation
+ */
+export function productBlockText(raw) {
+  return PRODUCT_BLOCK_START + raw + PRODUCT_BLOCK_END;
+}
@@ -12,9 +12,25 @@ export const SSE_EVENTS = {
   END: 'end',
   ERROR: 'error',
   CONTEXT: 'context',
-  MARKER: 'marker'
+  MARKER: 'marker',
+  CANCELLED: 'cancelled'
 };
 
+/**
+ * Events after which no further events are emitted for a streaming session
+ */
+export const TERMINAL_SSE_EVENTS = [SSE_EVENTS.END, SSE_EVENTS.ERROR, SSE_EVENTS.CANCELLED];
+
+/**
+ * Postgres NOTIFY channel used to fan streaming events out across instances
+ */
+export const STREAM_EVENTS_CHANNEL = 'streaming_events';
+
+/**
+ * Postgres NOTIFY channel used to cancel a stream running on another instance
+ */
+export const STREAM_CANCEL_CHANNEL = 'stream_cancellations';
+
 /**
  * Marker Types
  */
@@ -43,6 +59,28 @@ export function formatSSEResponse(eventType, data) {
   return `data: ${JSON.stringify(createSSEEvent(eventType, data))}\n\n`;
 }
 
+/**
+ * Format a stored streaming event as a text/event-stream message
+ * The event id is what clients send back as Last-Event-ID when they reconnect
+ */
+export function formatSSEMessage(event) {
+  let message = '';
+  if (event.id !== undefined && event.id !== null) {
+    message += `id: ${event.id}\n`;
+  }
+  message += `event: ${event.event}\n`;
+  message += `data: ${JSON.stringify(event.data ?? {})}\n\n`;
+  return message;
+}
+
+/**
+ * Check whether a request asked for a text/event-stream response
+ */
+export function wantsEventStream(req) {
+  const accept = req.headers?.accept || '';
+  return accept.includes('text/event-stream');
+}
+
 /**
  * Performance tracker for backend streaming
  */
@@ -0,0 +1,64 @@
+/**
+ * Text Diff Utilities
+ * Line diffs for showing what changed in a knowledge text (crawler change log, entry history)
+ */
+
+const DEFAULT_MAX_DIFF_LINES = 200;
+
+/**
+ * Line diff of two texts ("- " removed and "+ " added lines, in order), capped at maxLines lines
+ */
+export function diffLines(oldText, newText, maxLines = DEFAULT_MAX_DIFF_LINES) {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+
+  // Skip the common head and tail, then a longest common subsequence over what is left
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  const changes = [];
+  if (midA.length * midB.length > 4000000) {
+    // Too large for the table: report lines that only exist on one side
+    const setA = new Set(midA);
+    const setB = new Set(midB);
+    midA.filter(line => !setB.has(line)).forEach(line => changes.push(`- ${line}`));
+    midB.filter(line => !setA.has(line)).forEach(line => changes.push(`+ ${line}`));
+  } else {
+    const width = midB.length + 1;
+    const lcs = new Uint16Array((midA.length + 1) * width);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        i++;
+        j++;
+      } else if (i < midA.length && (j === midB.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        changes.push(`- ${midA[i++]}`);
+      } else {
+        changes.push(`+ ${midB[j++]}`);
+      }
+    }
+  }
+
+  const meaningful = changes.filter(line => line.trim() !== '-' && line.trim() !== '+');
+  const linesAdded = meaningful.filter(line => line.startsWith('+')).length;
+  const linesRemoved = meaningful.length - linesAdded;
+  const shown = meaningful.slice(0, maxLines);
+  if (meaningful.length > maxLines) shown.push(`… ${meaningful.length - maxLines} more changed lines`);
+  return { linesAdded, linesRemoved, diff: shown.join('\n') };
+}
@@ -0,0 +1,288 @@
+import cacheService from './cacheService.js';
+import { getPineconeApiKeyForIndex, initializePineconeClient } from './pineconeUtils.js';
+
+/**
+ * Vector Store Utilities
+ * Knowledge vectors live in Pinecone or in this database (pgvector), chosen per index and/or namespace
+ *
+ * Every store exposes the subset of the Pinecone index API the backend uses:
+ *   - backend
+ *   - upsert([{ id, values, metadata }])
+ *   - deleteOne(id) / deleteMany(ids)
+ *   - fetch(ids) → { records: { [id]: { id, values, metadata } } }
+ *   - query({ vector, topK, includeMetadata, includeValues }) → { matches: [{ id, score, metadata }] }
+ *   - listPaginated({ limit, paginationToken }) → { vectors: [{ id }], pagination: { next } }
+ *   - describeIndexStats() → { namespaces: { [namespace]: { recordCount } }, totalRecordCount, dimension }
+ *
+ * As for Pinecone, where the namespace is the name of the Pinecone index, the namespace is the unit of storage:
+ * pgvector keeps the vectors of a namespace in knowledge_vectors under that index name and namespace, so two indexes
+ * with the same namespace never see each other's vectors.
+ *
+ * The backend is picked by getVectorStoreBackend: the most specific vector_store_settings row (index and namespace,
+ * then namespace, then index), else VECTOR_STORE_BACKEND (default pinecone). Set VECTOR_STORE_BACKEND=pgvector to
+ * run without Pinecone, e.g. locally.
+ */
+
+export const VECTOR_STORE_BACKENDS = {
+  PINECONE: 'pinecone',
+  PGVECTOR: 'pgvector'
+};
+
+const SETTINGS_CACHE_KEY = 'vector-store-settings';
+const SETTINGS_CACHE_TTL = 60; // seconds
+
+let pgvectorReady = null;
+
+export async function ensureVectorStoreTables(pool) {
+  // '' matches any index or any namespace
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS vector_store_settings (
+      id SERIAL PRIMARY KEY,
+      index_name TEXT NOT NULL DEFAULT '',
+      namespace TEXT NOT NULL DEFAULT '',
+      backend VARCHAR(20) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (index_name, namespace)
+    )
+  `);
+  if (getDefaultVectorStoreBackend() === VECTOR_STORE_BACKENDS.PGVECTOR) {
+    await ensurePgvectorStore(pool);
+  }
+}
+
+/**
+ * Create the pgvector extension and the knowledge_vectors table, once per process
+ * The embedding column has no fixed dimension, so it fits any embedding model; queries scan the namespace exactly.
+ * Tables from before vectors were scoped by index get the index_name column, filled from the entries in pinecone_data.
+ */
+export function ensurePgvectorStore(pool) {
+  if (!pgvectorReady) {
+    pgvectorReady = (async () => {
+      await pool.query('CREATE EXTENSION IF NOT EXISTS vector');
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS knowledge_vectors (
+          index_name TEXT NOT NULL DEFAULT '',
+          namespace TEXT NOT NULL,
+          id TEXT NOT NULL,
+          embedding vector NOT NULL,
+          metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (index_name, namespace, id)
+        )
+      `);
+      const indexColumn = await pool.query(`
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'knowledge_vectors' AND column_name = 'index_name'
+      `);
+      if (indexColumn.rows.length === 0) {
+        await pool.query(`ALTER TABLE knowledge_vectors ADD COLUMN IF NOT EXISTS index_name TEXT NOT NULL DEFAULT ''`);
+        // Vector ids are the entry's pinecone_vector_id, or <pinecone_vector_id>_chunk_<n> for chunked entries
+        await pool.query(`
+          UPDATE knowledge_vectors kv
+          SET index_name = pd.pinecone_index_name
+          FROM pinecone_data pd
+          WHERE kv.index_name = ''
+            AND pd.pinecone_index_name IS NOT NULL
+            AND pd.namespace = kv.namespace
+            AND (kv.id = pd.pinecone_vector_id OR starts_with(kv.id, pd.pinecone_vector_id || '_chunk_'))
+        `);
+        await pool.query('ALTER TABLE knowledge_vectors DROP CONSTRAINT knowledge_vectors_pkey, ADD PRIMARY KEY (index_name, namespace, id)');
+      }
+    })().catch(error => {
+      pgvectorReady = null;
+      throw new Error(`pgvector is not available in this database: ${error.message}`);
+    });
+  }
+  return pgvectorReady;
+}
+
+export function getDefaultVectorStoreBackend() {
+  const backend = (process.env.VECTOR_STORE_BACKEND || '').toLowerCase();
+  return Object.values(VECTOR_STORE_BACKENDS).includes(backend) ? backend : VECTOR_STORE_BACKENDS.PINECONE;
+}
+
+export function invalidateVectorStoreSettings() {
+  cacheService.delete(SETTINGS_CACHE_KEY);
+}
+
+/**
+ * Backend of an index/namespace
+ */
+export async function getVectorStoreBackend(pool, indexName, namespace) {
+  let settings = cacheService.get(SETTINGS_CACHE_KEY);
+  if (!settings) {
+    const result = await pool.query('SELECT index_name, namespace, backend FROM vector_store_settings');
+    settings = result.rows;
+    cacheService.set(SETTINGS_CACHE_KEY, settings, SETTINGS_CACHE_TTL);
+  }
+
+  const match = (index, ns) => settings.find(setting => setting.index_name === index && setting.namespace === ns);
+  const setting = match(indexName, namespace) || match('', namespace) || match(indexName, '');
+  return setting?.backend || getDefaultVectorStoreBackend();
+}
+
+/**
+ * Pinecone index of a namespace
+ */
+export class PineconeVectorStore {
+  constructor(apiKey, namespace) {
+    this.backend = VECTOR_STORE_BACKENDS.PINECONE;
+    this.index = initializePineconeClient(apiKey).index(namespace);
+  }
+
+  upsert(vectors) {
+    return this.index.upsert(vectors);
+  }
+
+  deleteOne(id) {
+    return this.index.deleteOne(id);
+  }
+
+  deleteMany(ids) {
+    return this.index.deleteMany(ids);
+  }
+
+  fetch(ids) {
+    return this.index.fetch(ids);
+  }
+
+  query(options) {
+    return this.index.query(options);
+  }
+
+  listPaginated(options) {
+    return this.index.listPaginated(options);
+  }
+
+  describeIndexStats() {
+    return this.index.describeIndexStats();
+  }
+}
+
+/**
+ * Vectors of an index's namespace in knowledge_vectors; scores are cosine similarity as in Pinecone
+ */
+export class PgvectorVectorStore {
+  constructor(pool, indexName, namespace) {
+    this.backend = VECTOR_STORE_BACKENDS.PGVECTOR;
+    this.pool = pool;
+    this.indexName = indexName || '';
+    this.namespace = namespace;
+  }
+
+  async upsert(vectors) {
+    if (vectors.length === 0) return { upsertedCount: 0 };
+    await ensurePgvectorStore(this.pool);
+
+    const params = [this.indexName, this.namespace];
+    const rows = vectors.map(vector => {
+      params.push(vector.id, JSON.stringify(vector.values), JSON.stringify(vector.metadata || {}));
+      const n = params.length;
+      return `($1, $2, $${n - 2}, $${n - 1}::vector, $${n}::jsonb)`;
+    });
+    await this.pool.query(`
+      INSERT INTO knowledge_vectors (index_name, namespace, id, embedding, metadata)
+      VALUES ${rows.join(', ')}
+      ON CONFLICT (index_name, namespace, id) DO UPDATE SET
+        embedding = EXCLUDED.embedding,
+        metadata = EXCLUDED.metadata,
+        updated_at = CURRENT_TIMESTAMP
+    `, params);
+    return { upsertedCount: vectors.length };
+  }
+
+  async deleteOne(id) {
+    await this.deleteMany([id]);
+  }
+
+  async deleteMany(ids) {
+    await ensurePgvectorStore(this.pool);
+    await this.pool.query(
+      'DELETE FROM knowledge_vectors WHERE index_name = $1 AND namespace = $2 AND id = ANY($3)',
+      [this.indexName, this.namespace, ids]
+    );
+  }
+
+  async fetch(ids) {
+    await ensurePgvectorStore(this.pool);
+    const result = await this.pool.query(
+      'SELECT id, embedding::text AS embedding, metadata FROM knowledge_vectors WHERE index_name = $1 AND namespace = $2 AND id = ANY($3)',
+      [this.indexName, this.namespace, ids]
+    );
+    return {
+      namespace: this.namespace,
+      records: Object.fromEntries(result.rows.map(row => [row.id, {
+        id: row.id,
+        values: JSON.parse(row.embedding),
+        metadata: row.metadata
+      }]))
+    };
+  }
+
+  async query({ vector, topK = 10, includeMetadata = false, includeValues = false }) {
+    await ensurePgvectorStore(this.pool);
+    const result = await this.pool.query(`
+      SELECT id, metadata, embedding::text AS embedding, 1 - (embedding <=> $3::vector) AS score
+      FROM knowledge_vectors
+      WHERE index_name = $1 AND namespace = $2
+      ORDER BY embedding <=> $3::vector
+      LIMIT $4
+    `, [this.indexName, this.namespace, JSON.stringify(vector), topK]);
+    return {
+      namespace: this.namespace,
+      matches: result.rows.map(row => ({
+        id: row.id,
+        score: Number(row.score),
+        ...(includeValues && { values: JSON.parse(row.embedding) }),
+        ...(includeMetadata && { metadata: row.metadata })
+      }))
+    };
+  }
+
+  /**
+   * Vector ids in id order; the pagination token is the last id of the page
+   */
+  async listPaginated({ limit = 100, paginationToken } = {}) {
+    await ensurePgvectorStore(this.pool);
+    const result = await this.pool.query(`
+      SELECT id FROM knowledge_vectors
+      WHERE index_name = $1 AND namespace = $2 AND ($3::text IS NULL OR id > $3)
+      ORDER BY id
+      LIMIT $4
+    `, [this.indexName, this.namespace, paginationToken || null, limit + 1]);
+    const vectors = result.rows.slice(0, limit).map(row => ({ id: row.id }));
+    return {
+      namespace: this.namespace,
+      vectors,
+      pagination: result.rows.length > limit ? { next: vectors[vectors.length - 1].id } : undefined
+    };
+  }
+
+  async describeIndexStats() {
+    await ensurePgvectorStore(this.pool);
+    const result = await this.pool.query(
+      'SELECT COUNT(*)::int AS count, MAX(vector_dims(embedding)) AS dimension FROM knowledge_vectors WHERE index_name = $1 AND namespace = $2',
+      [this.indexName, this.namespace]
+    );
+    const { count, dimension } = result.rows[0];
+    return {
+      namespaces: { [this.namespace]: { recordCount: count } },
+      dimension: dimension || null,
+      totalRecordCount: count
+    };
+  }
+}
+
+/**
+ * Vector store of an index/namespace; the Pinecone key is looked up for userId as before
+ */
+export async function getVectorStore(pool, { userId, indexName, namespace }) {
+  const backend = await getVectorStoreBackend(pool, indexName, namespace);
+  if (backend === VECTOR_STORE_BACKENDS.PGVECTOR) {
+    return new PgvectorVectorStore(pool, indexName, namespace);
+  }
+  const apiKey = await getPineconeApiKeyForIndex(pool, userId, indexName, namespace);
+  return new PineconeVectorStore(apiKey, namespace);
+}
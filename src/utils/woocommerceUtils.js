@@ -0,0 +1,165 @@
+/**
+ * WooCommerce Utilities
+ * REST API (wp-json/wc/v3) helpers for order tracking
+ */
+
+export const WOOCOMMERCE_API_PATH = '/wp-json/wc/v3';
+
+// WooCommerce order statuses that mean the order has left the warehouse
+const SHIPPED_STATUSES = ['completed', 'shipped', 'delivered'];
+
+export async function ensureWooCommerceCredentialsTable(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS woocommerce_credentials (
+      id SERIAL PRIMARY KEY,
+      chatbot_id VARCHAR(255) NOT NULL UNIQUE,
+      woocommerce_store_url TEXT NOT NULL,
+      woocommerce_consumer_key TEXT NOT NULL,
+      woocommerce_consumer_secret TEXT NOT NULL,
+      woocommerce_enabled BOOLEAN NOT NULL DEFAULT true,
+      query_string_auth BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Build a REST API URL and request headers for a store
+ * Keys go in a Basic auth header; stores whose web server drops the Authorization header
+ * can use query_string_auth (HTTPS only in WooCommerce)
+ */
+export function buildWooCommerceRequest(credentials, path, params = {}) {
+  const url = new URL(`${credentials.storeUrl.replace(/\/+$/, '')}${WOOCOMMERCE_API_PATH}${path}`);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') url.searchParams.set(key, value);
+  });
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'DialogIntelligens-Chatbot/1.0'
+  };
+
+  if (credentials.queryStringAuth) {
+    url.searchParams.set('consumer_key', credentials.consumerKey);
+    url.searchParams.set('consumer_secret', credentials.consumerSecret);
+  } else {
+    headers.Authorization = `Basic ${Buffer.from(`${credentials.consumerKey}:${credentials.consumerSecret}`).toString('base64')}`;
+  }
+
+  return { url: url.toString(), headers };
+}
+
+function lastEightDigits(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-8);
+}
+
+/**
+ * Whether a raw WooCommerce order matches the customer's lookup details
+ * Order number must match; email and phone are checked when given (phone on the last 8 digits)
+ */
+export function matchesWooCommerceOrder(order, { email, phone, order_number }) {
+  const orderNumberMatches = !order_number || (() => {
+    const input = String(order_number).replace(/^#/, '').trim();
+    return String(order.number ?? '').trim() === input || String(order.id) === input;
+  })();
+
+  const emailMatches = !email || (order.billing?.email || '').toLowerCase() === String(email).toLowerCase().trim();
+
+  const phoneMatches = !phone || (() => {
+    const input = lastEightDigits(phone);
+    if (input.length !== 8) return false;
+    return [order.billing?.phone, order.shipping?.phone]
+      .filter(Boolean)
+      .some(orderPhone => lastEightDigits(orderPhone) === input);
+  })();
+
+  return orderNumberMatches && emailMatches && phoneMatches;
+}
+
+/**
+ * Shipment tracking stored by the WooCommerce Shipment Tracking extension (order meta)
+ */
+export function extractWooCommerceTracking(order) {
+  const trackingMeta = (order.meta_data || []).find(meta => meta.key === '_wc_shipment_tracking_items');
+  const items = Array.isArray(trackingMeta?.value) ? trackingMeta.value : [];
+
+  return items.map(item => ({
+    trackingCompany: item.tracking_provider || item.custom_tracking_provider || null,
+    trackingNumber: item.tracking_number || null,
+    trackingUrl: item.custom_tracking_link || null,
+    shippedDate: toIsoDate(item.date_shipped)
+  }));
+}
+
+// date_shipped is a unix timestamp in the Shipment Tracking extension
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(/^\d+$/.test(String(value)) ? Number(value) * 1000 : value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function transformWooCommerceAddress(address) {
+  if (!address || (!address.address_1 && !address.city && !address.first_name)) return null;
+  return {
+    first_name: address.first_name,
+    last_name: address.last_name,
+    company: address.company,
+    address1: address.address_1,
+    address2: address.address_2,
+    city: address.city,
+    province: address.state,
+    zip: address.postcode,
+    country: address.country,
+    phone: address.phone
+  };
+}
+
+/**
+ * Transform a WooCommerce order to the standardized order format (same fields as Shopify and Magento)
+ */
+export function transformWooCommerceOrder(order, storeUrl) {
+  const trackings = extractWooCommerceTracking(order);
+
+  return {
+    id: order.id,
+    order_number: String(order.number ?? order.id),
+    woocommerceStoreUrl: storeUrl,
+    email: order.billing?.email,
+    phone: order.billing?.phone || order.shipping?.phone,
+    total_price: order.total,
+    discount_total: order.discount_total,
+    currency: order.currency,
+    financial_status: order.date_paid ? 'paid' : order.status,
+    fulfillment_status: SHIPPED_STATUSES.includes(order.status) ? 'fulfilled' : 'unfulfilled',
+    status: order.status,
+    created_at: order.date_created_gmt ? `${order.date_created_gmt}Z` : order.date_created,
+    updated_at: order.date_modified_gmt ? `${order.date_modified_gmt}Z` : order.date_modified,
+    customer_name: `${order.billing?.first_name || ''} ${order.billing?.last_name || ''}`.trim(),
+    payment_method: order.payment_method_title,
+    line_items: (order.line_items || []).map(item => ({
+      id: item.id,
+      name: item.name,
+      quantity: item.quantity,
+      price: item.price,
+      total: item.total,
+      sku: item.sku,
+      product_id: item.product_id,
+      variant_id: item.variation_id || null
+    })),
+    billing_address: transformWooCommerceAddress(order.billing),
+    shipping_address: transformWooCommerceAddress(order.shipping),
+    shipping_lines: (order.shipping_lines || []).map(line => ({
+      title: line.method_title,
+      price: line.total,
+      code: line.method_id
+    })),
+    trackings,
+    refunds: (order.refunds || []).map(refund => ({
+      id: refund.id,
+      reason: refund.reason,
+      total: refund.total
+    })),
+    notes: order.customer_note || ''
+  };
+}
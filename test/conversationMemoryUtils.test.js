@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HISTORY_SUMMARY_PREFIX,
+  DEFAULT_HISTORY_TOKEN_BUDGET,
+  DEFAULT_RECENT_TURNS,
+  sanitizeHistoryText,
+  toHistoryMessages,
+  getHistorySettingsForFlow,
+  getMaxHistoryBudget,
+  createSummaryMessage,
+  isSummaryMessage,
+  fitHistoryToBudget,
+  recentTurnsStartIndex,
+  estimateHistoryTokens
+} from '../src/utils/conversationMemoryUtils.js';
+
+const user = (content) => ({ content, role: 'userMessage' });
+const bot = (content) => ({ content, role: 'apiMessage' });
+
+test('sanitizeHistoryText replaces product blocks and drops order payloads', () => {
+  assert.equal(sanitizeHistoryText('Se her: XXX<div>Sko</div>YYY tak'), 'Se her: [Product Info] tak');
+  assert.equal(sanitizeHistoryText('Hvor er min ordre? Orderdetails (the user has not seen these details): {"id":1}'), 'Hvor er min ordre?');
+  assert.equal(sanitizeHistoryText('Ordre 1001 COMPLETE_DATA: {"orders":[]}'), 'Ordre 1001');
+  assert.equal(sanitizeHistoryText(null), '');
+});
+
+test('toHistoryMessages leaves out system notices and empty messages', () => {
+  const history = toHistoryMessages([
+    { text: 'Hej', isUser: true },
+    { text: 'Agent joined', isSystem: true },
+    { text: '   ', isUser: false },
+    { text: 'XXXYYY', isUser: false },
+    { text: 'Hvordan kan jeg hjælpe?', isUser: false }
+  ]);
+  assert.deepEqual(history, [user('Hej'), bot('[Product Info]'), bot('Hvordan kan jeg hjælpe?')]);
+});
+
+test('getHistorySettingsForFlow prefers the flow row, then the chatbot default, then the built-in defaults', () => {
+  const configuration = {
+    historySettings: {
+      '*': { tokenBudget: 2000, recentTurns: 6 },
+      apiflow: { tokenBudget: 800, recentTurns: 1 }
+    }
+  };
+  assert.deepEqual(getHistorySettingsForFlow(configuration, 'apiflow'), { tokenBudget: 800, recentTurns: 6 });
+  assert.deepEqual(getHistorySettingsForFlow(configuration, 'main'), { tokenBudget: 2000, recentTurns: 6 });
+  assert.deepEqual(getHistorySettingsForFlow({}, 'main'), { tokenBudget: DEFAULT_HISTORY_TOKEN_BUDGET, recentTurns: DEFAULT_RECENT_TURNS });
+  assert.equal(getMaxHistoryBudget(configuration), 2000);
+});
+
+test('fitHistoryToBudget drops the oldest messages but keeps the summary and the latest message', () => {
+  const summary = createSummaryMessage('Kunden spurgte om fragt.');
+  assert.ok(isSummaryMessage(summary));
+  assert.ok(summary.content.startsWith(HISTORY_SUMMARY_PREFIX));
+
+  const messages = [user('a'.repeat(400)), bot('b'.repeat(400)), user('c'.repeat(400))];
+  const budget = estimateHistoryTokens([summary, messages[2]]) + 10;
+  assert.deepEqual(fitHistoryToBudget([summary, ...messages], budget), [summary, messages[2]]);
+
+  // The latest message stays even when it alone is over the budget
+  assert.deepEqual(fitHistoryToBudget(messages, 1), [messages[2]]);
+  assert.deepEqual(fitHistoryToBudget([], 100), []);
+});
+
+test('recentTurnsStartIndex finds the first message of the latest turns', () => {
+  const history = [user('1'), bot('1'), user('2'), bot('2'), user('3'), bot('3')];
+  assert.equal(recentTurnsStartIndex(history, 2), 2);
+  assert.equal(recentTurnsStartIndex(history, 5), 0);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// pineconeUtils creates its OpenAI client on import; no request is made by these tests
+process.env.OPENAI_API_KEY ??= 'sk-test';
+const {
+  CHUNKING_STRATEGIES,
+  DEFAULT_CHUNKING,
+  resolveChunkingOptions,
+  chunkKnowledgeText,
+  getChunkVectorId,
+  getKnowledgeVectorIds
+} = await import('../src/utils/knowledgeChunkingUtils.js');
+
+const sentence = (i) => `Sætning nummer ${i} handler om fragt, returnering og levering af varer.`;
+const longText = Array.from({ length: 120 }, (_, i) => sentence(i)).join(' ');
+
+test('resolveChunkingOptions gives defaults, turns chunking off and rejects bad values', () => {
+  assert.deepEqual(resolveChunkingOptions(undefined), DEFAULT_CHUNKING);
+  assert.equal(resolveChunkingOptions(false).strategy, CHUNKING_STRATEGIES.NONE);
+  assert.deepEqual(resolveChunkingOptions({ max_tokens: '400' }), { ...DEFAULT_CHUNKING, max_tokens: 400 });
+  assert.throws(() => resolveChunkingOptions({ strategy: 'pages' }), /Invalid chunking: strategy must be one of/);
+  assert.throws(() => resolveChunkingOptions({ max_tokens: 200, overlap_tokens: 150 }), /overlap_tokens/);
+  assert.throws(() => resolveChunkingOptions('tokens'), /Invalid chunking/);
+});
+
+test('chunkKnowledgeText keeps short texts and the none strategy in one chunk', () => {
+  assert.deepEqual(chunkKnowledgeText('  Kort tekst  '), [{ text: 'Kort tekst', section: null }]);
+  const none = chunkKnowledgeText(longText, resolveChunkingOptions(false));
+  assert.deepEqual(none, [{ text: longText, section: null }]);
+});
+
+test('chunkKnowledgeText splits long text at sentence boundaries with overlap', () => {
+  const options = resolveChunkingOptions({ max_tokens: 200, overlap_tokens: 20 });
+  const chunks = chunkKnowledgeText(longText, options);
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.text.length <= options.max_tokens * 4);
+    assert.equal(chunk.section, null);
+  }
+  // Every chunk but the last ends at a sentence boundary
+  chunks.slice(0, -1).forEach(chunk => assert.ok(chunk.text.endsWith('.'), chunk.text.slice(-30)));
+  // The next chunk repeats the end of the previous one
+  const tail = chunks[0].text.slice(-40);
+  assert.ok(chunks[1].text.includes(tail.slice(tail.indexOf(' ') + 1)));
+  // Nothing is lost
+  assert.ok(chunks.at(-1).text.endsWith(sentence(119)));
+});
+
+test('chunkKnowledgeText splits Markdown at headings and keeps the heading as section', () => {
+  const text = [
+    'Intro om butikken.',
+    '## Fragt',
+    'Fragt koster 49 kr.',
+    '```',
+    '## ikke en overskrift',
+    '```',
+    '### Fragt til Grønland',
+    'Kontakt os.',
+    '## Returnering',
+    longText
+  ].join('\n');
+  const chunks = chunkKnowledgeText(text, resolveChunkingOptions({ strategy: 'headings', max_tokens: 300, overlap_tokens: 0 }));
+
+  assert.deepEqual(chunks[0], { text: 'Intro om butikken.', section: null });
+  assert.equal(chunks[1].section, 'Fragt');
+  assert.ok(chunks[1].text.includes('## ikke en overskrift'));
+  assert.ok(chunks[1].text.includes('### Fragt til Grønland'));
+  assert.ok(chunks.length > 3);
+  assert.ok(chunks.slice(2).every(chunk => chunk.section === 'Returnering'));
+});
+
+test('getKnowledgeVectorIds lists the chunk vectors of an entry', () => {
+  assert.equal(getChunkVectorId('vec', 2), 'vec_chunk_2');
+  assert.deepEqual(getKnowledgeVectorIds('vec', 0), ['vec']);
+  assert.deepEqual(getKnowledgeVectorIds('vec', 3), ['vec_chunk_0', 'vec_chunk_1', 'vec_chunk_2']);
+  assert.deepEqual(getKnowledgeVectorIds(null, 3), []);
+});
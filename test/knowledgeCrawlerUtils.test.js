@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// pineconeUtils creates its OpenAI client on import; no request is made by these tests
+process.env.OPENAI_API_KEY ??= 'sk-test';
+const {
+  decodeHtmlEntities,
+  htmlToText,
+  parseSitemap,
+  isBlockedAddress
+} = await import('../src/utils/knowledgeCrawlerUtils.js');
+
+test('parseSitemap reads page urls and the sitemaps of a sitemap index', () => {
+  const urlset = `<?xml version="1.0"?>
+    <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+      <url><loc> https://shop.example/fragt </loc></url>
+      <url><loc><![CDATA[https://shop.example/retur?a=1&b=2]]></loc></url>
+      <url><loc>https://shop.example/s?q=1&amp;p=2</loc></url>
+      <url><loc></loc></url>
+    </urlset>`;
+  assert.deepEqual(parseSitemap(urlset), {
+    urls: ['https://shop.example/fragt', 'https://shop.example/retur?a=1&b=2', 'https://shop.example/s?q=1&p=2'],
+    sitemaps: []
+  });
+
+  const index = `<sitemapindex><sitemap><loc>https://shop.example/pages.xml</loc></sitemap></sitemapindex>`;
+  assert.deepEqual(parseSitemap(index), { urls: [], sitemaps: ['https://shop.example/pages.xml'] });
+});
+
+test('decodeHtmlEntities decodes named and numeric entities and leaves unknown ones', () => {
+  assert.equal(decodeHtmlEntities('Fragt &amp; retur &#230;&#xF8; &quot;gratis&quot;'), 'Fragt & retur æø "gratis"');
+  assert.equal(decodeHtmlEntities('&unknown; &#0;'), '&unknown; &#0;');
+});
+
+test('htmlToText keeps the readable content with Markdown headings and list items', () => {
+  const html = `<html><head><title>Fragt &amp; levering</title><style>p { color: red }</style></head>
+    <body>
+      <nav><a href="/">Forside</a></nav>
+      <header>Topbanner</header>
+      <h2>Leveringstid</h2>
+      <p>Vi sender   inden for <b>2 dage</b>.</p>
+      <ul><li>GLS</li><li>PostNord</li></ul>
+      <script>track();</script>
+      <!-- kommentar -->
+      <footer>Kontakt</footer>
+    </body></html>`;
+  const { title, text } = htmlToText(html);
+
+  assert.equal(title, 'Fragt & levering');
+  assert.equal(text, '## Leveringstid\n\nVi sender inden for 2 dage.\n\n- GLS\n- PostNord');
+});
+
+test('htmlToText uses <main> when there is one and falls back to <h1> for the title', () => {
+  const html = '<body><aside>Nyhedsbrev</aside><main><h1>Returpolitik</h1><p>30 dages retur.</p></main><div>Cookie-banner</div></body>';
+  assert.deepEqual(htmlToText(html), { title: 'Returpolitik', text: '# Returpolitik\n\n30 dages retur.' });
+});
+
+test('isBlockedAddress blocks private, loopback and link-local addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.10', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:93.184.216.34']) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
@@ -0,0 +1,136 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ORDER_PROVIDER_TYPES } from '../src/utils/orderTrackingProviderUtils.js';
+import { ORDER_LOOKUP_OUTCOMES } from '../src/utils/orderLookupSecurityUtils.js';
+import { runSecuredOrderLookup } from '../src/services/orderLookupSecurityService.js';
+
+// The service logs every lookup; its output would only clutter the test report
+for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+
+/**
+ * In-memory stand-in for the tables runSecuredOrderLookup uses
+ */
+function createFakePool() {
+  const counters = new Map();
+  const audit = [];
+  return {
+    counters,
+    audit,
+    async query(sql, params) {
+      if (sql.includes('FROM order_lookup_security_settings')) return { rows: [] };
+      if (sql.includes('INSERT INTO order_lookup_audit')) {
+        audit.push({ outcome: params[3], ordersReturned: params[8] });
+        return { rows: [] };
+      }
+      if (sql.includes('INSERT INTO rate_limit_counters')) {
+        const rows = params.slice(2).map(key => {
+          counters.set(key, (counters.get(key) || 0) + 1);
+          return { bucket_key: key, request_count: counters.get(key) };
+        });
+        return { rows };
+      }
+      if (sql.includes('FROM rate_limit_counters')) {
+        return { rows: params[0].filter(key => counters.has(key)).map(key => ({ bucket_key: key, request_count: counters.get(key) })) };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+const shopifyResponse = {
+  success: true,
+  orders: [
+    { id: 1, order_number: 1001, email: 'anna@example.com', financial_status: 'paid' },
+    { id: 2, order_number: 1001, email: 'bo@example.com', financial_status: 'paid' }
+  ],
+  total_count: 2,
+  filtered_from: 2
+};
+
+const lookup = (pool, orderVariables, { ip = '1.2.3.4', userId = 'u1', response = shopifyResponse } = {}) => {
+  let calls = 0;
+  const result = runSecuredOrderLookup({
+    source: 'shopify_api',
+    providerType: ORDER_PROVIDER_TYPES.SHOPIFY,
+    identity: { chatbotId: 'c1', ip, userId },
+    orderVariables,
+    lookup: async () => {
+      calls++;
+      return response;
+    }
+  }, pool);
+  return result.then(value => ({ ...value, calls }));
+};
+
+// Failed attempts are counted without waiting for the query
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('only the order matching the visitor details is returned', async () => {
+  const pool = createFakePool();
+  const result = await lookup(pool, { order_number: '#1001', email: 'BO@example.com' });
+  assert.equal(result.outcome, ORDER_LOOKUP_OUTCOMES.FOUND);
+  assert.deepEqual(result.orderDetails.orders.map(order => order.id), [2]);
+  assert.equal(result.orderDetails.filtered_from, undefined);
+  await settle();
+  assert.deepEqual(pool.audit, [{ outcome: ORDER_LOOKUP_OUTCOMES.FOUND, ordersReturned: 1 }]);
+  assert.equal(pool.counters.size, 0);
+});
+
+test('lookups without the verification details never reach the provider', async () => {
+  const pool = createFakePool();
+  const result = await lookup(pool, { order_number: '1001' });
+  assert.equal(result.outcome, ORDER_LOOKUP_OUTCOMES.MISSING_FIELDS);
+  assert.equal(result.calls, 0);
+  assert.equal(result.orderDetails, null);
+});
+
+test('wrong details fail verification and are counted as failed attempts', async () => {
+  const pool = createFakePool();
+  const result = await lookup(pool, { order_number: '1001', email: 'eve@example.com' });
+  assert.equal(result.outcome, ORDER_LOOKUP_OUTCOMES.VERIFICATION_FAILED);
+  assert.equal(result.orderDetails, null);
+  await settle();
+  assert.equal(pool.counters.get('order_lookup_failed:order:c1:1001'), 1);
+});
+
+test('guessing one order from rotating IPs and user_ids is throttled by the order number bucket', async () => {
+  const pool = createFakePool();
+  for (let i = 0; i < 5; i++) {
+    const result = await lookup(pool, { order_number: '1001', email: `guess${i}@example.com` }, { ip: `10.1.0.${i}`, userId: `u${i}` });
+    assert.equal(result.outcome, ORDER_LOOKUP_OUTCOMES.VERIFICATION_FAILED);
+    await settle();
+  }
+
+  const throttled = await lookup(pool, { order_number: '1001', email: 'anna@example.com' }, { ip: '10.1.0.99', userId: 'fresh' });
+  assert.equal(throttled.outcome, ORDER_LOOKUP_OUTCOMES.THROTTLED);
+  assert.equal(throttled.calls, 0);
+  assert.ok(throttled.retryAfterSeconds > 0);
+
+  // Another order of the same chatbot is still available
+  const other = await lookup(pool, { order_number: '1002', email: 'anna@example.com' }, { ip: '10.1.0.99', userId: 'fresh', response: null });
+  assert.equal(other.outcome, ORDER_LOOKUP_OUTCOMES.NOT_FOUND);
+});
+
+test('junk lookups from rotating IPs do not throttle other visitors of the chatbot', async () => {
+  const pool = createFakePool();
+  for (let i = 0; i < 100; i++) {
+    await lookup(pool, { order_number: `9${i}`, email: 'junk@example.com' }, { ip: `10.2.0.${i}`, userId: `junk${i}`, response: null });
+    await settle();
+  }
+
+  const customer = await lookup(pool, { order_number: '1001', email: 'anna@example.com' }, { ip: '10.3.0.1', userId: 'anna' });
+  assert.equal(customer.outcome, ORDER_LOOKUP_OUTCOMES.FOUND);
+});
+
+test('provider errors are audited and rethrown', async () => {
+  const pool = createFakePool();
+  await assert.rejects(runSecuredOrderLookup({
+    source: 'chat',
+    providerType: ORDER_PROVIDER_TYPES.SHOPIFY,
+    identity: { chatbotId: 'c1', ip: '1.2.3.4', userId: 'u1' },
+    orderVariables: { order_number: '1001', email: 'anna@example.com' },
+    lookup: async () => { throw new Error('Shopify API error: 500'); }
+  }, pool), /Shopify API error/);
+  await settle();
+  assert.deepEqual(pool.audit.map(entry => entry.outcome), [ORDER_LOOKUP_OUTCOMES.ERROR]);
+});
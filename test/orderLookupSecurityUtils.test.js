@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ORDER_PROVIDER_TYPES } from '../src/utils/orderTrackingProviderUtils.js';
+import {
+  DEFAULT_ORDER_LOOKUP_SECURITY,
+  validateOrderLookupSecuritySettings,
+  resolveOrderLookupSecurity,
+  pickVerificationValues,
+  getVerifiedFields,
+  verifyNormalizedOrders,
+  filterOrderResponse,
+  buildFailedLookupBuckets,
+  hashOrderLookupContact
+} from '../src/utils/orderLookupSecurityUtils.js';
+
+const order = (fields) => ({
+  order_number: fields.order_number,
+  customer: { email: fields.email ?? null, phone: fields.phone ?? null },
+  shipping_address: fields.zip ? { zip: fields.zip } : null
+});
+
+test('validateOrderLookupSecuritySettings checks the rule and the limits', () => {
+  assert.deepEqual(validateOrderLookupSecuritySettings({ verification_rule: { all: ['order_number'], any: ['email', 'zip'] } }), []);
+  assert.deepEqual(validateOrderLookupSecuritySettings({ verification_rule: { min: 2, fields: ['email', 'phone', 'zip'] } }), []);
+  assert.equal(validateOrderLookupSecuritySettings({ verification_rule: { all: ['password'] } }).length, 1);
+  assert.equal(validateOrderLookupSecuritySettings({ verification_rule: { min: 3, fields: ['email'] } }).length, 1);
+  assert.equal(validateOrderLookupSecuritySettings({ verification_rule: {} }).length, 1);
+  assert.equal(validateOrderLookupSecuritySettings({ max_failed_attempts: -1, failure_window_seconds: 30 }).length, 2);
+});
+
+test('resolveOrderLookupSecurity falls back to the provider defaults', () => {
+  assert.deepEqual(resolveOrderLookupSecurity(null, ORDER_PROVIDER_TYPES.SHOPIFY), {
+    verification_rule: { all: ['order_number'], any: ['email', 'phone', 'zip'] },
+    ...DEFAULT_ORDER_LOOKUP_SECURITY
+  });
+  assert.equal(resolveOrderLookupSecurity(null, ORDER_PROVIDER_TYPES.BEVCO).verification_rule, null);
+  assert.equal(resolveOrderLookupSecurity({ enabled: false }, ORDER_PROVIDER_TYPES.SHOPIFY).max_failed_attempts, 0);
+  assert.equal(resolveOrderLookupSecurity({ enabled: true, max_failed_attempts: 0 }, ORDER_PROVIDER_TYPES.SHOPIFY).max_failed_attempts, 0);
+});
+
+test('getVerifiedFields compares normalized values', () => {
+  const stored = order({ order_number: '000123', email: 'Anna@Example.com', phone: '+45 12 34 56 78', zip: '2100' });
+  assert.deepEqual(
+    getVerifiedFields(stored, { order_number: '#123', email: ' anna@example.com', phone: '12345678', zip: '2 100' }),
+    ['order_number', 'email', 'phone', 'zip']
+  );
+  assert.deepEqual(getVerifiedFields(stored, { order_number: '124', email: 'other@example.com', phone: '5678' }), []);
+  assert.deepEqual(pickVerificationValues({ postal_code: '8000' }).zip, '8000');
+});
+
+test('verifyNormalizedOrders only returns orders whose own details match', () => {
+  const normalized = { orders: [order({ order_number: '1', email: 'a@example.com' }), order({ order_number: '1', email: 'b@example.com' })] };
+  const rule = { all: ['order_number'], any: ['email', 'phone', 'zip'] };
+  assert.deepEqual(verifyNormalizedOrders(normalized, { order_number: '1', email: 'b@example.com' }, rule), {
+    verifiedIndexes: [1],
+    verifiedFields: ['order_number', 'email']
+  });
+  // The order number alone does not satisfy the rule
+  assert.deepEqual(verifyNormalizedOrders(normalized, { order_number: '1' }, rule).verifiedIndexes, []);
+  // Without a rule every order is kept
+  assert.deepEqual(verifyNormalizedOrders(normalized, {}, null).verifiedIndexes, [0, 1]);
+});
+
+test('filterOrderResponse drops unverified orders and the search statistics', () => {
+  const response = { success: true, orders: [{ id: 1 }, { id: 2 }], total_count: 2, filtered_from: 9 };
+  assert.deepEqual(filterOrderResponse(response, [1]), { success: true, orders: [{ id: 2 }], total_count: 1 });
+  assert.deepEqual(filterOrderResponse([{ id: 1 }, { id: 2 }], [0]), [{ id: 1 }]);
+  assert.equal(filterOrderResponse({ id: 1 }, []), null);
+});
+
+test('buildFailedLookupBuckets adds an order number bucket the caller cannot choose', () => {
+  const buckets = buildFailedLookupBuckets({ ip: '1.2.3.4', userId: 'u1', chatbotId: 'c1' }, { order_number: '#00123' }, 5);
+  assert.deepEqual(buckets, [
+    { scope: 'ip', limit: 5, key: 'order_lookup_failed:ip:c1:1.2.3.4' },
+    { scope: 'user', limit: 5, key: 'order_lookup_failed:user:c1:1.2.3.4:u1' },
+    { scope: 'order', limit: 5, key: 'order_lookup_failed:order:c1:123' }
+  ]);
+
+  const rotated = buildFailedLookupBuckets({ ip: '5.6.7.8', userId: 'u2', chatbotId: 'c1' }, { order_number: '123' }, 5);
+  assert.deepEqual(rotated.slice(2), buckets.slice(2));
+  assert.deepEqual(buildFailedLookupBuckets({}, {}, 5), []);
+});
+
+test('hashOrderLookupContact hashes the normalized email or phone', () => {
+  assert.equal(hashOrderLookupContact({ email: 'Anna@Example.com ' }), hashOrderLookupContact({ email: 'anna@example.com' }));
+  assert.match(hashOrderLookupContact({ phone: '+45 12345678' }), /^[0-9a-f]{64}$/);
+  assert.equal(hashOrderLookupContact({}), null);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseJsonPath,
+  queryJsonPath,
+  validateResponseMapping,
+  applyResponseMapping,
+  describeTestRequest
+} from '../src/utils/orderResponseMappingUtils.js';
+
+const response = {
+  data: {
+    orders: [
+      {
+        id: 'A-1',
+        state: 'shipped',
+        buyer: { mail: 'anna@example.com' },
+        sum: '249.50',
+        'delivery info': { eta: '2026-05-02' },
+        items: [{ title: 'Uldsokker', qty: 2 }, { title: 'Hue', qty: 1 }],
+        parcels: [{ barcode: 'PN123', carrier: 'postnord' }],
+        points: 120
+      },
+      { state: 'error' }
+    ]
+  }
+};
+
+const mapping = {
+  orders: '$.data.orders[*]',
+  fields: { order_number: '$.id', 'fulfillment.status': '$.state', 'customer.email': '$.buyer.mail', 'totals.total': '$.sum' },
+  lines: { path: '$.items[*]', fields: { name: '$.title', quantity: '$.qty' } },
+  shipments: { path: '$.parcels[*]', fields: { tracking_number: '$.barcode', carrier: '$.carrier' } },
+  attributes: { loyalty_points: '$.points', eta: "$['delivery info'].eta" }
+};
+
+test('parseJsonPath supports keys, quoted keys, indexes and wildcards', () => {
+  assert.deepEqual(parseJsonPath("$.data['order list'][0].items[*].sku.*"), [
+    { key: 'data' }, { key: 'order list' }, { index: 0 }, { key: 'items' }, { wildcard: true }, { key: 'sku' }, { wildcard: true }
+  ]);
+  assert.deepEqual(parseJsonPath('$'), []);
+  assert.throws(() => parseJsonPath('data.id'), /must start with \$/);
+  assert.throws(() => parseJsonPath('$.items[abc]'), /invalid syntax/);
+});
+
+test('queryJsonPath returns every match', () => {
+  assert.deepEqual(queryJsonPath(response, '$.data.orders[*].id'), ['A-1']);
+  assert.deepEqual(queryJsonPath(response, '$.data.orders[0].items[-1].title'), ['Hue']);
+  assert.deepEqual(queryJsonPath(response, '$.data.orders[0].buyer.*'), ['anna@example.com']);
+  assert.deepEqual(queryJsonPath(response, '$.data.missing.id'), []);
+  assert.deepEqual(queryJsonPath({ toString: 1 }, '$.constructor'), []);
+});
+
+test('validateResponseMapping reports unknown keys, fields and bad paths', () => {
+  assert.deepEqual(validateResponseMapping(mapping), []);
+  assert.deepEqual(validateResponseMapping({ fields: { status: '$.state' }, extra: true, lines: { path: 'items', fields: { colour: '$.c' } } }), [
+    'response_mapping.extra is not supported (allowed: orders, fields, lines, shipments, attributes)',
+    'response_mapping.fields.order_number is required',
+    'response_mapping.lines.path: "items" must start with $',
+    'response_mapping.lines.fields.colour is not a mappable field (allowed: name, sku, quantity, unit_price, total, status)'
+  ]);
+  assert.equal(validateResponseMapping([]).length, 1);
+});
+
+test('applyResponseMapping maps the orders onto the normalized schema', () => {
+  const { normalized, errors, unmatched } = applyResponseMapping(response, mapping);
+  assert.deepEqual(errors, ['orders[1] has no order_number, skipped']);
+  assert.ok(unmatched.includes('orders[1].order_number ($.id)'));
+
+  assert.equal(normalized.provider, 'generic');
+  assert.equal(normalized.orders.length, 1);
+  const [order] = normalized.orders;
+  assert.equal(order.order_number, 'A-1');
+  assert.equal(order.fulfillment.status, 'fulfilled');
+  assert.equal(order.customer.email, 'anna@example.com');
+  assert.equal(order.totals.total, 249.5);
+  assert.deepEqual(order.lines.map(line => [line.name, line.quantity]), [['Uldsokker', 2], ['Hue', 1]]);
+  assert.equal(order.shipments[0].tracking_number, 'PN123');
+  assert.deepEqual(order.attributes, { loyalty_points: 120, eta: '2026-05-02' });
+});
+
+test('applyResponseMapping reports objects where a value belongs and responses without orders', () => {
+  const { errors } = applyResponseMapping({ id: 'B-2', buyer: { mail: 'x' } }, { fields: { order_number: '$.id', 'customer.email': '$.buyer' } });
+  assert.deepEqual(errors, ['orders[0].customer.email ($.buyer) is an object, not a value']);
+
+  const empty = applyResponseMapping({ data: { orders: [] } }, mapping);
+  assert.equal(empty.normalized, null);
+  assert.deepEqual(empty.unmatched, ['orders ($.data.orders[*])']);
+});
+
+test('describeTestRequest hides the values of custom headers', () => {
+  const described = describeTestRequest({
+    method: 'POST',
+    url: 'https://api.shop.dk/orders',
+    headers: { 'Content-Type': 'application/json', 'X-Api-Key': 'secret' },
+    body: '{}'
+  });
+  assert.deepEqual(described.headers, { 'Content-Type': 'application/json', 'X-Api-Key': '***' });
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ORDER_FORMATS,
+  ORDER_SCHEMA_VERSION,
+  detectOrderFormat,
+  normalizeOrderDetails,
+  validateNormalizedOrderDetails
+} from '../src/utils/orderSchemaUtils.js';
+
+const shopifyResponse = {
+  success: true,
+  orders: [{
+    id: 1,
+    order_number: 1001,
+    currency: 'DKK',
+    total_price: '299.00',
+    financial_status: 'paid',
+    fulfillment_status: 'partial',
+    email: 'anna@example.com',
+    line_items: [{ name: 'Uldsokker', sku: 'SOK-1', quantity: 2, price: '99.50' }],
+    fulfillments: [{ status: 'success', tracking_number: 'GLS123', tracking_company: 'GLS' }]
+  }]
+};
+
+test('detectOrderFormat recognises the provider responses', () => {
+  assert.equal(detectOrderFormat({ results: [{ orderNumber: '1' }] }), ORDER_FORMATS.COMMERCETOOLS);
+  assert.equal(detectOrderFormat({ orders: [{ id: 1, woocommerceStoreUrl: 'https://shop.dk' }] }), ORDER_FORMATS.WOOCOMMERCE);
+  assert.equal(detectOrderFormat(shopifyResponse), ORDER_FORMATS.SHOPIFY);
+  assert.equal(detectOrderFormat({ orders: [{ id: 1, magentoBaseUrl: 'https://shop.dk' }] }), ORDER_FORMATS.MAGENTO);
+  assert.equal(detectOrderFormat({ orders: [{ ordernumber: '1' }] }), ORDER_FORMATS.BEVCO);
+  assert.equal(detectOrderFormat({ order_id: 'A-1', status: 'shipped' }), ORDER_FORMATS.GENERIC);
+  assert.equal(detectOrderFormat([{ orderNumber: 'A-1' }]), ORDER_FORMATS.GENERIC);
+});
+
+test('detectOrderFormat returns null for empty results and error bodies', () => {
+  assert.equal(detectOrderFormat(null), null);
+  assert.equal(detectOrderFormat('Not found'), null);
+  assert.equal(detectOrderFormat({ results: [] }), null);
+  assert.equal(detectOrderFormat({ orders: [] }), null);
+  assert.equal(detectOrderFormat({}), null);
+  assert.equal(detectOrderFormat({ error: 'Order not found' }), null);
+  assert.equal(detectOrderFormat({ message: 'Not found' }), null);
+  assert.equal(detectOrderFormat({ id: '', status: 'error' }), null);
+});
+
+test('normalizeOrderDetails maps a Shopify response to a valid normalized order', () => {
+  const normalized = normalizeOrderDetails(shopifyResponse);
+  assert.equal(normalized.schema_version, ORDER_SCHEMA_VERSION);
+  assert.equal(normalized.provider, ORDER_FORMATS.SHOPIFY);
+  assert.deepEqual(validateNormalizedOrderDetails(normalized), []);
+
+  const [order] = normalized.orders;
+  assert.equal(order.order_number, '1001');
+  assert.equal(order.payment.status, 'paid');
+  assert.equal(order.fulfillment.status, 'partial');
+  assert.deepEqual(order.totals, { total: 299, shipping: null, discount: null });
+  assert.equal(order.lines[0].total, 199);
+  assert.equal(order.shipments[0].tracking_number, 'GLS123');
+});
+
+test('normalizeOrderDetails keeps only the generic orders with an order number or id', () => {
+  const normalized = normalizeOrderDetails([{ message: 'skipped' }, { orderId: 'A-7', status: 'shipped', trackingNumber: 'PN1', warehouse: 'Vejle' }]);
+  assert.equal(normalized.provider, ORDER_FORMATS.GENERIC);
+  assert.deepEqual(validateNormalizedOrderDetails(normalized), []);
+  assert.equal(normalized.orders.length, 1);
+  assert.equal(normalized.orders[0].order_number, 'A-7');
+  assert.equal(normalized.orders[0].shipments[0].tracking_number, 'PN1');
+  assert.deepEqual(normalized.orders[0].attributes, { warehouse: 'Vejle' });
+
+  assert.equal(normalizeOrderDetails({ error: 'timeout' }), null);
+});
+
+test('normalizeOrderDetails passes through responses that are already normalized', () => {
+  const mapped = { schema_version: ORDER_SCHEMA_VERSION, provider: ORDER_FORMATS.GENERIC, orders: [{ order_number: '1' }], raw: {} };
+  assert.deepEqual(normalizeOrderDetails(mapped), { schema_version: ORDER_SCHEMA_VERSION, provider: ORDER_FORMATS.GENERIC, orders: [{ order_number: '1' }] });
+  assert.equal(normalizeOrderDetails({ ...mapped, orders: [] }), null);
+});
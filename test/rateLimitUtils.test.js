@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_RATE_LIMITS,
+  validateRateLimitSettings,
+  resolveRateLimits,
+  getRateLimitIdentity,
+  buildRateLimitBuckets,
+  getRateLimitWindow
+} from '../src/utils/rateLimitUtils.js';
+
+const request = ({ ip, body = {}, headers = {} }) => ({
+  ip,
+  body,
+  socket: { remoteAddress: '10.0.0.9' },
+  get: (name) => headers[name.toLowerCase()]
+});
+
+test('validateRateLimitSettings accepts empty limits and rejects bad ones', () => {
+  assert.deepEqual(validateRateLimitSettings({ endpoint: '*', per_ip: '', per_user: null, per_chatbot: 0, window_seconds: 60 }), []);
+  assert.equal(validateRateLimitSettings({ endpoint: 'unknown' }).length, 1);
+  assert.deepEqual(validateRateLimitSettings({ endpoint: 'track_order', per_ip: -1 }), ['per_ip must be a non-negative integer']);
+  assert.equal(validateRateLimitSettings({ endpoint: 'track_order', window_seconds: 86401 }).length, 1);
+});
+
+test('resolveRateLimits uses the endpoint row, then the * row, then the defaults', () => {
+  const rows = [
+    { endpoint: '*', enabled: true, per_ip: 5, per_user: null, per_chatbot: null, window_seconds: 30 },
+    { endpoint: 'upload_image', enabled: false }
+  ];
+  assert.deepEqual(resolveRateLimits(rows, 'process_message'), {
+    per_ip: 5,
+    per_user: DEFAULT_RATE_LIMITS.process_message.per_user,
+    per_chatbot: DEFAULT_RATE_LIMITS.process_message.per_chatbot,
+    window_seconds: 30
+  });
+  assert.equal(resolveRateLimits(rows, 'upload_image'), null);
+  assert.deepEqual(resolveRateLimits([], 'track_order'), DEFAULT_RATE_LIMITS.track_order);
+});
+
+test('getRateLimitIdentity reads user_id and chatbot_id from the body or headers', () => {
+  assert.deepEqual(
+    getRateLimitIdentity(request({ ip: '1.2.3.4', body: { user_id: 'u1', chatbot_id: 'c1' } })),
+    { ip: '1.2.3.4', userId: 'u1', chatbotId: 'c1' }
+  );
+  assert.deepEqual(
+    getRateLimitIdentity(request({ headers: { 'x-user-id': 'u2', 'x-chatbot-id': 'c2' } })),
+    { ip: '10.0.0.9', userId: 'u2', chatbotId: 'c2' }
+  );
+});
+
+test('buildRateLimitBuckets keys the visitor bucket under the IP', () => {
+  const limits = { per_ip: 30, per_user: 20, per_chatbot: 600 };
+  const buckets = buildRateLimitBuckets('process_message', { ip: '1.2.3.4', userId: 'u1', chatbotId: 'c1' }, limits);
+  assert.deepEqual(buckets, [
+    { scope: 'ip', limit: 30, key: 'process_message:ip:c1:1.2.3.4' },
+    { scope: 'user', limit: 20, key: 'process_message:user:c1:1.2.3.4:u1' },
+    { scope: 'chatbot', limit: 600, key: 'process_message:chatbot:c1' }
+  ]);
+
+  // A new user_id from the same IP still shares the IP bucket
+  const rotated = buildRateLimitBuckets('process_message', { ip: '1.2.3.4', userId: 'u2', chatbotId: 'c1' }, limits);
+  assert.equal(rotated[0].key, buckets[0].key);
+});
+
+test('buildRateLimitBuckets skips scopes without a limit or identity', () => {
+  const buckets = buildRateLimitBuckets('log_error', { ip: '1.2.3.4', userId: null, chatbotId: 'c1' }, { per_ip: 0, per_user: 5, per_chatbot: 10 });
+  assert.deepEqual(buckets.map(bucket => bucket.scope), ['chatbot']);
+});
+
+test('getRateLimitWindow returns the fixed window the current time falls in', () => {
+  const { windowStart, expiresAt } = getRateLimitWindow(60);
+  assert.equal(windowStart.getTime() % 60000, 0);
+  assert.equal(expiresAt - windowStart, 60000);
+  assert.ok(windowStart.getTime() <= Date.now() && Date.now() < expiresAt.getTime());
+});
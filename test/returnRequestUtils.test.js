@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import {
+  isReturnRequestMessage,
+  validateReturnSettings,
+  resolveReturnSettings,
+  checkReturnEligibility,
+  describeReturnEligibility,
+  validateReturnSubmission,
+  WebhookReturnAdapter
+} from '../src/utils/returnRequestUtils.js';
+
+const settings = resolveReturnSettings({ enabled: true, return_window_days: 30, window_start: 'delivered', excluded_skus: ['GIFT'] });
+
+const order = (overrides = {}) => ({
+  order_number: '1001',
+  created_at: '2026-03-01T10:00:00Z',
+  payment: { status: 'paid' },
+  fulfillment: { status: 'fulfilled', delivered_at: '2026-03-04T10:00:00Z' },
+  fulfillments: [],
+  lines: [
+    { name: 'Uldsokker', sku: 'SOK-1', quantity: 2, status: 'fulfilled' },
+    { name: 'Gavekort', sku: 'gift', quantity: 1, status: 'fulfilled' }
+  ],
+  returns: [],
+  ...overrides
+});
+
+test('isReturnRequestMessage recognises return questions in several languages', () => {
+  assert.ok(isReturnRequestMessage('Jeg vil gerne returnere mine sokker'));
+  assert.ok(isReturnRequestMessage('How do I get a refund?'));
+  assert.ok(isReturnRequestMessage('Ich möchte die Rücksendung anmelden'));
+  assert.ok(!isReturnRequestMessage('Hvor er min pakke?'));
+});
+
+test('validateReturnSettings rejects bad values', () => {
+  assert.deepEqual(validateReturnSettings({ return_window_days: 14, window_start: 'created', adapters: ['webhook'], webhook_url: 'https://shop.dk/returns' }), []);
+  assert.equal(validateReturnSettings({ return_window_days: 0, window_start: 'paid', webhook_url: 'http://shop.dk', notification_email: 'nope' }).length, 4);
+  assert.equal(resolveReturnSettings({ enabled: false }), null);
+});
+
+test('checkReturnEligibility counts the window from delivery and skips excluded SKUs', () => {
+  const result = checkReturnEligibility(order(), settings, new Date('2026-03-20T00:00:00Z'));
+  assert.equal(result.eligible, true);
+  assert.equal(result.deadline, '2026-04-03T10:00:00.000Z');
+  assert.deepEqual(result.lines.map(line => [line.eligible, line.reason, line.returnable_quantity]), [[true, null, 2], [false, 'excluded', 0]]);
+  assert.equal(describeReturnEligibility(result), 'Order 1001 can be returned until 2026-04-03 (1 of 2 items)');
+});
+
+test('checkReturnEligibility refuses expired, cancelled and unshipped orders', () => {
+  const late = checkReturnEligibility(order(), settings, new Date('2026-04-04T00:00:00Z'));
+  assert.equal(late.reason, 'window_expired');
+  assert.equal(describeReturnEligibility(late), 'Order 1001 cannot be returned: the return window ended 2026-04-03');
+
+  assert.equal(checkReturnEligibility(order({ fulfillment: { status: 'cancelled', delivered_at: null } }), settings).reason, 'order_cancelled');
+  assert.equal(checkReturnEligibility(order({ payment: { status: 'refunded' } }), settings).reason, 'order_refunded');
+  assert.equal(checkReturnEligibility(order({ fulfillment: { status: 'unfulfilled', delivered_at: null } }), settings).reason, 'not_shipped');
+});
+
+test('checkReturnEligibility subtracts quantities already in a return', () => {
+  const result = checkReturnEligibility(order({
+    returns: [
+      { status: 'requested', lines: [{ sku: 'SOK-1', quantity: 1 }] },
+      { status: 'rejected', lines: [{ sku: 'SOK-1', quantity: 1 }] }
+    ]
+  }), settings, new Date('2026-03-20T00:00:00Z'));
+  assert.equal(result.lines[0].returnable_quantity, 1);
+
+  const allReturned = checkReturnEligibility(order({
+    returns: [{ status: 'requested', lines: [{ sku: 'SOK-1', quantity: 2 }] }]
+  }), settings, new Date('2026-03-20T00:00:00Z'));
+  assert.equal(allReturned.reason, 'no_returnable_lines');
+});
+
+test('validateReturnSubmission only accepts offered lines and quantities', () => {
+  const eligibility = checkReturnEligibility(order(), settings, new Date('2026-03-20T00:00:00Z'));
+  assert.deepEqual(validateReturnSubmission(eligibility, { lines: [{ line_index: 0, quantity: 2 }], reason: 'size_too_small' }), {
+    errors: [],
+    lines: [{ line_index: 0, name: 'Uldsokker', sku: 'SOK-1', quantity: 2 }]
+  });
+  const { errors } = validateReturnSubmission(eligibility, {
+    lines: [{ line_index: 0, quantity: 3 }, { line_index: 1 }],
+    reason: 'changed_mind'
+  });
+  assert.deepEqual(errors, [
+    'lines[0].quantity must be an integer between 1 and 2',
+    'lines[1].line_index is not a returnable line',
+    'reason must be one of: size_too_small, size_too_large, unwanted, not_as_described, wrong_item, defective, style, color, other'
+  ]);
+});
+
+test('WebhookReturnAdapter signs the body with the webhook secret', async () => {
+  let received;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received = { signature: req.headers['x-return-signature'], body };
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ id: 42 }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const adapter = new WebhookReturnAdapter({
+      settings: { webhook_url: `http://127.0.0.1:${server.address().port}/returns`, webhook_secret: 'shh' }
+    });
+    const result = await adapter.submit({
+      publicId: 'abc', chatbotId: 'c1', orderNumber: '1001', lines: [{ name: 'Uldsokker', sku: 'SOK-1', quantity: 1 }], customer: {}
+    });
+
+    assert.deepEqual(result, { external_id: '42' });
+    assert.equal(received.signature, crypto.createHmac('sha256', 'shh').update(received.body).digest('hex'));
+    assert.equal(JSON.parse(received.body).event, 'return_request.created');
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  DEFAULT_SHOPIFY_WEBHOOK_SETTINGS,
+  verifyShopifyWebhookSignature,
+  validateShopifyWebhookSettings,
+  resolveShopifyWebhookSettings,
+  extractShopifyWebhookOrder,
+  maskShopifyWebhookSettings
+} from '../src/utils/shopifyWebhookUtils.js';
+
+const secret = 'whsec_test';
+const rawBody = Buffer.from(JSON.stringify({ id: 820982911946154500, email: 'anna@example.com' }));
+const sign = (body, key = secret) => crypto.createHmac('sha256', key).update(body).digest('base64');
+
+test('verifyShopifyWebhookSignature accepts the signature of the raw body', () => {
+  assert.equal(verifyShopifyWebhookSignature(rawBody, sign(rawBody), secret), true);
+});
+
+test('verifyShopifyWebhookSignature rejects tampered bodies, other secrets and malformed signatures', () => {
+  const tampered = Buffer.from(rawBody.toString().replace('anna', 'eve'));
+  assert.equal(verifyShopifyWebhookSignature(tampered, sign(rawBody), secret), false);
+  assert.equal(verifyShopifyWebhookSignature(rawBody, sign(rawBody, 'other'), secret), false);
+  assert.equal(verifyShopifyWebhookSignature(rawBody, 'not base64!', secret), false);
+  assert.equal(verifyShopifyWebhookSignature(rawBody, sign(rawBody).slice(0, 20), secret), false);
+  assert.equal(verifyShopifyWebhookSignature(rawBody, undefined, secret), false);
+  assert.equal(verifyShopifyWebhookSignature(rawBody, sign(rawBody), ''), false);
+  assert.equal(verifyShopifyWebhookSignature(null, sign(rawBody), secret), false);
+});
+
+test('validateShopifyWebhookSettings checks the secret, domain and window', () => {
+  assert.deepEqual(validateShopifyWebhookSettings({ webhook_secret: secret, shop_domain: 'uldbutikken.myshopify.com', attribution_window_days: 14 }), []);
+  assert.deepEqual(validateShopifyWebhookSettings({ shop_domain: 'uldbutikken.dk', attribution_window_days: 0 }), [
+    'webhook_secret is required',
+    'shop_domain must be a *.myshopify.com domain',
+    'attribution_window_days must be an integer between 1 and 365'
+  ]);
+});
+
+test('resolveShopifyWebhookSettings fills in the defaults and ignores disabled rows', () => {
+  assert.deepEqual(resolveShopifyWebhookSettings({ enabled: true, webhook_secret: secret, match_email: false }), {
+    webhook_secret: secret,
+    shop_domain: null,
+    cart_attribute: DEFAULT_SHOPIFY_WEBHOOK_SETTINGS.cart_attribute,
+    match_email: false,
+    attribution_window_days: DEFAULT_SHOPIFY_WEBHOOK_SETTINGS.attribution_window_days
+  });
+  assert.equal(resolveShopifyWebhookSettings({ enabled: false, webhook_secret: secret }), null);
+  assert.equal(maskShopifyWebhookSettings({ webhook_secret: secret }).webhook_secret, '********');
+});
+
+test('extractShopifyWebhookOrder reads the visitor attribute and the order email', () => {
+  const extracted = extractShopifyWebhookOrder({
+    id: 5001,
+    name: '#1001',
+    current_total_price: '349.00',
+    currency: 'DKK',
+    customer: { email: ' Anna@Example.com ' },
+    note_attributes: [{ name: 'gift', value: 'yes' }, { name: 'di_user_id', value: ' visitor-1 ' }],
+    created_at: '2026-03-01T10:00:00Z'
+  }, 'di_user_id');
+
+  assert.deepEqual(extracted, {
+    id: '5001',
+    orderNumber: '#1001',
+    amount: 349,
+    currency: 'DKK',
+    email: 'anna@example.com',
+    visitorId: 'visitor-1',
+    createdAt: new Date('2026-03-01T10:00:00Z'),
+    test: false
+  });
+  assert.equal(extractShopifyWebhookOrder({ order_number: 1002, total_price: '10' }, 'di_user_id').orderNumber, '#1002');
+});
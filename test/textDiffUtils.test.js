@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines } from '../src/utils/textDiffUtils.js';
+
+test('diffLines lists removed and added lines in order', () => {
+  const oldText = 'Fragt\nLevering 2 dage\nRetur 14 dage\nKontakt';
+  const newText = 'Fragt\nLevering 1-2 dage\nRetur 14 dage\nGratis fragt over 500 kr\nKontakt';
+
+  assert.deepEqual(diffLines(oldText, newText), {
+    linesAdded: 2,
+    linesRemoved: 1,
+    diff: '- Levering 2 dage\n+ Levering 1-2 dage\n+ Gratis fragt over 500 kr'
+  });
+});
+
+test('diffLines reports nothing for equal texts and ignores blank line changes', () => {
+  assert.deepEqual(diffLines('a\nb', 'a\nb'), { linesAdded: 0, linesRemoved: 0, diff: '' });
+  assert.deepEqual(diffLines('a\nb', 'a\n\nb\n'), { linesAdded: 0, linesRemoved: 0, diff: '' });
+});
+
+test('diffLines treats missing text as empty', () => {
+  assert.deepEqual(diffLines(null, 'ny tekst'), { linesAdded: 1, linesRemoved: 0, diff: '+ ny tekst' });
+  assert.deepEqual(diffLines('gammel tekst', undefined), { linesAdded: 0, linesRemoved: 1, diff: '- gammel tekst' });
+});
+
+test('diffLines caps the diff at maxLines but counts every change', () => {
+  const newText = Array.from({ length: 10 }, (_, i) => `linje ${i}`).join('\n');
+  const result = diffLines('', newText, 3);
+
+  assert.equal(result.linesAdded, 10);
+  assert.equal(result.diff, '+ linje 0\n+ linje 1\n+ linje 2\n… 7 more changed lines');
+});
+
+test('diffLines falls back to a set comparison for very large texts', () => {
+  const oldLines = Array.from({ length: 2100 }, (_, i) => `gammel ${i}`);
+  const newLines = [...oldLines.slice(1), 'ny linje'];
+  newLines[1000] = 'ændret';
+  const result = diffLines(oldLines.join('\n'), newLines.join('\n'));
+
+  assert.equal(result.linesAdded, 2);
+  assert.equal(result.linesRemoved, 2);
+  assert.equal(result.diff, '- gammel 0\n- gammel 1001\n+ ændret\n+ ny linje');
+});